@@ -0,0 +1,104 @@
+/**
+ * Which models serve which route, in fallback order.
+ *
+ * Each route reads an env var holding a comma-separated chain of
+ * provider:model entries, e.g.
+ *
+ *   AI_MODELS_GENERATE=openrouter:anthropic/claude-3.5-sonnet,openrouter:openai/gpt-4o-mini
+ *
+ * AI_PROVIDER=mock replaces every chain with the offline mock provider.
+ */
+
+const routes = {
+  generate: {
+    env: 'AI_MODELS_GENERATE',
+    defaults: 'openrouter:anthropic/claude-3.5-sonnet',
+    app: {
+      referer: process.env.APP_URL || 'https://cerebro-v10.netlify.app',
+      title: 'Cerebro - Adaptive Learning Platform'
+    }
+  },
+  grade: {
+    env: 'AI_MODELS_GRADE',
+    defaults: 'openrouter:anthropic/claude-3.5-sonnet',
+    app: {
+      referer: process.env.APP_URL || 'https://cerebro-v10.netlify.app',
+      title: 'Cerebro - Adaptive Learning Platform'
+    }
+  },
+  conversation: {
+    env: 'AI_MODELS_CONVERSATION',
+    defaults: 'openrouter:anthropic/claude-3.5-sonnet',
+    app: { referer: 'https://polyglot-ai.netlify.app', title: 'Polyglot AI - Language Learning' }
+  },
+  correct: {
+    env: 'AI_MODELS_CORRECT',
+    defaults: 'openrouter:anthropic/claude-3.5-sonnet',
+    app: { referer: 'https://polyglot-ai.netlify.app', title: 'Polyglot AI - Language Learning' }
+  },
+  summarize: {
+    env: 'AI_MODELS_SUMMARIZE',
+    defaults: 'openrouter:anthropic/claude-3.5-sonnet',
+    app: { referer: 'https://polyglot-ai.netlify.app', title: 'Polyglot AI - Language Learning' }
+  },
+  assess: {
+    env: 'AI_MODELS_ASSESS',
+    defaults: 'openrouter:anthropic/claude-3.5-sonnet',
+    app: { referer: 'https://polyglot-ai.netlify.app', title: 'Polyglot AI - Language Learning' }
+  },
+  hint: {
+    env: 'AI_MODELS_HINT',
+    defaults: 'openrouter:anthropic/claude-3.5-sonnet',
+    app: { referer: 'https://polyglot-ai.netlify.app', title: 'Polyglot AI - Language Learning' }
+  },
+  speak: {
+    env: 'AI_MODELS_SPEAK',
+    defaults: 'openai:tts-1',  // or 'openai:tts-1-hd' for higher quality
+    timeoutMs: 20000
+  },
+  transcribe: {
+    env: 'AI_MODELS_TRANSCRIBE',
+    defaults: 'openai:whisper-1',
+    timeoutMs: 60000
+  },
+  // Content classifier for the moderation pipeline (MODERATION_CLASSIFIER=ai)
+  moderate: {
+    env: 'AI_MODELS_MODERATE',
+    defaults: 'openai:omni-moderation-latest',
+    timeoutMs: 10000
+  }
+};
+
+function parseChain(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) throw new Error(`Invalid model entry "${entry}" (expected provider:model)`);
+      return { provider: entry.slice(0, separator), model: entry.slice(separator + 1) };
+    });
+}
+
+function chainFor(route) {
+  const config = routes[route];
+  if (!config) throw new Error(`Unknown AI route "${route}"`);
+
+  if (process.env.AI_PROVIDER === 'mock') {
+    return [{ provider: 'mock', model: `mock-${route}` }];
+  }
+
+  return parseChain(process.env[config.env] || config.defaults);
+}
+
+// AI_TIMEOUT_MS overrides every route; otherwise route default, then 30s
+function timeoutFor(route) {
+  return parseInt(process.env.AI_TIMEOUT_MS, 10) || routes[route]?.timeoutMs || 30000;
+}
+
+function appFor(route) {
+  return routes[route]?.app || {};
+}
+
+module.exports = { routes, chainFor, appFor, timeoutFor, parseChain };
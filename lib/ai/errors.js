@@ -0,0 +1,70 @@
+/**
+ * Errors raised by the AI provider layer. Those that reach a route carry the
+ * HTTP status and machine-readable code the API responds with.
+ */
+
+// Upstream answered with an error status
+class ProviderError extends Error {
+  constructor(message, { provider, model, status, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.model = model;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.httpStatus = 502;
+    this.code = 'UPSTREAM_ERROR';
+  }
+}
+
+/**
+ * The code or type from an upstream error body, for logs. The body itself is
+ * never logged: moderation and validation errors can quote the student's input.
+ */
+function upstreamErrorCode(errorText) {
+  try {
+    const { error } = JSON.parse(errorText);
+    const code = error && (error.code || error.type);
+    return typeof code === 'string' || typeof code === 'number' ? code : null;
+  } catch (parseError) {
+    return null;
+  }
+}
+
+// Upstream did not answer within the deadline
+class UpstreamTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UpstreamTimeoutError';
+    this.httpStatus = 504;
+    this.code = 'UPSTREAM_TIMEOUT';
+  }
+}
+
+// Upstream is down, rate limiting us, or its circuit breaker is open
+class UpstreamUnavailableError extends Error {
+  constructor(message, { retryAfterMs } = {}) {
+    super(message);
+    this.name = 'UpstreamUnavailableError';
+    this.retryAfterMs = retryAfterMs;
+    this.httpStatus = 503;
+    this.code = 'UPSTREAM_UNAVAILABLE';
+  }
+}
+
+// No provider in the route's chain has credentials
+class AIConfigurationError extends Error {
+  constructor(route) {
+    super(`No configured AI provider for "${route}"`);
+    this.name = 'AIConfigurationError';
+    this.route = route;
+  }
+}
+
+module.exports = {
+  ProviderError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+  AIConfigurationError,
+  upstreamErrorCode
+};
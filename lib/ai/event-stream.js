@@ -0,0 +1,44 @@
+/**
+ * Reader for OpenAI-style streamed chat completions: a text/event-stream of
+ * `data: {chunk}` lines closed by `data: [DONE]`. Shared by the OpenAI and
+ * OpenRouter providers.
+ */
+
+/**
+ * Consume `response.body`, calling `onToken(text)` for every content delta.
+ * Resolves to { content, usage } once the stream ends; `usage` comes from
+ * the final chunk when the upstream reports it.
+ */
+async function readChatStream(response, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = {};
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return; // comments (": keep-alive") and other fields
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+
+    const chunk = JSON.parse(data);
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (delta && delta.content) {
+      content += delta.content;
+      onToken(delta.content);
+    }
+  };
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+
+  return { content: content.trim(), usage };
+}
+
+module.exports = { readChatStream };
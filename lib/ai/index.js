@@ -0,0 +1,219 @@
+/**
+ * 🤖 AI PROVIDER LAYER
+ * Single entry point for every model call. Routes name what they need
+ * ('generate', 'grade', 'conversation', 'correct', 'summarize', 'assess',
+ * 'hint', 'speak', 'transcribe', 'moderate'); config decides which provider/model chain serves it,
+ * and failures fall through to the next entry in the chain.
+ *
+ * Every successful call is reported to onUsage() listeners as
+ * { route, provider, model, promptTokens, completionTokens, ttsCharacters, audioSeconds }.
+ * Every attempt on a provider is timed and counted in the ai_* metrics.
+ */
+
+const config = require('./config');
+const resilience = require('./resilience');
+const { log, metrics } = require('../observability');
+const {
+  ProviderError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+  AIConfigurationError
+} = require('./errors');
+
+const providers = {
+  openrouter: require('./providers/openrouter'),
+  openai: require('./providers/openai'),
+  mock: require('./providers/mock')
+};
+
+function resolveChain(route, capability) {
+  return config.chainFor(route).filter(({ provider }) => {
+    const implementation = providers[provider];
+    if (!implementation) {
+      log.error('Unknown AI provider in chain - skipping', { route, provider });
+      return false;
+    }
+    return typeof implementation[capability] === 'function' && implementation.isConfigured();
+  });
+}
+
+const usageListeners = [];
+
+function onUsage(listener) {
+  usageListeners.push(listener);
+}
+
+// Metering must never fail the call it measures
+function reportUsage(event) {
+  for (const listener of usageListeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      log.error('AI usage listener error', { error });
+    }
+  }
+}
+
+const chatUsage = ({ usage = {} }) => ({
+  promptTokens: usage.prompt_tokens || 0,
+  completionTokens: usage.completion_tokens || Math.max(0, (usage.total_tokens || 0) - (usage.prompt_tokens || 0))
+});
+
+// Routes served by something other than chat completions
+const CAPABILITIES = { speak: 'speech', transcribe: 'transcription', moderate: 'moderation' };
+
+function outcomeOf(error) {
+  if (error instanceof UpstreamTimeoutError) return 'timeout';
+  if (error instanceof UpstreamUnavailableError) return 'unavailable';
+  return 'error';
+}
+
+function recordTokens(labels, { promptTokens, completionTokens }) {
+  metrics.aiTokens.inc({ ...labels, type: 'prompt' }, promptTokens);
+  metrics.aiTokens.inc({ ...labels, type: 'completion' }, completionTokens);
+}
+
+function isConfigured(route) {
+  return resolveChain(route, CAPABILITIES[route] || 'chat').length > 0;
+}
+
+async function runChain(route, capability, call, measure = chatUsage) {
+  const chain = resolveChain(route, capability);
+  if (chain.length === 0) throw new AIConfigurationError(route);
+
+  let lastError;
+  for (const { provider, model } of chain) {
+    const labels = { route, provider, model };
+    const stopTimer = metrics.aiDuration.startTimer(labels);
+    try {
+      const result = await resilience.callProvider(provider, model, signal => call(providers[provider], model, signal), {
+        timeoutMs: config.timeoutFor(route)
+      });
+      stopTimer();
+      metrics.aiRequests.inc({ ...labels, outcome: 'success' });
+
+      const measured = measure(result);
+      recordTokens(labels, measured);
+      reportUsage({ ...labels, ...measured });
+      return { ...result, provider, model };
+    } catch (error) {
+      stopTimer();
+      metrics.aiRequests.inc({ ...labels, outcome: outcomeOf(error) });
+      lastError = error;
+      if (error.partial) break;
+      if (chain.length > 1) {
+        log.warn('AI call failed - trying next in chain', { ...labels, error });
+      }
+    }
+  }
+
+  // Retryable upstream failures surface as one 503 the frontends can back off on
+  if (lastError instanceof ProviderError && resilience.isRetryable(lastError)) {
+    throw new UpstreamUnavailableError(lastError.message, { retryAfterMs: lastError.retryAfterMs });
+  }
+  throw lastError;
+}
+
+/**
+ * Chat completion. `request` = { messages, temperature, maxTokens, topP, context }.
+ * `context` describes the request in structured form; the mock provider
+ * builds its canned answers from it, real providers ignore it.
+ * Resolves to { content, usage, provider, model }.
+ */
+function complete(route, request) {
+  return runChain(route, 'chat', (provider, model, signal) =>
+    provider.chat(model, { ...request, route }, { app: config.appFor(route), signal })
+  );
+}
+
+/**
+ * Streamed chat completion: like complete(), but `onToken(text)` is called
+ * with each content delta as it arrives. Providers without streaming
+ * support deliver the whole reply as a single token. Once a token has been
+ * forwarded the call is neither retried nor handed to the next provider,
+ * since the caller has already shown part of the reply.
+ */
+function stream(route, request, onToken) {
+  return runChain(route, 'chat', (provider, model, signal) => {
+    const options = { app: config.appFor(route), signal };
+    let started = false;
+    const forward = (text) => {
+      started = true;
+      onToken(text);
+    };
+
+    const call = typeof provider.chatStream === 'function'
+      ? provider.chatStream(model, { ...request, route }, options, forward)
+      : provider.chat(model, { ...request, route }, options).then((result) => {
+        forward(result.content);
+        return result;
+      });
+
+    return call.catch((error) => {
+      if (started) error.partial = true;
+      throw error;
+    });
+  });
+}
+
+/**
+ * Text-to-speech. Resolves to { audio: Buffer, contentType, provider, model }.
+ */
+function speak(request) {
+  return runChain('speak', 'speech', (provider, model, signal) => provider.speech(model, request, { signal }),
+    () => ({ ttsCharacters: request.text.length }));
+}
+
+/**
+ * Speech-to-text. `request` = { audio: Buffer, contentType, filename,
+ * language (ISO-639-1, optional), context }. Resolves to
+ * { text, language, duration, words: [{ word, start, end }], provider, model };
+ * providers without word timings return an empty `words`.
+ */
+function transcribe(request) {
+  return runChain('transcribe', 'transcription', (provider, model, signal) => provider.transcription(model, request, { signal }),
+    result => ({ audioSeconds: result.duration || 0 }));
+}
+
+/**
+ * Content classification. `request` = { input }. Resolves to
+ * { flagged, categories: [name], scores: { name: 0-1 }, provider, model },
+ * category names as the provider reports them.
+ */
+function moderate(request) {
+  return runChain('moderate', 'moderation', (provider, model, signal) => provider.moderation(model, request, { signal }),
+    () => ({}));
+}
+
+// Breaker states are read when /metrics is scraped
+metrics.onCollect(() => {
+  metrics.breakerState.reset();
+  for (const { provider, model, state } of Object.values(resilience.breakerStatus())) {
+    metrics.breakerState.set({ provider, model, state }, state === 'closed' ? 0 : 1);
+  }
+});
+
+function describe() {
+  const summary = {};
+  for (const route of Object.keys(config.routes)) {
+    summary[route] = config.chainFor(route).map(({ provider, model }) => `${provider}:${model}`);
+  }
+  return summary;
+}
+
+module.exports = {
+  complete,
+  stream,
+  speak,
+  transcribe,
+  moderate,
+  isConfigured,
+  describe,
+  onUsage,
+  breakerStatus: resilience.breakerStatus,
+  providers,
+  ProviderError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+  AIConfigurationError
+};
@@ -0,0 +1,244 @@
+/**
+ * Offline mock provider. Deterministic: the same request always produces the
+ * same response, derived from a hash of the messages. Lets every endpoint run
+ * without network access or API keys (AI_PROVIDER=mock).
+ */
+
+const crypto = require('crypto');
+
+// One silent MPEG-1 Layer III frame (128 kbps, 44.1 kHz)
+const SILENT_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]);
+
+function seedOf(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest().readUInt32BE(0);
+}
+
+function lastUserMessage(messages) {
+  const user = [...messages].reverse().find(m => m.role === 'user');
+  return user ? user.content : '';
+}
+
+function mockQuestion(seed, context = {}) {
+  const a = 2 + (seed % 17);
+  const b = 3 + (seed % 11);
+  const answer = a + b;
+  const base = {
+    question: `[mock] ${context.subject || 'Práctica'}: ¿Cuánto es ${a} + ${b}?`,
+    explanation: `Sumamos ${a} y ${b} para obtener ${answer}. Respuesta generada por el proveedor simulado.`,
+    difficulty: context.targetDifficulty || 'medio',
+    lomloeCompetency: context.lomloeCompetency || 'Competencia general',
+    topic: `Práctica ${seed % 1000}`
+  };
+
+  switch (context.questionType) {
+    case 'true_false':
+      return { ...base, question: `[mock] ${a} + ${b} = ${answer + (seed % 2)}`, correctAnswer: seed % 2 === 0 };
+    case 'multi_select':
+      return {
+        ...base,
+        question: `[mock] ¿Qué sumas dan ${answer}?`,
+        options: [`${a} + ${b}`, `${b} + ${a}`, `${a} + ${b + 1}`, `${a + 2} + ${b}`],
+        correctIndices: [0, 1]
+      };
+    case 'numeric':
+      return { ...base, correctValue: answer, tolerance: 0, unit: '' };
+    case 'fill_blank':
+      return { ...base, question: `[mock] ${a} + ${b} = ___`, acceptedAnswers: [[String(answer)]] };
+    case 'short_answer':
+      return {
+        ...base,
+        question: `[mock] Explica cómo calcular ${a} + ${b}.`,
+        rubric: ['Indica que hay que sumar los dos números', `Da el resultado ${answer}`],
+        sampleAnswer: `Se suman ${a} y ${b}, y el resultado es ${answer}.`
+      };
+    default: {
+      const correctIndex = seed % 4;
+      const options = [answer - 2, answer - 1, answer + 1, answer + 2];
+      options.splice(correctIndex, 0, answer);
+      options.pop();
+      return { ...base, options: options.map(String), correctIndex };
+    }
+  }
+}
+
+// Share of sample-answer words present in the student's answer
+function mockGrade(context = {}) {
+  const words = text => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const expected = new Set(words(context.sampleAnswer));
+  const given = new Set(words(context.answer));
+  const overlap = [...expected].filter(word => given.has(word)).length;
+  const score = expected.size ? Math.round((overlap / expected.size) * 100) / 100 : 0;
+
+  return {
+    score,
+    correct: score >= 0.5,
+    feedback: score >= 0.5 ? '[mock] Respuesta correcta según la rúbrica.' : '[mock] Revisa los criterios de la rúbrica.'
+  };
+}
+
+// A few fixed error patterns, enough to exercise corrections end to end
+const MOCK_ERRORS = [
+  { pattern: /\bi\b/, corrected: () => 'I', category: 'spelling', severity: 'minor', explanation: 'The pronoun "I" is always capitalised.' },
+  { pattern: /\ba ([aeiou]\w*)/i, corrected: m => `an ${m[1]}`, category: 'article', severity: 'minor', explanation: 'Use "an" before a vowel sound.' },
+  { pattern: /\byesterday I (go|eat|see)\b/i, corrected: m => `yesterday I ${{ go: 'went', eat: 'ate', see: 'saw' }[m[1].toLowerCase()]}`, category: 'verb_tense', severity: 'moderate', explanation: 'Finished past actions take the past simple.' },
+  { pattern: /\bla (problema|mapa|día|idioma)\b/i, corrected: m => `el ${m[1]}`, category: 'gender_agreement', severity: 'moderate', explanation: 'This noun is masculine despite ending in -a.' }
+];
+
+function mockCorrections(context = {}) {
+  const message = String(context.message || '');
+  const corrections = [];
+  for (const error of MOCK_ERRORS) {
+    const match = message.match(error.pattern);
+    if (!match) continue;
+    corrections.push({
+      original: match[0],
+      corrected: error.corrected(match),
+      category: error.category,
+      explanation: `[mock] ${error.explanation}`,
+      severity: error.severity
+    });
+  }
+  return { corrections };
+}
+
+const CEFR = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Placement: longer answers rate higher, each mock error costs a grammar level.
+// Scenario objectives: see the 'objectives' task.
+function mockAssessment(seed, context = {}) {
+  const { language = 'the target language', level = 'A2' } = context;
+
+  switch (context.task) {
+    case 'prompt':
+      return `[mock ${language}] (${level}) What did you do last weekend? (#${seed % 1000})`;
+    case 'rate': {
+      const words = (String(context.answer || '').match(/[\p{L}\p{N}]+/gu) || []).length;
+      const base = [5, 10, 20, 35, 60].filter(limit => words >= limit).length;
+      const errors = mockCorrections({ message: context.answer }).corrections.length;
+      return JSON.stringify({
+        vocabulary: CEFR[base],
+        grammar: CEFR[Math.max(0, base - errors)],
+        fluency: CEFR[base],
+        comment: `[mock] ${words} words, ${errors} errors.`
+      });
+    }
+    case 'objectives': {
+      // First pending objective per message of three words or more; target words used verbatim
+      const message = String(context.message || '').toLowerCase();
+      const pending = context.pending || [];
+      return JSON.stringify({
+        completed: message.split(/\s+/).filter(Boolean).length >= 3 && pending.length ? [pending[0].id] : [],
+        vocabularyUsed: (context.vocabulary || []).filter(word => message.includes(word.toLowerCase()))
+      });
+    }
+    case 'item':
+      return JSON.stringify({
+        question: `[mock ${language}] (${context.skill} ${level}) Choose the word for the gap: ___ #${seed % 1000}`,
+        options: ['option A', 'option B', 'option C', 'option D'],
+        correctIndex: 0,
+        explanation: '[mock] The first option is always right.'
+      });
+    default:
+      return '{}';
+  }
+}
+
+const responders = {
+  generate: (seed, request) => JSON.stringify(mockQuestion(seed, request.context)),
+
+  grade: (seed, request) => JSON.stringify(mockGrade(request.context)),
+
+  correct: (seed, request) => JSON.stringify(mockCorrections(request.context)),
+
+  conversation: (seed, request) => {
+    const { language = 'the target language', scenario = 'conversation' } = request.context || {};
+    const said = lastUserMessage(request.messages);
+    return said
+      ? `[mock ${language}] You said "${said.slice(0, 40)}". Tell me more about the ${scenario}! (#${seed % 1000})`
+      : `[mock ${language}] Hello! Welcome to the ${scenario} scenario. (#${seed % 1000})`;
+  },
+
+  summarize: (seed, request) => {
+    const { scenario = 'conversation', turns = 0 } = request.context || {};
+    return `[mock] Summary of the ${scenario} role-play so far, folding in ${turns} more messages. (#${seed % 1000})`;
+  },
+
+  assess: (seed, request) => mockAssessment(seed, request.context),
+
+  hint: (seed, request) => {
+    const { language = 'the target language' } = request.context || {};
+    return `[mock] You could continue in ${language} by asking a follow-up question. (#${seed % 1000})`;
+  }
+};
+
+function isConfigured() {
+  return true;
+}
+
+async function chat(model, request) {
+  const seed = seedOf(request.messages);
+  const respond = responders[request.route] || (() => `[mock] ${lastUserMessage(request.messages)}`);
+  const content = respond(seed, request);
+
+  const promptTokens = Math.ceil(JSON.stringify(request.messages).length / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+
+  return {
+    content,
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+}
+
+// Same content as chat(), delivered word by word on later ticks
+async function chatStream(model, request, options, onToken) {
+  const result = await chat(model, request);
+  for (const piece of result.content.match(/\S+\s*/g) || []) {
+    await new Promise(resolve => setImmediate(resolve));
+    onToken(piece);
+  }
+  return result;
+}
+
+async function speech(model, { text }) {
+  // Roughly one frame per couple of characters keeps sizes proportional to the text
+  const frames = Math.max(1, Math.ceil(text.length / 2));
+  return {
+    audio: Buffer.concat(Array(frames).fill(SILENT_FRAME)),
+    contentType: 'audio/mpeg'
+  };
+}
+
+// Uploads that are plain UTF-8 text are "heard" as that text, so the whole
+// speech pipeline can be exercised with `curl -F audio=@phrase.txt`; real
+// audio is heard as the expected phrase when there is one
+async function transcription(model, { audio, language, context = {} }) {
+  const decoded = audio.toString('utf8');
+  const isText = !decoded.includes('\uFFFD') && !/[\u0000-\u0008\u000E-\u001F]/.test(decoded);
+  const text = (isText ? decoded : context.expectedText || `[mock] ${audio.length} bytes of speech`).trim();
+
+  let clock = 0;
+  const words = (text.match(/\S+/g) || []).map((word) => {
+    const start = clock;
+    clock = Math.round((clock + 0.4) * 100) / 100;
+    return { word, start, end: clock };
+  });
+
+  return { text, language: language || null, duration: clock, words };
+}
+
+// Flags exactly the texts containing "mock-unsafe", so the classifier path
+// can be exercised without a real one
+async function moderation(model, { input }) {
+  const flagged = String(input).toLowerCase().includes('mock-unsafe');
+  return {
+    flagged,
+    categories: flagged ? ['harassment'] : [],
+    scores: { harassment: flagged ? 0.99 : 0.01 }
+  };
+}
+
+module.exports = { name: 'mock', isConfigured, chat, chatStream, speech, transcription, moderation, mockQuestion };
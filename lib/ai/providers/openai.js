@@ -0,0 +1,162 @@
+/**
+ * OpenAI chat completions, text-to-speech, speech-to-text and moderation.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { ProviderError, upstreamErrorCode } = require('../errors');
+const { parseRetryAfter } = require('../resilience');
+const { readChatStream } = require('../event-stream');
+const { log } = require('../../observability');
+
+const API_BASE = 'https://api.openai.com/v1';
+
+function apiKey() {
+  return process.env.OPENAI_API_KEY;
+}
+
+function isConfigured() {
+  return Boolean(apiKey());
+}
+
+async function failed(response, model, label) {
+  const errorText = await response.text();
+  log.error(`OpenAI ${label} failed`, { model, status: response.status, errorCode: upstreamErrorCode(errorText) });
+  return new ProviderError(`OpenAI ${label} failed: ${response.statusText}`, {
+    provider: 'openai',
+    model,
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+  });
+}
+
+function postChat(model, request, signal, extra = {}) {
+  return fetch(`${API_BASE}/chat/completions`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Authorization': `Bearer ${apiKey()}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      top_p: request.topP,
+      ...extra
+    })
+  });
+}
+
+async function chat(model, request, { signal } = {}) {
+  const response = await postChat(model, request, signal);
+  if (!response.ok) throw await failed(response, model, 'chat');
+
+  const data = await response.json();
+  return {
+    content: data.choices[0].message.content.trim(),
+    usage: data.usage || {}
+  };
+}
+
+async function chatStream(model, request, { signal } = {}, onToken) {
+  const response = await postChat(model, request, signal, { stream: true, stream_options: { include_usage: true } });
+  if (!response.ok) throw await failed(response, model, 'chat');
+  return readChatStream(response, onToken);
+}
+
+async function speech(model, { text, voice, speed }, { signal } = {}) {
+  const response = await fetch(`${API_BASE}/audio/speech`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Authorization': `Bearer ${apiKey()}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model,
+      input: text,
+      voice,  // alloy, echo, fable, onyx, nova, shimmer
+      response_format: 'mp3',
+      speed
+    })
+  });
+
+  if (!response.ok) throw await failed(response, model, 'TTS');
+
+  return {
+    audio: Buffer.from(await response.arrayBuffer()),
+    contentType: 'audio/mpeg'
+  };
+}
+
+// multipart/form-data body; `files` entries are { name, filename, contentType, data }
+function multipart(fields, files) {
+  const boundary = `----cerebro${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+
+  for (const [name, value] of fields) {
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  }
+  for (const file of files) {
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n`));
+    parts.push(file.data, Buffer.from('\r\n'));
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+async function transcription(model, { audio, contentType, filename, language }, { signal } = {}) {
+  const fields = [
+    ['model', model],
+    ['response_format', 'verbose_json'],
+    ['timestamp_granularities[]', 'word']
+  ];
+  if (language) fields.push(['language', language]);
+
+  const form = multipart(fields, [{ name: 'file', filename, contentType, data: audio }]);
+  const response = await fetch(`${API_BASE}/audio/transcriptions`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Authorization': `Bearer ${apiKey()}`,
+      'Content-Type': form.contentType
+    },
+    body: form.body
+  });
+
+  if (!response.ok) throw await failed(response, model, 'transcription');
+
+  const data = await response.json();
+  return {
+    text: (data.text || '').trim(),
+    language: data.language || language || null,
+    duration: data.duration !== undefined ? data.duration : null,
+    words: (data.words || []).map(({ word, start, end }) => ({ word, start, end }))
+  };
+}
+
+async function moderation(model, { input }, { signal } = {}) {
+  const response = await fetch(`${API_BASE}/moderations`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Authorization': `Bearer ${apiKey()}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ model, input })
+  });
+
+  if (!response.ok) throw await failed(response, model, 'moderation');
+
+  const [result = {}] = (await response.json()).results || [];
+  return {
+    flagged: Boolean(result.flagged),
+    categories: Object.keys(result.categories || {}).filter(name => result.categories[name]),
+    scores: result.category_scores || {}
+  };
+}
+
+module.exports = { name: 'openai', isConfigured, chat, chatStream, speech, transcription, moderation };
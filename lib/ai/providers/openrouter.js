@@ -0,0 +1,68 @@
+/**
+ * OpenRouter chat completions (https://openrouter.ai/docs).
+ */
+
+const fetch = require('node-fetch');
+const { ProviderError, upstreamErrorCode } = require('../errors');
+const { parseRetryAfter } = require('../resilience');
+const { readChatStream } = require('../event-stream');
+const { log } = require('../../observability');
+
+const API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+function isConfigured() {
+  return Boolean(process.env.OPENROUTER_API_KEY);
+}
+
+function post(model, request, { app = {}, signal } = {}, extra = {}) {
+  const headers = {
+    'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
+    'Content-Type': 'application/json'
+  };
+  if (app.referer) headers['HTTP-Referer'] = app.referer;
+  if (app.title) headers['X-Title'] = app.title;
+
+  return fetch(API_URL, {
+    method: 'POST',
+    signal,
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      top_p: request.topP,
+      ...extra
+    })
+  });
+}
+
+async function failed(response, model) {
+  const errorText = await response.text();
+  log.error('OpenRouter API error', { model, status: response.status, errorCode: upstreamErrorCode(errorText) });
+  return new ProviderError(`OpenRouter API failed: ${response.statusText}`, {
+    provider: 'openrouter',
+    model,
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+  });
+}
+
+async function chat(model, request, options) {
+  const response = await post(model, request, options);
+  if (!response.ok) throw await failed(response, model);
+
+  const data = await response.json();
+  return {
+    content: data.choices[0].message.content.trim(),
+    usage: data.usage || {}
+  };
+}
+
+async function chatStream(model, request, options, onToken) {
+  const response = await post(model, request, options, { stream: true, stream_options: { include_usage: true } });
+  if (!response.ok) throw await failed(response, model);
+  return readChatStream(response, onToken);
+}
+
+module.exports = { name: 'openrouter', isConfigured, chat, chatStream };
@@ -0,0 +1,206 @@
+/**
+ * 🛡️ UPSTREAM RESILIENCE
+ * Per-call timeouts, exponential-backoff retries that honour Retry-After,
+ * and a circuit breaker per provider and model so a dead upstream fails fast
+ * instead of tying up every request for the full timeout. One failing model
+ * does not stop the chain's fallbacks on the same provider.
+ */
+
+const { ProviderError, UpstreamTimeoutError, UpstreamUnavailableError } = require('./errors');
+const { log } = require('../observability');
+
+const settings = {
+  timeoutMs: parseInt(process.env.AI_TIMEOUT_MS, 10) || 30000,
+  maxRetries: parseInt(process.env.AI_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.AI_MAX_RETRIES, 10) : 2,
+  baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 500,
+  maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 10000,
+  breakerThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD, 10) || 5,
+  breakerCooldownMs: parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 30000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date. Returns milliseconds.
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Worth retrying: timeouts, network failures, 429 and 5xx.
+ * Other 4xx mean the request itself is wrong and would fail again.
+ */
+function isRetryable(error) {
+  if (error instanceof UpstreamTimeoutError) return true;
+  if (error instanceof ProviderError) return !error.status || error.status === 429 || error.status >= 500;
+  return error.type === 'system' || error.name === 'FetchError';
+}
+
+function backoffDelay(attempt, error) {
+  if (error.retryAfterMs !== undefined) return error.retryAfterMs;
+  const exponential = settings.baseDelayMs * 2 ** attempt;
+  const jitter = Math.random() * settings.baseDelayMs;
+  return Math.min(exponential + jitter, settings.maxDelayMs);
+}
+
+/**
+ * Run `call(signal)` with an abort deadline.
+ */
+async function withTimeout(call, timeoutMs, label) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await call(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const timeout = new UpstreamTimeoutError(`${label} timed out after ${timeoutMs}ms`);
+      if (error.partial) timeout.partial = true;
+      throw timeout;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function withRetry(call, { label, timeoutMs = settings.timeoutMs, maxRetries = settings.maxRetries } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(call, timeoutMs, label);
+    } catch (error) {
+      // A partially streamed reply can't be replayed without duplicating output
+      if (attempt >= maxRetries || !isRetryable(error) || error.partial) throw error;
+
+      // Retrying before the upstream's Retry-After only earns another 429:
+      // leave a longer wait to the next provider in the chain, or to the client
+      const delay = backoffDelay(attempt, error);
+      if (delay > settings.maxDelayMs) throw error;
+
+      log.warn('Upstream call failed - retrying', {
+        provider: label,
+        error,
+        attempt: attempt + 1,
+        maxRetries,
+        delayMs: Math.round(delay)
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, { threshold = settings.breakerThreshold, cooldownMs = settings.breakerCooldownMs } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go through now. After the cooldown, one trial call
+   * is let through (half-open); its outcome closes or re-opens the breaker.
+   */
+  allowRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') log.error('Circuit breaker opened', { breaker: this.name, failures: this.failures });
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+
+  status() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterSeconds: Math.ceil(this.retryAfterMs() / 1000)
+    };
+  }
+}
+
+// "provider:model" -> { provider, model, breaker }
+const breakers = new Map();
+
+function breakerFor(provider, model) {
+  const name = `${provider}:${model}`;
+  if (!breakers.has(name)) breakers.set(name, { provider, model, breaker: new CircuitBreaker(name) });
+  return breakers.get(name).breaker;
+}
+
+/**
+ * Call a provider's model through its breaker, with timeout and retries.
+ * Only upstream-health failures (timeouts, 429, 5xx, network) trip the breaker.
+ */
+async function callProvider(provider, model, call, options = {}) {
+  const breaker = breakerFor(provider, model);
+
+  if (!breaker.allowRequest()) {
+    throw new UpstreamUnavailableError(`${breaker.name} is temporarily unavailable (circuit open)`, {
+      retryAfterMs: breaker.retryAfterMs()
+    });
+  }
+
+  try {
+    const result = await withRetry(call, { label: breaker.name, ...options });
+    breaker.recordSuccess();
+    return result;
+  } catch (error) {
+    if (isRetryable(error)) breaker.recordFailure();
+    else breaker.trialInFlight = false;
+    throw error;
+  }
+}
+
+// By "provider:model"
+function breakerStatus() {
+  const status = {};
+  for (const [name, { provider, model, breaker }] of breakers) status[name] = { provider, model, ...breaker.status() };
+  return status;
+}
+
+module.exports = {
+  settings,
+  parseRetryAfter,
+  isRetryable,
+  withTimeout,
+  withRetry,
+  CircuitBreaker,
+  callProvider,
+  breakerStatus
+};
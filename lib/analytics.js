@@ -0,0 +1,150 @@
+/**
+ * 📊 PERFORMANCE ANALYTICS
+ * One student's answer history (stored or client-sent) summarised for
+ * /api/adaptive/analytics: accuracy by difficulty, topic and LOMLOE
+ * competency, the topics and competencies they do well or badly in, and
+ * the recent learning curve.
+ *
+ * History items come from clients too, so anything may be missing or
+ * unexpected: items that aren't objects are skipped, a missing difficulty
+ * counts as `medio` (as it always has) and any other unknown one is
+ * grouped under `desconocida`.
+ */
+
+const DIFFICULTY_SCORES = { fácil: 1, medio: 2, difícil: 3 };
+const UNKNOWN_DIFFICULTY = 'desconocida';
+
+// Areas need this many answers before they are called strong or weak
+const MIN_AREA_ANSWERS = 2;
+const STRENGTH_ACCURACY = 75;
+const IMPROVEMENT_ACCURACY = 50;
+
+const percent = (correct, total) => Math.round((correct / total) * 100);
+
+const isLabel = value => typeof value === 'string' && value.trim().length > 0;
+
+function difficultyOf(item) {
+  if (item.difficulty === undefined || item.difficulty === null) return 'medio';
+  return Object.prototype.hasOwnProperty.call(DIFFICULTY_SCORES, item.difficulty) ? item.difficulty : UNKNOWN_DIFFICULTY;
+}
+
+// Map-backed tallies, so no label (e.g. "__proto__") can clash with object keys
+function tally(history, keyOf, metaOf) {
+  const groups = new Map();
+  for (const item of history) {
+    const key = keyOf(item);
+    if (key === null) continue;
+    const group = groups.get(key) || { ...metaOf(item), correct: 0, total: 0 };
+    group.total += 1;
+    if (item.correct) group.correct += 1;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(group => ({ ...group, accuracy: percent(group.correct, group.total) }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total);
+}
+
+function byDifficultyOf(history) {
+  const byDifficulty = {
+    fácil: { correct: 0, total: 0 },
+    medio: { correct: 0, total: 0 },
+    difícil: { correct: 0, total: 0 }
+  };
+  for (const item of history) {
+    const difficulty = difficultyOf(item);
+    const stats = byDifficulty[difficulty] || (byDifficulty[difficulty] = { correct: 0, total: 0 });
+    stats.total++;
+    if (item.correct) stats.correct++;
+  }
+  return byDifficulty;
+}
+
+/**
+ * Strong and weak areas: topics and competencies first (what to study),
+ * then difficulty levels as before. Weak areas are weakest first.
+ */
+function areasOf({ byTopic, byCompetency, byDifficulty }) {
+  const areas = [
+    ...byTopic.map(({ topic, subject, accuracy, total }) => ({ type: 'topic', topic, subject, accuracy, total })),
+    ...byCompetency.map(({ competency, criterionId, accuracy, total }) => ({ type: 'competency', competency, criterionId, accuracy, total }))
+  ].filter(area => area.total >= MIN_AREA_ANSWERS);
+
+  const levels = Object.entries(byDifficulty)
+    .filter(([, stats]) => stats.total > 0)
+    .map(([level, stats]) => ({ type: 'difficulty', level, accuracy: percent(stats.correct, stats.total) }));
+
+  return {
+    strengthAreas: [
+      ...areas.filter(area => area.accuracy >= STRENGTH_ACCURACY).sort((a, b) => b.accuracy - a.accuracy || b.total - a.total),
+      ...levels.filter(level => level.accuracy >= STRENGTH_ACCURACY)
+    ],
+    improvementAreas: [
+      ...areas.filter(area => area.accuracy < IMPROVEMENT_ACCURACY),
+      ...levels.filter(level => level.accuracy < IMPROVEMENT_ACCURACY)
+    ]
+  };
+}
+
+function emptyAnalytics() {
+  return {
+    totalQuestions: 0,
+    accuracy: 0,
+    averageDifficulty: 0,
+    byTopic: [],
+    byCompetency: [],
+    strengthAreas: [],
+    improvementAreas: [],
+    learningCurve: []
+  };
+}
+
+function analyzeHistory(input) {
+  const history = (input || []).filter(item => item && typeof item === 'object');
+  if (history.length === 0) return emptyAnalytics();
+
+  const correct = history.filter(item => item.correct).length;
+  const averageDifficulty = history.reduce((sum, item) => sum + (DIFFICULTY_SCORES[difficultyOf(item)] || 2), 0) / history.length;
+
+  const byDifficulty = byDifficultyOf(history);
+  const byTopic = tally(
+    history,
+    item => (isLabel(item.topic) ? `${item.subject || ''}\u0000${item.topic.trim()}` : null),
+    item => ({ topic: item.topic.trim(), subject: isLabel(item.subject) ? item.subject : null })
+  );
+  // By label: client-sent history only has labels, stored answers also
+  // carry the criterion they were generated for
+  const byCompetency = tally(
+    history,
+    item => (isLabel(item.lomloeCompetency) ? item.lomloeCompetency.trim() : null),
+    item => ({ competency: item.lomloeCompetency.trim(), criterionId: isLabel(item.criterionId) ? item.criterionId : null })
+  );
+
+  // Current streak of correct answers
+  let streak = 0;
+  for (let i = history.length - 1; i >= 0 && history[i].correct; i--) streak++;
+
+  return {
+    totalQuestions: history.length,
+    accuracy: percent(correct, history.length),
+    correct,
+    incorrect: history.length - correct,
+    averageDifficulty: averageDifficulty.toFixed(1),
+    byDifficulty,
+    byTopic,
+    byCompetency,
+    ...areasOf({ byTopic, byCompetency, byDifficulty }),
+    // Last 10 questions
+    learningCurve: history.slice(-10).map((item, index) => ({
+      question: index + 1,
+      correct: item.correct ? 1 : 0,
+      difficulty: item.difficulty,
+      topic: isLabel(item.topic) ? item.topic : null
+    })),
+    currentStreak: streak
+  };
+}
+
+module.exports = {
+  UNKNOWN_DIFFICULTY,
+  analyzeHistory
+};
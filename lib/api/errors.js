@@ -0,0 +1,92 @@
+/**
+ * ❌ ERROR RESPONSES
+ * Every failed request answers with the same body:
+ *
+ *   { success: false, error, code, details?, requestId }
+ *
+ * - error: human-readable, in the learner's language
+ * - code: machine-readable and stable (VALIDATION_FAILED, QUOTA_EXCEEDED...);
+ *   routes set a specific one where clients act on it, otherwise it follows
+ *   from the HTTP status
+ * - details: anything else the route knew (validation problems, retryAfter,
+ *   quota or moderation information...)
+ * - requestId: the X-Request-Id of the request, for support and logs
+ *
+ * Routes and libraries keep writing { success: false, error, ...extra };
+ * uniformErrors reshapes the body on its way out.
+ */
+
+const STATUS_CODES = {
+  400: 'VALIDATION_FAILED',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+// Codes the routes and libraries send on top of the per-status defaults
+const CODES = [
+  ...new Set([
+    ...Object.values(STATUS_CODES),
+    'ROUTE_NOT_FOUND',
+    'INVALID_JSON',
+    'AI_NOT_CONFIGURED',
+    'UPSTREAM_UNAVAILABLE',
+    'INVALID_AI_OUTPUT',
+    'CONTENT_BLOCKED',
+    'QUOTA_EXCEEDED',
+    'NO_SPEECH'
+  ])
+].sort();
+
+function codeFor(status) {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST';
+}
+
+/**
+ * Any failure body -> the uniform one. Unknown top-level fields move into
+ * `details`; a `details` array becomes `details.errors`.
+ */
+const BASE_FIELDS = new Set(['success', 'error', 'code', 'details', 'requestId']);
+
+function errorBody(status, body, requestId) {
+  const { error, code, details } = body;
+  const extra = Object.entries(body).filter(([key, value]) => !BASE_FIELDS.has(key) && value !== undefined);
+  const merged = {
+    ...(Array.isArray(details) ? { errors: details } : details && typeof details === 'object' ? details : {}),
+    ...Object.fromEntries(extra)
+  };
+
+  return {
+    success: false,
+    error: typeof error === 'string' ? error : 'Internal server error',
+    code: code || codeFor(status),
+    ...(Object.keys(merged).length ? { details: merged } : {}),
+    requestId: requestId || body.requestId
+  };
+}
+
+/**
+ * Middleware: every `success: false` JSON body leaves in the uniform
+ * format. Register right after the request id middleware, so failures of
+ * the body parsers and the locale are covered too.
+ */
+function uniformErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.success === false) body = errorBody(res.statusCode, body, req.id);
+    return json(body);
+  };
+  next();
+}
+
+module.exports = { STATUS_CODES, CODES, codeFor, errorBody, uniformErrors };
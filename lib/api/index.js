@@ -0,0 +1,165 @@
+/**
+ * 📜 API CONTRACT
+ * One OpenAPI 3 document (openapi/) describes every route. It is served at
+ * /api/openapi.json, checks requests and responses, and generates the
+ * endpoint listings of GET /api and the 404 handler.
+ *
+ * validate() runs on each route, after authentication (so anonymous
+ * callers get a 401 rather than a list of problems) and before quotas are
+ * charged:
+ * - path and query parameters are converted to the number or boolean the
+ *   document asks for, then checked; the handler sees the converted values
+ * - the JSON (or multipart) body is checked against the request schema
+ * - problems answer 400 VALIDATION_FAILED with every one in details.errors
+ *
+ * API_RESPONSE_VALIDATION checks successful JSON responses as well: `warn`
+ * (default outside production) logs a mismatch, `strict` also replaces the
+ * response with a 500, `off` (default in production) skips it.
+ */
+
+const i18n = require('../i18n');
+const { log } = require('../observability');
+const schema = require('./schema');
+const errors = require('./errors');
+const { operations, buildDocument } = require('./openapi');
+const { version } = require('../../package.json');
+
+const RESPONSE_MODES = ['off', 'warn', 'strict'];
+const RESPONSE_VALIDATION = RESPONSE_MODES.includes(process.env.API_RESPONSE_VALIDATION)
+  ? process.env.API_RESPONSE_VALIDATION
+  : process.env.NODE_ENV === 'production' ? 'off' : 'warn';
+
+if (process.env.API_RESPONSE_VALIDATION && !RESPONSE_MODES.includes(process.env.API_RESPONSE_VALIDATION)) {
+  log.error('Unknown API_RESPONSE_VALIDATION - using the default', { requested: process.env.API_RESPONSE_VALIDATION, mode: RESPONSE_VALIDATION });
+}
+
+const document = buildDocument({ version });
+
+const routeKey = (method, path) => `${method.toUpperCase()} ${path}`;
+const byRoute = new Map(operations.map(operation => [routeKey(operation.method, operation.path), operation]));
+
+// "GET /api/adaptive/quiz/:quizId" for each operation, in document order
+const endpoints = () => operations.map(operation => routeKey(operation.method, operation.path));
+
+function operationFor(req) {
+  return req.route ? byRoute.get(routeKey(req.method, `${req.baseUrl}${req.route.path}`)) : undefined;
+}
+
+function checkParameters(operation, location, values) {
+  const problems = [];
+  for (const parameter of (operation.parameters || []).filter(p => p.in === location)) {
+    const { name } = parameter;
+    if (values[name] === undefined) {
+      if (parameter.required) problems.push({ in: location, path: name, message: `Missing required field: ${name}` });
+      continue;
+    }
+
+    const value = schema.coerce(document, parameter.schema, values[name]);
+    const found = schema.validate(document, parameter.schema, value, name);
+    if (found.length) problems.push(...found.map(problem => ({ in: location, ...problem })));
+    else values[name] = value;
+  }
+  return problems;
+}
+
+function bodySchema(operation, req) {
+  const content = operation.requestBody && operation.requestBody.content;
+  if (!content) return null;
+  const multipart = content['multipart/form-data'] && req.is('multipart/form-data');
+  return (multipart ? content['multipart/form-data'] : content['application/json']).schema;
+}
+
+function checkBody(operation, req) {
+  const bodyOf = bodySchema(operation, req);
+  if (!bodyOf) return [];
+  return schema.validate(document, bodyOf, req.body === undefined ? {} : req.body)
+    .map(problem => ({ in: 'body', ...problem }));
+}
+
+function responseSchema(operation, status) {
+  const response = operation.responses[status];
+  return response && response.content && response.content['application/json']
+    ? response.content['application/json'].schema
+    : null;
+}
+
+// Successful JSON bodies are checked on their way out
+function checkResponses(operation, res) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const expected = body && body.success !== false ? responseSchema(operation, res.statusCode) : null;
+    const problems = expected ? schema.validate(document, expected, body) : [];
+    if (problems.length === 0) return json(body);
+
+    const strict = RESPONSE_VALIDATION === 'strict';
+    log[strict ? 'error' : 'warn']('Response does not match the API document', {
+      operationId: operation.operationId,
+      status: res.statusCode,
+      problems: problems.slice(0, 10)
+    });
+    if (!strict) return json(body);
+    res.status(500);
+    return json({ success: false, error: 'Internal server error' });
+  };
+}
+
+/**
+ * Middleware: checks the request against the route's operation. Routes
+ * missing from the document pass through (checkRoutes() reports them).
+ */
+function validate(req, res, next) {
+  const operation = operationFor(req);
+  if (!operation) return next();
+
+  const problems = [
+    ...checkParameters(operation, 'path', req.params),
+    ...checkParameters(operation, 'query', req.query),
+    ...checkBody(operation, req)
+  ];
+
+  if (problems.length) {
+    return res.status(400).json({
+      success: false,
+      error: problems[0].message,
+      code: 'VALIDATION_FAILED',
+      details: { errors: problems.map(problem => ({ ...problem, message: i18n.translateError(req.locale, problem.message) })) }
+    });
+  }
+
+  if (RESPONSE_VALIDATION !== 'off') checkResponses(operation, res);
+  next();
+}
+
+/**
+ * Logs routes the app serves but the document lacks, routes the document
+ * describes but the app doesn't serve, and routes registered without
+ * validate(). Call once every route is registered.
+ */
+function checkRoutes(app) {
+  const served = new Set();
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      const key = routeKey(method, layer.route.path);
+      served.add(key);
+      if (!byRoute.has(key)) log.warn('Route missing from the API document', { route: key });
+      else if (!layer.route.stack.some(handler => handler.handle === validate)) log.warn('Route is not validated', { route: key });
+    }
+  }
+
+  for (const key of byRoute.keys()) {
+    if (!served.has(key)) log.warn('API document describes a route that is not served', { route: key });
+  }
+}
+
+module.exports = {
+  document,
+  operations,
+  endpoints,
+  validate,
+  checkRoutes,
+  uniformErrors: errors.uniformErrors,
+  errorBody: errors.errorBody,
+  ERROR_CODES: errors.CODES,
+  RESPONSE_VALIDATION
+};
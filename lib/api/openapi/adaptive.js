@@ -0,0 +1,163 @@
+/**
+ * Adaptive questions, quizzes, answers, review queue and analytics
+ */
+
+const quizzes = require('../../quizzes');
+const { DIFFICULTIES } = require('../../question-schema');
+const { ref, errors, UPSTREAM, ok, body, pathParam, query, listOf, object, string, boolean } = require('./helpers');
+
+const studentId = pathParam('studentId', ref('StudentId'));
+const tags = ['Adaptive learning'];
+
+module.exports = [
+  {
+    method: 'get',
+    path: '/api/adaptive/profile/:studentId',
+    operationId: 'getProfile',
+    summary: 'Mastery, accuracy and history summary of a student',
+    tags,
+    access: 'student',
+    parameters: [studentId],
+    responses: { 200: ok({ profile: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'get',
+    path: '/api/adaptive/review/:studentId',
+    operationId: 'getReviewQueue',
+    summary: 'Missed topics due for review (SM-2 spacing) and the ones coming up',
+    tags,
+    access: 'student',
+    parameters: [
+      studentId,
+      query('subject'),
+      query('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Default: 20')
+    ],
+    responses: { 200: ok({ studentId: string, scheduler: string, due: listOf(object), upcoming: listOf(object) }), ...errors(400, 401, 403) }
+  },
+  {
+    method: 'post',
+    path: '/api/adaptive/generate',
+    operationId: 'generateQuestion',
+    summary: 'One question at the difficulty the student should get right ~65% of the time; banked questions are served before calling the model',
+    tags,
+    access: 'student',
+    requestBody: body({
+      level: ref('Label'),
+      subject: ref('Label'),
+      questionType: ref('QuestionType'),
+      studentId: ref('StudentId'),
+      criterionId: string,
+      keyCompetency: string,
+      review: { type: 'boolean', description: 'Serve a due review topic first (default true)' },
+      bank: { type: 'boolean', description: 'false always generates a new question' },
+      performance: { type: 'object', properties: { accuracy: { type: 'number' }, streak: { type: 'integer' } } },
+      questionHistory: listOf(ref('HistoryItem')),
+      stream: boolean
+    }, ['level', 'subject']),
+    responses: {
+      200: ok({ questionId: string, question: object, metadata: object }, { stream: true }),
+      ...errors(400, 401, 403, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/adaptive/answer',
+    operationId: 'answerQuestion',
+    summary: 'Grade an answer against the stored answer key; free text is graded by a model',
+    tags,
+    access: 'student',
+    requestBody: body({
+      questionId: { type: 'string', minLength: 1 },
+      answer: { description: 'Depends on the question type: text, a number, an option index, or a list' },
+      answerIndex: { type: 'integer', minimum: 0 },
+      studentId: ref('StudentId')
+    }, ['questionId']),
+    responses: {
+      200: ok({ questionId: string, questionType: string, correct: boolean }),
+      ...errors(400, 401, 403, 404, 409, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/adaptive/questions/:questionId/flag',
+    operationId: 'flagQuestion',
+    summary: 'Report a problem with a question; enough reports take it out of the bank until a teacher reviews it',
+    tags,
+    access: 'student',
+    parameters: [pathParam('questionId')],
+    requestBody: body({ studentId: ref('StudentId'), reason: { type: 'string', maxLength: 500 } }, ['studentId']),
+    responses: {
+      201: ok({ questionId: string, status: { type: 'string', enum: ['flagged', 'reported'] } }, { description: 'Reported' }),
+      ...errors(400, 401, 403, 404, 409)
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/adaptive/quiz',
+    operationId: 'createQuiz',
+    summary: 'A whole quiz, generated in parallel; answer keys stay on the server until it is submitted',
+    tags,
+    access: 'student',
+    requestBody: body({
+      level: ref('Label'),
+      subject: ref('Label'),
+      studentId: ref('StudentId'),
+      count: { type: 'integer', minimum: 1, maximum: quizzes.MAX_QUESTIONS, description: 'Default: 10' },
+      difficultyMix: {
+        type: 'object',
+        description: `Relative weights of ${DIFFICULTIES.join(', ')}`,
+        additionalProperties: { type: 'number', minimum: 0 }
+      },
+      competencies: listOf({ type: 'string', minLength: 1 }),
+      questionTypes: listOf(ref('QuestionType'))
+    }, ['level', 'subject']),
+    responses: {
+      201: ok({ quizId: string, quiz: object, metadata: object }, { description: 'Created' }),
+      ...errors(400, 401, 403, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/adaptive/quiz/:quizId',
+    operationId: 'getQuiz',
+    summary: 'A quiz; answer keys only after submission',
+    tags,
+    access: 'student',
+    parameters: [pathParam('quizId')],
+    responses: { 200: ok({ quiz: object }), ...errors(401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/adaptive/quiz/:quizId/submit',
+    operationId: 'submitQuiz',
+    summary: 'Submit and grade a quiz',
+    tags,
+    access: 'student',
+    parameters: [pathParam('quizId')],
+    requestBody: body({
+      studentId: ref('StudentId'),
+      answers: listOf({
+        type: 'object',
+        properties: { questionId: string, answerIndex: { type: 'integer', minimum: 0 }, answer: {} }
+      })
+    }, ['answers']),
+    responses: {
+      200: ok({ quizId: string, submission: object }),
+      ...errors(400, 401, 403, 404, 409, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/adaptive/analytics',
+    operationId: 'analyzePerformance',
+    summary: "Accuracy by topic, competency and difficulty, from the student's stored answers (`history` is only used without `studentId`)",
+    tags,
+    access: 'student',
+    requestBody: body({
+      studentId: ref('StudentId'),
+      subject: string,
+      history: listOf(ref('HistoryItem'))
+    }),
+    responses: { 200: ok({ analytics: object }), ...errors(400, 401, 403) }
+  }
+];
@@ -0,0 +1,109 @@
+/**
+ * Classes, enrollment and the class dashboard
+ */
+
+const classes = require('../../classes');
+const { ref, errors, ok, body, pathParam, query, listOf, object } = require('./helpers');
+
+const classId = pathParam('classId');
+const optionalLabel = { type: 'string', minLength: 1, nullable: true };
+const studentIds = { type: 'array', items: ref('StudentId'), maxItems: classes.MAX_STUDENTS };
+const tags = ['Classes'];
+
+module.exports = [
+  {
+    method: 'post',
+    path: '/api/classes',
+    operationId: 'createClass',
+    summary: 'New class; subject and level are the defaults for its dashboard',
+    tags,
+    access: 'teacher',
+    requestBody: body({
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      subject: optionalLabel,
+      level: optionalLabel,
+      studentIds
+    }, ['name']),
+    responses: { 201: ok({ class: object }, { description: 'Created' }), ...errors(400, 401, 403) }
+  },
+  {
+    method: 'get',
+    path: '/api/classes',
+    operationId: 'listClasses',
+    summary: "Every class of the caller's school",
+    tags,
+    access: 'teacher',
+    responses: { 200: ok({ classes: listOf(object) }), ...errors(401, 403) }
+  },
+  {
+    method: 'get',
+    path: '/api/classes/:classId',
+    operationId: 'getClass',
+    summary: 'A class and its students',
+    tags,
+    access: 'teacher',
+    parameters: [classId],
+    responses: { 200: ok({ class: object }), ...errors(401, 403, 404) }
+  },
+  {
+    method: 'patch',
+    path: '/api/classes/:classId',
+    operationId: 'updateClass',
+    summary: 'Rename a class or change its subject and level; enrollment has its own routes',
+    tags,
+    access: 'teacher',
+    parameters: [classId],
+    requestBody: body({
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      subject: optionalLabel,
+      level: optionalLabel
+    }),
+    responses: { 200: ok({ class: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'delete',
+    path: '/api/classes/:classId',
+    operationId: 'deleteClass',
+    summary: "Delete a class; the students' profiles and answers are kept",
+    tags,
+    access: 'teacher',
+    parameters: [classId],
+    responses: { 200: ok(), ...errors(401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/classes/:classId/students',
+    operationId: 'enrollStudents',
+    summary: 'Add students to a class',
+    tags,
+    access: 'teacher',
+    parameters: [classId],
+    requestBody: body({ studentIds }, ['studentIds']),
+    responses: { 200: ok({ class: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'delete',
+    path: '/api/classes/:classId/students/:studentId',
+    operationId: 'unenrollStudent',
+    summary: 'Remove a student from a class',
+    tags,
+    access: 'teacher',
+    parameters: [classId, pathParam('studentId', ref('StudentId'))],
+    responses: { 200: ok({ class: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'get',
+    path: '/api/classes/:classId/dashboard',
+    operationId: 'classDashboard',
+    summary: 'Accuracy per subject, competency and topic, the trend over time and the students who need attention',
+    tags,
+    access: 'teacher',
+    parameters: [
+      classId,
+      query('subject', { type: 'string' }, 'Default: the class subject; `all` for every subject'),
+      query('window', { type: 'string' }, '`30d`-style (1-365 days, default 30d) or `all`'),
+      query('bucket', { type: 'string', enum: ['day', 'week', 'month'] })
+    ],
+    responses: { 200: ok({ dashboard: object }), ...errors(400, 401, 403, 404) }
+  }
+];
@@ -0,0 +1,88 @@
+/**
+ * Shared schemas. Values that the libraries check (id patterns, enums,
+ * limits) come from the libraries, so the document follows them.
+ */
+
+const profiles = require('../../profiles');
+const { tenants } = require('../../auth');
+const i18n = require('../../i18n');
+const questionTypes = require('../../question-types');
+const { DIFFICULTIES } = require('../../question-schema');
+const placement = require('../../language/placement');
+const errors = require('../errors');
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: "Human-readable message, in the request's locale" },
+      code: { type: 'string', description: 'Machine-readable error code', example: 'VALIDATION_FAILED', 'x-codes': errors.CODES },
+      details: {
+        type: 'object',
+        description: 'Whatever else is known: `errors` for validation failures, `retryAfter`, quota, rate limit or moderation information...',
+        properties: {
+          errors: { type: 'array', items: { $ref: '#/components/schemas/ValidationProblem' } },
+          retryAfter: { type: 'integer', description: 'Seconds to wait before retrying' }
+        }
+      },
+      requestId: { type: 'string', description: 'The X-Request-Id of the request' }
+    }
+  },
+  ValidationProblem: {
+    type: 'object',
+    required: ['in', 'path', 'message'],
+    properties: {
+      in: { type: 'string', enum: ['path', 'query', 'body'] },
+      path: { type: 'string', example: 'level' },
+      message: { type: 'string' }
+    }
+  },
+  StudentId: { type: 'string', pattern: profiles.STUDENT_ID_PATTERN.source, example: 'alumno-42' },
+  TenantId: { type: 'string', pattern: tenants.TENANT_ID_PATTERN.source, example: 'ies-cervantes' },
+  Role: { type: 'string', enum: tenants.ROLES },
+  Locale: { type: 'string', enum: i18n.CODES, description: 'Language of explanations, feedback and errors' },
+  Label: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 100,
+    description: 'Short single-line label that ends up in prompts (level, subject, language, scenario...)'
+  },
+  Difficulty: { type: 'string', enum: DIFFICULTIES },
+  QuestionType: { type: 'string', enum: Object.keys(questionTypes.types) },
+  CefrLevel: { type: 'string', enum: placement.CEFR_LEVELS },
+  HistoryItem: {
+    type: 'object',
+    description: 'A previous question and how it went',
+    properties: {
+      topic: { type: 'string', nullable: true },
+      correct: { type: 'boolean' },
+      difficulty: { type: 'string', nullable: true },
+      criterionId: { type: 'string', nullable: true },
+      lomloeCompetency: { type: 'string', nullable: true }
+    }
+  },
+  ConversationTurn: {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      role: { type: 'string', description: '`user` for the learner; anything else is the tutor' },
+      content: { type: 'string' }
+    }
+  },
+  Usage: {
+    type: 'object',
+    description: 'Usage totals and cost; the shape follows lib/usage'
+  }
+};
+
+const securitySchemes = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'A school API key (cbk_...), a token from POST /api/auth/token, or the platform key'
+  }
+};
+
+module.exports = { schemas, securitySchemes };
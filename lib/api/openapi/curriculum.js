@@ -0,0 +1,56 @@
+/**
+ * LOMLOE curriculum: stages, subjects, evaluation criteria and key competencies
+ */
+
+const curriculum = require('../../curriculum');
+const { ref, errors, ok, pathParam, query, listOf, object, string, integer } = require('./helpers');
+
+const tags = ['Curriculum'];
+
+module.exports = [
+  {
+    method: 'get',
+    path: '/api/curriculum',
+    operationId: 'getCurriculum',
+    summary: 'Stages, subjects and key competencies',
+    tags,
+    access: 'public',
+    responses: { 200: ok({ curriculum: object }) }
+  },
+  {
+    method: 'get',
+    path: '/api/curriculum/criteria',
+    operationId: 'findCriteria',
+    summary: 'Evaluation criteria matching every filter given',
+    tags,
+    access: 'public',
+    parameters: [
+      query('subject', string, 'Subject ID or name'),
+      query('level', string, 'e.g. "2º ESO"'),
+      query('stage', { type: 'string', enum: curriculum.stages.map(stage => stage.id) }),
+      query('difficulty', ref('Difficulty')),
+      query('keyCompetency', string, 'Key competency code, e.g. CCL')
+    ],
+    responses: { 200: ok({ version: string, total: integer, criteria: listOf(object) }), ...errors(400) }
+  },
+  {
+    method: 'get',
+    path: '/api/curriculum/criteria/:criterionId',
+    operationId: 'getCriterion',
+    summary: 'One evaluation criterion',
+    tags,
+    access: 'public',
+    parameters: [pathParam('criterionId')],
+    responses: { 200: ok({ version: string, criterion: object }), ...errors(404) }
+  },
+  {
+    method: 'get',
+    path: '/api/curriculum/:stage/:subject',
+    operationId: 'getSubjectCurriculum',
+    summary: 'Curriculum of a subject in a stage; the subject may be an ID or a name ("matematicas", "Biología y Geología")',
+    tags,
+    access: 'public',
+    parameters: [pathParam('stage'), pathParam('subject')],
+    responses: { 200: ok({ version: string, curriculum: object }), ...errors(404) }
+  }
+];
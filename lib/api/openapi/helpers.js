@@ -0,0 +1,98 @@
+/**
+ * Building blocks for the per-area operation lists. An operation is
+ *
+ *   { method, path (Express style, "/api/quiz/:quizId"), operationId,
+ *     summary, access, parameters, requestBody, responses }
+ *
+ * where `access` is public, student, teacher, admin or platform (the
+ * platform key, or the role given in `platformOr`).
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request (VALIDATION_FAILED, INVALID_JSON...)',
+  401: 'Missing or invalid credentials (UNAUTHENTICATED)',
+  403: 'The caller may not do this (FORBIDDEN)',
+  404: 'Not found (NOT_FOUND)',
+  409: 'Conflicts with the current state (CONFLICT)',
+  413: 'Payload too large (PAYLOAD_TOO_LARGE)',
+  422: 'Blocked by content safety checks (CONTENT_BLOCKED) or nothing to work with',
+  429: 'Rate limit or quota used up (RATE_LIMITED, QUOTA_EXCEEDED); see Retry-After',
+  500: 'Server error (INTERNAL_ERROR, AI_NOT_CONFIGURED)',
+  502: 'The AI provider failed or returned unusable output (UPSTREAM_ERROR, INVALID_AI_OUTPUT)',
+  503: 'The AI provider is unavailable (UPSTREAM_UNAVAILABLE); see Retry-After',
+  504: 'The AI provider timed out (UPSTREAM_TIMEOUT)'
+};
+
+// Failures every model-backed route can answer with
+const UPSTREAM = [429, 502, 503, 504];
+
+function errors(...statuses) {
+  return Object.fromEntries(statuses.flat().map(status => [String(status), {
+    description: ERROR_DESCRIPTIONS[status],
+    content: { 'application/json': { schema: ref('Error') } }
+  }]));
+}
+
+/**
+ * Success response: `properties` besides `success`, all required unless
+ * `optional` names them. Extra fields are allowed, so adding one to a
+ * response is not a breaking change.
+ */
+function ok(properties = {}, { optional = [], description = 'OK', stream = false } = {}) {
+  const content = {
+    'application/json': {
+      schema: {
+        type: 'object',
+        required: ['success', ...Object.keys(properties).filter(key => !optional.includes(key))],
+        properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+      }
+    }
+  };
+  if (stream) {
+    content['text/event-stream'] = {
+      schema: { type: 'string', description: 'Progress events, then one `done` (the JSON response) or `error` (an Error with `status`)' }
+    };
+  }
+  return { description, content };
+}
+
+/**
+ * JSON request body: an object with `properties`, `required` naming the
+ * mandatory ones
+ */
+function body(properties, required = [], extra = {}) {
+  const schema = { type: 'object', properties, ...extra };
+  if (required.length) schema.required = required;
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+function pathParam(name, schema = { type: 'string' }, description) {
+  return { name, in: 'path', required: true, schema, ...(description ? { description } : {}) };
+}
+
+function query(name, schema = { type: 'string' }, description) {
+  return { name, in: 'query', required: false, schema, ...(description ? { description } : {}) };
+}
+
+const listOf = schema => ({ type: 'array', items: schema });
+const object = { type: 'object' };
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+
+module.exports = {
+  ref,
+  errors,
+  UPSTREAM,
+  ok,
+  body,
+  pathParam,
+  query,
+  listOf,
+  object,
+  string,
+  integer,
+  boolean
+};
@@ -0,0 +1,79 @@
+/**
+ * The OpenAPI 3 document, assembled from the per-area operation lists.
+ * `operations` keeps them in Express form for the validator and the
+ * endpoint listings.
+ */
+
+const { schemas, securitySchemes } = require('./components');
+
+const operations = [
+  ...require('./system'),
+  ...require('./tenants'),
+  ...require('./adaptive'),
+  ...require('./classes'),
+  ...require('./review'),
+  ...require('./curriculum'),
+  ...require('./language')
+];
+
+const ROLE_DESCRIPTIONS = {
+  public: 'No credentials needed',
+  student: 'Any user of a school; students only act on their own studentId',
+  teacher: 'Teachers and admins of a school',
+  admin: 'Admins of a school',
+  platform: 'The platform key (ADMIN_API_KEY) only'
+};
+
+// "/api/quiz/:quizId" -> "/api/quiz/{quizId}"
+const openApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function describeAccess({ access, platform }) {
+  const who = ROLE_DESCRIPTIONS[access];
+  return platform ? `${who}, or the platform key` : who;
+}
+
+function toOperation(operation) {
+  const { operationId, summary, tags, access, parameters, requestBody, responses } = operation;
+  return {
+    operationId,
+    summary,
+    tags,
+    description: `Access: ${describeAccess(operation)}.`,
+    'x-access': access,
+    ...(access === 'public' ? { security: [] } : {}),
+    ...(parameters && parameters.length ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses
+  };
+}
+
+function buildDocument({ version }) {
+  const paths = {};
+  for (const operation of operations) {
+    const path = openApiPath(operation.path);
+    paths[path] = { ...paths[path], [operation.method]: toOperation(operation) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Cerebro AI Backend',
+      version,
+      description: [
+        'Adaptive learning and language tutoring for the Cerebro educational platform.',
+        '',
+        'Every failed request answers with `{ success: false, error, code, details?, requestId }`:',
+        "`error` is in the request's locale (`locale` in the body or query, then Accept-Language),",
+        '`code` is machine-readable. Request bodies, path and query parameters are validated against',
+        'this document; invalid ones get a 400 VALIDATION_FAILED with `details.errors`.'
+      ].join('\n')
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    tags: [...new Set(operations.flatMap(operation => operation.tags))].map(name => ({ name })),
+    paths,
+    components: { schemas, securitySchemes }
+  };
+}
+
+module.exports = { operations, openApiPath, buildDocument };
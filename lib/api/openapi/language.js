@@ -0,0 +1,296 @@
+/**
+ * Language tutor: conversations, sessions, placement, hints, speech
+ */
+
+const transcription = require('../../language/transcription');
+const voices = require('../../language/voices');
+const { ref, errors, UPSTREAM, ok, body, pathParam, query, listOf, object, string, integer, boolean } = require('./helpers');
+
+const tags = ['Language learning'];
+const sessionId = pathParam('sessionId');
+const placementId = pathParam('placementId');
+const studentId = pathParam('studentId', ref('StudentId'));
+
+// What one tutor turn answers with, alone or inside a session
+const turn = {
+  aiMessage: string,
+  corrections: listOf(object),
+  metadata: object
+};
+
+const sessionTurn = {
+  ...turn,
+  sessionId: string,
+  session: object
+};
+
+const expectedText = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 500,
+  description: 'What the learner was meant to say; adds pronunciation feedback'
+};
+
+module.exports = [
+  {
+    method: 'post',
+    path: '/api/language/conversation',
+    operationId: 'converse',
+    summary: 'Stateless tutor turn with corrections; the client replays the last few turns itself',
+    tags,
+    access: 'student',
+    requestBody: body({
+      language: ref('Label'),
+      scenario: { allOf: [ref('Label')], description: 'Scenario ID from the catalog, or a short description' },
+      level: { allOf: [ref('Label')], description: "Default: the student's placement result for the language" },
+      userMessage: string,
+      conversationHistory: listOf(ref('ConversationTurn')),
+      studentId: ref('StudentId'),
+      stream: boolean
+    }, ['language', 'scenario']),
+    responses: {
+      200: ok(turn, { stream: true }),
+      ...errors(400, 401, 403, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/language/scenarios',
+    operationId: 'listScenarios',
+    summary: 'Scenario catalog',
+    tags,
+    access: 'public',
+    parameters: [query('level', string, 'Each scenario as played at this CEFR level')],
+    responses: { 200: ok({ scenarios: listOf(object) }) }
+  },
+  {
+    method: 'get',
+    path: '/api/language/scenarios/:scenarioId',
+    operationId: 'getScenario',
+    summary: 'One scenario with its objectives and vocabulary',
+    tags,
+    access: 'public',
+    parameters: [pathParam('scenarioId'), query('level', string)],
+    responses: { 200: ok({ scenario: object }), ...errors(404) }
+  },
+  {
+    method: 'post',
+    path: '/api/language/sessions',
+    operationId: 'startSession',
+    summary: 'Start a role-play; the transcript stays on the server and the tutor speaks first',
+    tags,
+    access: 'student',
+    requestBody: body({
+      language: ref('Label'),
+      scenario: ref('Label'),
+      level: ref('Label'),
+      studentId: ref('StudentId'),
+      stream: boolean
+    }, ['language', 'scenario']),
+    responses: {
+      201: ok(sessionTurn, { description: 'Started', stream: true }),
+      ...errors(400, 401, 403, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/language/sessions/:sessionId',
+    operationId: 'getSession',
+    summary: 'A session with its transcript',
+    tags,
+    access: 'student',
+    parameters: [sessionId],
+    responses: { 200: ok({ session: object }), ...errors(401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/language/sessions/:sessionId/messages',
+    operationId: 'sendSessionMessage',
+    summary: "The learner's next turn; the reply says which objectives it completed",
+    tags,
+    access: 'student',
+    parameters: [sessionId],
+    requestBody: body({ userMessage: { type: 'string', minLength: 1 }, stream: boolean }, ['userMessage']),
+    responses: {
+      200: ok({ ...sessionTurn, progress: object }, { stream: true }),
+      ...errors(400, 401, 403, 404, 409, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/language/sessions/:sessionId/hint',
+    operationId: 'sessionHint',
+    summary: 'A hint for what to say next in a session',
+    tags,
+    access: 'student',
+    parameters: [sessionId],
+    responses: { 200: ok({ sessionId: string, hint: string }), ...errors(401, 403, 404, 500, UPSTREAM) }
+  },
+  {
+    method: 'post',
+    path: '/api/language/sessions/:sessionId/end',
+    operationId: 'endSession',
+    summary: 'End a session and get its report',
+    tags,
+    access: 'student',
+    parameters: [sessionId],
+    responses: { 200: ok({ report: object, session: object }), ...errors(401, 403, 404, 409) }
+  },
+  {
+    method: 'post',
+    path: '/api/language/hint',
+    operationId: 'hint',
+    summary: 'Stateless hint for what to say next; sessions use /api/language/sessions/:sessionId/hint',
+    tags,
+    access: 'student',
+    requestBody: body({
+      language: ref('Label'),
+      scenario: ref('Label'),
+      level: ref('Label'),
+      conversationHistory: listOf(ref('ConversationTurn')),
+      studentId: ref('StudentId')
+    }, ['language', 'scenario']),
+    responses: { 200: ok({ hint: string }), ...errors(400, 401, 403, 422, 500, UPSTREAM) }
+  },
+  {
+    method: 'post',
+    path: '/api/language/placement',
+    operationId: 'startPlacement',
+    summary: 'CEFR placement test: a short adaptive dialogue, then targeted items',
+    tags,
+    access: 'student',
+    requestBody: body({ language: ref('Label'), studentId: ref('StudentId') }, ['language']),
+    responses: {
+      201: ok({ placementId: string, step: object, totalSteps: integer }, { description: 'Started' }),
+      ...errors(400, 401, 403, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/language/placement/:placementId',
+    operationId: 'getPlacement',
+    summary: 'A placement test and, once completed, its result',
+    tags,
+    access: 'student',
+    parameters: [placementId],
+    responses: { 200: ok({ placement: object }), ...errors(401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/language/placement/:placementId/answer',
+    operationId: 'answerPlacement',
+    summary: 'Answer the current step; the last one returns the result',
+    tags,
+    access: 'student',
+    parameters: [placementId],
+    requestBody: body({
+      answer: { description: 'Text for dialogue steps, an option index for items' },
+      answerIndex: { type: 'integer', minimum: 0, description: 'Option index for items, as in /api/adaptive/answer; takes precedence over `answer`' },
+      stepIndex: { type: 'integer', minimum: 0, description: 'The step being answered, to catch stale clients' }
+    }),
+    responses: {
+      200: ok({ placementId: string, answered: object, next: { type: 'object', nullable: true }, result: { type: 'object', nullable: true } }, { optional: ['next', 'result'] }),
+      ...errors(400, 401, 403, 404, 409, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/language/level/:studentId',
+    operationId: 'getLanguageLevels',
+    summary: "A student's placement results per language",
+    tags,
+    access: 'student',
+    parameters: [studentId],
+    responses: { 200: ok({ studentId: string, languages: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'get',
+    path: '/api/language/errors/:studentId',
+    operationId: 'getErrorLog',
+    summary: 'Totals per error category, recurring mistakes and recent corrections',
+    tags,
+    access: 'student',
+    parameters: [studentId, query('language')],
+    responses: { 200: ok({ errors: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/language/transcribe',
+    operationId: 'transcribe',
+    summary: 'Transcript and pronunciation feedback; with a sessionId the transcript is also the next turn of that session',
+    tags,
+    access: 'student',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              audio: { type: 'string', description: 'Base64, or a base64 data: URL (required)' },
+              contentType: { type: 'string', example: 'audio/webm' },
+              language: string,
+              expectedText,
+              sessionId: string
+            }
+          }
+        },
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              audio: { type: 'string', format: 'binary', description: `At most ${transcription.MAX_AUDIO_BYTES / (1024 * 1024)} MB` },
+              language: string,
+              expectedText,
+              sessionId: string
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: ok({
+        transcript: string,
+        transcription: object,
+        ...sessionTurn
+      }, { optional: ['transcript', 'transcription', ...Object.keys(sessionTurn)], stream: true }),
+      ...errors(400, 401, 403, 404, 409, 413, 422, 500, UPSTREAM)
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/language/speak',
+    operationId: 'speak',
+    summary: 'Speech for a text, cached and served from /api/language/audio/:audioId; falls back to browser speech when no provider can do it',
+    tags,
+    access: 'student',
+    requestBody: body({
+      text: { type: 'string', minLength: 1, maxLength: voices.MAX_TEXT_LENGTH },
+      language: string,
+      voice: { type: 'string', enum: voices.VOICES },
+      speed: { type: 'number', minimum: voices.MIN_SPEED, maximum: voices.MAX_SPEED },
+      level: string,
+      studentId: ref('StudentId')
+    }, ['text']),
+    responses: {
+      200: ok({ audioUrl: { type: 'string', nullable: true }, useNativeSpeech: boolean }),
+      ...errors(400, 401, 403, 429)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/language/audio/:audioId',
+    operationId: 'getAudio',
+    summary: 'Cached speech; single byte ranges are honoured',
+    tags,
+    access: 'public',
+    parameters: [pathParam('audioId')],
+    responses: {
+      200: { description: 'Audio', content: { 'audio/mpeg': { schema: { type: 'string', format: 'binary' } } } },
+      206: { description: 'Partial audio' },
+      304: { description: 'Not modified' },
+      416: { description: 'Range not satisfiable' },
+      ...errors(404)
+    }
+  }
+];
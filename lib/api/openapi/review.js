@@ -0,0 +1,112 @@
+/**
+ * Teacher review: the question bank and the moderation log
+ */
+
+const questionBank = require('../../question-bank');
+const moderation = require('../../moderation');
+const { ref, errors, ok, body, pathParam, query, listOf, object, string, integer } = require('./helpers');
+
+const paging = [
+  query('limit', { type: 'integer', minimum: 1, maximum: 100 }),
+  query('offset', { type: 'integer', minimum: 0 })
+];
+const note = { type: 'string', maxLength: 500, nullable: true };
+const bankId = pathParam('bankId');
+
+module.exports = [
+  {
+    method: 'get',
+    path: '/api/question-bank',
+    operationId: 'listBankQuestions',
+    summary: 'Banked questions, newest first',
+    tags: ['Question bank'],
+    access: 'teacher',
+    parameters: [
+      query('status', { type: 'string', enum: questionBank.STATUSES }),
+      query('subject'),
+      query('level'),
+      query('locale', ref('Locale')),
+      query('difficulty', ref('Difficulty')),
+      query('questionType', ref('QuestionType')),
+      query('topic'),
+      ...paging
+    ],
+    responses: { 200: ok({ total: integer, questions: listOf(object) }), ...errors(400, 401, 403) }
+  },
+  {
+    method: 'get',
+    path: '/api/question-bank/:bankId',
+    operationId: 'getBankQuestion',
+    summary: 'A banked question with its answer key, reviews and flags',
+    tags: ['Question bank'],
+    access: 'teacher',
+    parameters: [bankId],
+    responses: { 200: ok({ question: object }), ...errors(401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/question-bank',
+    operationId: 'createBankQuestion',
+    summary: "A teacher's own question, in the generated format plus subject and level; filed under the request's locale",
+    tags: ['Question bank'],
+    access: 'teacher',
+    requestBody: body({
+      subject: { type: 'string', minLength: 1 },
+      level: { type: 'string', minLength: 1 },
+      questionType: ref('QuestionType'),
+      status: { type: 'string', enum: questionBank.REVIEW_STATUSES, description: 'Default: approved' },
+      criterionId: string
+    }, ['subject', 'level']),
+    responses: { 201: ok({ question: object }, { description: 'Created' }), ...errors(400, 401, 403, 409) }
+  },
+  {
+    method: 'patch',
+    path: '/api/question-bank/:bankId',
+    operationId: 'updateBankQuestion',
+    summary: 'Edit a banked question; the content is validated again',
+    tags: ['Question bank'],
+    access: 'teacher',
+    parameters: [bankId],
+    requestBody: body({}),
+    responses: { 200: ok({ question: object }), ...errors(400, 401, 403, 404, 409) }
+  },
+  {
+    method: 'post',
+    path: '/api/question-bank/:bankId/review',
+    operationId: 'reviewBankQuestion',
+    summary: 'Approve, reject or send back to draft; resolves open student flags',
+    tags: ['Question bank'],
+    access: 'teacher',
+    parameters: [bankId],
+    requestBody: body({ status: { type: 'string', enum: questionBank.REVIEW_STATUSES }, note }, ['status']),
+    responses: { 200: ok({ question: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'get',
+    path: '/api/moderation/events',
+    operationId: 'listModerationEvents',
+    summary: 'Blocked and flagged student input and model replies, newest first',
+    tags: ['Moderation'],
+    access: 'teacher',
+    parameters: [
+      query('status', { type: 'string', enum: moderation.EVENT_STATUSES }),
+      query('direction', { type: 'string', enum: ['input', 'output'] }),
+      query('category'),
+      query('route'),
+      query('studentId', ref('StudentId')),
+      ...paging
+    ],
+    responses: { 200: ok({ total: integer, open: integer, events: listOf(object) }), ...errors(400, 401, 403) }
+  },
+  {
+    method: 'post',
+    path: '/api/moderation/events/:eventId/review',
+    operationId: 'reviewModerationEvent',
+    summary: 'Mark a moderation event reviewed, dismissed or open again',
+    tags: ['Moderation'],
+    access: 'teacher',
+    parameters: [pathParam('eventId')],
+    requestBody: body({ status: { type: 'string', enum: moderation.EVENT_STATUSES }, note }, ['status']),
+    responses: { 200: ok({ event: object }), ...errors(400, 401, 403, 404) }
+  }
+];
@@ -0,0 +1,103 @@
+/**
+ * Health checks, metrics and the API index
+ */
+
+const { errors, object, string } = require('./helpers');
+
+const healthChecks = {
+  type: 'object',
+  properties: {
+    storage: object,
+    ai: object
+  }
+};
+
+module.exports = [
+  {
+    method: 'get',
+    path: '/health/live',
+    operationId: 'liveness',
+    summary: 'The process is up (restart the instance only when this fails)',
+    tags: ['System'],
+    access: 'public',
+    responses: {
+      200: {
+        description: 'Alive',
+        content: { 'application/json': { schema: { type: 'object', required: ['status'], properties: { status: { type: 'string', enum: ['alive'] }, uptime: { type: 'number' } } } } }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/health/ready',
+    operationId: 'readiness',
+    summary: 'Storage answers and the required AI routes have a provider',
+    tags: ['System'],
+    access: 'public',
+    responses: {
+      200: {
+        description: 'Ready',
+        content: { 'application/json': { schema: { type: 'object', required: ['status', 'checks'], properties: { status: { type: 'string', enum: ['ready'] }, checks: healthChecks } } } }
+      },
+      503: {
+        description: 'Not ready; take the instance out of rotation',
+        content: { 'application/json': { schema: { type: 'object', required: ['status', 'checks'], properties: { status: { type: 'string', enum: ['not_ready'] }, checks: healthChecks } } } }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/health',
+    operationId: 'health',
+    summary: 'Status (healthy, degraded, unhealthy) with every check',
+    tags: ['System'],
+    access: 'public',
+    responses: {
+      200: {
+        description: 'Healthy or degraded',
+        content: { 'application/json': { schema: { type: 'object', required: ['status', 'checks'], properties: { status: { type: 'string', enum: ['healthy', 'degraded'] }, checks: healthChecks } } } }
+      },
+      503: {
+        description: 'Unhealthy',
+        content: { 'application/json': { schema: { type: 'object', required: ['status', 'checks'], properties: { status: { type: 'string', enum: ['unhealthy'] }, checks: healthChecks } } } }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/metrics',
+    operationId: 'metrics',
+    summary: 'Prometheus metrics; bearer METRICS_TOKEN when it is set',
+    tags: ['System'],
+    access: 'public',
+    responses: {
+      200: { description: 'Prometheus text format', content: { 'text/plain': { schema: string } } },
+      ...errors(401)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api',
+    operationId: 'apiIndex',
+    summary: 'Name, version, endpoints, models and locales',
+    tags: ['System'],
+    access: 'public',
+    responses: {
+      200: {
+        description: 'OK',
+        content: { 'application/json': { schema: { type: 'object', required: ['name', 'version', 'endpoints'], properties: { name: string, version: string, openapi: string, endpoints: object } } } }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/openapi.json',
+    operationId: 'openapi',
+    summary: 'This document',
+    tags: ['System'],
+    access: 'public',
+    responses: {
+      200: { description: 'OpenAPI 3 document', content: { 'application/json': { schema: object } } }
+    }
+  }
+];
@@ -0,0 +1,125 @@
+/**
+ * Schools (tenants), their API keys, quotas, usage reports and tokens
+ */
+
+const usage = require('../../usage');
+const { ref, errors, ok, body, pathParam, query, listOf, object, string } = require('./helpers');
+
+const tenantId = pathParam('tenantId', ref('TenantId'));
+const tags = ['Tenants'];
+
+module.exports = [
+  {
+    method: 'post',
+    path: '/api/tenants',
+    operationId: 'createTenant',
+    summary: 'Create a school; the response holds its first admin key and token secret, which are never shown again',
+    tags,
+    access: 'platform',
+    requestBody: body({ tenantId: ref('TenantId'), name: { type: 'string', minLength: 1 } }, ['tenantId', 'name']),
+    responses: { 201: ok({ tenant: object, apiKey: string, tokenSecret: string }, { description: 'Created' }), ...errors(400, 401, 403, 409) }
+  },
+  {
+    method: 'get',
+    path: '/api/tenants',
+    operationId: 'listTenants',
+    summary: 'Every school',
+    tags,
+    access: 'platform',
+    responses: { 200: ok({ tenants: listOf(object) }), ...errors(401, 403) }
+  },
+  {
+    method: 'get',
+    path: '/api/tenants/:tenantId/keys',
+    operationId: 'listApiKeys',
+    summary: "A school's API keys (never the secrets)",
+    tags,
+    access: 'admin',
+    platform: true,
+    parameters: [tenantId],
+    responses: { 200: ok({ keys: listOf(object) }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/tenants/:tenantId/keys',
+    operationId: 'createApiKey',
+    summary: 'New API key; the key itself is only in this response',
+    tags,
+    access: 'admin',
+    platform: true,
+    parameters: [tenantId],
+    requestBody: body({
+      role: ref('Role'),
+      name: string,
+      studentId: ref('StudentId')
+    }, ['role']),
+    responses: { 201: ok({ apiKey: string, key: object }, { description: 'Created' }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'delete',
+    path: '/api/tenants/:tenantId/keys/:keyId',
+    operationId: 'revokeApiKey',
+    summary: 'Revoke an API key',
+    tags,
+    access: 'admin',
+    platform: true,
+    parameters: [tenantId, pathParam('keyId')],
+    responses: { 200: ok({ key: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'put',
+    path: '/api/tenants/:tenantId/quotas',
+    operationId: 'setQuotas',
+    summary: 'Quota overrides for a school, per scope (tenant, student), period and metric; null falls back to the server default',
+    tags,
+    access: 'platform',
+    parameters: [tenantId],
+    requestBody: body({
+      quotas: {
+        type: 'object',
+        example: { tenant: { month: { tokens: 5000000 } }, student: { day: { ttsCharacters: null } } }
+      }
+    }, ['quotas']),
+    responses: { 200: ok({ tenant: object, quotas: object }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'get',
+    path: '/api/admin/usage',
+    operationId: 'usageReport',
+    summary: 'AI usage and spend; school admins see their school, the platform key one school (tenantId) or all of them',
+    tags,
+    access: 'admin',
+    platform: true,
+    parameters: [
+      query('period', { type: 'string', enum: usage.PERIODS }, 'Default: month'),
+      query('date', { type: 'string', pattern: '^\\d{4}-\\d{2}(-\\d{2})?$' }, 'YYYY-MM-DD for a day, YYYY-MM for a month; default: now'),
+      query('tenantId', ref('TenantId'))
+    ],
+    responses: { 200: ok({ tenantId: string, usage: ref('Usage'), tenants: listOf(object) }, { optional: ['tenantId', 'usage', 'tenants'] }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'post',
+    path: '/api/auth/token',
+    operationId: 'issueToken',
+    summary: "Short-lived token for a user of the caller's school, at most the caller's role",
+    tags: ['Auth'],
+    access: 'teacher',
+    requestBody: body({
+      role: ref('Role'),
+      studentId: ref('StudentId'),
+      userId: ref('StudentId'),
+      expiresIn: { type: 'integer', minimum: 60, maximum: 86400, description: 'Seconds; default AUTH_TOKEN_TTL' }
+    }),
+    responses: { 201: ok({ token: string, tokenType: string, expiresAt: string, role: ref('Role') }, { description: 'Issued' }), ...errors(400, 401, 403, 404) }
+  },
+  {
+    method: 'get',
+    path: '/api/auth/me',
+    operationId: 'whoAmI',
+    summary: 'The caller: school, role and student',
+    tags: ['Auth'],
+    access: 'student',
+    platform: true,
+    responses: { 200: ok({ principal: object }), ...errors(401) }
+  }
+];
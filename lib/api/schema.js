@@ -0,0 +1,148 @@
+/**
+ * 🧾 SCHEMA VALIDATION
+ * The subset of JSON Schema that the OpenAPI document uses: type (with
+ * OpenAPI's `nullable`), enum, string length and pattern, numeric range,
+ * items and their count, properties, required, additionalProperties,
+ * oneOf / anyOf / allOf and local `$ref`s ("#/components/schemas/Name").
+ *
+ * validate() returns every problem as { path, message }; messages are the
+ * API's usual English error texts, so the locales can translate them.
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array'
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(document, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), document);
+  if (!target) throw new Error(`Unresolved $ref: ${ref}`);
+  return target;
+}
+
+const describePath = path => path || 'body';
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+function rangeMessage(path, { minimum, maximum }) {
+  if (minimum !== undefined && maximum !== undefined) return `${path} must be between ${minimum} and ${maximum}`;
+  if (minimum !== undefined) return `${path} must be at least ${minimum}`;
+  return `${path} must be at most ${maximum}`;
+}
+
+function check(document, schema, value, path, errors) {
+  if (schema.$ref) return check(document, resolveRef(document, schema.$ref), value, path, errors);
+
+  const name = describePath(path);
+
+  if (value === null) {
+    if (!schema.nullable && schema.type) errors.push({ path: name, message: `${name} must be ${TYPE_NAMES[schema.type] || schema.type}` });
+    return;
+  }
+
+  if (schema.allOf) schema.allOf.forEach(part => check(document, part, value, path, errors));
+
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (!schema[keyword]) continue;
+    const matching = schema[keyword].filter(option => validate(document, option, value, path).length === 0).length;
+    if (keyword === 'oneOf' ? matching !== 1 : matching === 0) {
+      errors.push({ path: name, message: `Invalid ${name}` });
+      return;
+    }
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    errors.push({ path: name, message: `${name} must be ${TYPE_NAMES[schema.type] || schema.type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: name, message: `${name} must be one of: ${schema.enum.join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength === 1 && !value.trim()) {
+      errors.push({ path: name, message: `${name} must be a non-empty string` });
+    } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: name, message: `${name} must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: name, message: `${name} must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: name, message: `Invalid ${name}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push({ path: name, message: rangeMessage(name, schema) });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: name, message: `${name} must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: name, message: `${name} must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => check(document, schema.items, item, `${name}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: join(path, key), message: `Missing required field: ${join(path, key)}` });
+    }
+    for (const [key, field] of Object.entries(value)) {
+      if (field === undefined) continue;
+      const property = schema.properties && schema.properties[key];
+      if (property) check(document, property, field, join(path, key), errors);
+      else if (schema.additionalProperties === false) errors.push({ path: join(path, key), message: `Unknown field: ${join(path, key)}` });
+      else if (typeof schema.additionalProperties === 'object') check(document, schema.additionalProperties, field, join(path, key), errors);
+    }
+  }
+}
+
+/**
+ * Problems with `value` against `schema`, [] when it is valid. `document`
+ * resolves $refs; `path` names the value in messages ("body", "limit").
+ */
+function validate(document, schema, value, path = '') {
+  const errors = [];
+  check(document, schema, value, path, errors);
+  return errors;
+}
+
+/**
+ * Query and path parameters arrive as strings; numbers and booleans the
+ * schema asks for are converted first. Anything else is left for
+ * validate() to reject.
+ */
+function coerce(document, schema, value) {
+  if (typeof value !== 'string') return value;
+  const type = (schema.$ref ? resolveRef(document, schema.$ref) : schema).type;
+
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+module.exports = { validate, coerce, resolveRef };
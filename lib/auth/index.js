@@ -0,0 +1,244 @@
+/**
+ * 🔐 AUTHENTICATION AND ACCESS CONTROL
+ * Requests under /api identify themselves with `Authorization: Bearer
+ * <credential>` (or `X-API-Key: <credential>`). The credential is one of:
+ *
+ *   - a tenant API key (cbk_...), with the role and studentId it was issued for
+ *   - a JWT signed with the tenant's token secret ({ tid, role, sub, exp })
+ *   - the platform key (ADMIN_API_KEY), which only manages tenants
+ *
+ * authenticate() sets req.auth and, for tenant callers, req.store: the
+ * tenant's own view of the store, which is the only store routes touch.
+ * authorize(role) guards a route; students additionally only ever act as
+ * their own studentId (asSelf, canAccess).
+ *
+ * With AUTH_DISABLED=true, requests without credentials act as an admin of
+ * the `default` tenant (local development only).
+ */
+
+const crypto = require('crypto');
+const { scopeStore } = require('../store');
+const profiles = require('../profiles');
+const tenants = require('./tenants');
+const tokens = require('./tokens');
+
+const DISABLED = process.env.AUTH_DISABLED === 'true';
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL, 10) || 3600;
+const MAX_TOKEN_TTL_SECONDS = 24 * 3600;
+
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function reject(res, error) {
+  if (error.status === 401) res.set('WWW-Authenticate', 'Bearer');
+  res.status(error.status).json({ success: false, error: error.message });
+}
+
+function credentialFrom(req) {
+  const header = req.get('authorization');
+  if (header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+    if (!match) throw new AuthError('Authorization header must be "Bearer <credential>"', 401);
+    return match[1];
+  }
+  return req.get('x-api-key') || null;
+}
+
+function isPlatformKey(credential) {
+  if (!process.env.ADMIN_API_KEY) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(credential), digest(process.env.ADMIN_API_KEY));
+}
+
+async function verifyToken(store, credential) {
+  let claims;
+  try {
+    const tenant = await tenants.getTenant(store, tokens.decode(credential).claims.tid);
+    if (!tenant) throw new AuthError('Token is not from a known tenant', 401);
+    claims = tokens.verify(credential, tenant.tokenSecret);
+  } catch (error) {
+    if (error instanceof tokens.TokenError) throw new AuthError(error.message, 401);
+    throw error;
+  }
+
+  if (!tenants.isValidRole(claims.role)) throw new AuthError('Token has no valid role', 401);
+  if (claims.role === 'student' && !profiles.isValidStudentId(claims.sub)) {
+    throw new AuthError('Student tokens need the studentId as sub', 401);
+  }
+
+  return {
+    tenantId: claims.tid,
+    role: claims.role,
+    studentId: claims.role === 'student' ? claims.sub : null,
+    userId: typeof claims.sub === 'string' ? claims.sub : null,
+    keyId: null,
+    via: 'token'
+  };
+}
+
+async function principalFor(store, credential) {
+  if (isPlatformKey(credential)) {
+    return { tenantId: null, role: 'admin', studentId: null, userId: null, keyId: null, via: 'platform' };
+  }
+
+  if (tenants.isApiKey(credential)) {
+    const record = await tenants.findApiKey(store, credential);
+    if (!record) throw new AuthError('Invalid or revoked API key', 401);
+    return { tenantId: record.tenantId, role: record.role, studentId: record.studentId, userId: null, keyId: record.id, via: 'api-key' };
+  }
+
+  if (tokens.looksLikeToken(credential)) return verifyToken(store, credential);
+
+  throw new AuthError('Unrecognised credential', 401);
+}
+
+// The legacy tenant keeps the unprefixed collections written before tenants existed
+function tenantStore(store, tenantId) {
+  return scopeStore(store, tenantId === tenants.DEFAULT_TENANT ? null : tenantId);
+}
+
+/**
+ * Identify the caller. Requests without credentials continue with
+ * req.auth = null (public routes still work); bad credentials are a 401.
+ */
+function authenticate(store) {
+  return async (req, res, next) => {
+    req.auth = null;
+    try {
+      const credential = credentialFrom(req);
+      if (credential) {
+        req.auth = await principalFor(store, credential);
+      } else if (DISABLED) {
+        req.auth = { tenantId: tenants.DEFAULT_TENANT, role: 'admin', studentId: null, userId: null, keyId: null, via: 'anonymous' };
+      }
+    } catch (error) {
+      if (error instanceof AuthError) return reject(res, error);
+      return next(error);
+    }
+
+    if (req.auth && req.auth.tenantId) req.store = tenantStore(store, req.auth.tenantId);
+    next();
+  };
+}
+
+/**
+ * Route guard: an authenticated caller with at least `role` in some
+ * tenant. The platform key passes only where `platform` is set.
+ */
+function authorize(role, { platform = false } = {}) {
+  return (req, res, next) => {
+    if (!req.auth) return reject(res, new AuthError('Authentication required', 401));
+
+    if (req.auth.via === 'platform') {
+      if (platform) return next();
+      return reject(res, new AuthError('The platform key only manages tenants; use a key of the school', 403));
+    }
+
+    if (!tenants.hasRole(req.auth.role, role)) {
+      return reject(res, new AuthError(`This endpoint requires the ${role} role`, 403));
+    }
+    next();
+  };
+}
+
+/**
+ * Students act only as themselves: any other studentId in the path, query
+ * or body is refused, and the body's studentId is set to their own.
+ */
+function asSelf(req, res, next) {
+  if (!req.auth || req.auth.role !== 'student') return next();
+
+  const requested = [req.params.studentId, req.query.studentId, req.body && req.body.studentId];
+  if (requested.some(studentId => studentId !== undefined && studentId !== req.auth.studentId)) {
+    return reject(res, new AuthError('Students can only access their own data', 403));
+  }
+
+  if (req.body && typeof req.body === 'object') req.body.studentId = req.auth.studentId;
+  next();
+}
+
+// Whether the caller may see a record belonging to `studentId` (null: no student)
+function canAccess(req, studentId) {
+  return req.auth.role !== 'student' || (Boolean(studentId) && studentId === req.auth.studentId);
+}
+
+// Platform callers manage every tenant, tenant admins only their own
+function canManageTenant(req, tenantId) {
+  return req.auth.via === 'platform' || (req.auth.role === 'admin' && req.auth.tenantId === tenantId);
+}
+
+/**
+ * A short-lived token for a user of the caller's tenant, e.g. minted by a
+ * school's backend (teacher or admin key) for a student's browser. Nobody
+ * can issue a role above their own.
+ */
+async function issueToken(store, principal, { role = 'student', studentId, userId, expiresIn } = {}) {
+  if (!tenants.isValidRole(role)) {
+    throw new AuthError(`role must be one of: ${tenants.ROLES.join(', ')}`, 400);
+  }
+  if (!tenants.hasRole(principal.role, role)) {
+    throw new AuthError('Cannot issue a token with a higher role than your own', 403);
+  }
+  if (role === 'student' && !profiles.isValidStudentId(studentId)) {
+    throw new AuthError('Student tokens need a valid studentId', 400);
+  }
+  if (userId !== undefined && !profiles.isValidStudentId(userId)) {
+    throw new AuthError('Invalid userId', 400);
+  }
+
+  const ttl = expiresIn === undefined ? TOKEN_TTL_SECONDS : expiresIn;
+  if (!Number.isInteger(ttl) || ttl < 60 || ttl > MAX_TOKEN_TTL_SECONDS) {
+    throw new AuthError(`expiresIn must be between 60 and ${MAX_TOKEN_TTL_SECONDS} seconds`, 400);
+  }
+
+  const tenant = await tenants.getTenant(store, principal.tenantId);
+  if (!tenant) throw new AuthError('Tenant not found', 404);
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    tid: tenant.id,
+    role,
+    sub: role === 'student' ? studentId : userId,
+    iat: issuedAt,
+    exp: issuedAt + ttl
+  };
+
+  return {
+    token: tokens.sign(claims, tenant.tokenSecret),
+    tokenType: 'Bearer',
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+    role,
+    studentId: role === 'student' ? studentId : null
+  };
+}
+
+function toClientPrincipal(auth) {
+  return {
+    tenantId: auth.tenantId,
+    role: auth.via === 'platform' ? 'platform' : auth.role,
+    studentId: auth.studentId,
+    userId: auth.userId,
+    keyId: auth.keyId,
+    via: auth.via
+  };
+}
+
+module.exports = {
+  DISABLED,
+  AuthError,
+  authenticate,
+  authorize,
+  asSelf,
+  canAccess,
+  canManageTenant,
+  tenantStore,
+  issueToken,
+  toClientPrincipal,
+  tenants,
+  tokens
+};
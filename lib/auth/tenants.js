@@ -0,0 +1,192 @@
+/**
+ * 🏫 TENANTS AND API KEYS
+ * Each school is a tenant with its own data, its own token-signing secret
+ * and its own API keys. Keys carry a role (student, teacher, admin) and,
+ * for students, the studentId they act as. Only a hash of each key is
+ * stored; the key itself is shown once, when it is created.
+ *
+ * Tenants and keys live in the unscoped store; everything else a tenant
+ * owns goes through scopeStore(store, tenantId).
+ *
+ * Key format: cbk_<keyId>_<secret>
+ */
+
+const crypto = require('crypto');
+const { updateRecord } = require('../store');
+const profiles = require('../profiles');
+
+const TENANTS = 'tenants';
+const KEYS = 'api-keys';
+
+const ROLES = ['student', 'teacher', 'admin'];
+
+// Used when authentication is disabled; its data is the unprefixed collections
+const DEFAULT_TENANT = 'default';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const KEY_PATTERN = /^cbk_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+class TenantError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TenantError';
+    this.status = status;
+  }
+}
+
+function isValidTenantId(tenantId) {
+  return typeof tenantId === 'string' && TENANT_ID_PATTERN.test(tenantId);
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+// True if `role` may do whatever `required` may
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+const hash = secret => crypto.createHash('sha256').update(secret).digest();
+
+// ---- Tenants ----
+
+/**
+ * Create a tenant and its first admin key. Returns the tenant, the key
+ * and the token secret; neither secret can be retrieved again.
+ */
+async function createTenant(store, { tenantId, name }) {
+  if (!isValidTenantId(tenantId)) {
+    throw new TenantError('tenantId must be 2-40 lowercase letters, digits or dashes', 400);
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new TenantError('Missing required field: name', 400);
+  }
+
+  const now = new Date().toISOString();
+  const tokenSecret = crypto.randomBytes(32).toString('base64url');
+
+  const tenant = await updateRecord(store, TENANTS, tenantId, (existing) => {
+    if (existing) throw new TenantError('Tenant already exists', 409);
+    return { id: tenantId, name: name.trim(), tokenSecret, createdAt: now, updatedAt: now };
+  });
+
+  const { key } = await createApiKey(store, tenantId, { role: 'admin', name: 'Initial admin key' });
+  return { tenant, key, tokenSecret };
+}
+
+async function getTenant(store, tenantId) {
+  return isValidTenantId(tenantId) ? store.get(TENANTS, tenantId) : null;
+}
+
+async function listTenants(store) {
+  return (await store.list(TENANTS)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// `quotas` replaces the tenant's quota overrides (validated by the caller)
+async function setQuotas(store, tenantId, quotas) {
+  return updateRecord(store, TENANTS, tenantId, (tenant) => {
+    if (!tenant) throw new TenantError('Tenant not found', 404);
+    tenant.quotas = quotas;
+    tenant.updatedAt = new Date().toISOString();
+    return tenant;
+  });
+}
+
+function toClientTenant(tenant) {
+  return { id: tenant.id, name: tenant.name, createdAt: tenant.createdAt, quotas: tenant.quotas || {} };
+}
+
+// ---- API keys ----
+
+async function createApiKey(store, tenantId, { role, name, studentId }) {
+  if (!isValidRole(role)) {
+    throw new TenantError(`role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+  if (role === 'student' && !profiles.isValidStudentId(studentId)) {
+    throw new TenantError('Student keys need a valid studentId', 400);
+  }
+  if (!(await getTenant(store, tenantId))) throw new TenantError('Tenant not found', 404);
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    tenantId,
+    role,
+    studentId: role === 'student' ? studentId : null,
+    name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : null,
+    hash: hash(secret).toString('hex'),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  await store.set(KEYS, id, record);
+  return { key: `cbk_${id}_${secret}`, record };
+}
+
+async function listApiKeys(store, tenantId) {
+  if (!(await getTenant(store, tenantId))) throw new TenantError('Tenant not found', 404);
+  return (await store.list(KEYS))
+    .filter(record => record.tenantId === tenantId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function revokeApiKey(store, tenantId, keyId) {
+  return updateRecord(store, KEYS, keyId, (record) => {
+    if (!record || record.tenantId !== tenantId) throw new TenantError('API key not found', 404);
+    if (!record.revokedAt) record.revokedAt = new Date().toISOString();
+    return record;
+  });
+}
+
+/**
+ * The active key record for a presented key, or null.
+ */
+async function findApiKey(store, key) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) return null;
+
+  const record = await store.get(KEYS, match[1]);
+  if (!record || record.revokedAt) return null;
+
+  const presented = hash(match[2]);
+  const stored = Buffer.from(record.hash, 'hex');
+  return stored.length === presented.length && crypto.timingSafeEqual(stored, presented) ? record : null;
+}
+
+function isApiKey(credential) {
+  return KEY_PATTERN.test(credential);
+}
+
+function toClientKey(record) {
+  return {
+    id: record.id,
+    role: record.role,
+    studentId: record.studentId,
+    name: record.name,
+    createdAt: record.createdAt,
+    revokedAt: record.revokedAt
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_TENANT,
+  TENANT_ID_PATTERN,
+  TenantError,
+  isValidTenantId,
+  isValidRole,
+  hasRole,
+  createTenant,
+  getTenant,
+  listTenants,
+  setQuotas,
+  toClientTenant,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  isApiKey,
+  toClientKey
+};
@@ -0,0 +1,78 @@
+/**
+ * Signed bearer tokens (JWT, HS256 only). Each tenant has its own secret,
+ * so a school can mint tokens for its users from its own backend, and a
+ * token signed for one school never verifies for another.
+ *
+ * Claims: `tid` tenant, `role`, `sub` (the studentId for students), `iat`,
+ * `exp` (required).
+ */
+
+const crypto = require('crypto');
+
+// Tolerated clock difference between the signer and this server
+const CLOCK_SKEW_SECONDS = 60;
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signature(input, secret) {
+  return crypto.createHmac('sha256', secret).update(input).digest();
+}
+
+function looksLikeToken(credential) {
+  return /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(credential);
+}
+
+function sign(claims, secret) {
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${input}.${signature(input, secret).toString('base64url')}`;
+}
+
+/**
+ * Claims of a token without checking it, to find the tenant whose secret
+ * verifies it. Throws TokenError if it is not a JWT at all.
+ */
+function decode(token) {
+  const [header, payload] = String(token).split('.');
+  let decoded;
+  try {
+    decoded = { header: JSON.parse(Buffer.from(header, 'base64url')), claims: JSON.parse(Buffer.from(payload, 'base64url')) };
+  } catch (error) {
+    throw new TokenError('Malformed token');
+  }
+  if (!isObject(decoded.header) || !isObject(decoded.claims)) throw new TokenError('Malformed token');
+  return decoded;
+}
+
+/**
+ * The claims of a token signed with `secret` that is currently valid.
+ * Throws TokenError otherwise.
+ */
+function verify(token, secret, now = Date.now()) {
+  const { header, claims } = decode(token);
+  if (header.alg !== 'HS256') throw new TokenError('Unsupported token algorithm');
+
+  const [head, body, sig] = token.split('.');
+  const expected = signature(`${head}.${body}`, secret);
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new TokenError('Invalid token signature');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (!Number.isFinite(claims.exp)) throw new TokenError('Token has no expiry');
+  if (claims.exp + CLOCK_SKEW_SECONDS <= seconds) throw new TokenError('Token expired');
+  if (Number.isFinite(claims.nbf) && claims.nbf - CLOCK_SKEW_SECONDS > seconds) {
+    throw new TokenError('Token not yet valid');
+  }
+  return claims;
+}
+
+module.exports = { TokenError, looksLikeToken, sign, decode, verify };
@@ -0,0 +1,256 @@
+/**
+ * 📊 CLASS DASHBOARD
+ * Class-level views over the server-graded answers kept in each student's
+ * profile: accuracy per subject, LOMLOE competency (specific and key) and
+ * topic, accuracy over time, and the students who need attention. Pure
+ * aggregation over stored attempts; no model calls.
+ *
+ * Profiles keep the last PROFILE_HISTORY_LIMIT answers per student, so
+ * long windows only see that much of a very active student's history.
+ */
+
+const profiles = require('./profiles');
+const learnerModel = require('./learner-model');
+const curriculum = require('./curriculum');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WINDOW_DAYS = 365;
+const BUCKETS = ['day', 'week', 'month'];
+
+// A student is struggling with at least MIN_ANSWERS in the window and
+// either accuracy below STRUGGLING_ACCURACY, or a drop of at least DECLINE
+// from the older to the newer half of their answers
+const MIN_ANSWERS = 5;
+const STRUGGLING_ACCURACY = 0.5;
+const DECLINE = 0.2;
+const RECENT_ANSWERS = 10;
+
+class DashboardError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'DashboardError';
+    this.status = status;
+  }
+}
+
+/**
+ * `30d`-style windows (1-365 days, default 30) or `all`; the bucket
+ * defaults to days up to a month, weeks beyond.
+ */
+function parseOptions({ window = '30d', bucket } = {}) {
+  let days = null;
+  if (window !== 'all') {
+    const match = /^(\d{1,3})d$/.exec(window);
+    days = match ? parseInt(match[1], 10) : 0;
+    if (days < 1 || days > MAX_WINDOW_DAYS) {
+      throw new DashboardError(`window must be between 1d and ${MAX_WINDOW_DAYS}d, or all`, 400);
+    }
+  }
+
+  if (bucket !== undefined && !BUCKETS.includes(bucket)) {
+    throw new DashboardError(`bucket must be one of: ${BUCKETS.join(', ')}`, 400);
+  }
+  return { window, days, bucket: bucket || (days && days <= 31 ? 'day' : 'week') };
+}
+
+const subjectKey = subject => curriculum.resolveSubject(subject) || String(subject || '_general');
+
+const percent = (correct, answered) => (answered ? Math.round((correct / answered) * 100) : null);
+
+function bucketStart(date, bucket) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7)); // Monday
+  if (bucket === 'month') day.setUTCDate(1);
+  return day;
+}
+
+function nextBucket(date, bucket) {
+  const next = new Date(date);
+  if (bucket === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (bucket === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (bucket === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+// Running tallies keyed by group, each remembering which students contributed
+function createGroups() {
+  const groups = new Map();
+  return {
+    add(key, meta, studentId, correct) {
+      const group = groups.get(key) || { ...meta, answered: 0, correct: 0, students: new Set() };
+      group.answered += 1;
+      if (correct) group.correct += 1;
+      group.students.add(studentId);
+      groups.set(key, group);
+    },
+    // Weakest first, so the dashboard leads with what needs work
+    list() {
+      return [...groups.values()]
+        .map(({ students, ...group }) => ({ ...group, accuracy: percent(group.correct, group.answered), students: students.size }))
+        .sort((a, b) => a.accuracy - b.accuracy || b.answered - a.answered);
+    }
+  };
+}
+
+function competencyOf(attempt, criteria) {
+  if (attempt.criterionId) {
+    if (!criteria.has(attempt.criterionId)) criteria.set(attempt.criterionId, curriculum.getCriterion(attempt.criterionId));
+    const criterion = criteria.get(attempt.criterionId);
+    if (criterion) {
+      return {
+        key: criterion.specificCompetency.id,
+        meta: {
+          competencyId: criterion.specificCompetency.id,
+          code: criterion.specificCompetency.code,
+          description: criterion.specificCompetency.description,
+          subject: criterion.subjectName,
+          keyCompetencies: criterion.keyCompetencies
+        },
+        keyCompetencies: criterion.keyCompetencies
+      };
+    }
+  }
+
+  // Answers from before curriculum criteria only carry the label
+  const label = attempt.lomloeCompetency || 'Sin competencia';
+  return { key: `label:${label}`, meta: { competencyId: null, label }, keyCompetencies: [] };
+}
+
+function studentRow(studentId, profile, attempts, subject) {
+  const answered = attempts.length;
+  const correct = attempts.filter(attempt => attempt.correct).length;
+  const recent = attempts.slice(-RECENT_ANSWERS);
+
+  let trend = null;
+  if (answered >= 6) {
+    const half = Math.floor(answered / 2);
+    const older = attempts.slice(0, half);
+    const newer = attempts.slice(half);
+    trend = percent(newer.filter(a => a.correct).length, newer.length) - percent(older.filter(a => a.correct).length, older.length);
+  }
+
+  const reasons = [];
+  if (answered === 0) reasons.push('inactive');
+  if (answered >= MIN_ANSWERS && correct / answered < STRUGGLING_ACCURACY) reasons.push('low_accuracy');
+  if (answered >= MIN_ANSWERS && trend !== null && trend <= -DECLINE * 100) reasons.push('declining');
+
+  return {
+    studentId,
+    answered,
+    correct,
+    accuracy: percent(correct, answered),
+    recentAccuracy: percent(recent.filter(attempt => attempt.correct).length, recent.length),
+    trend,
+    lastAnsweredAt: answered ? attempts[answered - 1].answeredAt : (profile && profile.history.length ? profile.history[profile.history.length - 1].answeredAt : null),
+    mastery: subject && profile ? learnerModel.describeEstimate(learnerModel.estimateFor(profiles.modelOf(profile), subject)) : undefined,
+    struggling: reasons.includes('low_accuracy') || reasons.includes('declining'),
+    reasons
+  };
+}
+
+/**
+ * Dashboard for a class. `subject` narrows every view to one subject;
+ * `window` / `bucket` as in parseOptions.
+ */
+async function classDashboard(store, classRecord, { subject, window, bucket, now = new Date() } = {}) {
+  const options = parseOptions({ window, bucket });
+  const since = options.days ? now.getTime() - options.days * DAY_MS : null;
+  const wanted = subject ? subjectKey(subject) : null;
+
+  const bySubject = createGroups();
+  const byCompetency = createGroups();
+  const byKeyCompetency = createGroups();
+  const byTopic = createGroups();
+  const buckets = new Map();
+  const criteria = new Map();
+  const students = [];
+  let earliest = null;
+
+  const loaded = await Promise.all(classRecord.studentIds.map(async studentId => [studentId, await profiles.getProfile(store, studentId)]));
+
+  for (const [studentId, profile] of loaded) {
+    const attempts = (profile ? profile.history : []).filter((attempt) => {
+      const time = Date.parse(attempt.answeredAt);
+      return (!since || time >= since) && time <= now.getTime() && (!wanted || subjectKey(attempt.subject) === wanted);
+    });
+
+    for (const attempt of attempts) {
+      const key = subjectKey(attempt.subject);
+      bySubject.add(key, { subjectId: curriculum.resolveSubject(attempt.subject) || null, subject: attempt.subject }, studentId, attempt.correct);
+
+      const competency = competencyOf(attempt, criteria);
+      byCompetency.add(competency.key, competency.meta, studentId, attempt.correct);
+      for (const code of competency.keyCompetencies) {
+        const keyCompetency = curriculum.getKeyCompetency(code);
+        byKeyCompetency.add(code, { code, name: keyCompetency ? keyCompetency.name : code }, studentId, attempt.correct);
+      }
+
+      if (attempt.topic) {
+        byTopic.add(`${key}\u0000${attempt.topic}`, { subject: attempt.subject, topic: attempt.topic }, studentId, attempt.correct);
+      }
+
+      const start = bucketStart(new Date(attempt.answeredAt), options.bucket);
+      if (!earliest || start < earliest) earliest = start;
+      const slot = buckets.get(start.getTime()) || { answered: 0, correct: 0, students: new Set() };
+      slot.answered += 1;
+      if (attempt.correct) slot.correct += 1;
+      slot.students.add(studentId);
+      buckets.set(start.getTime(), slot);
+    }
+
+    students.push(studentRow(studentId, profile, attempts, wanted ? subject : null));
+  }
+
+  // Every bucket from the start of the window (or the first answer) to now, empty ones included
+  const trend = [];
+  const first = since ? bucketStart(new Date(since), options.bucket) : earliest;
+  for (let start = first; start && start <= now; start = nextBucket(start, options.bucket)) {
+    const slot = buckets.get(start.getTime()) || { answered: 0, correct: 0, students: new Set() };
+    trend.push({
+      start: start.toISOString().slice(0, 10),
+      answered: slot.answered,
+      correct: slot.correct,
+      accuracy: percent(slot.correct, slot.answered),
+      activeStudents: slot.students.size
+    });
+  }
+
+  const answered = students.reduce((sum, row) => sum + row.answered, 0);
+  const correct = students.reduce((sum, row) => sum + row.correct, 0);
+
+  return {
+    classId: classRecord.id,
+    name: classRecord.name,
+    subject: subject || null,
+    window: {
+      window: options.window,
+      from: since ? new Date(since).toISOString() : null,
+      to: now.toISOString()
+    },
+    bucket: options.bucket,
+    summary: {
+      students: students.length,
+      activeStudents: students.filter(row => row.answered > 0).length,
+      answered,
+      correct,
+      accuracy: percent(correct, answered),
+      struggling: students.filter(row => row.struggling).length
+    },
+    bySubject: bySubject.list(),
+    byCompetency: byCompetency.list(),
+    byKeyCompetency: byKeyCompetency.list(),
+    byTopic: byTopic.list(),
+    trend,
+    students: students.sort((a, b) => (b.struggling - a.struggling) || ((a.accuracy ?? 101) - (b.accuracy ?? 101))),
+    struggling: students.filter(row => row.struggling).map(row => row.studentId),
+    inactive: students.filter(row => row.answered === 0).map(row => row.studentId)
+  };
+}
+
+module.exports = {
+  DashboardError,
+  MIN_ANSWERS,
+  STRUGGLING_ACCURACY,
+  parseOptions,
+  classDashboard
+};
@@ -0,0 +1,140 @@
+/**
+ * 🏫 CLASSES
+ * Groups of students a teacher follows together. A class only lists
+ * studentIds; the answers behind its dashboard stay in each student's
+ * profile, so a student can be in several classes (e.g. maths and
+ * biology) without anything being copied.
+ */
+
+const crypto = require('crypto');
+const { updateRecord } = require('./store');
+const profiles = require('./profiles');
+
+const COLLECTION = 'classes';
+const MAX_STUDENTS = 200;
+const MAX_NAME_LENGTH = 100;
+
+class ClassError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ClassError';
+    this.status = status;
+  }
+}
+
+function cleanName(name) {
+  if (typeof name !== 'string' || !name.trim()) throw new ClassError('Missing required field: name', 400);
+  if (name.trim().length > MAX_NAME_LENGTH) throw new ClassError(`name must be at most ${MAX_NAME_LENGTH} characters`, 400);
+  return name.trim();
+}
+
+function cleanOptional(value, field) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || !value.trim()) throw new ClassError(`${field} must be a non-empty string`, 400);
+  return value.trim();
+}
+
+function cleanStudentIds(studentIds) {
+  if (!Array.isArray(studentIds)) throw new ClassError('studentIds must be an array', 400);
+  const invalid = studentIds.filter(studentId => !profiles.isValidStudentId(studentId));
+  if (invalid.length) throw new ClassError(`Invalid studentIds: ${invalid.slice(0, 5).join(', ')}`, 400);
+  return [...new Set(studentIds)];
+}
+
+/**
+ * `subject` and `level` are the class defaults for its dashboard; the
+ * dashboard can still be asked about any subject.
+ */
+async function createClass(store, { name, subject, level, studentIds = [], createdBy }) {
+  const students = cleanStudentIds(studentIds);
+  if (students.length > MAX_STUDENTS) throw new ClassError(`A class holds at most ${MAX_STUDENTS} students`, 400);
+
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    name: cleanName(name),
+    subject: cleanOptional(subject, 'subject'),
+    level: cleanOptional(level, 'level'),
+    studentIds: students,
+    createdBy: createdBy || null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await store.set(COLLECTION, record.id, record);
+  return record;
+}
+
+async function getClass(store, classId) {
+  return store.get(COLLECTION, classId);
+}
+
+async function listClasses(store) {
+  return (await store.list(COLLECTION)).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function mutateClass(store, classId, mutate) {
+  return updateRecord(store, COLLECTION, classId, (record) => {
+    if (!record) throw new ClassError('Class not found', 404);
+    mutate(record);
+    record.updatedAt = new Date().toISOString();
+    return record;
+  });
+}
+
+async function updateClass(store, classId, changes) {
+  return mutateClass(store, classId, (record) => {
+    if (changes.name !== undefined) record.name = cleanName(changes.name);
+    if (changes.subject !== undefined) record.subject = cleanOptional(changes.subject, 'subject');
+    if (changes.level !== undefined) record.level = cleanOptional(changes.level, 'level');
+  });
+}
+
+async function deleteClass(store, classId) {
+  if (!(await store.delete(COLLECTION, classId))) throw new ClassError('Class not found', 404);
+  return true;
+}
+
+// Already enrolled students are left as they are
+async function enrollStudents(store, classId, studentIds) {
+  const students = cleanStudentIds(studentIds);
+  return mutateClass(store, classId, (record) => {
+    const enrolled = [...new Set([...record.studentIds, ...students])];
+    if (enrolled.length > MAX_STUDENTS) throw new ClassError(`A class holds at most ${MAX_STUDENTS} students`, 400);
+    record.studentIds = enrolled;
+  });
+}
+
+async function unenrollStudent(store, classId, studentId) {
+  return mutateClass(store, classId, (record) => {
+    if (!record.studentIds.includes(studentId)) throw new ClassError('Student is not enrolled in this class', 404);
+    record.studentIds = record.studentIds.filter(id => id !== studentId);
+  });
+}
+
+function toClientClass(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    subject: record.subject,
+    level: record.level,
+    studentIds: record.studentIds,
+    studentCount: record.studentIds.length,
+    createdBy: record.createdBy,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+module.exports = {
+  ClassError,
+  MAX_STUDENTS,
+  createClass,
+  getClass,
+  listClasses,
+  updateClass,
+  deleteClass,
+  enrollStudents,
+  unenrollStudent,
+  toClientClass
+};
@@ -0,0 +1,183 @@
+/**
+ * Ciencias: the natural-science half of Conocimiento del Medio Natural,
+ * Social y Cultural in Primaria, Biología y Geología in ESO and Biología,
+ * Geología y Ciencias Ambientales in Bachillerato.
+ */
+
+module.exports = {
+  id: 'ciencias',
+  code: 'CN',
+  name: 'Ciencias',
+  aliases: ['Ciencias', 'Ciencias Naturales', 'Ciencias de la Naturaleza', 'Biología', 'Biología y Geología'],
+  stages: {
+    primaria: {
+      code: 'CMN',
+      name: 'Conocimiento del Medio Natural, Social y Cultural',
+      competencies: [
+        {
+          code: 'CE2',
+          description: 'Plantear y dar respuesta a cuestiones científicas sencillas, utilizando diferentes técnicas, instrumentos y modelos propios del pensamiento científico, para interpretar y explicar hechos y fenómenos que ocurren en el medio natural, social y cultural.',
+          descriptors: ['CCL1', 'CCL2', 'CCL3', 'STEM2', 'STEM4', 'CD1', 'CD2', 'CC4'],
+          criteria: [
+            { code: '2.1', description: 'Formular preguntas y realizar predicciones razonadas sobre el medio natural, social o cultural, mostrando y manteniendo la curiosidad.', difficulty: 'fácil' },
+            { code: '2.2', description: 'Buscar, seleccionar y contrastar información, de diferentes fuentes seguras y fiables, usando los criterios de fiabilidad de fuentes, adquiriendo léxico científico básico.', difficulty: 'medio' },
+            { code: '2.3', description: 'Proponer posibles respuestas a las preguntas planteadas, a través de la interpretación de la información y los resultados obtenidos, comparándolos con las predicciones realizadas.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Conocer y tomar conciencia del propio cuerpo, así como de las emociones y sentimientos propios y ajenos, aplicando el conocimiento científico, para desarrollar hábitos saludables y para conseguir el bienestar físico, emocional y social.',
+          descriptors: ['STEM5', 'CPSAA1', 'CPSAA2', 'CPSAA3', 'CC3'],
+          criteria: [
+            { code: '4.1', description: 'Promover actitudes que fomenten el bienestar emocional y social, gestionando las emociones propias y respetando las de los demás.', difficulty: 'fácil' },
+            { code: '4.2', description: 'Adoptar estilos de vida saludables valorando la importancia de una alimentación variada, equilibrada y sostenible, la higiene, el ejercicio físico, el contacto con la naturaleza, el descanso y el uso adecuado de las tecnologías.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Identificar las características de los diferentes elementos o sistemas del medio natural, social y cultural, analizando su organización y propiedades y estableciendo relaciones entre los mismos, para reconocer el valor del patrimonio cultural y natural, conservarlo, mejorarlo y emprender acciones para su uso responsable.',
+          descriptors: ['STEM1', 'STEM2', 'STEM4', 'STEM5', 'CD1', 'CC4', 'CE1', 'CCEC1'],
+          criteria: [
+            { code: '5.1', description: 'Identificar y analizar las características, la organización y las propiedades de los elementos del medio natural, social y cultural a través de indagaciones utilizando las herramientas y procesos adecuados.', difficulty: 'medio' },
+            { code: '5.2', description: 'Identificar conexiones sencillas entre diferentes elementos del medio natural, social y cultural, mostrando comprensión de las relaciones que se establecen.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE6',
+          description: 'Identificar las causas y consecuencias de la intervención humana en el entorno, desde los puntos de vista social, económico, cultural, tecnológico y ambiental, para mejorar la capacidad de afrontar problemas, buscar soluciones y actuar de manera individual y cooperativa en su resolución.',
+          descriptors: ['STEM2', 'STEM5', 'CPSAA4', 'CC1', 'CC3', 'CC4', 'CE1'],
+          criteria: [
+            { code: '6.1', description: 'Identificar problemas ecosociales, proponer posibles soluciones y poner en práctica estilos de vida sostenibles, reconociendo comportamientos respetuosos de cuidado, corresponsabilidad y protección del entorno y uso sostenible de los recursos naturales.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Cultura científica', items: ['Iniciación en la actividad científica', 'La vida en nuestro planeta', 'Materia, fuerzas y energía'] },
+        { block: 'B', title: 'Tecnología y digitalización', items: ['Digitalización del entorno personal de aprendizaje', 'Proyectos de diseño y pensamiento computacional'] }
+      ]
+    },
+    eso: {
+      code: 'BG',
+      name: 'Biología y Geología',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Interpretar y transmitir información y datos científicos, argumentando sobre ellos y utilizando diferentes formatos, para analizar conceptos y procesos de las ciencias biológicas y geológicas.',
+          descriptors: ['CCL1', 'CCL2', 'CCL5', 'STEM4', 'CD2', 'CD3', 'CCEC4'],
+          criteria: [
+            { code: '1.1', description: 'Analizar conceptos y procesos biológicos y geológicos interpretando información en diferentes formatos (modelos, gráficos, tablas, diagramas, fórmulas, esquemas, símbolos, páginas web, etc.).', difficulty: 'medio' },
+            { code: '1.2', description: 'Facilitar la comprensión y análisis de información sobre procesos biológicos y geológicos o trabajos científicos transmitiéndola de forma clara y utilizando la terminología y los formatos adecuados.', difficulty: 'fácil' },
+            { code: '1.3', description: 'Analizar y explicar fenómenos biológicos y geológicos representándolos mediante modelos y diagramas y utilizando, cuando sea necesario, los pasos del diseño de ingeniería.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE2',
+          description: 'Identificar, localizar y seleccionar información, contrastando su veracidad, organizándola y evaluándola críticamente, para resolver preguntas relacionadas con las ciencias biológicas y geológicas.',
+          descriptors: ['CCL3', 'STEM4', 'CD1', 'CD2', 'CD4', 'CPSAA4', 'CC3'],
+          criteria: [
+            { code: '2.1', description: 'Resolver cuestiones sobre Biología y Geología localizando, seleccionando y organizando información de distintas fuentes y citándolas correctamente.', difficulty: 'fácil' },
+            { code: '2.2', description: 'Reconocer la información sobre temas biológicos y geológicos con base científica, distinguiéndola de pseudociencias, bulos, teorías conspiratorias y creencias infundadas.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE3',
+          description: 'Planificar y desarrollar proyectos de investigación, siguiendo los pasos de las metodologías científicas y cooperando cuando sea necesario, para indagar en aspectos relacionados con las ciencias geológicas y biológicas.',
+          descriptors: ['CCL1', 'CCL2', 'STEM1', 'STEM2', 'STEM3', 'STEM4', 'CD1', 'CD2', 'CPSAA3', 'CE3'],
+          criteria: [
+            { code: '3.1', description: 'Plantear preguntas e hipótesis e intentar realizar predicciones sobre fenómenos biológicos o geológicos que puedan ser respondidas o contrastadas utilizando métodos científicos.', difficulty: 'medio' },
+            { code: '3.2', description: 'Interpretar los resultados obtenidos en un proyecto de investigación utilizando, cuando sea necesario, herramientas matemáticas y tecnológicas.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Utilizar el razonamiento y el pensamiento computacional, analizando críticamente las respuestas y soluciones y reformulando el procedimiento, si fuera necesario, para resolver problemas o dar explicación a procesos de la vida cotidiana relacionados con la biología y la geología.',
+          descriptors: ['STEM1', 'STEM2', 'CD5', 'CPSAA5', 'CE1', 'CE3', 'CCEC4'],
+          criteria: [
+            { code: '4.1', description: 'Resolver problemas o dar explicación a procesos biológicos o geológicos utilizando conocimientos, datos e información proporcionados, el razonamiento lógico, el pensamiento computacional o recursos digitales.', difficulty: 'difícil' },
+            { code: '4.2', description: 'Analizar críticamente la solución a un problema sobre fenómenos biológicos y geológicos.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Analizar los efectos de determinadas acciones sobre el medio ambiente y la salud, basándose en los fundamentos de las ciencias biológicas y de la Tierra, para promover y adoptar hábitos que eviten o minimicen los impactos medioambientales negativos, sean compatibles con un desarrollo sostenible y permitan mantener y mejorar la salud individual y colectiva.',
+          descriptors: ['STEM2', 'STEM5', 'CD4', 'CPSAA2', 'CC4', 'CE1', 'CCEC1'],
+          criteria: [
+            { code: '5.1', description: 'Relacionar con fundamentos científicos la preservación de la biodiversidad, la conservación del medio ambiente, la protección de los seres vivos del entorno, el desarrollo sostenible y la calidad de vida.', difficulty: 'medio' },
+            { code: '5.2', description: 'Proponer y adoptar hábitos sostenibles, analizando de una manera crítica las actividades propias y ajenas a partir de los propios razonamientos, de los conocimientos adquiridos y de la información disponible.', difficulty: 'difícil' },
+            { code: '5.3', description: 'Proponer y adoptar hábitos saludables, analizando las acciones propias y ajenas con actitud crítica y a partir de fundamentos fisiológicos.', difficulty: 'fácil' }
+          ]
+        },
+        {
+          code: 'CE6',
+          description: 'Analizar los elementos de un paisaje concreto valorándolo como patrimonio natural y utilizando conocimientos sobre geología y ciencias de la Tierra para explicar su historia geológica, proponer acciones encaminadas a su protección e identificar posibles riesgos naturales.',
+          descriptors: ['STEM1', 'STEM2', 'STEM4', 'STEM5', 'CD1', 'CC4', 'CE1', 'CCEC1'],
+          criteria: [
+            { code: '6.1', description: 'Valorar la importancia del paisaje como patrimonio natural analizando la fragilidad de los elementos que lo componen.', difficulty: 'fácil' },
+            { code: '6.2', description: 'Interpretar el paisaje analizando sus elementos y reflexionando sobre el impacto ambiental y los riesgos naturales derivados de determinadas acciones humanas.', difficulty: 'medio' },
+            { code: '6.3', description: 'Reflexionar sobre los riesgos naturales mediante el análisis de los elementos de un paisaje.', difficulty: 'difícil' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Proyecto científico', items: ['Hipótesis, preguntas y conjeturas', 'Estrategias de búsqueda de información', 'Métodos de observación y toma de datos', 'Diseño experimental'] },
+        { block: 'B', title: 'Geología', items: ['Minerales y rocas', 'Estructura de la Tierra', 'Procesos geológicos internos y externos', 'Riesgos naturales'] },
+        { block: 'C', title: 'La célula', items: ['La célula como unidad de los seres vivos', 'Célula procariota y eucariota', 'Mitosis y meiosis'] },
+        { block: 'D', title: 'Seres vivos', items: ['Clasificación de los seres vivos', 'Biodiversidad', 'Adaptaciones al medio'] },
+        { block: 'E', title: 'Ecología y sostenibilidad', items: ['Ecosistemas', 'Relaciones tróficas', 'Problemas medioambientales y desarrollo sostenible'] },
+        { block: 'F', title: 'Cuerpo humano', items: ['Nutrición, relación y reproducción', 'Anatomía y fisiología de los aparatos y sistemas'] },
+        { block: 'G', title: 'Hábitos saludables', items: ['Alimentación saludable', 'Educación afectivo-sexual', 'Prevención de drogodependencias'] }
+      ]
+    },
+    bachillerato: {
+      code: 'BGCA',
+      name: 'Biología, Geología y Ciencias Ambientales',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Interpretar y transmitir información y datos científicos, argumentando sobre estos con precisión y utilizando diferentes formatos para analizar procesos, métodos, experimentos o resultados de las ciencias biológicas, geológicas y medioambientales.',
+          descriptors: ['CCL1', 'CCL2', 'CCL5', 'STEM2', 'STEM4', 'CD2', 'CD3', 'CCEC4'],
+          criteria: [
+            { code: '1.1', description: 'Analizar críticamente conceptos y procesos relacionados con los saberes de la materia interpretando información en diferentes formatos.', difficulty: 'medio' },
+            { code: '1.2', description: 'Comunicar informaciones u opiniones razonadas relacionadas con los saberes de la materia, transmitiéndolas de forma clara y rigurosa.', difficulty: 'fácil' },
+            { code: '1.3', description: 'Argumentar sobre aspectos relacionados con los saberes de la materia, considerando los puntos fuertes y débiles de diferentes posturas de forma razonada y con una actitud abierta, flexible, receptiva y respetuosa.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Buscar y utilizar estrategias en la resolución de problemas, analizando críticamente las soluciones y respuestas halladas y reformulando el procedimiento si fuera necesario, para dar explicación a fenómenos relacionados con las ciencias biológicas, geológicas y medioambientales.',
+          descriptors: ['STEM1', 'STEM2', 'CD5', 'CPSAA5', 'CE1', 'CE3'],
+          criteria: [
+            { code: '4.1', description: 'Resolver problemas o dar explicación a procesos biológicos, geológicos o ambientales, utilizando recursos variados como conocimientos propios, datos e información recabados, razonamiento lógico, pensamiento computacional o herramientas digitales.', difficulty: 'difícil' },
+            { code: '4.2', description: 'Analizar críticamente la solución a un problema sobre fenómenos biológicos, geológicos o ambientales y modificar los procedimientos utilizados o las conclusiones obtenidas si dicha solución no fuese viable.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Diseñar, promover y ejecutar iniciativas relacionadas con la conservación del medioambiente, la sostenibilidad y la salud, basándose en los fundamentos de las ciencias biológicas, geológicas y ambientales, para fomentar estilos de vida sostenibles y saludables.',
+          descriptors: ['STEM2', 'STEM5', 'CD4', 'CPSAA1', 'CPSAA2', 'CC3', 'CC4', 'CE1'],
+          criteria: [
+            { code: '5.1', description: 'Analizar las causas y consecuencias ecológicas, sociales y económicas de los principales problemas medioambientales desde una perspectiva individual, local y global.', difficulty: 'medio' },
+            { code: '5.2', description: 'Proponer y poner en práctica hábitos e iniciativas sostenibles y saludables a nivel local y argumentar sobre sus efectos positivos y la urgencia de adoptarlos.', difficulty: 'fácil' }
+          ]
+        },
+        {
+          code: 'CE6',
+          description: 'Analizar los elementos del registro geológico utilizando fundamentos científicos, para relacionarlos con los grandes eventos ocurridos a lo largo de la historia de la Tierra y con la magnitud temporal en que se desarrollaron.',
+          descriptors: ['STEM1', 'STEM2', 'STEM4', 'STEM5', 'CD1', 'CPSAA2'],
+          criteria: [
+            { code: '6.1', description: 'Relacionar los grandes eventos de la historia terrestre con determinados elementos del registro geológico y con los sucesos que ocurren en la actualidad, utilizando los principios geológicos básicos y el razonamiento lógico.', difficulty: 'difícil' },
+            { code: '6.2', description: 'Resolver problemas de datación, analizando elementos del registro geológico y fósil y aplicando métodos de datación.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Proyecto científico', items: ['Hipótesis, preguntas, problemas y conjeturas', 'Métodos de análisis de resultados', 'La labor científica y las personas dedicadas a la ciencia'] },
+        { block: 'B', title: 'Ecología y sostenibilidad', items: ['El medioambiente como motor económico y social', 'La huella ecológica', 'Los recursos naturales y su gestión sostenible'] },
+        { block: 'C', title: 'Historia de la Tierra y la vida', items: ['El tiempo geológico', 'Métodos de datación', 'Principios geológicos y reconstrucción de la historia de un área'] },
+        { block: 'D', title: 'La dinámica y composición terrestres', items: ['Estructura, dinámica y funciones de la geosfera', 'Tectónica de placas', 'Procesos geológicos externos'] },
+        { block: 'E', title: 'Fisiología e histología animal y vegetal', items: ['La función de nutrición', 'La función de relación', 'La función de reproducción'] },
+        { block: 'F', title: 'Los microorganismos y formas acelulares', items: ['Eubacterias y arqueobacterias', 'Microorganismos en los ciclos biogeoquímicos', 'Virus y su importancia biológica'] }
+      ]
+    }
+  }
+};
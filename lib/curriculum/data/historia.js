@@ -0,0 +1,156 @@
+/**
+ * Historia: the social-science half of Conocimiento del Medio Natural,
+ * Social y Cultural in Primaria, Geografía e Historia in ESO and Historia
+ * del Mundo Contemporáneo / Historia de España in Bachillerato.
+ */
+
+module.exports = {
+  id: 'historia',
+  code: 'HIS',
+  name: 'Historia',
+  aliases: ['Historia', 'Geografía e Historia', 'Ciencias Sociales', 'Historia de España', 'Historia del Mundo Contemporáneo'],
+  stages: {
+    primaria: {
+      code: 'CMN',
+      name: 'Conocimiento del Medio Natural, Social y Cultural',
+      competencies: [
+        {
+          code: 'CE7',
+          description: 'Observar, comprender e interpretar continuidades y cambios del medio social y cultural, analizando relaciones de causalidad, simultaneidad y sucesión, para explicar y valorar las relaciones entre diferentes elementos y acontecimientos.',
+          descriptors: ['CCL3', 'STEM4', 'CPSAA4', 'CC1', 'CE2', 'CCEC1'],
+          criteria: [
+            { code: '7.1', description: 'Analizar relaciones de causalidad, simultaneidad y sucesión entre diferentes elementos del medio social y cultural desde la Edad Media hasta la actualidad, situando cronológicamente los hechos.', difficulty: 'medio' },
+            { code: '7.2', description: 'Conocer personas, grupos sociales relevantes y formas de vida de las sociedades desde la Edad Media hasta la actualidad, incorporando la perspectiva de género.', difficulty: 'fácil' },
+            { code: '7.3', description: 'Valorar el patrimonio natural, histórico, cultural y artístico y respetar y apreciar su valor, contribuyendo a su conservación y mejora.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE8',
+          description: 'Reconocer y valorar la diversidad y la igualdad de género, mostrando empatía y respeto por otras culturas y reflexionando sobre cuestiones éticas, para contribuir al bienestar individual y colectivo de una sociedad en continua transformación y al logro de los valores de integración europea.',
+          descriptors: ['CP3', 'CPSAA3', 'CC1', 'CC2', 'CC3', 'CCEC1'],
+          criteria: [
+            { code: '8.1', description: 'Analizar los procesos geográficos, históricos y culturales que han conformado la sociedad actual, valorando la diversidad etnocultural o afectivo-sexual y la cohesión social.', difficulty: 'medio' },
+            { code: '8.2', description: 'Analizar la importancia demográfica, cultural y económica de las migraciones en la actualidad, abordando los retos que suponen para la sociedad.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE9',
+          description: 'Participar en el entorno y la vida social de forma eficaz y constructiva desde el respeto a los valores democráticos, los derechos humanos y de la infancia y los principios y valores de la Constitución española y la Unión Europea, valorando la función del Estado y sus instituciones en el mantenimiento de la paz y la seguridad integral ciudadana.',
+          descriptors: ['CCL5', 'CPSAA1', 'CC1', 'CC2', 'CC3', 'CCEC1'],
+          criteria: [
+            { code: '9.1', description: 'Resolver de forma pacífica y dialogada los conflictos, promoviendo una interacción respetuosa y equitativa.', difficulty: 'fácil' },
+            { code: '9.2', description: 'Explicar los principios y valores de la Constitución española y de la Unión Europea, así como la función del Estado y sus instituciones.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'C', title: 'Sociedades y territorios', items: ['Retos del mundo actual', 'Sociedades en el tiempo', 'Alfabetización cívica', 'Conciencia ecosocial'] }
+      ]
+    },
+    eso: {
+      code: 'GH',
+      name: 'Geografía e Historia',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Buscar, seleccionar, tratar y organizar información sobre temas relevantes del presente y del pasado, usando críticamente fuentes históricas y geográficas, para adquirir conocimientos, elaborar y expresar contenidos en varios formatos.',
+          descriptors: ['CCL2', 'CCL3', 'STEM4', 'CD1', 'CD2', 'CC1', 'CPSAA4'],
+          criteria: [
+            { code: '1.1', description: 'Elaborar, expresar y presentar contenidos propios en forma de esquemas, tablas informativas y otros tipos de formatos mediante el desarrollo de estrategias de búsqueda, selección y tratamiento de información relativas a procesos y acontecimientos relevantes del presente y del pasado.', difficulty: 'fácil' },
+            { code: '1.2', description: 'Contrastar y argumentar sobre temas y acontecimientos de la Prehistoria, la Edad Antigua y la Edad Media, localizando y analizando de forma crítica fuentes primarias y secundarias como pruebas históricas.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE3',
+          description: 'Conocer los principales desafíos a los que se han enfrentado distintas sociedades a lo largo del tiempo, identificando las causas y consecuencias de los cambios producidos y los problemas a los que se enfrentan en la actualidad, mediante el desarrollo de proyectos de investigación y el uso de fuentes fiables, para realizar propuestas que contribuyan al desarrollo sostenible.',
+          descriptors: ['CCL3', 'STEM3', 'STEM4', 'STEM5', 'CD2', 'CC3', 'CE1', 'CCEC1'],
+          criteria: [
+            { code: '3.1', description: 'Adquirir y construir conocimiento relevante del mundo actual y de la historia, a través de procesos inductivos, de la investigación y del trabajo por proyectos, de retos o problemas.', difficulty: 'medio' },
+            { code: '3.2', description: 'Identificar los principales problemas, retos y desafíos a los que se ha enfrentado la humanidad a lo largo de la historia, los cambios producidos, sus causas y consecuencias, así como los que, en la actualidad, debemos plantear y resolver en torno a los Objetivos de Desarrollo Sostenible.', difficulty: 'medio' },
+            { code: '3.3', description: 'Representar adecuadamente información geográfica e histórica a través de diversas formas de representación gráfica, cartográfica y visual.', difficulty: 'fácil' },
+            { code: '3.4', description: 'Utilizar una secuencia cronológica con objeto de examinar la relación entre hechos y procesos en diferentes períodos y lugares históricos (simultaneidad y duración), utilizando términos y conceptos apropiados.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Identificar y analizar los elementos del paisaje y su articulación en sistemas complejos naturales, rurales y urbanos, así como su evolución en el tiempo, interpretando las causas de las transformaciones y valorando el grado de equilibrio existente en los distintos ecosistemas, para promover su conservación, mejora y uso sostenible.',
+          descriptors: ['CCL1', 'STEM3', 'STEM4', 'STEM5', 'CD1', 'CC4', 'CE1', 'CCEC1'],
+          criteria: [
+            { code: '4.1', description: 'Identificar, valorar y mostrar interés por los principales problemas que afectan a la sociedad, adoptando una posición crítica y proactiva hacia los mismos.', difficulty: 'fácil' },
+            { code: '4.2', description: 'Argumentar de manera crítica sobre problemas de orden económico, social, cultural y medioambiental, proponiendo alternativas que contribuyan a la conservación y mejora del entorno natural, rural y urbano.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Analizar de forma crítica planteamientos históricos y geográficos explicando la construcción de los sistemas democráticos y los principios constitucionales que rigen la vida en comunidad, así como asumiendo los deberes y derechos propios de nuestro marco de convivencia, para promover la participación ciudadana y la cohesión social.',
+          descriptors: ['CCL2', 'CCL5', 'CC1', 'CC2', 'CC3', 'CE1', 'CCEC1'],
+          criteria: [
+            { code: '5.1', description: 'Identificar, interpretar y analizar los mecanismos que han regulado la convivencia y la vida en común a lo largo de la historia, desde el origen de la sociedad a las distintas civilizaciones que se han ido sucediendo.', difficulty: 'medio' },
+            { code: '5.2', description: 'Reconocer los valores del patrimonio histórico y cultural y señalar los principios del Estado de derecho y de la Constitución.', difficulty: 'fácil' }
+          ]
+        },
+        {
+          code: 'CE6',
+          description: 'Comprender los procesos geográficos, históricos y culturales que han conformado la realidad multicultural en la que vivimos, conociendo y difundiendo la historia y cultura de las minorías étnicas presentes en nuestro país y valorando la aportación de los movimientos en defensa de la igualdad y la inclusión, para reducir estereotipos, evitar cualquier tipo de discriminación y violencia, y reconocer la riqueza de la diversidad.',
+          descriptors: ['CCL5', 'CP3', 'CPSAA3', 'CC1', 'CC2', 'CCEC1'],
+          criteria: [
+            { code: '6.1', description: 'Identificar aquellos elementos que forman parte de la propia identidad y de la comunidad, y analizar la presencia de la mujer y de las minorías a lo largo de la historia.', difficulty: 'medio' },
+            { code: '6.2', description: 'Analizar críticamente los procesos de formación de la realidad multicultural, valorando las aportaciones de los movimientos en defensa de la igualdad y la inclusión.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE8',
+          description: 'Tomar conciencia del papel de los ciclos demográficos, el ciclo vital, las formas de vida y las relaciones intergeneracionales y de dependencia en la sociedad actual y su evolución a lo largo del tiempo, analizándolas de forma crítica, para promover alternativas saludables, sostenibles, enriquecedoras y respetuosas con la dignidad humana y el compromiso con la sociedad y el entorno.',
+          descriptors: ['STEM5', 'CPSAA2', 'CPSAA5', 'CC3', 'CC4', 'CE1'],
+          criteria: [
+            { code: '8.1', description: 'Identificar los cambios en los comportamientos demográficos, en las formas de vida y en las relaciones intergeneracionales a lo largo del tiempo, relacionándolos con los ciclos demográficos y el contexto histórico.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Retos del mundo actual', items: ['Emergencia climática', 'Desigualdad y globalización', 'Objetivos de Desarrollo Sostenible', 'Concentración urbana y despoblación rural'] },
+        { block: 'B', title: 'Sociedades y territorios', items: ['Prehistoria y primeras civilizaciones', 'Grecia y Roma', 'La Edad Media en la península ibérica', 'La Edad Moderna', 'Revoluciones liberales y el mundo contemporáneo', 'El medio físico y el paisaje'] },
+        { block: 'C', title: 'Compromiso cívico', items: ['Dignidad humana y derechos universales', 'La Constitución española de 1978', 'Igualdad de género', 'Memoria democrática'] }
+      ]
+    },
+    bachillerato: {
+      code: 'HES',
+      name: 'Historia de España e Historia del Mundo Contemporáneo',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Valorar los movimientos y acciones que han promovido las libertades en la historia de España, utilizando términos y conceptos históricos, para reconocer el legado democrático del país.',
+          descriptors: ['CCL2', 'CCL3', 'CD1', 'CPSAA4', 'CC1', 'CC2', 'CCEC1'],
+          criteria: [
+            { code: '1.1', description: 'Reconocer, a través del análisis de fuentes de diversa naturaleza, la lucha por la libertad y la dignidad humana en España, valorando el papel de las instituciones y movimientos que la promovieron.', difficulty: 'medio' },
+            { code: '1.2', description: 'Explicar, a partir del conocimiento de los textos constitucionales, la evolución del sistema político español desde 1812 hasta la Constitución de 1978.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE3',
+          description: 'Analizar la evolución económica de España, sus ciclos, crisis y transformaciones, identificando los principales hitos y sus consecuencias sociales, para comprender la realidad socioeconómica actual.',
+          descriptors: ['CCL2', 'STEM4', 'CD2', 'CPSAA4', 'CC3', 'CC4', 'CE1'],
+          criteria: [
+            { code: '3.1', description: 'Describir la evolución de la economía española en los siglos XIX y XX, identificando las causas de sus ciclos y crisis.', difficulty: 'medio' },
+            { code: '3.2', description: 'Analizar las consecuencias sociales de las transformaciones económicas y relacionarlas con los conflictos sociales de la época contemporánea.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Identificar los procesos históricos del mundo contemporáneo, reconociendo sus causas y consecuencias, para comprender la complejidad del mundo actual.',
+          descriptors: ['CCL2', 'CCL3', 'CD1', 'CPSAA4', 'CC1', 'CC3'],
+          criteria: [
+            { code: '5.1', description: 'Situar cronológicamente los grandes procesos de la época contemporánea: revoluciones liberales, industrialización, imperialismo, guerras mundiales y Guerra Fría.', difficulty: 'fácil' },
+            { code: '5.2', description: 'Analizar las causas y consecuencias de los grandes conflictos del siglo XX y su influencia en la configuración del mundo actual.', difficulty: 'medio' },
+            { code: '5.3', description: 'Argumentar sobre la interpretación de acontecimientos históricos contrastando fuentes historiográficas diversas.', difficulty: 'difícil' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Sociedades en el tiempo', items: ['La construcción del Estado liberal', 'La Restauración', 'La Segunda República y la Guerra Civil', 'La dictadura franquista', 'La Transición y la democracia'] },
+        { block: 'B', title: 'Retos del mundo actual', items: ['Revoluciones liberales e industrialización', 'Imperialismo y guerras mundiales', 'La Guerra Fría y la descolonización', 'La integración europea', 'La globalización'] },
+        { block: 'C', title: 'Compromiso cívico', items: ['Memoria democrática', 'Conciencia histórica', 'Valores de la Unión Europea'] }
+      ]
+    }
+  }
+};
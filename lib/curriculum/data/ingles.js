@@ -0,0 +1,141 @@
+/**
+ * Lengua Extranjera (Inglés): Primaria, ESO and Bachillerato (I y II).
+ */
+
+module.exports = {
+  id: 'ingles',
+  code: 'ING',
+  name: 'Lengua Extranjera: Inglés',
+  aliases: ['Inglés', 'Ingles', 'English', 'Lengua Extranjera', 'Lengua Extranjera: Inglés'],
+  stages: {
+    primaria: {
+      name: 'Lengua Extranjera: Inglés',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Comprender el sentido general e información específica y predecible de textos breves y sencillos, expresados de forma clara y en la lengua estándar, haciendo uso de diversas estrategias y recurriendo, cuando sea necesario, al uso de distintos tipos de apoyo, para desarrollar el repertorio lingüístico y para responder a necesidades comunicativas cotidianas.',
+          descriptors: ['CCL2', 'CP1', 'CP2', 'STEM1', 'CD1', 'CPSAA5', 'CCEC2'],
+          criteria: [
+            { code: '1.1', description: 'Reconocer e interpretar el sentido global, así como palabras y frases específicas de textos orales, escritos y multimodales breves y sencillos sobre temas frecuentes y cotidianos.', difficulty: 'fácil' },
+            { code: '1.2', description: 'Seleccionar, organizar y aplicar de forma guiada estrategias y conocimientos adecuados en situaciones comunicativas cotidianas para captar el sentido global y procesar informaciones explícitas.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE2',
+          description: 'Producir textos sencillos de manera comprensible y estructurada, mediante el empleo de estrategias como la planificación o la compensación, para expresar mensajes breves relacionados con necesidades inmediatas y responder a propósitos comunicativos cotidianos.',
+          descriptors: ['CCL1', 'CP1', 'CP2', 'STEM1', 'CD2', 'CPSAA5', 'CE1', 'CCEC4'],
+          criteria: [
+            { code: '2.1', description: 'Expresar oralmente frases cortas con información básica sobre asuntos cotidianos y de relevancia para el alumnado.', difficulty: 'fácil' },
+            { code: '2.2', description: 'Redactar textos muy breves y sencillos, con adecuación a la situación comunicativa propuesta, a partir de modelos y a través de herramientas analógicas y digitales.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Reconocer y usar los repertorios lingüísticos personales entre distintas lenguas, reflexionando sobre su funcionamiento e identificando las estrategias y conocimientos propios, para mejorar la respuesta a necesidades comunicativas concretas en situaciones conocidas.',
+          descriptors: ['CP2', 'STEM1', 'CD2', 'CPSAA1', 'CPSAA4', 'CPSAA5', 'CE3'],
+          criteria: [
+            { code: '5.1', description: 'Comparar y contrastar las semejanzas y diferencias entre distintas lenguas reflexionando, de forma guiada, sobre aspectos básicos de su funcionamiento.', difficulty: 'difícil' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Comunicación', items: ['Funciones comunicativas básicas', 'Léxico elemental de temas cotidianos', 'Patrones sonoros, acentuales y de entonación', 'Convenciones ortográficas básicas'] },
+        { block: 'B', title: 'Plurilingüismo', items: ['Estrategias para identificar y usar unidades lingüísticas', 'Comparación elemental entre lenguas'] },
+        { block: 'C', title: 'Interculturalidad', items: ['La lengua extranjera como medio de comunicación', 'Aspectos socioculturales elementales de los países de habla inglesa'] }
+      ]
+    },
+    eso: {
+      name: 'Lengua Extranjera: Inglés',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Comprender e interpretar el sentido general y los detalles más relevantes de textos expresados de forma clara y en la lengua estándar, buscando fuentes fiables y haciendo uso de estrategias como la inferencia de significados, para responder a necesidades comunicativas concretas.',
+          descriptors: ['CCL2', 'CCL3', 'CP1', 'STEM1', 'CD1', 'CPSAA4'],
+          criteria: [
+            { code: '1.1', description: 'Extraer y analizar el sentido global y las ideas principales, y seleccionar información pertinente de textos orales, escritos y multimodales sobre temas frecuentes y cotidianos.', difficulty: 'fácil' },
+            { code: '1.2', description: 'Interpretar y valorar el contenido y los rasgos discursivos de textos progresivamente más complejos propios de los ámbitos de las relaciones interpersonales, de los medios de comunicación social y del aprendizaje.', difficulty: 'medio' },
+            { code: '1.3', description: 'Seleccionar, organizar y aplicar las estrategias y conocimientos más adecuados para comprender el sentido general, la información esencial y los detalles más relevantes de los textos; inferir significados e interpretar elementos no verbales.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE2',
+          description: 'Producir textos originales, de extensión media, sencillos y con una organización clara, usando estrategias tales como la planificación, la compensación o la autorreparación, para expresar de forma creativa, adecuada y coherente mensajes relevantes y responder a propósitos comunicativos concretos.',
+          descriptors: ['CCL1', 'CP1', 'CP2', 'STEM1', 'CD2', 'CPSAA5', 'CE1', 'CCEC3'],
+          criteria: [
+            { code: '2.1', description: 'Expresar oralmente textos sencillos, estructurados, comprensibles, coherentes y adecuados a la situación comunicativa sobre asuntos cotidianos y frecuentes.', difficulty: 'fácil' },
+            { code: '2.2', description: 'Organizar y redactar textos breves y comprensibles con aceptable claridad, coherencia, cohesión, corrección y adecuación a la situación comunicativa propuesta.', difficulty: 'medio' },
+            { code: '2.3', description: 'Seleccionar, organizar y aplicar conocimientos y estrategias para planificar, producir, revisar y cooperar en la elaboración de textos coherentes, cohesionados y adecuados a las intenciones comunicativas.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE3',
+          description: 'Interactuar con otras personas con creciente autonomía, usando estrategias de cooperación y empleando recursos analógicos y digitales, para responder a propósitos comunicativos concretos en intercambios respetuosos con las normas de cortesía.',
+          descriptors: ['CCL5', 'CP1', 'CP2', 'STEM1', 'CPSAA3', 'CC3', 'CE1', 'CE3'],
+          criteria: [
+            { code: '3.1', description: 'Planificar, participar y colaborar activamente en situaciones interactivas sobre temas cotidianos, de relevancia personal o de interés público cercanos a la experiencia del alumnado.', difficulty: 'medio' },
+            { code: '3.2', description: 'Seleccionar, organizar y utilizar estrategias adecuadas para iniciar, mantener y terminar la comunicación, tomar y ceder la palabra, y solicitar y formular aclaraciones y explicaciones.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Mediar en situaciones cotidianas entre distintas lenguas, usando estrategias y conocimientos sencillos orientados a explicar conceptos o simplificar mensajes, para transmitir información de manera eficaz, clara y responsable.',
+          descriptors: ['CCL5', 'CP1', 'CP2', 'CP3', 'STEM1', 'CPSAA1', 'CPSAA3', 'CCEC1'],
+          criteria: [
+            { code: '4.1', description: 'Inferir y explicar textos, conceptos y comunicaciones breves y sencillas en situaciones en las que atender a la diversidad, mostrando respeto y empatía por los interlocutores.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Ampliar y usar los repertorios lingüísticos personales entre distintas lenguas, reflexionando de forma crítica sobre su funcionamiento y tomando conciencia de las estrategias y conocimientos propios, para mejorar la respuesta a necesidades comunicativas concretas.',
+          descriptors: ['CP2', 'STEM1', 'CPSAA1', 'CPSAA5', 'CD2'],
+          criteria: [
+            { code: '5.1', description: 'Comparar y argumentar las semejanzas y diferencias entre distintas lenguas reflexionando de manera progresivamente autónoma sobre su funcionamiento.', difficulty: 'medio' },
+            { code: '5.2', description: 'Utilizar de forma creativa estrategias y conocimientos de mejora de la capacidad de comunicar y de aprender la lengua extranjera.', difficulty: 'fácil' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Comunicación', items: ['Funciones comunicativas básicas', 'Modelos contextuales y géneros discursivos', 'Unidades lingüísticas y significados asociados', 'Léxico de uso común', 'Patrones sonoros, acentuales y de entonación', 'Convenciones ortográficas'] },
+        { block: 'B', title: 'Plurilingüismo', items: ['Estrategias y técnicas para responder eficazmente a una necesidad comunicativa', 'Expresiones y léxico específico para reflexionar sobre la comunicación y la lengua'] },
+        { block: 'C', title: 'Interculturalidad', items: ['La lengua extranjera como medio de comunicación interpersonal e internacional', 'Aspectos socioculturales y sociolingüísticos elementales', 'Estrategias para entender y apreciar la diversidad lingüística y cultural'] }
+      ]
+    },
+    bachillerato: {
+      name: 'Lengua Extranjera: Inglés I y II',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Comprender e interpretar las ideas principales y las líneas argumentales básicas de textos expresados en la lengua estándar, buscando fuentes fiables y haciendo uso de estrategias de inferencia y comprobación de significados, para responder a las necesidades comunicativas planteadas.',
+          descriptors: ['CCL2', 'CCL3', 'CP1', 'STEM1', 'CD1', 'CPSAA4'],
+          criteria: [
+            { code: '1.1', description: 'Extraer y analizar las ideas principales, la información relevante y las implicaciones generales de textos de cierta longitud, bien organizados y de cierta complejidad, orales, escritos y multimodales, sobre temas de relevancia personal o de interés público.', difficulty: 'medio' },
+            { code: '1.2', description: 'Interpretar y valorar de manera crítica el contenido, la intención y los rasgos discursivos de textos de cierta longitud y complejidad, con especial énfasis en los textos académicos y de los medios de comunicación.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE2',
+          description: 'Producir textos originales, de creciente extensión, claros, bien organizados y detallados, usando estrategias tales como la planificación, la síntesis, la compensación o la autorreparación, para expresar ideas y argumentos de forma creativa, adecuada y coherente.',
+          descriptors: ['CCL1', 'CP1', 'CP2', 'STEM1', 'CD2', 'CD3', 'CPSAA5', 'CE1'],
+          criteria: [
+            { code: '2.1', description: 'Expresar oralmente con suficiente fluidez y corrección textos claros, coherentes, bien organizados, adecuados a la situación comunicativa y en diferentes registros.', difficulty: 'medio' },
+            { code: '2.2', description: 'Redactar y difundir textos detallados de cierta extensión y complejidad y de estructura clara, adecuados a la situación comunicativa, a la tipología textual y a las herramientas analógicas y digitales utilizadas.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Ampliar y usar los repertorios lingüísticos personales entre distintas lenguas, reflexionando de forma crítica sobre su funcionamiento, y haciendo explícitos y compartiendo las estrategias y los conocimientos propios, para mejorar la respuesta a sus necesidades comunicativas.',
+          descriptors: ['CP2', 'STEM1', 'CPSAA1', 'CPSAA5', 'CD2'],
+          criteria: [
+            { code: '5.1', description: 'Comparar y argumentar las semejanzas y diferencias entre distintas lenguas analizando y reflexionando de manera sistemática sobre su funcionamiento.', difficulty: 'difícil' },
+            { code: '5.2', description: 'Utilizar con iniciativa y de forma creativa estrategias y conocimientos de mejora de la capacidad de comunicar y de aprender la lengua extranjera.', difficulty: 'fácil' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Comunicación', items: ['Funciones comunicativas adecuadas al ámbito y al contexto', 'Géneros discursivos académicos y de los medios', 'Unidades lingüísticas complejas', 'Léxico común y especializado de interés', 'Convenciones ortográficas y de formato'] },
+        { block: 'B', title: 'Plurilingüismo', items: ['Estrategias de mediación', 'Herramientas para la autoevaluación y la coevaluación', 'Expresiones para reflexionar sobre la lengua'] },
+        { block: 'C', title: 'Interculturalidad', items: ['La lengua extranjera como medio de acceso a la información y la cultura', 'Aspectos socioculturales y sociolingüísticos', 'Estrategias para detectar usos discriminatorios del lenguaje'] }
+      ]
+    }
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Competencias clave del Perfil de salida (RD 217/2022, anexo I) with their
+ * operative descriptors at the end of basic education.
+ */
+
+module.exports = [
+  {
+    code: 'CCL',
+    name: 'Competencia en comunicación lingüística',
+    descriptors: {
+      CCL1: 'Se expresa de forma oral, escrita, signada o multimodal con coherencia, corrección y adecuación a los diferentes contextos sociales.',
+      CCL2: 'Comprende, interpreta y valora con actitud crítica textos orales, escritos, signados o multimodales de los ámbitos personal, social, educativo y profesional.',
+      CCL3: 'Localiza, selecciona y contrasta de manera progresivamente autónoma información procedente de diferentes fuentes, evitando los riesgos de manipulación y desinformación.',
+      CCL4: 'Lee con autonomía obras diversas adecuadas a su edad y crea textos con intención literaria.',
+      CCL5: 'Pone sus prácticas comunicativas al servicio de la convivencia democrática y la resolución dialogada de conflictos.'
+    }
+  },
+  {
+    code: 'CP',
+    name: 'Competencia plurilingüe',
+    descriptors: {
+      CP1: 'Usa eficazmente una o más lenguas, además de la lengua o lenguas familiares, para responder a sus necesidades comunicativas.',
+      CP2: 'Transfiere competencias entre distintas lenguas como estrategia para comunicarse y ampliar su repertorio lingüístico.',
+      CP3: 'Conoce, valora y respeta la diversidad lingüística y cultural presente en la sociedad.'
+    }
+  },
+  {
+    code: 'STEM',
+    name: 'Competencia matemática y competencia en ciencia, tecnología e ingeniería',
+    descriptors: {
+      STEM1: 'Utiliza métodos inductivos, deductivos y lógicos propios del razonamiento matemático en situaciones conocidas y selecciona estrategias para resolver problemas.',
+      STEM2: 'Utiliza el pensamiento científico para entender y explicar los fenómenos que ocurren a su alrededor.',
+      STEM3: 'Plantea y desarrolla proyectos diseñando, fabricando y evaluando diferentes prototipos o modelos.',
+      STEM4: 'Interpreta y transmite los elementos más relevantes de procesos, razonamientos, demostraciones, métodos y resultados científicos, matemáticos y tecnológicos.',
+      STEM5: 'Emprende acciones fundamentadas científicamente para promover la salud y preservar el medio ambiente y los seres vivos.'
+    }
+  },
+  {
+    code: 'CD',
+    name: 'Competencia digital',
+    descriptors: {
+      CD1: 'Realiza búsquedas en internet atendiendo a criterios de validez, calidad, actualidad y fiabilidad.',
+      CD2: 'Gestiona y utiliza su entorno personal digital de aprendizaje para construir conocimiento y crear contenidos digitales.',
+      CD3: 'Se comunica, participa, colabora e interactúa compartiendo contenidos, datos e información mediante herramientas o plataformas virtuales.',
+      CD4: 'Identifica riesgos y adopta medidas preventivas al usar las tecnologías digitales para proteger los dispositivos, los datos personales, la salud y el medioambiente.',
+      CD5: 'Desarrolla aplicaciones informáticas sencillas y soluciones tecnológicas creativas y sostenibles para resolver problemas concretos.'
+    }
+  },
+  {
+    code: 'CPSAA',
+    name: 'Competencia personal, social y de aprender a aprender',
+    descriptors: {
+      CPSAA1: 'Regula y expresa sus emociones, fortaleciendo el optimismo, la resiliencia y la autoeficacia.',
+      CPSAA2: 'Comprende los riesgos para la salud relacionados con factores sociales y consolida estilos de vida saludable.',
+      CPSAA3: 'Comprende proactivamente las perspectivas y las experiencias de las demás personas y las incorpora a su aprendizaje.',
+      CPSAA4: 'Realiza autoevaluaciones sobre su proceso de aprendizaje, buscando fuentes fiables para validar, sustentar y contrastar la información.',
+      CPSAA5: 'Planea objetivos a medio plazo y desarrolla procesos metacognitivos de retroalimentación para aprender de sus errores.'
+    }
+  },
+  {
+    code: 'CC',
+    name: 'Competencia ciudadana',
+    descriptors: {
+      CC1: 'Analiza y comprende ideas relativas a la dimensión social y ciudadana de su propia identidad y a los hechos culturales, históricos y normativos que la determinan.',
+      CC2: 'Analiza y asume fundadamente los principios y valores que emanan del proceso de integración europea, la Constitución Española y los derechos humanos.',
+      CC3: 'Comprende y analiza problemas éticos fundamentales y de actualidad, considerando críticamente los valores propios y ajenos.',
+      CC4: 'Comprende las relaciones sistémicas de interdependencia, ecodependencia e interconexión entre actuaciones locales y globales y adopta un estilo de vida sostenible.'
+    }
+  },
+  {
+    code: 'CE',
+    name: 'Competencia emprendedora',
+    descriptors: {
+      CE1: 'Analiza necesidades y oportunidades y afronta retos con sentido crítico, haciendo balance de su sostenibilidad.',
+      CE2: 'Evalúa las fortalezas y debilidades propias y utiliza estrategias de autoconocimiento y autoeficacia.',
+      CE3: 'Desarrolla el proceso de creación de ideas y soluciones valiosas y toma decisiones de manera razonada.'
+    }
+  },
+  {
+    code: 'CCEC',
+    name: 'Competencia en conciencia y expresión culturales',
+    descriptors: {
+      CCEC1: 'Conoce, aprecia críticamente y respeta el patrimonio cultural y artístico, implicándose en su conservación.',
+      CCEC2: 'Disfruta, reconoce y analiza con autonomía las especificidades e intencionalidades de las manifestaciones artísticas y culturales más destacadas.',
+      CCEC3: 'Expresa ideas, opiniones, sentimientos y emociones por medio de producciones culturales y artísticas.',
+      CCEC4: 'Conoce, selecciona y utiliza con creatividad diversos medios y soportes, así como técnicas plásticas, visuales, audiovisuales, sonoras o corporales.'
+    }
+  }
+];
@@ -0,0 +1,188 @@
+/**
+ * Lengua Castellana y Literatura: Primaria, ESO and Bachillerato (I y II).
+ */
+
+module.exports = {
+  id: 'lengua',
+  code: 'LCL',
+  name: 'Lengua Castellana y Literatura',
+  aliases: ['Lengua', 'Lengua Castellana', 'Lengua Castellana y Literatura', 'Castellano'],
+  stages: {
+    primaria: {
+      name: 'Lengua Castellana y Literatura',
+      competencies: [
+        {
+          code: 'CE2',
+          description: 'Comprender e interpretar textos orales y multimodales, identificando el sentido general y la información más relevante y valorando con ayuda aspectos formales y de contenido básicos, para construir conocimiento y responder a diferentes necesidades comunicativas.',
+          descriptors: ['CCL2', 'CP2', 'STEM1', 'CD3', 'CPSAA3', 'CC3'],
+          criteria: [
+            { code: '2.1', description: 'Comprender el sentido de textos orales y multimodales sencillos, reconociendo las ideas principales y los mensajes explícitos e implícitos.', difficulty: 'fácil' },
+            { code: '2.2', description: 'Valorar de manera básica el contenido y los elementos no verbales elementales de textos orales y multimodales sencillos.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Comprender e interpretar textos escritos y multimodales, reconociendo el sentido global, las ideas principales y la información explícita e implícita, y realizando con ayuda reflexiones elementales sobre aspectos formales y de contenido, para adquirir y construir conocimiento.',
+          descriptors: ['CCL2', 'CCL3', 'CCL5', 'CP2', 'STEM1', 'CD1', 'CPSAA4', 'CPSAA5'],
+          criteria: [
+            { code: '4.1', description: 'Leer de manera silenciosa y en voz alta textos escritos y multimodales sencillos, identificando el sentido global y la información relevante.', difficulty: 'fácil' },
+            { code: '4.2', description: 'Analizar, de manera acompañada, el contenido y aspectos formales y no verbales elementales de textos escritos y multimodales, valorando su contenido y estructura.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Producir textos escritos y multimodales, con corrección gramatical y ortográfica básicas, secuenciando correctamente los contenidos y aplicando estrategias elementales de planificación, textualización, revisión y edición, para construir conocimiento y dar respuesta a demandas comunicativas concretas.',
+          descriptors: ['CCL1', 'CCL3', 'CCL5', 'STEM1', 'CD2', 'CD3', 'CPSAA5', 'CC2'],
+          criteria: [
+            { code: '5.1', description: 'Producir textos escritos y multimodales de relativa complejidad, con coherencia y adecuación, en distintos soportes, progresando en el uso de la norma ortográfica.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE7',
+          description: 'Leer de manera autónoma obras diversas seleccionadas atendiendo a sus gustos e intereses, compartiendo las experiencias de lectura, para iniciar la construcción de la identidad lectora.',
+          descriptors: ['CCL1', 'CCL4', 'CD3', 'CPSAA1', 'CCEC1', 'CCEC3'],
+          criteria: [
+            { code: '7.1', description: 'Leer de manera autónoma textos de diversos autores y autoras ajustados a sus gustos e intereses, progresando en la construcción de su identidad lectora.', difficulty: 'fácil' }
+          ]
+        },
+        {
+          code: 'CE8',
+          description: 'Leer, interpretar y analizar, de manera acompañada, obras o fragmentos literarios adecuados a su desarrollo, estableciendo relaciones entre ellos e identificando el género literario y sus convenciones fundamentales, para iniciarse en el reconocimiento de la literatura como manifestación artística y fuente de placer, conocimiento e inspiración.',
+          descriptors: ['CCL1', 'CCL2', 'CCL4', 'CD3', 'CPSAA4', 'CCEC1', 'CCEC2', 'CCEC3', 'CCEC4'],
+          criteria: [
+            { code: '8.1', description: 'Escuchar y leer de manera acompañada textos literarios adecuados a su edad, que recojan diversidad de autores y autoras, relacionándolos en función de los temas y de aspectos elementales de cada género literario.', difficulty: 'medio' },
+            { code: '8.2', description: 'Producir, de manera progresivamente autónoma, textos sencillos individuales o colectivos con intención literaria, recreando de manera personal los modelos dados.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE9',
+          description: 'Reflexionar de forma guiada sobre el lenguaje a partir de procesos de producción y comprensión de textos en contextos significativos, utilizando la terminología elemental adecuada, para iniciarse en el desarrollo de la conciencia lingüística y para mejorar las destrezas de producción y comprensión oral y escrita.',
+          descriptors: ['CCL1', 'CCL2', 'CP2', 'STEM1', 'STEM2', 'CPSAA5'],
+          criteria: [
+            { code: '9.1', description: 'Establecer generalizaciones sobre aspectos básicos del funcionamiento de la lengua de manera acompañada, formulando hipótesis y buscando contraejemplos.', difficulty: 'difícil' },
+            { code: '9.2', description: 'Revisar y mejorar los textos propios y ajenos y subsanar algunos problemas de comprensión lectora, de manera progresivamente autónoma, a partir de la reflexión metalingüística.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Las lenguas y sus hablantes', items: ['Biografía lingüística personal', 'Diversidad lingüística del entorno', 'Prejuicios y estereotipos lingüísticos'] },
+        { block: 'B', title: 'Comunicación', items: ['Contexto', 'Los géneros discursivos', 'Procesos de comprensión y producción oral y escrita', 'Alfabetización informacional'] },
+        { block: 'C', title: 'Educación literaria', items: ['Lectura de obras diversas', 'Estrategias de interpretación de textos literarios', 'Recursos literarios básicos'] },
+        { block: 'D', title: 'Reflexión sobre la lengua', items: ['Clases de palabras', 'Relación entre intención comunicativa y modalidad oracional', 'Mecanismos de coherencia y cohesión', 'Ortografía y puntuación'] }
+      ]
+    },
+    eso: {
+      name: 'Lengua Castellana y Literatura',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Describir y apreciar la diversidad lingüística del mundo a partir del reconocimiento de las lenguas del alumnado y de la realidad plurilingüe y pluricultural de España, para favorecer la reflexión interlingüística, combatir los prejuicios y estereotipos lingüísticos y valorar esta diversidad como fuente de riqueza cultural.',
+          descriptors: ['CCL1', 'CCL5', 'CP2', 'CP3', 'CC1', 'CC2', 'CCEC1', 'CCEC3'],
+          criteria: [
+            { code: '1.1', description: 'Reconocer y valorar las lenguas de España y las variedades dialectales del español, con especial atención a la del propio territorio, identificando algunas nociones básicas de las lenguas.', difficulty: 'fácil' },
+            { code: '1.2', description: 'Identificar y cuestionar prejuicios y estereotipos lingüísticos adoptando una actitud de respeto y valoración de la riqueza cultural, lingüística y dialectal.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Comprender, interpretar y valorar textos escritos, con sentido crítico y diferentes propósitos de lectura, reconociendo el sentido global y las ideas principales y secundarias, identificando la intención del emisor, reflexionando sobre el contenido y la forma y evaluando su calidad y fiabilidad, para dar respuesta a necesidades e intereses comunicativos diversos y para construir conocimiento.',
+          descriptors: ['CCL2', 'CCL3', 'CCL5', 'CP2', 'STEM4', 'CD1', 'CPSAA4', 'CC3'],
+          criteria: [
+            { code: '4.1', description: 'Comprender e interpretar el sentido global, la estructura, la información más relevante y la intención del emisor de textos escritos y multimodales sencillos de diferentes ámbitos.', difficulty: 'fácil' },
+            { code: '4.2', description: 'Valorar la forma y el contenido de textos evaluando su calidad y fiabilidad, así como la eficacia de los procedimientos lingüísticos empleados.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Producir textos escritos y multimodales coherentes, cohesionados, adecuados y correctos, atendiendo a las convenciones propias del género discursivo elegido, para construir conocimiento y dar respuesta de manera informada, eficaz y creativa a demandas comunicativas concretas.',
+          descriptors: ['CCL1', 'CCL3', 'CCL5', 'STEM1', 'CD2', 'CD3', 'CPSAA5', 'CC2'],
+          criteria: [
+            { code: '5.1', description: 'Planificar la redacción de textos escritos y multimodales sencillos atendiendo a la situación comunicativa, destinatario, propósito y canal.', difficulty: 'medio' },
+            { code: '5.2', description: 'Incorporar procedimientos básicos para enriquecer los textos, atendiendo a aspectos discursivos, lingüísticos y de estilo, con precisión léxica y corrección ortográfica y gramatical.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE8',
+          description: 'Leer, interpretar y valorar obras o fragmentos literarios del patrimonio nacional y universal, utilizando un metalenguaje específico y movilizando la experiencia biográfica y los conocimientos literarios y culturales, para establecer vínculos entre textos diversos y otras manifestaciones artísticas.',
+          descriptors: ['CCL1', 'CCL4', 'CC1', 'CCEC1', 'CCEC2', 'CCEC3', 'CCEC4'],
+          criteria: [
+            { code: '8.1', description: 'Explicar y argumentar la interpretación de las obras leídas a partir del análisis de las relaciones internas de sus elementos constitutivos con el sentido de la obra.', difficulty: 'difícil' },
+            { code: '8.2', description: 'Establecer de manera guiada vínculos argumentados entre los textos leídos y otros textos escritos, orales o multimodales, así como con otras manifestaciones artísticas.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE9',
+          description: 'Movilizar el conocimiento sobre la estructura de la lengua y sus usos y reflexionar de manera progresivamente autónoma sobre las elecciones lingüísticas y discursivas, con la terminología adecuada, para desarrollar la conciencia lingüística, aumentar el repertorio comunicativo y mejorar las destrezas tanto de producción oral y escrita como de comprensión e interpretación crítica.',
+          descriptors: ['CCL1', 'CCL2', 'CP2', 'STEM1', 'STEM2', 'CPSAA5'],
+          criteria: [
+            { code: '9.1', description: 'Revisar los propios textos y hacer propuestas de mejora argumentando los cambios a partir de la reflexión metalingüística e interlingüística y con un metalenguaje específico.', difficulty: 'medio' },
+            { code: '9.2', description: 'Explicar y argumentar la interrelación entre el propósito comunicativo y las elecciones lingüísticas del emisor, así como sus efectos en el receptor.', difficulty: 'difícil' },
+            { code: '9.3', description: 'Formular generalizaciones sobre algunos aspectos del funcionamiento de la lengua a partir de la observación, la comparación y la transformación de enunciados.', difficulty: 'fácil' }
+          ]
+        },
+        {
+          code: 'CE10',
+          description: 'Poner las prácticas comunicativas al servicio de la convivencia democrática, la resolución dialogada de los conflictos y la igualdad de derechos de todas las personas, utilizando un lenguaje no discriminatorio y desterrando los abusos de poder a través de la palabra.',
+          descriptors: ['CCL1', 'CCL5', 'CP3', 'CD3', 'CPSAA3', 'CC1', 'CC2', 'CC3'],
+          criteria: [
+            { code: '10.1', description: 'Identificar y desterrar los usos discriminatorios de la lengua, los abusos de poder a través de la palabra y los usos manipuladores del lenguaje a partir de la reflexión y el análisis de los elementos lingüísticos, textuales y discursivos utilizados.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Las lenguas y sus hablantes', items: ['Lenguas de España y variedades dialectales del español', 'Fenómenos del contacto entre lenguas', 'Prejuicios y estereotipos lingüísticos'] },
+        { block: 'B', title: 'Comunicación', items: ['Contexto', 'Géneros discursivos', 'Procesos de comprensión y producción', 'Reconocimiento y uso discursivo de los elementos lingüísticos', 'Alfabetización mediática e informacional'] },
+        { block: 'C', title: 'Educación literaria', items: ['Lectura autónoma', 'Lectura guiada de obras del patrimonio literario', 'Géneros literarios y recursos estilísticos'] },
+        { block: 'D', title: 'Reflexión sobre la lengua', items: ['Categorías gramaticales', 'Relación entre la estructura semántica y sintáctica de la oración simple', 'Procedimientos de adquisición y formación de palabras', 'Relaciones semánticas entre palabras', 'Ortografía y puntuación'] }
+      ]
+    },
+    bachillerato: {
+      name: 'Lengua Castellana y Literatura I y II',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Explicar y apreciar la diversidad lingüística del mundo a partir del conocimiento de la realidad plurilingüe y pluricultural de España y la riqueza dialectal del español, así como de la reflexión sobre los fenómenos del contacto entre lenguas, para favorecer la reflexión interlingüística, para refutar los prejuicios y estereotipos lingüísticos y para valorar esta diversidad como fuente de patrimonio cultural.',
+          descriptors: ['CCL1', 'CCL5', 'CP2', 'CP3', 'CPSAA3', 'CC1', 'CC2', 'CCEC1'],
+          criteria: [
+            { code: '1.1', description: 'Reconocer y valorar las lenguas de España y las variedades dialectales del español, explicando su origen y desarrollo histórico y sociolingüístico.', difficulty: 'medio' },
+            { code: '1.2', description: 'Cuestionar y refutar prejuicios y estereotipos lingüísticos adoptando una actitud de respeto y valoración de la riqueza cultural, lingüística y dialectal.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Comprender, interpretar y valorar textos escritos, con sentido crítico y diferentes propósitos de lectura, reconociendo el sentido global y las ideas principales y secundarias, integrando la información explícita y realizando las inferencias necesarias, identificando la intención del emisor, reflexionando sobre el contenido y la forma y evaluando su calidad, fiabilidad e idoneidad del canal utilizado, para dar respuesta a necesidades e intereses comunicativos diversos y para construir conocimiento.',
+          descriptors: ['CCL2', 'CCL3', 'CCL5', 'CP2', 'STEM4', 'CD1', 'CPSAA4', 'CC3'],
+          criteria: [
+            { code: '4.1', description: 'Identificar el sentido global, la estructura, la información relevante y la intención del emisor de textos escritos y multimodales especializados, con especial atención a textos académicos y de los medios de comunicación, realizando las inferencias necesarias.', difficulty: 'medio' },
+            { code: '4.2', description: 'Valorar la forma y el contenido de textos complejos evaluando su calidad, la fiabilidad e idoneidad del canal utilizado, así como la eficacia de los procedimientos comunicativos empleados.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE8',
+          description: 'Leer, interpretar y valorar obras relevantes de la literatura española e hispanoamericana, utilizando un metalenguaje específico y movilizando la experiencia biográfica y los conocimientos literarios y culturales, para establecer vínculos entre textos diversos, para conformar un mapa cultural, para ensanchar las posibilidades de disfrute de la literatura y para crear textos de intención literaria.',
+          descriptors: ['CCL1', 'CCL4', 'CC1', 'CCEC1', 'CCEC2', 'CCEC3', 'CCEC4'],
+          criteria: [
+            { code: '8.1', description: 'Explicar y argumentar la interpretación de las obras leídas mediante el análisis de las relaciones internas de sus elementos constitutivos con el sentido de la obra y de las relaciones externas del texto con su contexto sociohistórico y con la tradición literaria.', difficulty: 'difícil' },
+            { code: '8.2', description: 'Desarrollar proyectos de investigación que se concreten en una exposición oral, un ensayo o una presentación multimodal, estableciendo vínculos argumentados entre los clásicos de la literatura española objeto de lectura guiada y otros textos y manifestaciones artísticas.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE9',
+          description: 'Consolidar y profundizar en el conocimiento explícito y sistemático sobre la estructura de la lengua y sus usos, y reflexionar de manera autónoma sobre las elecciones lingüísticas y discursivas, con la terminología adecuada, para desarrollar la conciencia lingüística, para aumentar el repertorio comunicativo y para mejorar las destrezas tanto de producción oral y escrita como de comprensión e interpretación crítica.',
+          descriptors: ['CCL1', 'CCL2', 'CP2', 'STEM1', 'STEM2', 'CPSAA5'],
+          criteria: [
+            { code: '9.1', description: 'Revisar los propios textos y hacer propuestas de mejora argumentando los cambios a partir de la reflexión metalingüística e interlingüística y utilizando un metalenguaje específico.', difficulty: 'fácil' },
+            { code: '9.2', description: 'Explicar y argumentar la interrelación entre el propósito comunicativo y las elecciones lingüísticas del emisor, así como sus efectos en el receptor, utilizando el conocimiento explícito de la lengua y un metalenguaje específico.', difficulty: 'medio' },
+            { code: '9.3', description: 'Elaborar y presentar los resultados de pequeños proyectos de investigación sobre aspectos relevantes del funcionamiento de la lengua, formulando hipótesis y estableciendo generalizaciones.', difficulty: 'difícil' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Las lenguas y sus hablantes', items: ['Desarrollo sociohistórico y situación actual de las lenguas de España', 'Estudio comparativo de las principales variedades dialectales del español', 'Diglosia, bilingüismo y lenguas minorizadas'] },
+        { block: 'B', title: 'Comunicación', items: ['Contexto', 'Géneros discursivos académicos y de los medios de comunicación', 'Procesos de comprensión y producción', 'Alfabetización mediática e informacional'] },
+        { block: 'C', title: 'Educación literaria', items: ['Lectura autónoma', 'Lectura guiada de clásicos de la literatura española desde la Edad Media hasta la actualidad', 'Literatura hispanoamericana'] },
+        { block: 'D', title: 'Reflexión sobre la lengua', items: ['La lengua como sistema', 'Estructura semántica y sintáctica de la oración compuesta', 'Relaciones semánticas y procesos de formación de palabras', 'Mecanismos de cohesión textual'] }
+      ]
+    }
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * Matemáticas: Primaria (RD 157/2022), ESO (RD 217/2022) and
+ * Matemáticas I/II of the Ciencias y Tecnología Bachillerato (RD 243/2022).
+ */
+
+module.exports = {
+  id: 'matematicas',
+  code: 'MAT',
+  name: 'Matemáticas',
+  aliases: ['Matemáticas', 'Mates', 'Matemáticas I', 'Matemáticas II'],
+  stages: {
+    primaria: {
+      name: 'Matemáticas',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Interpretar situaciones de la vida cotidiana, proporcionando una representación matemática de las mismas mediante conceptos, herramientas y estrategias, para analizar la información más relevante.',
+          descriptors: ['STEM1', 'STEM2', 'STEM4', 'CD2', 'CCEC4'],
+          criteria: [
+            { code: '1.1', description: 'Comprender problemas de la vida cotidiana a través de la reformulación de la pregunta, de forma verbal y gráfica.', difficulty: 'fácil' },
+            { code: '1.2', description: 'Elaborar representaciones matemáticas que ayuden en la búsqueda y elección de estrategias y herramientas para la resolución de una situación problematizada.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE2',
+          description: 'Resolver situaciones problematizadas, aplicando diferentes técnicas, estrategias y formas de razonamiento, para explorar distintas maneras de proceder, obtener soluciones y asegurar su validez.',
+          descriptors: ['STEM1', 'STEM2', 'CPSAA4', 'CPSAA5', 'CE3'],
+          criteria: [
+            { code: '2.1', description: 'Comparar entre diferentes estrategias para resolver un problema de forma pautada.', difficulty: 'fácil' },
+            { code: '2.2', description: 'Obtener posibles soluciones de un problema siguiendo alguna estrategia conocida.', difficulty: 'medio' },
+            { code: '2.3', description: 'Demostrar la corrección matemática de las soluciones de un problema y su coherencia en el contexto planteado.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE3',
+          description: 'Explorar, formular y comprobar conjeturas sencillas o plantear problemas de tipo matemático en situaciones basadas en la vida cotidiana, de forma guiada, reconociendo el valor del razonamiento y la argumentación.',
+          descriptors: ['CCL1', 'STEM1', 'STEM2', 'CD1', 'CD3', 'CE3'],
+          criteria: [
+            { code: '3.1', description: 'Formular conjeturas matemáticas sencillas investigando patrones, propiedades y relaciones de forma guiada.', difficulty: 'medio' },
+            { code: '3.2', description: 'Plantear nuevos problemas sobre situaciones cotidianas que se resuelvan matemáticamente.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Utilizar el pensamiento computacional, organizando datos, descomponiendo en partes, reconociendo patrones, generalizando e interpretando, modificando y creando algoritmos de forma guiada, para modelizar y automatizar situaciones de la vida cotidiana.',
+          descriptors: ['STEM1', 'STEM2', 'STEM3', 'CD1', 'CD3', 'CD5', 'CE3'],
+          criteria: [
+            { code: '4.1', description: 'Automatizar situaciones sencillas de la vida cotidiana que se realicen paso a paso o sigan una rutina utilizando de forma pautada principios básicos del pensamiento computacional.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Reconocer y utilizar conexiones entre las diferentes ideas matemáticas, así como identificar las matemáticas implicadas en otras áreas o en la vida cotidiana, para interpretar situaciones y contextos diversos.',
+          descriptors: ['STEM1', 'STEM3', 'CD3', 'CD5', 'CC4', 'CCEC1'],
+          criteria: [
+            { code: '5.1', description: 'Utilizar conexiones entre diferentes elementos matemáticos movilizando conocimientos y experiencias propios.', difficulty: 'fácil' },
+            { code: '5.2', description: 'Utilizar las conexiones entre las matemáticas, otras áreas y la vida cotidiana para resolver problemas en contextos no matemáticos.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE6',
+          description: 'Comunicar y representar, de forma individual y colectiva, conceptos, procedimientos y resultados matemáticos, utilizando el lenguaje oral, escrito, gráfico, multimodal y la terminología apropiados.',
+          descriptors: ['CCL1', 'CCL3', 'STEM2', 'STEM4', 'CD1', 'CD5', 'CE3', 'CCEC4'],
+          criteria: [
+            { code: '6.1', description: 'Reconocer lenguaje matemático sencillo presente en la vida cotidiana en diferentes formatos, adquiriendo vocabulario apropiado.', difficulty: 'fácil' },
+            { code: '6.2', description: 'Explicar los procesos e ideas matemáticas, los pasos seguidos en la resolución de un problema o los resultados obtenidos.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Sentido numérico', items: ['Conteo', 'Cantidad', 'Sentido de las operaciones', 'Relaciones', 'Educación financiera'] },
+        { block: 'B', title: 'Sentido de la medida', items: ['Magnitud', 'Medición', 'Estimación y relaciones'] },
+        { block: 'C', title: 'Sentido espacial', items: ['Figuras geométricas de dos y tres dimensiones', 'Localización y sistemas de representación', 'Movimientos y transformaciones', 'Visualización, razonamiento y modelización geométrica'] },
+        { block: 'D', title: 'Sentido algebraico', items: ['Patrones', 'Modelo matemático', 'Relaciones y funciones', 'Pensamiento computacional'] },
+        { block: 'E', title: 'Sentido estocástico', items: ['Organización y análisis de datos', 'Incertidumbre', 'Inferencia'] },
+        { block: 'F', title: 'Sentido socioafectivo', items: ['Creencias, actitudes y emociones', 'Trabajo en equipo, inclusión, respeto y diversidad'] }
+      ]
+    },
+    eso: {
+      name: 'Matemáticas',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Interpretar, modelizar y resolver problemas de la vida cotidiana y propios de las matemáticas, aplicando diferentes estrategias y formas de razonamiento, para explorar distintas maneras de proceder y obtener posibles soluciones.',
+          descriptors: ['STEM1', 'STEM2', 'STEM3', 'STEM4', 'CD2', 'CPSAA5', 'CE3', 'CCEC4'],
+          criteria: [
+            { code: '1.1', description: 'Interpretar problemas matemáticos organizando los datos, estableciendo las relaciones entre ellos y comprendiendo las preguntas formuladas.', difficulty: 'fácil' },
+            { code: '1.2', description: 'Aplicar herramientas y estrategias apropiadas que contribuyan a la resolución de problemas.', difficulty: 'medio' },
+            { code: '1.3', description: 'Obtener soluciones matemáticas de un problema, activando los conocimientos y utilizando las herramientas tecnológicas necesarias.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE2',
+          description: 'Analizar las soluciones de un problema usando diferentes técnicas y herramientas, evaluando las respuestas obtenidas, para verificar su validez e idoneidad desde un punto de vista matemático y su repercusión global.',
+          descriptors: ['STEM1', 'STEM2', 'CD2', 'CPSAA4', 'CC3', 'CE3'],
+          criteria: [
+            { code: '2.1', description: 'Comprobar la corrección matemática de las soluciones de un problema.', difficulty: 'medio' },
+            { code: '2.2', description: 'Comprobar la validez de las soluciones de un problema y su coherencia en el contexto planteado, evaluando el alcance y repercusión de estas desde diferentes perspectivas.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE3',
+          description: 'Formular y comprobar conjeturas sencillas o plantear problemas de forma autónoma, reconociendo el valor del razonamiento y la argumentación, para generar nuevo conocimiento.',
+          descriptors: ['CCL1', 'STEM1', 'STEM2', 'CD1', 'CD2', 'CD5', 'CE3'],
+          criteria: [
+            { code: '3.1', description: 'Formular y comprobar conjeturas sencillas de forma guiada analizando patrones, propiedades y relaciones.', difficulty: 'medio' },
+            { code: '3.2', description: 'Plantear variantes de un problema dado modificando alguno de sus datos o alguna condición del problema.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE4',
+          description: 'Utilizar los principios del pensamiento computacional organizando datos, descomponiendo en partes, reconociendo patrones, interpretando, modificando y creando algoritmos para modelizar situaciones y resolver problemas de forma eficaz.',
+          descriptors: ['STEM1', 'STEM2', 'STEM3', 'CD2', 'CD3', 'CD5', 'CE3'],
+          criteria: [
+            { code: '4.1', description: 'Reconocer patrones, organizar datos y descomponer un problema en partes más simples facilitando su interpretación computacional.', difficulty: 'medio' },
+            { code: '4.2', description: 'Modelizar situaciones y resolver problemas de forma eficaz interpretando y modificando algoritmos.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Reconocer y utilizar conexiones entre los diferentes elementos matemáticos, interconectando conceptos y procedimientos, para desarrollar una visión de las matemáticas como un todo integrado.',
+          descriptors: ['STEM1', 'STEM3', 'CD2', 'CD3', 'CCEC1'],
+          criteria: [
+            { code: '5.1', description: 'Reconocer las relaciones entre los conocimientos y experiencias matemáticas, formando un todo coherente.', difficulty: 'medio' },
+            { code: '5.2', description: 'Realizar conexiones entre diferentes procesos matemáticos aplicando conocimientos y experiencias previas.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE6',
+          description: 'Identificar las matemáticas implicadas en otras materias y en situaciones reales susceptibles de ser abordadas en términos matemáticos, interrelacionando conceptos y procedimientos, para aplicarlos en situaciones diversas.',
+          descriptors: ['STEM1', 'STEM2', 'CD3', 'CD5', 'CC4', 'CE2', 'CE3', 'CCEC1'],
+          criteria: [
+            { code: '6.1', description: 'Reconocer situaciones susceptibles de ser formuladas y resueltas mediante herramientas y estrategias matemáticas, estableciendo conexiones entre el mundo real y las matemáticas.', difficulty: 'fácil' },
+            { code: '6.2', description: 'Identificar conexiones coherentes entre las matemáticas y otras materias resolviendo problemas contextualizados.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE7',
+          description: 'Representar, de forma individual y colectiva, los conceptos, procedimientos, información y resultados matemáticos, usando diferentes tecnologías, para visualizar ideas y estructurar procesos matemáticos.',
+          descriptors: ['STEM3', 'STEM4', 'CD1', 'CD2', 'CD5', 'CE3', 'CCEC4'],
+          criteria: [
+            { code: '7.1', description: 'Representar conceptos, procedimientos, información y resultados matemáticos de modos distintos y con diferentes herramientas.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE8',
+          description: 'Comunicar de forma individual y colectiva conceptos, procedimientos y argumentos matemáticos, usando lenguaje oral, escrito o gráfico, utilizando la terminología matemática apropiada, para dar significado y coherencia a las ideas matemáticas.',
+          descriptors: ['CCL1', 'CCL3', 'CP1', 'STEM2', 'STEM4', 'CD2', 'CD3', 'CE3', 'CCEC3'],
+          criteria: [
+            { code: '8.1', description: 'Comunicar información utilizando el lenguaje matemático apropiado, utilizando diferentes medios, incluidos los digitales.', difficulty: 'fácil' },
+            { code: '8.2', description: 'Reconocer y emplear el lenguaje matemático presente en la vida cotidiana comunicando mensajes con contenido matemático con precisión y rigor.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Sentido numérico', items: ['Conteo', 'Cantidad', 'Sentido de las operaciones', 'Relaciones', 'Razonamiento proporcional', 'Educación financiera'] },
+        { block: 'B', title: 'Sentido de la medida', items: ['Magnitud', 'Medición', 'Cambio'] },
+        { block: 'C', title: 'Sentido espacial', items: ['Figuras geométricas de dos y tres dimensiones', 'Localización y sistemas de representación', 'Movimientos y transformaciones', 'Visualización, razonamiento y modelización geométrica'] },
+        { block: 'D', title: 'Sentido algebraico', items: ['Patrones', 'Modelo matemático', 'Variable', 'Igualdad y desigualdad', 'Relaciones y funciones', 'Pensamiento computacional'] },
+        { block: 'E', title: 'Sentido estocástico', items: ['Organización y análisis de datos', 'Incertidumbre', 'Inferencia'] },
+        { block: 'F', title: 'Sentido socioafectivo', items: ['Creencias, actitudes y emociones', 'Trabajo en equipo y toma de decisiones', 'Inclusión, respeto y diversidad'] }
+      ]
+    },
+    bachillerato: {
+      name: 'Matemáticas I y II',
+      competencies: [
+        {
+          code: 'CE1',
+          description: 'Modelizar y resolver problemas de la vida cotidiana y de la ciencia y la tecnología aplicando diferentes estrategias y formas de razonamiento, para obtener posibles soluciones.',
+          descriptors: ['STEM1', 'STEM2', 'STEM3', 'CD2', 'CD5', 'CE3'],
+          criteria: [
+            { code: '1.1', description: 'Manejar algunas estrategias y herramientas, incluidas las digitales, en la modelización y resolución de problemas, evaluando su eficiencia en cada caso.', difficulty: 'medio' },
+            { code: '1.2', description: 'Obtener todas las posibles soluciones matemáticas de problemas de la vida cotidiana y de la ciencia y la tecnología, describiendo el procedimiento utilizado.', difficulty: 'difícil' }
+          ]
+        },
+        {
+          code: 'CE2',
+          description: 'Verificar la validez de las posibles soluciones de un problema empleando el razonamiento y la argumentación, para contrastar su idoneidad.',
+          descriptors: ['STEM1', 'STEM2', 'CD3', 'CPSAA4', 'CC3', 'CE3'],
+          criteria: [
+            { code: '2.1', description: 'Demostrar la validez matemática de las posibles soluciones de un problema utilizando el razonamiento y la argumentación.', difficulty: 'difícil' },
+            { code: '2.2', description: 'Seleccionar la solución más adecuada de un problema en función del contexto, justificando la elección.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE3',
+          description: 'Formular o investigar conjeturas o problemas, utilizando el razonamiento, la argumentación, la creatividad y el uso de herramientas tecnológicas, para generar nuevo conocimiento matemático.',
+          descriptors: ['CCL1', 'STEM1', 'STEM2', 'CD1', 'CD2', 'CD3', 'CD5', 'CE3'],
+          criteria: [
+            { code: '3.1', description: 'Adquirir nuevo conocimiento matemático a partir de la formulación de conjeturas y problemas de forma guiada.', difficulty: 'difícil' },
+            { code: '3.2', description: 'Emplear herramientas tecnológicas adecuadas en la investigación y comprobación de conjeturas o problemas.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE5',
+          description: 'Establecer, investigar y utilizar conexiones entre las diferentes ideas matemáticas, estableciendo vínculos entre conceptos, procedimientos, argumentos y modelos, para dar significado y estructurar el aprendizaje matemático.',
+          descriptors: ['STEM1', 'STEM3', 'CD2', 'CD3', 'CCEC1'],
+          criteria: [
+            { code: '5.1', description: 'Manifestar una visión matemática integrada, investigando y conectando las diferentes ideas matemáticas.', difficulty: 'difícil' },
+            { code: '5.2', description: 'Resolver problemas estableciendo y aplicando conexiones entre las diferentes ideas matemáticas.', difficulty: 'medio' }
+          ]
+        },
+        {
+          code: 'CE8',
+          description: 'Comunicar las ideas matemáticas, de forma individual y colectiva, empleando el soporte, la terminología y el rigor apropiados, para organizar y consolidar el pensamiento matemático.',
+          descriptors: ['CCL1', 'CCL3', 'CP1', 'STEM2', 'STEM4', 'CD2', 'CD3', 'CCEC3'],
+          criteria: [
+            { code: '8.1', description: 'Mostrar organización al comunicar las ideas matemáticas empleando el soporte, la terminología y el rigor apropiados.', difficulty: 'fácil' },
+            { code: '8.2', description: 'Reconocer y emplear el lenguaje matemático en diferentes contextos, comunicando la información con precisión y rigor.', difficulty: 'medio' }
+          ]
+        }
+      ],
+      basicKnowledge: [
+        { block: 'A', title: 'Sentido numérico', items: ['Sentido de las operaciones con números reales y complejos', 'Relaciones entre conjuntos numéricos'] },
+        { block: 'B', title: 'Sentido de la medida', items: ['Medición', 'Cambio: límites, continuidad y derivadas', 'Cálculo integral'] },
+        { block: 'C', title: 'Sentido espacial', items: ['Formas geométricas de dos y tres dimensiones', 'Localización y sistemas de representación', 'Vectores en el plano y el espacio'] },
+        { block: 'D', title: 'Sentido algebraico', items: ['Patrones', 'Modelo matemático', 'Igualdad y desigualdad', 'Relaciones y funciones', 'Matrices y sistemas de ecuaciones', 'Pensamiento computacional'] },
+        { block: 'E', title: 'Sentido estocástico', items: ['Organización y análisis de datos bidimensionales', 'Incertidumbre y probabilidad', 'Distribuciones de probabilidad', 'Inferencia'] },
+        { block: 'F', title: 'Sentido socioafectivo', items: ['Creencias, actitudes y emociones', 'Trabajo en equipo y toma de decisiones', 'Inclusión, respeto y diversidad'] }
+      ]
+    }
+  }
+};
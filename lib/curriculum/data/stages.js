@@ -0,0 +1,24 @@
+/**
+ * Etapas educativas and the royal decree that sets their minimum teaching.
+ */
+
+module.exports = [
+  {
+    id: 'primaria',
+    name: 'Educación Primaria',
+    decree: 'RD 157/2022',
+    courses: ['1º Primaria', '2º Primaria', '3º Primaria', '4º Primaria', '5º Primaria', '6º Primaria']
+  },
+  {
+    id: 'eso',
+    name: 'Educación Secundaria Obligatoria',
+    decree: 'RD 217/2022',
+    courses: ['1º ESO', '2º ESO', '3º ESO', '4º ESO']
+  },
+  {
+    id: 'bachillerato',
+    name: 'Bachillerato',
+    decree: 'RD 243/2022',
+    courses: ['1º Bachillerato', '2º Bachillerato']
+  }
+];
@@ -0,0 +1,275 @@
+/**
+ * 📚 LOMLOE CURRICULUM
+ * Versioned, queryable copy of the curriculum: the eight key competencies
+ * and their descriptors, and per subject and stage the specific
+ * competencies, evaluation criteria and basic knowledge blocks. The data
+ * lives in ./data; this module indexes it and gives every element a stable
+ * ID (e.g. criterion MAT.ESO.1.2) that generated questions can target.
+ */
+
+const keyCompetencies = require('./data/key-competencies');
+const stages = require('./data/stages');
+const { normalizeText } = require('../question-types');
+
+// Bump whenever the data changes in a way that alters IDs or wording
+const VERSION = '2022.1';
+
+const SUBJECTS = [
+  require('./data/matematicas'),
+  require('./data/lengua'),
+  require('./data/ciencias'),
+  require('./data/historia'),
+  require('./data/ingles')
+];
+
+const STAGE_CODES = { primaria: 'PRI', eso: 'ESO', bachillerato: 'BACH' };
+
+class CurriculumError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'CurriculumError';
+    this.status = status;
+  }
+}
+
+// STEM3 -> STEM, CPSAA1 -> CPSAA
+const keyCompetencyOf = descriptor => descriptor.replace(/\d+$/, '');
+
+/**
+ * Resolve IDs and the key competencies each specific competency feeds into.
+ * Throws at load time on duplicate IDs so a data edit cannot silently shadow
+ * an existing criterion.
+ */
+function buildIndex() {
+  const criteria = new Map();
+  const curricula = new Map();
+
+  for (const subject of SUBJECTS) {
+    for (const [stageId, data] of Object.entries(subject.stages)) {
+      const prefix = `${data.code || subject.code}.${STAGE_CODES[stageId]}`;
+
+      const curriculum = {
+        subject: subject.id,
+        stage: stageId,
+        name: data.name,
+        competencies: data.competencies.map(competency => ({
+          id: `${prefix}.${competency.code}`,
+          code: competency.code,
+          description: competency.description,
+          descriptors: competency.descriptors,
+          keyCompetencies: [...new Set(competency.descriptors.map(keyCompetencyOf))],
+          criteria: competency.criteria.map(criterion => ({
+            id: `${prefix}.${criterion.code}`,
+            ...criterion
+          }))
+        })),
+        basicKnowledge: data.basicKnowledge.map(block => ({ id: `${prefix}.${block.block}`, ...block }))
+      };
+
+      for (const competency of curriculum.competencies) {
+        for (const criterion of competency.criteria) {
+          if (criteria.has(criterion.id)) throw new Error(`Duplicate curriculum criterion ${criterion.id}`);
+          criteria.set(criterion.id, { criterion, competency, curriculum });
+        }
+      }
+      curricula.set(`${subject.id}:${stageId}`, curriculum);
+    }
+  }
+
+  return { criteria, curricula };
+}
+
+const index = buildIndex();
+
+function getKeyCompetency(code) {
+  return keyCompetencies.find(competency => competency.code === String(code).toUpperCase()) || null;
+}
+
+function getStage(stageId) {
+  return stages.find(stage => stage.id === stageId) || null;
+}
+
+/**
+ * Map free-text subject names ("Matemáticas", "Biología y Geología",
+ * "ingles") to a subject ID, or null when the curriculum doesn't cover it.
+ */
+function resolveSubject(name) {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const wanted = normalizeText(name);
+  const subject = SUBJECTS.find(s =>
+    [s.id, s.name, ...s.aliases, ...Object.values(s.stages).map(stage => stage.name)]
+      .some(candidate => normalizeText(candidate) === wanted)
+  );
+  return subject ? subject.id : null;
+}
+
+/**
+ * "3º ESO" -> { stage: 'eso', course: '3º ESO' }; "Bachillerato" ->
+ * { stage: 'bachillerato', course: null }. Null when no stage is recognisable.
+ */
+function parseLevel(level) {
+  if (typeof level !== 'string') return null;
+  const text = normalizeText(level);
+
+  const stageId = /bachiller/.test(text) ? 'bachillerato'
+    : /\beso\b|secundaria/.test(text) ? 'eso'
+    : /primaria/.test(text) ? 'primaria'
+    : null;
+  if (!stageId) return null;
+
+  const number = parseInt((text.match(/\d+/) || [])[0], 10);
+  const course = getStage(stageId).courses[number - 1] || null;
+  return { stage: stageId, course };
+}
+
+function getCurriculum(subjectId, stageId) {
+  return index.curricula.get(`${subjectId}:${stageId}`) || null;
+}
+
+/**
+ * A criterion with the context a prompt or a client needs: its specific
+ * competency, the key competencies it contributes to and where it belongs.
+ */
+function describeCriterion({ criterion, competency, curriculum }) {
+  return {
+    id: criterion.id,
+    code: criterion.code,
+    description: criterion.description,
+    difficulty: criterion.difficulty,
+    subject: curriculum.subject,
+    subjectName: curriculum.name,
+    stage: curriculum.stage,
+    specificCompetency: {
+      id: competency.id,
+      code: competency.code,
+      description: competency.description
+    },
+    descriptors: competency.descriptors,
+    keyCompetencies: competency.keyCompetencies
+  };
+}
+
+function getCriterion(id) {
+  const entry = index.criteria.get(String(id));
+  return entry ? describeCriterion(entry) : null;
+}
+
+/**
+ * Criteria matching every given filter. `level` is a free-text level as sent
+ * by clients; `stage` takes precedence when both are given.
+ */
+function findCriteria({ subject, stage, level, difficulty, keyCompetency } = {}) {
+  const subjectId = subject ? resolveSubject(subject) : null;
+  const stageId = stage || parseLevel(level)?.stage;
+  if ((subject && !subjectId) || (level && !stageId)) return [];
+
+  const wantedKey = keyCompetency ? String(keyCompetency).toUpperCase() : null;
+
+  return [...index.criteria.values()]
+    .filter(({ criterion, competency, curriculum }) =>
+      (!subjectId || curriculum.subject === subjectId) &&
+      (!stageId || curriculum.stage === stageId) &&
+      (!difficulty || criterion.difficulty === difficulty) &&
+      (!wantedKey || competency.keyCompetencies.includes(wantedKey)))
+    .map(describeCriterion);
+}
+
+/**
+ * Pick a criterion for a new question. Prefers the target difficulty and
+ * criteria not in `recent` (most recent first); when every candidate was used
+ * recently, the one used longest ago wins. Null when the subject or level is
+ * outside the curriculum.
+ */
+function selectCriterion({ subject, level, difficulty, keyCompetency, recent = [] }) {
+  const base = { subject, level, keyCompetency };
+  let candidates = findCriteria({ ...base, difficulty });
+  if (candidates.length === 0) candidates = findCriteria(base);
+  if (candidates.length === 0) return null;
+
+  const unused = candidates.filter(criterion => !recent.includes(criterion.id));
+  if (unused.length > 0) return unused[Math.floor(Math.random() * unused.length)];
+
+  return candidates.reduce((oldest, criterion) =>
+    recent.indexOf(criterion.id) > recent.indexOf(oldest.id) ? criterion : oldest);
+}
+
+/**
+ * Competency label stored on questions, e.g.
+ * "Matemáticas CE2 (STEM, CD, CPSAA, CC, CE)".
+ */
+function competencyLabel(criterion) {
+  return `${criterion.subjectName} ${criterion.specificCompetency.code} (${criterion.keyCompetencies.join(', ')})`;
+}
+
+/**
+ * Resolve what a question should assess. An explicit `criterionId` must
+ * exist and belong to the requested subject and level (400 otherwise);
+ * without one a criterion is selected for the target difficulty. Subjects
+ * outside the curriculum get no criterion and a generic label.
+ */
+function targetFor({ subject, level, difficulty, criterionId, keyCompetency, recent }) {
+  if (keyCompetency !== undefined && !getKeyCompetency(keyCompetency)) {
+    throw new CurriculumError(`Unknown key competency: ${keyCompetency}`, 400);
+  }
+
+  let criterion;
+  if (criterionId !== undefined) {
+    criterion = getCriterion(criterionId);
+    if (!criterion) throw new CurriculumError(`Unknown curriculum criterion: ${criterionId}`, 400);
+
+    const subjectId = resolveSubject(subject);
+    const stageId = parseLevel(level)?.stage;
+    if ((subjectId && subjectId !== criterion.subject) || (stageId && stageId !== criterion.stage)) {
+      throw new CurriculumError(`Criterion ${criterionId} does not belong to ${subject} (${level})`, 400);
+    }
+  } else {
+    criterion = selectCriterion({ subject, level, difficulty, keyCompetency, recent });
+  }
+
+  return {
+    criterion,
+    lomloeCompetency: criterion ? competencyLabel(criterion) : keyCompetency ? getKeyCompetency(keyCompetency).name : 'Competencia general'
+  };
+}
+
+function listSubjects(stageId) {
+  return SUBJECTS
+    .filter(subject => !stageId || subject.stages[stageId])
+    .map(subject => ({
+      id: subject.id,
+      name: subject.name,
+      stages: Object.entries(subject.stages).map(([id, data]) => ({ id, name: data.name }))
+    }));
+}
+
+/**
+ * Overview for GET /api/curriculum.
+ */
+function describe() {
+  return {
+    version: VERSION,
+    stages,
+    keyCompetencies: keyCompetencies.map(({ code, name }) => ({ code, name })),
+    subjects: listSubjects(),
+    totalCriteria: index.criteria.size
+  };
+}
+
+module.exports = {
+  VERSION,
+  CurriculumError,
+  keyCompetencies,
+  stages,
+  getKeyCompetency,
+  getStage,
+  resolveSubject,
+  parseLevel,
+  getCurriculum,
+  getCriterion,
+  findCriteria,
+  selectCriterion,
+  competencyLabel,
+  targetFor,
+  listSubjects,
+  describe
+};
@@ -0,0 +1,202 @@
+/**
+ * 🌐 LOCALES
+ * The learner's language: es, ca, eu, gl or en. It is picked per request
+ * from `locale` (body or query), then Accept-Language, then DEFAULT_LOCALE.
+ *
+ * Each locale in locales/ holds:
+ * - prompts: per AI route, the prompt text. The question generator and the
+ *   free-text grader are written whole in the locale, with `{param}`
+ *   placeholders filled by format(); the other routes are English prompts
+ *   with lines telling the model which language to write explanations,
+ *   feedback and hints in
+ * - messages: texts the API writes itself (moderation support, fallbacks,
+ *   true/false options)
+ * - errors: API error messages, keyed by the English text with `{param}`
+ *   placeholders, and `terms` for the words that fill them
+ *
+ * localize() translates the `error` of every failed JSON response, so the
+ * routes and libraries keep throwing English messages. A message with no
+ * translation is sent in English.
+ */
+
+const { log } = require('../observability');
+
+const LOCALES = {
+  es: require('./locales/es'),
+  ca: require('./locales/ca'),
+  eu: require('./locales/eu'),
+  gl: require('./locales/gl'),
+  en: require('./locales/en')
+};
+
+const CODES = Object.keys(LOCALES);
+
+class LocaleError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'LocaleError';
+    this.status = status;
+  }
+}
+
+// "ca-ES", "CA", "ca_ES" -> "ca"; null when we don't have it
+function parseLocale(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(LOCALES, code) ? code : null;
+}
+
+const DEFAULT_LOCALE = parseLocale(process.env.DEFAULT_LOCALE) || 'es';
+
+if (process.env.DEFAULT_LOCALE && !parseLocale(process.env.DEFAULT_LOCALE)) {
+  log.error('Unknown DEFAULT_LOCALE - using the fallback', { requested: process.env.DEFAULT_LOCALE, locale: DEFAULT_LOCALE });
+}
+
+/**
+ * First supported language of an Accept-Language header, by q value
+ */
+function fromAcceptLanguage(header) {
+  if (!header) return null;
+  const ranges = String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const range of ranges) {
+    const code = parseLocale(range.tag);
+    if (code) return code;
+  }
+  return null;
+}
+
+/**
+ * The request's locale. An explicit `locale` we don't support is a 400;
+ * an Accept-Language we can't serve just falls back to the default.
+ */
+function localeOf(req) {
+  const explicit = req.body?.locale ?? req.query?.locale;
+  if (explicit !== undefined) {
+    const code = parseLocale(explicit);
+    if (!code) throw new LocaleError(`locale must be one of: ${CODES.join(', ')}`, 400);
+    return code;
+  }
+  return fromAcceptLanguage(req.get('accept-language')) || DEFAULT_LOCALE;
+}
+
+function catalog(locale) {
+  return LOCALES[parseLocale(locale) || DEFAULT_LOCALE];
+}
+
+/**
+ * Prompt lines of one AI route, e.g. prompts('ca', 'hint').language
+ */
+function prompts(locale, route) {
+  return catalog(locale).prompts[route];
+}
+
+function message(locale, key) {
+  return catalog(locale).messages[key];
+}
+
+/**
+ * Fill the `{param}` placeholders of a template; unknown ones are left as they are
+ */
+function format(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
+
+// ---- Error messages ----
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// English template -> { pattern, params }, compiled once
+const compiled = new Map();
+
+function compile(template) {
+  if (!compiled.has(template)) {
+    const params = [];
+    const source = template.split(/(\{\w+\})/).map((part) => {
+      const param = /^\{(\w+)\}$/.exec(part);
+      if (!param) return escapeRegExp(part);
+      params.push(param[1]);
+      return '(.+?)';
+    }).join('');
+    compiled.set(template, { pattern: new RegExp(`^${source}$`), params });
+  }
+  return compiled.get(template);
+}
+
+/**
+ * English error message -> the locale's, or the message unchanged when the
+ * locale has no template for it
+ */
+function translateError(locale, text) {
+  if (typeof text !== 'string') return text;
+  const { errors, terms } = catalog(locale);
+  if (Object.prototype.hasOwnProperty.call(errors, text)) return errors[text];
+
+  for (const [template, translation] of Object.entries(errors)) {
+    if (!template.includes('{')) continue;
+    const { pattern, params } = compile(template);
+    const match = pattern.exec(text);
+    if (!match) continue;
+
+    const values = {};
+    params.forEach((name, i) => {
+      const value = match[i + 1];
+      values[name] = Object.prototype.hasOwnProperty.call(terms, value) ? terms[value] : value;
+    });
+    return format(translation, values);
+  }
+  return text;
+}
+
+/**
+ * Middleware: sets req.locale and Content-Language, and translates the
+ * error of failed JSON responses. Register after the body parsers.
+ */
+function localize(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.success === false && typeof body.error === 'string') {
+      body = { ...body, error: translateError(req.locale, body.error) };
+    }
+    return json(body);
+  };
+
+  let failure = null;
+  try {
+    req.locale = localeOf(req);
+  } catch (error) {
+    req.locale = DEFAULT_LOCALE;
+    failure = error;
+  }
+
+  res.set('Content-Language', req.locale);
+  if (failure) return res.status(failure.status).json({ success: false, error: failure.message });
+  next();
+}
+
+function describe() {
+  return CODES.map(code => ({ code, name: LOCALES[code].name, englishName: LOCALES[code].englishName }));
+}
+
+module.exports = {
+  LOCALES,
+  CODES,
+  DEFAULT_LOCALE,
+  LocaleError,
+  parseLocale,
+  localeOf,
+  catalog,
+  prompts,
+  message,
+  format,
+  translateError,
+  localize,
+  describe
+};
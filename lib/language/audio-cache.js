@@ -0,0 +1,190 @@
+/**
+ * 🗃️ AUDIO CACHE
+ * Content-addressed store for synthesized speech: the ID is a hash of
+ * everything that determines the audio (text, voice, speed, model chain),
+ * so an identical request is served without calling the TTS provider and
+ * an ID always names the same bytes. Least recently used entries are
+ * evicted once the total size passes the cap.
+ *
+ * Follows STORAGE_ADAPTER: `file` keeps one file per entry in
+ * DATA_DIR/audio (surviving restarts), `memory` keeps buffers in process.
+ *
+ *   has(id)                        -> boolean
+ *   get(id)                        -> { audio, contentType, size } | null
+ *   put(id, audio, contentType)    -> { id, size }
+ *   stats()                        -> { type, entries, bytes, maxBytes }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../observability');
+
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+// Files are named after their type; audio/mpeg is what the TTS providers return
+const EXTENSIONS = { 'audio/mpeg': 'mp3', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/aac': 'aac' };
+const TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, extension]) => [extension, type]));
+
+const ID_PATTERN = /^[a-f0-9]{64}$/;
+
+function audioId(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function isValidId(id) {
+  return ID_PATTERN.test(id);
+}
+
+/**
+ * LRU bookkeeping shared by both backends. `entries` maps id -> { size, ... }
+ * in least-recently-used-first order.
+ */
+function createIndex(maxBytes, remove) {
+  const entries = new Map();
+  let bytes = 0;
+
+  return {
+    entries,
+    get bytes() {
+      return bytes;
+    },
+    touch(id) {
+      const entry = entries.get(id);
+      entries.delete(id);
+      entries.set(id, entry);
+    },
+    add(id, entry) {
+      if (entries.has(id)) bytes -= entries.get(id).size;
+      entries.delete(id);
+      entries.set(id, entry);
+      bytes += entry.size;
+
+      for (const [oldest, old] of entries) {
+        if (bytes <= maxBytes || oldest === id) break;
+        entries.delete(oldest);
+        bytes -= old.size;
+        remove(oldest, old);
+      }
+    },
+    drop(id) {
+      const entry = entries.get(id);
+      if (!entry) return;
+      entries.delete(id);
+      bytes -= entry.size;
+    }
+  };
+}
+
+function createMemoryAudioCache({ maxBytes }) {
+  const index = createIndex(maxBytes, () => {});
+
+  return {
+    type: 'memory',
+
+    async has(id) {
+      return index.entries.has(id);
+    },
+
+    async get(id) {
+      const entry = index.entries.get(id);
+      if (!entry) return null;
+      index.touch(id);
+      return { audio: entry.audio, contentType: entry.contentType, size: entry.size };
+    },
+
+    async put(id, audio, contentType) {
+      index.add(id, { audio, contentType, size: audio.length });
+      return { id, size: audio.length };
+    },
+
+    stats() {
+      return { type: 'memory', entries: index.entries.size, bytes: index.bytes, maxBytes };
+    }
+  };
+}
+
+function createFileAudioCache({ dir, maxBytes }) {
+  const fileFor = (id, contentType) => path.join(dir, `${id}.${EXTENSIONS[contentType] || 'bin'}`);
+
+  const index = createIndex(maxBytes, (id, entry) => {
+    fs.promises.unlink(entry.file).catch((error) => {
+      if (error.code !== 'ENOENT') log.error('Audio cache eviction error', { error });
+    });
+  });
+
+  // Rebuilt from the directory on first use; modification times (bumped on
+  // every hit) restore the LRU order across restarts
+  let loading = null;
+  function load() {
+    loading = loading || (async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const found = [];
+      for (const name of await fs.promises.readdir(dir)) {
+        const [id, extension] = name.split('.');
+        if (!isValidId(id) || !TYPES[extension]) continue;
+        const file = path.join(dir, name);
+        const stat = await fs.promises.stat(file);
+        found.push({ id, file, contentType: TYPES[extension], size: stat.size, usedAt: stat.mtimeMs });
+      }
+      found.sort((a, b) => a.usedAt - b.usedAt);
+      for (const { id, file, contentType, size } of found) index.add(id, { file, contentType, size });
+    })();
+    return loading;
+  }
+
+  return {
+    type: 'file',
+
+    async has(id) {
+      await load();
+      return index.entries.has(id);
+    },
+
+    async get(id) {
+      await load();
+      const entry = index.entries.get(id);
+      if (!entry) return null;
+
+      let audio;
+      try {
+        audio = await fs.promises.readFile(entry.file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        index.drop(id);
+        return null;
+      }
+
+      index.touch(id);
+      const now = new Date();
+      fs.promises.utimes(entry.file, now, now).catch(() => {});
+      return { audio, contentType: entry.contentType, size: audio.length };
+    },
+
+    async put(id, audio, contentType) {
+      await load();
+      const file = fileFor(id, contentType);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, audio);
+      await fs.promises.rename(tmp, file);
+      index.add(id, { file, contentType, size: audio.length });
+      return { id, size: audio.length };
+    },
+
+    stats() {
+      return { type: 'file', entries: index.entries.size, bytes: index.bytes, maxBytes };
+    }
+  };
+}
+
+function createAudioCache(options = {}) {
+  const type = options.adapter || process.env.STORAGE_ADAPTER || 'file';
+  const maxBytes = options.maxBytes || parseInt(process.env.TTS_CACHE_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+
+  if (type === 'memory') return createMemoryAudioCache({ maxBytes });
+
+  const dataDir = options.dataDir || process.env.DATA_DIR || path.join(process.cwd(), 'data');
+  return createFileAudioCache({ dir: path.join(dataDir, 'audio'), maxBytes });
+}
+
+module.exports = { createAudioCache, audioId, isValidId };
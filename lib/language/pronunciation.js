@@ -0,0 +1,136 @@
+/**
+ * 🗣️ PRONUNCIATION FEEDBACK
+ * Compares what the speech-to-text model heard with the phrase the learner
+ * was asked to say. Words are aligned with a weighted edit distance, so a
+ * dropped or extra word doesn't shift every word after it, and each
+ * expected word gets a 0-1 match score from its spelling similarity to the
+ * word heard in its place. STT output is a proxy for pronunciation: a word
+ * the model could not recognise as the expected one was probably not
+ * pronounced clearly enough.
+ */
+
+const { normalizeText } = require('../question-types');
+
+// Similarity from which a substitution counts as a near miss rather than a different word
+const CLOSE_THRESHOLD = 0.6;
+
+function tokenize(text) {
+  return normalizeText(text)
+    .split(' ')
+    .map(word => word.replace(/[.,]/g, '').replace(/^-+|-+$/g, ''))
+    .filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Minimum-cost alignment of expected and heard words. Substituting costs
+ * the dissimilarity of the two words, dropping or adding a word costs 1.
+ * Returns [{ expected: i | null, heard: j | null }] in order.
+ */
+function align(expected, heard) {
+  const n = expected.length;
+  const m = heard.length;
+  const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = 1; i <= n; i++) cost[i][0] = i;
+  for (let j = 1; j <= m; j++) cost[0][j] = j;
+
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (1 - similarity(expected[i - 1], heard[j - 1])),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  const pairs = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 &&
+      cost[i][j] === cost[i - 1][j - 1] + (1 - similarity(expected[i - 1], heard[j - 1]))) {
+      pairs.push({ expected: i - 1, heard: j - 1 });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      pairs.push({ expected: i - 1, heard: null });
+      i--;
+    } else {
+      pairs.push({ expected: null, heard: j - 1 });
+      j--;
+    }
+  }
+  return pairs.reverse();
+}
+
+/**
+ * Word-level comparison. `timings` are the STT word timings
+ * ([{ word, start, end }]) and are attached to the words heard when they
+ * line up one-to-one with the transcript.
+ *
+ * Returns { expected, heard, score, matchedWords, totalWords, words, extraWords }:
+ * each expected word has a status (correct | close | mispronounced | missing)
+ * and a 0-1 score; `score` is their mean.
+ */
+function comparePronunciation(expectedText, transcript, timings = []) {
+  const expected = tokenize(expectedText);
+  const heard = tokenize(transcript);
+  const timed = timings.length === heard.length ? timings : [];
+
+  const words = [];
+  const extraWords = [];
+
+  for (const pair of align(expected, heard)) {
+    const timing = pair.heard !== null && timed[pair.heard]
+      ? { start: timed[pair.heard].start, end: timed[pair.heard].end }
+      : {};
+
+    if (pair.expected === null) {
+      extraWords.push({ heard: heard[pair.heard], ...timing });
+      continue;
+    }
+
+    if (pair.heard === null) {
+      words.push({ expected: expected[pair.expected], heard: null, status: 'missing', score: 0 });
+      continue;
+    }
+
+    const score = Math.round(similarity(expected[pair.expected], heard[pair.heard]) * 100) / 100;
+    const status = score === 1 ? 'correct' : score >= CLOSE_THRESHOLD ? 'close' : 'mispronounced';
+    words.push({ expected: expected[pair.expected], heard: heard[pair.heard], status, score, ...timing });
+  }
+
+  const total = words.reduce((sum, word) => sum + word.score, 0);
+  return {
+    expected: expectedText,
+    heard: transcript,
+    score: words.length ? Math.round((total / words.length) * 100) / 100 : 0,
+    matchedWords: words.filter(word => word.status === 'correct').length,
+    totalWords: words.length,
+    words,
+    extraWords
+  };
+}
+
+module.exports = { comparePronunciation, tokenize };
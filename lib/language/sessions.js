@@ -0,0 +1,305 @@
+/**
+ * 💬 CONVERSATION SESSIONS
+ * Server-side Polyglot role-plays. The transcript lives here instead of
+ * being replayed by the client; the model sees a running summary of older
+ * turns plus the most recent ones verbatim, so long sessions stay in
+ * context at a bounded prompt size. Catalog scenarios also track which
+ * objectives the learner has achieved, and ending the session produces a
+ * scored report.
+ */
+
+const crypto = require('crypto');
+const ai = require('../ai');
+const { updateRecord } = require('../store');
+const { addUsage } = require('../question-generator');
+const scenarios = require('./scenarios');
+const i18n = require('../i18n');
+
+const COLLECTION = 'conversation-sessions';
+
+// Messages (user + tutor) always sent verbatim
+const CONTEXT_TURNS = parseInt(process.env.SESSION_CONTEXT_TURNS, 10) || 12;
+// Older messages are folded into the summary once this many have piled up
+const SUMMARY_BATCH = 8;
+// Summarised messages kept in the stored transcript
+const TRANSCRIPT_LIMIT = 400;
+
+class SessionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+// Weights of the report score; components a scenario lacks are left out
+const SCORE_WEIGHTS = { objectives: 0.6, accuracy: 0.25, vocabulary: 0.15 };
+
+// Sessions with a turn in flight; a second concurrent turn is rejected
+const busy = new Set();
+
+/**
+ * `scenario` is a resolved scenario (scenarios.resolve); its objectives and
+ * vocabulary at the session's level are fixed here. `locale` is the
+ * learner's own language, kept for the hints and corrections of every turn.
+ */
+async function createSession(store, { language, level, levelSource = 'request', locale, scenario, studentId }) {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    studentId: studentId || null,
+    language,
+    level,
+    levelSource,
+    locale: i18n.catalog(locale).code,
+    scenario: scenario.title,
+    scenarioId: scenario.id,
+    objectives: scenario.objectives.map(objective => ({ ...objective, completed: false, completedAt: null, evidence: null })),
+    vocabulary: { target: scenario.vocabulary, used: [] },
+    report: null,
+    status: 'active',
+    createdAt: now,
+    updatedAt: now,
+    endedAt: null,
+    summary: null,
+    summarizedTurns: 0,
+    turns: [],
+    stats: { userTurns: 0, corrections: 0 },
+    usage: {}
+  };
+
+  await store.set(COLLECTION, session.id, session);
+  return session;
+}
+
+async function getSession(store, sessionId) {
+  return store.get(COLLECTION, sessionId);
+}
+
+// The session's scenario for prompts (persona, setting, guidance)
+function scenarioFor(session) {
+  return scenarios.resolve(session.scenarioId || session.scenario, session.level);
+}
+
+function pendingObjectives(session) {
+  return session.objectives.filter(objective => !objective.completed);
+}
+
+/**
+ * Turns not yet folded into the summary, capped so a failing summariser
+ * cannot grow the prompt without bound.
+ */
+function contextTurns(session) {
+  return session.turns.slice(session.summarizedTurns).slice(-(CONTEXT_TURNS + SUMMARY_BATCH));
+}
+
+/**
+ * Claim the session for one turn. Throws 404 / 409 (ended, or another
+ * turn in flight); call the returned release() when the turn is over.
+ */
+async function beginTurn(store, sessionId) {
+  const session = await getSession(store, sessionId);
+  if (!session) throw new SessionError('Session not found', 404);
+  if (session.status !== 'active') throw new SessionError('Session has ended', 409);
+  if (busy.has(sessionId)) throw new SessionError('A turn is already in progress for this session', 409);
+
+  busy.add(sessionId);
+  return { session, release: () => busy.delete(sessionId) };
+}
+
+/**
+ * Append the learner's message (if any) and the tutor's reply. `progress`
+ * is the objective check of the learner's message (scenarios.checkProgress).
+ */
+async function recordTurn(store, sessionId, { userMessage, corrections = [], progress, aiMessage, usage }) {
+  return updateRecord(store, COLLECTION, sessionId, (session) => {
+    if (!session) throw new SessionError('Session not found', 404);
+
+    const at = new Date().toISOString();
+    if (userMessage) {
+      session.turns.push({ role: 'user', content: userMessage, at, corrections });
+      session.stats.userTurns++;
+      session.stats.corrections += corrections.length;
+    }
+    if (progress) {
+      for (const objective of session.objectives) {
+        if (objective.completed || !progress.completed.includes(objective.id)) continue;
+        Object.assign(objective, { completed: true, completedAt: at, evidence: userMessage });
+      }
+      const used = new Set(session.vocabulary.used);
+      for (const word of progress.vocabularyUsed) used.add(word);
+      session.vocabulary.used = [...used];
+      addUsage(session.usage, progress.usage);
+    }
+    session.turns.push({ role: 'assistant', content: aiMessage, at });
+    addUsage(session.usage, usage);
+    session.updatedAt = at;
+    return session;
+  });
+}
+
+function needsSummary(session) {
+  return session.turns.length - session.summarizedTurns > CONTEXT_TURNS + SUMMARY_BATCH;
+}
+
+function summaryMessages(session, turns) {
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'Student' : 'Tutor'}: ${turn.content}`)
+    .join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: `You keep notes on a ${session.language} role-play ("${session.scenario}") between a tutor and a ${session.level} student.
+Update the summary with the new part of the transcript. Keep facts the tutor must remember to continue naturally: what has happened in the scenario, names, choices and details the student gave, open questions, and recurring mistakes. Write in English, at most 120 words, plain prose.
+
+CURRENT SUMMARY: ${session.summary || '(none yet)'}`
+    },
+    { role: 'user', content: `NEW TRANSCRIPT:\n${transcript}` }
+  ];
+}
+
+/**
+ * Fold everything but the last CONTEXT_TURNS messages into the summary.
+ * No-op while the unsummarised tail is short. Runs under the session's
+ * record lock, so turns recorded meanwhile wait and are kept.
+ */
+async function compact(store, sessionId) {
+  return updateRecord(store, COLLECTION, sessionId, async (session) => {
+    if (!session || !needsSummary(session)) return session;
+
+    const upTo = session.turns.length - CONTEXT_TURNS;
+    const completion = await ai.complete('summarize', {
+      messages: summaryMessages(session, session.turns.slice(session.summarizedTurns, upTo)),
+      temperature: 0.3,
+      maxTokens: 250,
+      context: { language: session.language, scenario: session.scenario, turns: upTo - session.summarizedTurns }
+    });
+
+    session.summary = completion.content;
+    session.summarizedTurns = upTo;
+    addUsage(session.usage, completion.usage);
+
+    // Drop the oldest summarised messages from storage; indexes shift with them
+    const excess = session.summarizedTurns - TRANSCRIPT_LIMIT;
+    if (excess > 0) {
+      session.turns = session.turns.slice(excess);
+      session.summarizedTurns -= excess;
+      session.droppedTurns = (session.droppedTurns || 0) + excess;
+    }
+    return session;
+  });
+}
+
+/**
+ * End-of-scenario report. Score (0-100) = weighted objectives achieved,
+ * learner turns without moderate or major errors, and target vocabulary
+ * used; free-form scenarios are scored on accuracy alone.
+ */
+function buildReport(session) {
+  const learnerTurns = session.turns.filter(turn => turn.role === 'user');
+  const bySeverity = {};
+  for (const turn of learnerTurns) {
+    for (const correction of turn.corrections || []) {
+      bySeverity[correction.severity] = (bySeverity[correction.severity] || 0) + 1;
+    }
+  }
+  const cleanTurns = learnerTurns.filter(turn =>
+    !(turn.corrections || []).some(correction => correction.severity !== 'minor')).length;
+
+  const achieved = session.objectives.filter(objective => objective.completed);
+  const ratio = (part, whole) => (whole ? part / whole : null);
+  const components = {
+    objectives: ratio(achieved.length, session.objectives.length),
+    accuracy: ratio(cleanTurns, learnerTurns.length) || 0,
+    vocabulary: ratio(session.vocabulary.used.length, session.vocabulary.target.length)
+  };
+
+  const weighted = Object.entries(components).filter(([, value]) => value !== null);
+  const totalWeight = weighted.reduce((sum, [name]) => sum + SCORE_WEIGHTS[name], 0);
+  const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+  return {
+    scenarioId: session.scenarioId,
+    scenario: session.scenario,
+    level: session.level,
+    score: Math.round(weighted.reduce((sum, [name, value]) => sum + SCORE_WEIGHTS[name] * value, 0) / totalWeight * 100),
+    components: {
+      objectives: round(components.objectives),
+      accuracy: round(components.accuracy),
+      vocabulary: round(components.vocabulary)
+    },
+    completed: session.objectives.length > 0 && achieved.length === session.objectives.length,
+    objectives: session.objectives,
+    objectivesCompleted: achieved.length,
+    objectivesTotal: session.objectives.length,
+    vocabulary: {
+      target: session.vocabulary.target,
+      used: session.vocabulary.used,
+      missed: session.vocabulary.target.filter(word => !session.vocabulary.used.includes(word))
+    },
+    accuracy: {
+      learnerTurns: learnerTurns.length,
+      turnsWithoutErrors: cleanTurns,
+      corrections: session.stats.corrections,
+      bySeverity
+    },
+    durationSeconds: Math.round((Date.parse(session.endedAt) - Date.parse(session.createdAt)) / 1000)
+  };
+}
+
+async function endSession(store, sessionId) {
+  return updateRecord(store, COLLECTION, sessionId, (session) => {
+    if (!session) throw new SessionError('Session not found', 404);
+    if (session.status !== 'active') throw new SessionError('Session has already ended', 409);
+
+    session.status = 'ended';
+    session.endedAt = new Date().toISOString();
+    session.updatedAt = session.endedAt;
+    session.report = buildReport(session);
+    return session;
+  });
+}
+
+/**
+ * Client view. The full transcript is only included on request.
+ */
+function toClientSession(session, { transcript = false } = {}) {
+  return {
+    id: session.id,
+    studentId: session.studentId,
+    language: session.language,
+    level: session.level,
+    levelSource: session.levelSource,
+    locale: session.locale,
+    scenario: session.scenario,
+    scenarioId: session.scenarioId,
+    objectives: session.objectives,
+    vocabularyUsed: session.vocabulary.used,
+    status: session.status,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    endedAt: session.endedAt,
+    summary: session.summary,
+    totalTurns: session.turns.length + (session.droppedTurns || 0),
+    stats: session.stats,
+    usage: session.usage,
+    report: session.report,
+    ...(transcript ? { turns: session.turns } : {})
+  };
+}
+
+module.exports = {
+  SessionError,
+  createSession,
+  getSession,
+  scenarioFor,
+  pendingObjectives,
+  contextTurns,
+  beginTurn,
+  recordTurn,
+  needsSummary,
+  compact,
+  endSession,
+  toClientSession
+};
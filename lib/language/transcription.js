@@ -0,0 +1,126 @@
+/**
+ * 🎙️ SPEECH INPUT
+ * Learner audio for POST /api/language/transcribe, either uploaded as
+ * multipart (`audio` file field) or sent as base64 / a data: URL in JSON,
+ * and the speech-to-text call behind it (AI_MODELS_TRANSCRIBE).
+ */
+
+const ai = require('../ai');
+
+const MAX_AUDIO_BYTES = parseInt(process.env.TRANSCRIBE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// What browsers' MediaRecorder and common recorders produce
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/flac': 'flac'
+};
+
+// STT models want ISO-639-1 codes; the language routes take names
+const LANGUAGE_CODES = {
+  english: 'en',
+  spanish: 'es',
+  espanol: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  portuguese: 'pt',
+  catalan: 'ca',
+  basque: 'eu',
+  galician: 'gl',
+  dutch: 'nl',
+  chinese: 'zh',
+  mandarin: 'zh',
+  japanese: 'ja',
+  korean: 'ko',
+  arabic: 'ar',
+  russian: 'ru'
+};
+
+class AudioInputError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AudioInputError';
+    this.status = status;
+  }
+}
+
+function languageCode(language) {
+  if (!language) return undefined;
+  const key = String(language).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (/^[a-z]{2}$/.test(key)) return key;
+  return LANGUAGE_CODES[key];
+}
+
+function baseType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * The uploaded audio as { audio: Buffer, contentType, filename }. `file` is
+ * multer's upload (memory storage); otherwise `body.audio` holds base64 or
+ * a data: URL, with `body.contentType` for plain base64. Throws
+ * AudioInputError (400 / 413 / 415).
+ */
+function readAudio({ file, body = {} }) {
+  let audio;
+  let contentType;
+
+  if (file) {
+    audio = file.buffer;
+    contentType = baseType(file.mimetype);
+  } else if (typeof body.audio === 'string' && body.audio) {
+    const dataUrl = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(body.audio);
+    contentType = baseType(dataUrl ? dataUrl[1] : body.contentType);
+    const encoded = (dataUrl ? dataUrl[2] : body.audio).replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded)) {
+      throw new AudioInputError('audio must be base64 or a base64 data: URL');
+    }
+    audio = Buffer.from(encoded, 'base64');
+  } else {
+    throw new AudioInputError('Missing audio: upload an "audio" file (multipart) or send base64 "audio" in JSON');
+  }
+
+  if (audio.length === 0) throw new AudioInputError('audio is empty');
+  if (audio.length > MAX_AUDIO_BYTES) {
+    throw new AudioInputError(`audio is larger than ${Math.round(MAX_AUDIO_BYTES / 1024 / 1024)} MB`, 413);
+  }
+  if (!AUDIO_TYPES[contentType]) {
+    throw new AudioInputError(`Unsupported audio type "${contentType || 'unknown'}". Supported: ${Object.keys(AUDIO_TYPES).join(', ')}`, 415);
+  }
+
+  return { audio, contentType, filename: `speech.${AUDIO_TYPES[contentType]}` };
+}
+
+/**
+ * Transcribe learner speech. The expected phrase is deliberately not given
+ * to the model as a prompt: that would nudge it towards hearing the phrase
+ * and inflate pronunciation scores.
+ */
+async function transcribe({ audio, contentType, filename, language, expectedText }) {
+  return ai.transcribe({
+    audio,
+    contentType,
+    filename,
+    language: languageCode(language),
+    context: { expectedText }
+  });
+}
+
+module.exports = {
+  MAX_AUDIO_BYTES,
+  AUDIO_TYPES,
+  AudioInputError,
+  languageCode,
+  readAudio,
+  transcribe
+};
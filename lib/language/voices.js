@@ -0,0 +1,71 @@
+/**
+ * 🗣️ TTS VOICES
+ * Which voice reads each language and how fast, by learner level. OpenAI
+ * voices are multilingual; the mapping picks the one that sounds most
+ * natural per language so every tutor line in a language sounds the same.
+ * Beginners hear slower speech.
+ */
+
+const VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+const DEFAULT_VOICE = 'nova';
+
+const LANGUAGE_VOICES = {
+  english: 'nova',
+  spanish: 'shimmer',
+  french: 'alloy',
+  german: 'onyx',
+  italian: 'fable',
+  portuguese: 'shimmer',
+  catalan: 'shimmer',
+  basque: 'alloy',
+  galician: 'shimmer',
+  chinese: 'nova',
+  japanese: 'nova'
+};
+
+// By CEFR level; anything else (or no level) speaks at normal speed
+const LEVEL_SPEEDS = { A1: 0.8, A2: 0.9, B1: 1.0, B2: 1.0, C1: 1.0, C2: 1.05 };
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4.0;
+
+// The speech APIs' limit per request
+const MAX_TEXT_LENGTH = 4096;
+
+const languageKey = language => String(language || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+function isValidVoice(voice) {
+  return VOICES.includes(voice);
+}
+
+function isValidSpeed(speed) {
+  return typeof speed === 'number' && speed >= MIN_SPEED && speed <= MAX_SPEED;
+}
+
+/**
+ * Voice and speed for a request. Explicit `voice` / `speed` win; otherwise
+ * the language's voice and the level's speed.
+ */
+function voiceFor({ language, level, voice, speed }) {
+  return {
+    voice: voice || lookup(LANGUAGE_VOICES, languageKey(language)) || DEFAULT_VOICE,
+    speed: speed !== undefined ? speed : lookup(LEVEL_SPEEDS, String(level || '').trim().toUpperCase()) || 1.0
+  };
+}
+
+// Own entries only: a language called "constructor" has no voice
+function lookup(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined;
+}
+
+module.exports = {
+  VOICES,
+  LANGUAGE_VOICES,
+  LEVEL_SPEEDS,
+  MIN_SPEED,
+  MAX_SPEED,
+  MAX_TEXT_LENGTH,
+  isValidVoice,
+  isValidSpeed,
+  voiceFor
+};
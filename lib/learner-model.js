@@ -0,0 +1,199 @@
+/**
+ * 📈 LEARNER MODEL
+ * Elo-style Rasch (1PL IRT) ability estimates per student, subject and topic.
+ *
+ * Each difficulty bucket has a fixed item rating on the logit scale. After
+ * every answer the ability moves by K * (outcome - P(correct)), with K
+ * shrinking as evidence accumulates. Confidence comes from the accumulated
+ * Fisher information, so it grows with the number of informative answers.
+ *
+ * Pure functions only: no I/O, no randomness, no LLM.
+ */
+
+const MODEL_NAME = 'elo-rasch';
+
+const DIFFICULTY_RATINGS = {
+  fácil: -1.5,
+  medio: 0,
+  difícil: 1.5
+};
+
+// Aim for questions the student gets right about 65% of the time
+const TARGET_SUCCESS = 0.65;
+
+const K_MAX = 0.8;
+const K_MIN = 0.15;
+const K_DECAY = 0.15;
+const ABILITY_LIMIT = 4;
+
+// How many topic answers it takes before the topic estimate outweighs the subject one
+const TOPIC_SHRINKAGE = 5;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function ratingFor(difficulty) {
+  return DIFFICULTY_RATINGS[difficulty] ?? DIFFICULTY_RATINGS.medio;
+}
+
+function probabilityCorrect(ability, rating) {
+  return 1 / (1 + Math.exp(rating - ability));
+}
+
+function createEstimate(ability = 0) {
+  return { ability, attempts: 0, information: 0 };
+}
+
+function updateEstimate(estimate, { difficulty, correct }) {
+  const rating = ratingFor(difficulty);
+  const p = probabilityCorrect(estimate.ability, rating);
+  const k = Math.max(K_MIN, K_MAX / (1 + estimate.attempts * K_DECAY));
+
+  return {
+    ability: clamp(estimate.ability + k * ((correct ? 1 : 0) - p), -ABILITY_LIMIT, ABILITY_LIMIT),
+    attempts: estimate.attempts + 1,
+    information: estimate.information + p * (1 - p)
+  };
+}
+
+/**
+ * 0 with no evidence, approaching 1 as the standard error shrinks.
+ * Uses a unit-information prior, so SE starts at 1 logit.
+ */
+function confidenceOf(estimate) {
+  return 1 - 1 / Math.sqrt(1 + estimate.information);
+}
+
+function createModel() {
+  return { model: MODEL_NAME, subjects: {} };
+}
+
+/**
+ * Fold one answered question into the model. Returns a new model.
+ */
+function applyAttempt(model, attempt) {
+  const next = JSON.parse(JSON.stringify(model || createModel()));
+  const subject = attempt.subject || '_general';
+  const entry = next.subjects[subject] || (next.subjects[subject] = { overall: createEstimate(), topics: {} });
+
+  entry.overall = updateEstimate(entry.overall, attempt);
+
+  if (attempt.topic) {
+    // New topics start from what we already know about the subject
+    const topicEstimate = entry.topics[attempt.topic] || createEstimate(entry.overall.ability);
+    entry.topics[attempt.topic] = updateEstimate(topicEstimate, attempt);
+  }
+
+  return next;
+}
+
+/**
+ * Replay a history array (oldest first) into a fresh model.
+ */
+function buildModel(history, subject) {
+  return (history || []).reduce(
+    (model, attempt) => applyAttempt(model, { ...attempt, subject: subject || attempt.subject }),
+    createModel()
+  );
+}
+
+/**
+ * Ability estimate for a subject, optionally narrowed to a topic. Topic
+ * estimates are shrunk towards the subject estimate until they have enough
+ * answers of their own.
+ */
+function estimateFor(model, subject, topic) {
+  const entry = model?.subjects?.[subject];
+  if (!entry) return createEstimate();
+
+  const topicEstimate = topic && entry.topics[topic];
+  if (!topicEstimate) return entry.overall;
+
+  const weight = topicEstimate.attempts / (topicEstimate.attempts + TOPIC_SHRINKAGE);
+  return {
+    ability: weight * topicEstimate.ability + (1 - weight) * entry.overall.ability,
+    attempts: topicEstimate.attempts,
+    information: topicEstimate.information
+  };
+}
+
+/**
+ * Rough starting point for clients that only send aggregate
+ * `performance` ({ accuracy, streak }) and no answer history.
+ * It carries no Fisher information, so confidence stays at 0.
+ */
+function estimateFromPerformance(performance) {
+  const accuracy = clamp(performance?.accuracy ?? 0.5, 0.05, 0.95);
+  const streak = clamp(performance?.streak || 0, -5, 5);
+  const ability = Math.log(accuracy / (1 - accuracy)) + streak * 0.1;
+  return createEstimate(clamp(ability, -ABILITY_LIMIT, ABILITY_LIMIT));
+}
+
+/**
+ * Pick the difficulty bucket whose rating is closest to the item rating
+ * that would give TARGET_SUCCESS for this ability.
+ */
+function chooseDifficulty(estimate) {
+  const idealRating = estimate.ability - Math.log(TARGET_SUCCESS / (1 - TARGET_SUCCESS));
+
+  let targetDifficulty = 'medio';
+  for (const difficulty of Object.keys(DIFFICULTY_RATINGS)) {
+    if (Math.abs(DIFFICULTY_RATINGS[difficulty] - idealRating) <
+        Math.abs(DIFFICULTY_RATINGS[targetDifficulty] - idealRating)) {
+      targetDifficulty = difficulty;
+    }
+  }
+
+  return {
+    targetDifficulty,
+    mastery: describeEstimate(estimate, targetDifficulty)
+  };
+}
+
+function describeEstimate(estimate, difficulty = 'medio') {
+  return {
+    model: MODEL_NAME,
+    ability: round(estimate.ability),
+    confidence: round(confidenceOf(estimate)),
+    expectedAccuracy: round(probabilityCorrect(estimate.ability, ratingFor(difficulty))),
+    attempts: estimate.attempts
+  };
+}
+
+/**
+ * Per-subject and per-topic mastery for profile responses.
+ */
+function summarizeModel(model) {
+  const subjects = {};
+  for (const [subject, entry] of Object.entries(model?.subjects || {})) {
+    const topics = {};
+    for (const topic of Object.keys(entry.topics)) {
+      topics[topic] = describeEstimate(estimateFor(model, subject, topic));
+    }
+    subjects[subject] = { ...describeEstimate(entry.overall), topics };
+  }
+  return subjects;
+}
+
+module.exports = {
+  MODEL_NAME,
+  DIFFICULTY_RATINGS,
+  TARGET_SUCCESS,
+  probabilityCorrect,
+  createEstimate,
+  updateEstimate,
+  confidenceOf,
+  createModel,
+  applyAttempt,
+  buildModel,
+  estimateFor,
+  estimateFromPerformance,
+  chooseDifficulty,
+  describeEstimate,
+  summarizeModel
+};
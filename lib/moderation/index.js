@@ -0,0 +1,324 @@
+/**
+ * 🛡️ CONTENT MODERATION
+ * What students send to the models and what the models send back to them
+ * goes through here. Every text runs through the local rules (rules.js);
+ * texts the rules don't block then go to the external classifier, if one
+ * is configured. Blocked input never reaches a model (the route answers
+ * 422 CONTENT_BLOCKED). A blocked reply is replaced by a safe fallback
+ * before it is shown or stored.
+ *
+ * Every blocked or flagged text leaves an event in the school's audit log
+ * (`moderation-events`). Teachers review the log from /api/moderation/events.
+ * Personal data is masked in the excerpts kept there.
+ *
+ * Classifiers are pluggable: MODERATION_CLASSIFIER names one from
+ * `classifiers` (`ai` = the 'moderate' AI route, OpenAI omni-moderation by
+ * default), or registerClassifier() adds your own. A classifier that fails
+ * lets the text through on the rules alone, unless MODERATION_FAIL_CLOSED=true.
+ */
+
+const crypto = require('crypto');
+const ai = require('../ai');
+const { updateRecord } = require('../store');
+const rules = require('./rules');
+const i18n = require('../i18n');
+const { log } = require('../observability');
+
+const COLLECTION = 'moderation-events';
+const EVENT_STATUSES = ['open', 'reviewed', 'dismissed'];
+const MAX_EXCERPT = 300;
+const MAX_NOTE = 500;
+const MAX_LIST = 100;
+
+const ENABLED = process.env.MODERATION !== 'off';
+const FAIL_CLOSED = process.env.MODERATION_FAIL_CLOSED === 'true';
+
+const BLOCKED_MESSAGE = 'Message blocked by content safety checks';
+
+class ModerationError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = status;
+    this.code = status === 422 ? 'CONTENT_BLOCKED' : undefined;
+    this.details = details;
+  }
+}
+
+// ---- Classifiers ----
+
+// Provider category names ("self-harm/intent") folded into ours ("self_harm")
+const categoryOf = name => String(name).split('/')[0].replace(/-/g, '_');
+
+/**
+ * text -> { flagged, categories: [name] }. Flagged texts are blocked in
+ * either direction.
+ */
+const classifiers = {
+  none: null,
+  ai: async (text) => {
+    const result = await ai.moderate({ input: text });
+    return { flagged: result.flagged, categories: result.categories };
+  }
+};
+
+function registerClassifier(name, classify) {
+  classifiers[name] = classify;
+}
+
+function activeClassifier() {
+  const name = process.env.MODERATION_CLASSIFIER || 'none';
+  if (!(name in classifiers)) {
+    log.error('Unknown MODERATION_CLASSIFIER - using the local rules only', { classifier: name });
+    return null;
+  }
+  return classifiers[name];
+}
+
+async function classify(text) {
+  const classifier = activeClassifier();
+  if (!classifier) return [];
+
+  try {
+    const result = await classifier(text);
+    if (!result.flagged) return [];
+    const names = [...new Set((result.categories.length ? result.categories : ['flagged']).map(categoryOf))];
+    return names.map(category => ({ category, action: 'block', source: 'classifier' }));
+  } catch (error) {
+    log.error('Moderation classifier error', { error });
+    return FAIL_CLOSED ? [{ category: 'classifier_unavailable', action: 'block', source: 'classifier' }] : [];
+  }
+}
+
+/**
+ * Rules first; the classifier only sees what they let through. Returns
+ * { action, categories: [{ category, action, source }] }.
+ */
+async function inspect(text, direction) {
+  const local = rules.check(text, direction);
+  const categories = local.categories.map(hit => ({ ...hit, source: 'rules' }));
+  if (local.action !== 'block') categories.push(...(await classify(text)));
+
+  return {
+    action: categories.reduce((action, hit) => rules.stronger(action, hit.action), 'allow'),
+    categories
+  };
+}
+
+// ---- Audit log ----
+
+// A failed audit write is logged, never turned into a failed request
+async function recordEvent(store, { direction, route, field, verdict, text, studentId, actor }) {
+  const event = {
+    id: crypto.randomUUID(),
+    direction,
+    route,
+    field,
+    action: verdict.action,
+    categories: [...new Set(verdict.categories.map(hit => hit.category))],
+    sources: [...new Set(verdict.categories.map(hit => hit.source))],
+    excerpt: rules.redact(text).slice(0, MAX_EXCERPT),
+    studentId: studentId || null,
+    actor: actor || null,
+    status: 'open',
+    review: null,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await store.set(COLLECTION, event.id, event);
+    return event;
+  } catch (error) {
+    log.error('Moderation audit error', { error });
+    return null;
+  }
+}
+
+// ---- Screening ----
+
+const textsOf = value => (Array.isArray(value) ? value : [value]).filter(text => typeof text === 'string' && text.trim());
+
+/**
+ * Student input about to reach a prompt. `fields` maps a field name to a
+ * string or an array of strings (e.g. replayed history); anything else is
+ * skipped. Throws ModerationError 422 when any of them is blocked; flagged
+ * ones are logged and let through. Blocked self-harm comes with the
+ * `locale`'s support message (024 is Spain's free 24h suicide prevention line).
+ */
+async function screenInput(store, fields, { route, studentId, actor, locale } = {}) {
+  if (!ENABLED) return { action: 'allow' };
+
+  const blocked = [];
+  let action = 'allow';
+  for (const [field, value] of Object.entries(fields)) {
+    for (const text of textsOf(value)) {
+      const verdict = await inspect(text, 'input');
+      if (verdict.action === 'allow') continue;
+
+      action = rules.stronger(action, verdict.action);
+      const event = await recordEvent(store, { direction: 'input', route, field, verdict, text, studentId, actor });
+      if (verdict.action === 'block') blocked.push({ field, verdict, event });
+    }
+  }
+
+  if (blocked.length) {
+    const categories = [...new Set(blocked.flatMap(({ verdict }) => verdict.categories.filter(hit => hit.action === 'block').map(hit => hit.category)))];
+    throw new ModerationError(BLOCKED_MESSAGE, 422, {
+      fields: [...new Set(blocked.map(({ field }) => field))],
+      categories,
+      eventId: blocked[0].event ? blocked[0].event.id : null,
+      ...(categories.includes('self_harm') ? { support: i18n.message(locale, 'support') } : {})
+    });
+  }
+  return { action };
+}
+
+/**
+ * A model reply about to reach a student. Resolves to { text, blocked,
+ * categories }: the reply itself, or `fallback` (by default the `locale`'s
+ * fallback reply) when it was blocked.
+ */
+async function screenOutput(store, text, { route, field = 'reply', studentId, actor, locale, fallback = i18n.message(locale, 'fallbackReply') } = {}) {
+  if (!ENABLED || !text) return { text, blocked: false, categories: [] };
+
+  const verdict = await inspect(text, 'output');
+  if (verdict.action !== 'allow') {
+    await recordEvent(store, { direction: 'output', route, field, verdict, text, studentId, actor });
+  }
+
+  const blocked = verdict.action === 'block';
+  return {
+    text: blocked ? fallback : text,
+    blocked,
+    categories: verdict.categories.map(hit => hit.category)
+  };
+}
+
+/**
+ * Wraps a streaming onToken: tokens stop being forwarded as soon as the
+ * reply so far trips a blocking rule. The final reply still goes through
+ * screenOutput, and clients replace what they streamed with it.
+ */
+function guardStream(onToken) {
+  let text = '';
+  let stopped = false;
+  return {
+    forward(piece) {
+      if (stopped) return;
+      text += piece;
+      if (ENABLED && rules.check(text, 'output').action === 'block') {
+        stopped = true;
+        return;
+      }
+      onToken(piece);
+    },
+    get stopped() {
+      return stopped;
+    }
+  };
+}
+
+/**
+ * Short labels interpolated into prompts (language, level, subject...):
+ * a single line of at most `maxLength` characters. Throws ModerationError 400.
+ */
+function promptLabel(value, field, { maxLength = 100 } = {}) {
+  if (typeof value !== 'string' || !value.trim()) throw new ModerationError(`${field} must be a non-empty string`, 400);
+  if (value.length > maxLength) throw new ModerationError(`${field} must be at most ${maxLength} characters`, 400);
+  if (/[\u0000-\u001f\u007f]/.test(value)) throw new ModerationError(`${field} must be a single line of text`, 400);
+  return value.trim();
+}
+
+// ---- Teacher review ----
+
+/**
+ * Newest first. Filters: status, direction, category, route, studentId.
+ * Resolves to { total, open, events }.
+ */
+async function listEvents(store, { limit = 50, offset = 0, status, direction, category, route, studentId } = {}) {
+  if (status !== undefined && !EVENT_STATUSES.includes(status)) {
+    throw new ModerationError(`status must be one of: ${EVENT_STATUSES.join(', ')}`, 400);
+  }
+  if (direction !== undefined && !['input', 'output'].includes(direction)) {
+    throw new ModerationError('direction must be input or output', 400);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST) {
+    throw new ModerationError(`limit must be between 1 and ${MAX_LIST}`, 400);
+  }
+  if (!Number.isInteger(offset) || offset < 0) throw new ModerationError('offset must be a non-negative integer', 400);
+
+  const all = await store.list(COLLECTION);
+  const found = all
+    .filter(event => (!status || event.status === status)
+      && (!direction || event.direction === direction)
+      && (!category || event.categories.includes(category))
+      && (!route || event.route === route)
+      && (!studentId || event.studentId === studentId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: found.length,
+    open: all.filter(event => event.status === 'open').length,
+    events: found.slice(offset, offset + limit)
+  };
+}
+
+// { status: reviewed | dismissed | open, note }
+async function reviewEvent(store, eventId, { status, note, reviewedBy = null }) {
+  if (!EVENT_STATUSES.includes(status)) {
+    throw new ModerationError(`status must be one of: ${EVENT_STATUSES.join(', ')}`, 400);
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE)) {
+    throw new ModerationError(`note must be a string of at most ${MAX_NOTE} characters`, 400);
+  }
+
+  return updateRecord(store, COLLECTION, eventId, (event) => {
+    if (!event) throw new ModerationError('Event not found', 404);
+    event.status = status;
+    event.review = status === 'open' ? null : { by: reviewedBy, note: note || null, at: new Date().toISOString() };
+    return event;
+  });
+}
+
+function toClientEvent(event) {
+  return {
+    id: event.id,
+    direction: event.direction,
+    route: event.route,
+    field: event.field,
+    action: event.action,
+    categories: event.categories,
+    sources: event.sources,
+    excerpt: event.excerpt,
+    studentId: event.studentId,
+    actor: event.actor,
+    status: event.status,
+    review: event.review,
+    createdAt: event.createdAt
+  };
+}
+
+// What /health and the API index report
+function describe() {
+  return {
+    enabled: ENABLED,
+    classifier: ENABLED ? (process.env.MODERATION_CLASSIFIER || 'none') : null,
+    failClosed: FAIL_CLOSED
+  };
+}
+
+module.exports = {
+  ModerationError,
+  EVENT_STATUSES,
+  classifiers,
+  registerClassifier,
+  inspect,
+  screenInput,
+  screenOutput,
+  guardStream,
+  promptLabel,
+  listEvents,
+  reviewEvent,
+  toClientEvent,
+  describe
+};
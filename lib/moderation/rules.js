@@ -0,0 +1,150 @@
+/**
+ * 🧱 MODERATION RULES
+ * The local, rule-based half of the moderation pipeline: patterns for
+ * prompt injection, content unfit for minors and personal data, in the
+ * languages students here write in (Spanish, Catalan, Galician, Basque,
+ * English). Cheap and synchronous, so it also runs on every streamed token
+ * and inside question validation.
+ *
+ * Each category has an action per direction: `block` stops the text,
+ * `flag` lets it through but leaves an audit event. Student input with a
+ * swear word is flagged; a model reply with one is blocked.
+ *
+ * Patterns run on normalized text (lowercase, no accents or punctuation
+ * other than . , -) unless marked `raw`. They are a floor, not a
+ * classifier: MODERATION_CLASSIFIER adds one on top.
+ */
+
+const questionTypes = require('../question-types');
+
+const CATEGORIES = {
+  prompt_injection: {
+    input: 'block',
+    output: null,
+    patterns: [
+      /\b(ignore|disregard|forget|override|bypass)\b.{0,40}\b(instructions?|prompt|guidelines)\b/,
+      /\b(ignore|disregard|forget|override|bypass)\b.{0,20}\b(your|previous|prior|above|earlier)\b.{0,20}\b(rules|directions)\b/,
+      /\b(ignora|ignoreu|olvida|olvidate de|oblida|esquece|omite|saltate)\b.{0,40}\b(instrucciones|instruccions|instrucions|indicaciones|prompt)\b/,
+      /\b(ignora|ignoreu|olvida|olvidate de|oblida|esquece|omite|saltate)\b.{0,20}\b(tus|sus|vuestras|teves|anteriores|previas)\b.{0,20}\b(reglas|regles|normas|normes)\b/,
+      /\bahaztu\b.{0,40}\b(argibide\w*|arau\w*)\b/,
+      /\b(system prompt|prompt del sistema|prompt de sistema|mensaje del sistema|indicaciones del sistema)\b/,
+      /\b(reveal|show|print|repeat|tell me|what are) (me )?(your|the) (initial |original |hidden |secret )?(instructions|prompt|rules)\b/,
+      /\b(muestrame|dime|revela|repite|ensename|escribe) (tus|las) (instrucciones|reglas|normas)\b/,
+      /\b(you are now|from now on,? you (are|will)|a partir de ahora (eres|seras|vas a ser)|ara ets|ahora eres un)\b/,
+      /\b(developer mode|modo desarrollador|jailbreak|do anything now|dan mode)\b/
+    ],
+    // Chat-template and role markers only mean something before normalization
+    raw: [
+      /<\|?\s*(im_start|im_end|system|endoftext|assistant)\s*\|?>/i,
+      /\[\/?(INST|SYS)\]/,
+      /^\s*#{0,3}\s*(system|assistant|instruction)\s*:/im
+    ]
+  },
+  sexual: {
+    input: 'block',
+    output: 'block',
+    patterns: [
+      /\b(porn\w*|xxx|hentai|onlyfans|nudes|send nudes|sexting|sexo explicito|sexo oral|fotos? desnud\w*|foto en pelotas)\b/
+    ]
+  },
+  self_harm: {
+    input: 'block',
+    output: 'block',
+    patterns: [
+      /\b(kill myself|want to die|end my life|self[- ]harm|cut myself|suicide methods?)\b/,
+      /\b(matarme|suicidarme|quitarme la vida|me quiero morir|quiero morirme|cortarme las venas|autolesion\w*|hacerme dano a mi mism[oa])\b/,
+      /\b(vull morir|matar-me|suicidar-me)\b/
+    ]
+  },
+  violence: {
+    input: 'block',
+    output: 'block',
+    patterns: [
+      /\b(i will kill you|i'?m going to kill|how to (make|build) a (bomb|gun|weapon)|school shooting)\b/,
+      /\b(te voy a matar|os voy a matar|los voy a matar|voy a matar a|como (hacer|fabricar) (una bomba|un arma|explosivos)|tiroteo en (el|mi) (colegio|instituto))\b/,
+      /\b(et matare|us matare)\b/
+    ]
+  },
+  hate: {
+    input: 'block',
+    output: 'block',
+    patterns: [
+      /\b(nigg(er|a)s?|faggots?|retards?|maricon(es)?|sudacas?|negratas?|panchitos?|moros de mierda)\b/
+    ]
+  },
+  profanity: {
+    input: 'flag',
+    output: 'block',
+    patterns: [
+      /\b(fuck\w*|shit\w*|bitch\w*|asshole|cunt|motherfucker)\b/,
+      /\b(joder|jodete|mierda|puta|putas|puto|putos|cabron\w*|gilipollas|hijo de puta|cojones|capullo)\b/,
+      /\b(collons|merda|fill de puta)\b/
+    ]
+  },
+  personal_data: {
+    input: 'flag',
+    output: 'flag',
+    patterns: [],
+    raw: [
+      /[\w.+-]+@[\w-]+\.[\w.-]+/,
+      /(?:\+34[\s.-]?)?\b[6789]\d{2}[\s.-]?\d{3}[\s.-]?\d{3}\b/,
+      /\b\d{8}[A-HJ-NP-TV-Z]\b/i
+    ]
+  },
+  // Replies that echo the system prompt back to the student
+  prompt_leak: {
+    input: null,
+    output: 'block',
+    patterns: [],
+    raw: [
+      /YOUR ROLE:|⚠️ RULES:|Student Level:|YOUR CHARACTER:/,
+      /INSTRUCCIONES DE GENERACI[OÓ]N|CONTEXTO DEL ESTUDIANTE/
+    ]
+  }
+};
+
+const ACTIONS = ['allow', 'flag', 'block'];
+
+const stronger = (a, b) => (ACTIONS.indexOf(b) > ACTIONS.indexOf(a) ? b : a);
+
+// Text for the patterns: accents folded, spacing kept so word boundaries hold
+const normalize = text => questionTypes.normalizeText(String(text).replace(/['’]/g, ''));
+
+/**
+ * Categories `text` falls in for `direction` ('input' | 'output'), with the
+ * action each one takes. Returns { action, categories: [{ category, action }] }.
+ */
+function check(text, direction) {
+  const raw = String(text || '');
+  const normalized = normalize(raw);
+  const categories = [];
+
+  for (const [category, rule] of Object.entries(CATEGORIES)) {
+    const action = rule[direction];
+    if (!action) continue;
+    const hit = rule.patterns.some(pattern => pattern.test(normalized)) ||
+      (rule.raw || []).some(pattern => pattern.test(raw));
+    if (hit) categories.push({ category, action });
+  }
+
+  return {
+    action: categories.reduce((action, hit) => stronger(action, hit.action), 'allow'),
+    categories
+  };
+}
+
+// Text safe to keep in the audit log: personal data masked
+function redact(text) {
+  return String(text || '')
+    .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '[email]')
+    .replace(/(?:\+34[\s.-]?)?\b[6789]\d{2}[\s.-]?\d{3}[\s.-]?\d{3}\b/g, '[teléfono]')
+    .replace(/\b\d{8}[A-HJ-NP-TV-Z]\b/gi, '[dni]');
+}
+
+module.exports = {
+  CATEGORIES,
+  ACTIONS,
+  stronger,
+  check,
+  redact
+};
@@ -0,0 +1,144 @@
+/**
+ * 📡 OBSERVABILITY
+ * Request correlation, access logs, HTTP metrics and health checks.
+ *
+ * Every request gets an id - the caller's X-Request-Id when it looks like
+ * one, a fresh UUID otherwise - echoed in the X-Request-Id response header
+ * and attached to every log line written while handling it.
+ *
+ * Health:
+ * - liveness: the process is up and serving; never touches dependencies
+ * - readiness: storage answers and every required AI route has a configured
+ *   provider. Optional routes (speech, transcription...) and open circuit
+ *   breakers only make it degraded.
+ */
+
+const crypto = require('crypto');
+const { log, withContext } = require('./logger');
+const metrics = require('./metrics');
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const STORAGE_TIMEOUT_MS = 2000;
+
+// Probes and scrapes would drown out real traffic at info level
+const QUIET_PATHS = /^\/(health|metrics)(\/|$)/;
+
+// "/api/profile/:studentId", not the id itself, so metric labels stay bounded
+function routeOf(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return 'unrouted';
+}
+
+/**
+ * Middleware: request id, log context, access log and HTTP metrics.
+ * Register before everything else.
+ */
+function requestContext(req, res, next) {
+  const inbound = req.get('x-request-id');
+  req.id = inbound && REQUEST_ID.test(inbound) ? inbound : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const stopTimer = metrics.httpDuration.startTimer({ method: req.method });
+  const start = process.hrtime.bigint();
+
+  res.once('close', () => {
+    const route = routeOf(req);
+    const status = res.writableFinished ? res.statusCode : 499;
+    stopTimer({ route });
+    metrics.httpRequests.inc({ method: req.method, route, status });
+
+    const level = status >= 500 ? 'warn' : QUIET_PATHS.test(req.path) ? 'debug' : 'info';
+    log[level](res.writableFinished ? 'Request completed' : 'Request aborted by client', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      bytes: Number(res.get('content-length')) || undefined,
+      tenantId: req.auth?.tenantId,
+      role: req.auth?.role,
+      locale: req.locale
+    });
+  });
+
+  withContext({ requestId: req.id }, next);
+}
+
+function withDeadline(promise, ms, message) {
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+async function checkStorage(store) {
+  const start = Date.now();
+  try {
+    await withDeadline(Promise.resolve().then(() => store.ping()), STORAGE_TIMEOUT_MS,
+      `Storage did not answer within ${STORAGE_TIMEOUT_MS}ms`);
+    return { ok: true, type: store.type, latencyMs: Date.now() - start };
+  } catch (error) {
+    log.error('Storage health check failed', { error });
+    return { ok: false, type: store.type, latencyMs: Date.now() - start, error: error.message };
+  }
+}
+
+function checkProviders(ai, { required, optional }) {
+  const missing = required.filter(route => !ai.isConfigured(route));
+  const optionalMissing = optional.filter(route => !ai.isConfigured(route));
+  const breakers = ai.breakerStatus();
+  const openBreakers = Object.keys(breakers).filter(name => breakers[name].state !== 'closed');
+
+  return {
+    ok: missing.length === 0,
+    missing,
+    optionalMissing,
+    breakers,
+    openBreakers
+  };
+}
+
+/**
+ * { ready, status: healthy | degraded | unhealthy, checks: { storage, ai } }.
+ * `routes` = { required: [aiRoute], optional: [aiRoute] }.
+ */
+async function checkReadiness({ store, ai, routes }) {
+  const storage = await checkStorage(store);
+  const providers = checkProviders(ai, routes);
+  const ready = storage.ok && providers.ok;
+  const degraded = providers.optionalMissing.length > 0 || providers.openBreakers.length > 0;
+
+  return {
+    ready,
+    status: !ready ? 'unhealthy' : degraded ? 'degraded' : 'healthy',
+    checks: { storage, ai: providers }
+  };
+}
+
+/**
+ * GET /metrics. With `token` set, scrapers must send it as a bearer token.
+ */
+function metricsHandler({ token } = {}) {
+  return (req, res) => {
+    if (token) {
+      const sent = Buffer.from(req.get('authorization') || '');
+      const expected = Buffer.from(`Bearer ${token}`);
+      if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+    }
+    res.type(metrics.CONTENT_TYPE).send(metrics.render());
+  };
+}
+
+module.exports = {
+  log,
+  withContext,
+  metrics,
+  requestContext,
+  checkReadiness,
+  metricsHandler
+};
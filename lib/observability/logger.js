@@ -0,0 +1,123 @@
+/**
+ * 📝 STRUCTURED LOGS
+ * One JSON object per line: { time, severity, msg, requestId, ...fields }.
+ * debug/info go to stdout, warn/error to stderr; LOG_LEVEL (debug, info,
+ * warn, error) sets the lowest severity written. `severity` rather than
+ * `level`, since level is a course or CEFR level everywhere else here.
+ *
+ * Logs never carry secrets or what students and models wrote:
+ * - fields named like credentials (authorization, apiKey, token...) become
+ *   "[redacted]"
+ * - fields that hold learner or model text (userMessage, answer, text,
+ *   content, upstream error bodies...) become "[redacted: N chars]"
+ * - bearer tokens and API-key-looking strings (provider and school keys)
+ *   inside any other value are masked
+ * Log lengths, ids and counts instead of the text itself.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = Object.prototype.hasOwnProperty.call(LEVELS, process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Stack traces help in development and leak code paths in production
+const WITH_STACKS = process.env.NODE_ENV !== 'production';
+
+const SECRET_KEY = /^(authorization|cookie|set-cookie|password|secret|token|key|credential)$|api[-_]?key|secret|password|credential|accesstoken|refreshtoken/i;
+
+const TEXT_KEYS = new Set([
+  'answer', 'answers', 'audio', 'body', 'content', 'conversationhistory', 'excerpt', 'expectedtext',
+  'history', 'input', 'messages', 'note', 'prompt', 'question', 'reason', 'reply',
+  'sampleanswer', 'text', 'transcript', 'usermessage'
+]);
+
+const SECRET_VALUES = [
+  [/\bBearer\s+[\w.~+/=-]+/gi, 'Bearer [redacted]'],
+  [/\bsk-[\w-]{8,}/g, '[redacted]'],
+  [/\bcbk_[\w-]{8,}/g, '[redacted]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[redacted]'],
+  [/([?&](?:token|key|api_key|access_token)=)[^&\s]+/gi, '$1[redacted]']
+];
+
+const MAX_DEPTH = 5;
+
+// requestId (and whatever else the request middleware puts here) for every
+// log line written while handling that request
+const context = new AsyncLocalStorage();
+
+function maskSecrets(text) {
+  return SECRET_VALUES.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), text);
+}
+
+function serializeError(error) {
+  return sanitize({
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status || error.httpStatus,
+    stack: WITH_STACKS ? error.stack : undefined
+  });
+}
+
+function redactText(value) {
+  if (value === undefined || value === null) return value;
+  return typeof value === 'string' ? `[redacted: ${value.length} chars]` : '[redacted]';
+}
+
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return maskSecrets(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => sanitize(item, depth + 1));
+
+  const clean = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) continue;
+    if (SECRET_KEY.test(key)) clean[key] = '[redacted]';
+    else if (TEXT_KEYS.has(key.toLowerCase())) clean[key] = redactText(field);
+    else clean[key] = sanitize(field, depth + 1);
+  }
+  return clean;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const head = { time: new Date().toISOString(), severity: level, msg: maskSecrets(String(msg)) };
+  // Spread twice: first for key order, then so no field can overwrite these
+  const entry = {
+    ...head,
+    ...sanitize(context.getStore() || {}),
+    ...sanitize(fields instanceof Error ? { error: fields } : fields),
+    ...head
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ ...head, logError: error.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Run `fn` with `fields` attached to every log line it writes, including
+ * from callbacks and awaits started inside it
+ */
+function withContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  level: LOG_LEVEL
+};
+
+module.exports = { log, withContext };
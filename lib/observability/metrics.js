@@ -0,0 +1,203 @@
+/**
+ * 📊 METRICS
+ * Counters, gauges and histograms rendered in the Prometheus text format
+ * (0.0.4) by render(). Everything lives in this process's memory, so each
+ * instance is scraped on its own and counts restart from zero on deploy.
+ *
+ * Label values must come from a small known set (route templates, provider
+ * names, outcomes), never from ids or user input.
+ */
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const formatNumber = value => (value === Infinity ? '+Inf' : String(value));
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Labels in declared order, so { a, b } and { b, a } are the same series
+  seriesFor(labels = {}) {
+    const ordered = {};
+    for (const name of this.labelNames) ordered[name] = labels[name] ?? '';
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) this.series.set(key, { labels: ordered, ...this.initial() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  initial() {
+    return { value: 0 };
+  }
+
+  inc(labels, amount = 1) {
+    if (!(amount > 0)) return;
+    this.seriesFor(labels).value += amount;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  initial() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Starts a timer; calling the returned function observes the seconds
+   * elapsed, with `labels` merged over the ones given here
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (more = {}) => this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      [...this.buckets, Infinity].forEach((bound, i) => {
+        const cumulative = i < counts.length ? counts[i] : count;
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const AI_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+const httpRequests = new Counter('http_requests_total',
+  'HTTP requests by method, route template and status', ['method', 'route', 'status']);
+
+const httpDuration = new Histogram('http_request_duration_seconds',
+  'HTTP request latency by method and route template, until the response is sent', ['method', 'route'], HTTP_BUCKETS);
+
+const aiRequests = new Counter('ai_requests_total',
+  'Upstream AI calls by route, provider, model and outcome (success, error, timeout, unavailable)',
+  ['route', 'provider', 'model', 'outcome']);
+
+const aiDuration = new Histogram('ai_request_duration_seconds',
+  'Upstream AI call latency including retries, by route, provider and model', ['route', 'provider', 'model'], AI_BUCKETS);
+
+const aiTokens = new Counter('ai_tokens_total',
+  'Tokens charged by AI providers, by route, provider, model and type (prompt, completion)',
+  ['route', 'provider', 'model', 'type']);
+
+const aiParseFailures = new Counter('ai_parse_failures_total',
+  'Model replies that could not be parsed or failed validation, by AI route', ['route']);
+
+const breakerState = new Gauge('ai_circuit_breaker_open',
+  '1 while the circuit breaker of a provider model is open or half-open', ['provider', 'model', 'state']);
+
+const processUptime = new Gauge('process_uptime_seconds', 'Seconds since the process started');
+
+const processMemory = new Gauge('process_resident_memory_bytes', 'Resident set size of the process');
+
+const heapUsed = new Gauge('nodejs_heap_used_bytes', 'V8 heap in use');
+
+const metrics = [
+  httpRequests, httpDuration,
+  aiRequests, aiDuration, aiTokens, aiParseFailures, breakerState,
+  processUptime, processMemory, heapUsed
+];
+
+// Collected when scraped rather than kept up to date
+const collectors = [];
+
+function onCollect(collector) {
+  collectors.push(collector);
+}
+
+onCollect(() => {
+  const memory = process.memoryUsage();
+  processUptime.set({}, process.uptime());
+  processMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+});
+
+function render() {
+  for (const collect of collectors) collect();
+  return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  httpRequests,
+  httpDuration,
+  aiRequests,
+  aiDuration,
+  aiTokens,
+  aiParseFailures,
+  breakerState,
+  onCollect,
+  render,
+  CONTENT_TYPE
+};
@@ -0,0 +1,173 @@
+/**
+ * 👤 STUDENT PROFILES
+ * Server-side answer history per student, so clients can send just a
+ * studentId instead of replaying performance and history on every call.
+ */
+
+const { updateRecord } = require('./store');
+const learnerModel = require('./learner-model');
+const reviewSchedule = require('./review-schedule');
+
+const COLLECTION = 'students';
+const HISTORY_LIMIT = parseInt(process.env.PROFILE_HISTORY_LIMIT, 10) || 500;
+// Student IDs key plain objects across the stores (answers per student,
+// usage per student), so names that reach Object.prototype are refused
+const STUDENT_ID_PATTERN = /^(?!(?:__proto__|constructor|prototype)$)[A-Za-z0-9_.@-]{1,64}$/;
+
+function isValidStudentId(studentId) {
+  return typeof studentId === 'string' && STUDENT_ID_PATTERN.test(studentId);
+}
+
+function newProfile(studentId) {
+  const now = new Date().toISOString();
+  return {
+    studentId,
+    createdAt: now,
+    updatedAt: now,
+    history: []
+  };
+}
+
+async function getProfile(store, studentId) {
+  return store.get(COLLECTION, studentId);
+}
+
+/**
+ * Append a server-graded answer to the student's history. Only the fields
+ * the adaptive engine and analytics use are kept.
+ */
+async function recordAnswer(store, studentId, attempt) {
+  return updateRecord(store, COLLECTION, studentId, (profile) => {
+    profile = profile || newProfile(studentId);
+    // Both are rebuilt from history when missing, so read them before the push
+    const model = modelOf(profile);
+    const schedule = scheduleOf(profile);
+
+    profile.history.push({
+      questionId: attempt.questionId || null,
+      questionType: attempt.questionType || null,
+      subject: attempt.subject,
+      level: attempt.level,
+      topic: attempt.topic || null,
+      difficulty: attempt.difficulty || 'medio',
+      lomloeCompetency: attempt.lomloeCompetency || null,
+      criterionId: attempt.criterionId || null,
+      correct: Boolean(attempt.correct),
+      answeredAt: attempt.answeredAt || new Date().toISOString()
+    });
+
+    const latest = profile.history[profile.history.length - 1];
+    profile.learnerModel = learnerModel.applyAttempt(model, latest);
+    profile.reviewSchedule = reviewSchedule.applyAttempt(schedule, latest);
+
+    if (profile.history.length > HISTORY_LIMIT) {
+      profile.history = profile.history.slice(-HISTORY_LIMIT);
+    }
+
+    profile.updatedAt = new Date().toISOString();
+    return profile;
+  });
+}
+
+/**
+ * Profiles stored before the learner model existed get one rebuilt from
+ * their history.
+ */
+function modelOf(profile) {
+  if (!profile) return learnerModel.createModel();
+  return profile.learnerModel || learnerModel.buildModel(profile.history);
+}
+
+// Same for the review schedule
+function scheduleOf(profile) {
+  if (!profile) return reviewSchedule.createSchedule();
+  return profile.reviewSchedule || reviewSchedule.buildSchedule(profile.history);
+}
+
+/**
+ * Best available ability estimate for a subject, in order of trust:
+ * server-graded profile history, client-sent answer history, client-sent
+ * aggregate performance.
+ */
+function estimateAbility({ profile, subject, history, performance }) {
+  if (historyFor(profile, subject).length > 0) {
+    return learnerModel.estimateFor(modelOf(profile), subject);
+  }
+
+  const answered = (history || []).filter(q => typeof q.correct === 'boolean');
+  if (answered.length > 0) {
+    return learnerModel.estimateFor(learnerModel.buildModel(answered, subject), subject);
+  }
+
+  return learnerModel.estimateFromPerformance(performance);
+}
+
+function historyFor(profile, subject) {
+  if (!profile) return [];
+  return subject ? profile.history.filter(q => q.subject === subject) : profile.history;
+}
+
+/**
+ * Accuracy (0-1) and signed streak (positive = consecutive correct answers,
+ * negative = consecutive misses), the shape /api/adaptive/generate expects
+ * in `performance`.
+ */
+function summarizePerformance(history) {
+  if (!history || history.length === 0) return { accuracy: 0.5, streak: 0 };
+
+  const correct = history.filter(q => q.correct).length;
+  const last = history[history.length - 1].correct;
+
+  let streak = 0;
+  for (let i = history.length - 1; i >= 0 && history[i].correct === last; i--) {
+    streak += last ? 1 : -1;
+  }
+
+  return { accuracy: correct / history.length, streak };
+}
+
+function buildProfileSummary(profile) {
+  const subjects = {};
+  for (const attempt of profile.history) {
+    (subjects[attempt.subject] = subjects[attempt.subject] || []).push(attempt);
+  }
+
+  const bySubject = {};
+  for (const [subject, history] of Object.entries(subjects)) {
+    const { accuracy, streak } = summarizePerformance(history);
+    bySubject[subject] = {
+      totalQuestions: history.length,
+      accuracy: Math.round(accuracy * 100),
+      streak,
+      lastAnsweredAt: history[history.length - 1].answeredAt
+    };
+  }
+
+  const schedule = scheduleOf(profile);
+  return {
+    studentId: profile.studentId,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+    totalQuestions: profile.history.length,
+    bySubject,
+    mastery: learnerModel.summarizeModel(modelOf(profile)),
+    review: {
+      due: reviewSchedule.dueItems(schedule).length,
+      scheduled: schedule.items.length
+    },
+    recentHistory: profile.history.slice(-10)
+  };
+}
+
+module.exports = {
+  STUDENT_ID_PATTERN,
+  isValidStudentId,
+  getProfile,
+  recordAnswer,
+  historyFor,
+  modelOf,
+  scheduleOf,
+  estimateAbility,
+  summarizePerformance,
+  buildProfileSummary
+};
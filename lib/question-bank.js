@@ -0,0 +1,560 @@
+/**
+ * 🏦 QUESTION BANK
+ * Every generated question is also filed in the school's bank,
+ * deduplicated by its normalised text and topic. /api/adaptive/generate
+ * serves a banked question the student hasn't seen before paying for a new
+ * completion. Teachers review, edit and write questions; approved ones are
+ * served before unreviewed drafts.
+ *
+ * Review states:
+ *   draft     generated, not reviewed yet (served after approved questions)
+ *   approved  checked by a teacher
+ *   rejected  never served
+ *   flagged   reported by students; not served until a teacher reviews it
+ *
+ * A served question is issued like a generated one (lib/questions.js) and
+ * keeps its own copy of the content, so edits never change a question a
+ * student already holds.
+ *
+ * Questions are served in the locale they were written in only. Entries
+ * from before locales existed are Spanish.
+ *
+ * QUESTION_BANK=off stops serving from the bank (questions are still filed);
+ * QUESTION_BANK_SERVE=approved serves approved questions only.
+ *
+ * Entries are indexed by locale, subject, level, type and difficulty, the
+ * fields every generation request fixes, so picking a question reads one
+ * slot of the bank instead of all of it. Banks filed before the index
+ * existed are indexed on first use.
+ */
+
+const crypto = require('crypto');
+const { updateRecord } = require('./store');
+const curriculum = require('./curriculum');
+const questionTypes = require('./question-types');
+const questionSchema = require('./question-schema');
+const i18n = require('./i18n');
+
+const COLLECTION = 'question-bank';
+const FINGERPRINTS = 'question-bank-fingerprints';
+const SEEN = 'question-bank-seen';
+const INDEX = 'question-bank-index';
+
+// Record in INDEX saying the tenant's existing entries have been indexed
+const INDEX_BUILT = '_built';
+
+const STATUSES = ['draft', 'approved', 'rejected', 'flagged'];
+const REVIEW_STATUSES = ['draft', 'approved', 'rejected'];
+const UNSERVABLE = ['rejected', 'flagged'];
+
+const SERVING = process.env.QUESTION_BANK !== 'off';
+const SERVABLE = process.env.QUESTION_BANK_SERVE === 'approved' ? ['approved'] : ['approved', 'draft'];
+
+// Distinct students whose flags take an approved question out of rotation;
+// a draft goes at the first flag
+const FLAG_THRESHOLD = parseInt(process.env.QUESTION_BANK_FLAG_THRESHOLD, 10) || 3;
+const MAX_FLAG_REASON = 500;
+
+// Banked questions remembered per student as already seen
+const MAX_SEEN = 2000;
+
+const MAX_LIST = 100;
+
+const LEGACY_LOCALE = 'es';
+
+// Question fields teachers may edit; the rest is derived
+const CONTENT_FIELDS = ['question', 'options', 'correctIndex', 'correctIndices', 'correctAnswer', 'correctValue', 'tolerance', 'unit', 'acceptedAnswers', 'rubric', 'sampleAnswer', 'explanation', 'difficulty', 'lomloeCompetency', 'topic'];
+
+class BankError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = 'BankError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Case, accents, punctuation and spacing don't make a question different
+const normalizeText = text => questionTypes.normalizeText(text || '').replace(/[.,-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+function fingerprintOf(question) {
+  return crypto.createHash('sha256')
+    .update(`${normalizeText(question.topic)}\u0000${normalizeText(question.question)}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+const subjectKeyOf = subject => curriculum.resolveSubject(subject) || normalizeText(subject);
+
+const localeOf = entry => entry.locale || LEGACY_LOCALE;
+
+function slotOf({ locale, subjectKey, levelKey, questionType, difficulty }) {
+  return crypto.createHash('sha256')
+    .update([locale, subjectKey, levelKey, questionType || questionTypes.DEFAULT_TYPE, difficulty].join('\u0000'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+const slotOfEntry = entry => slotOf({
+  locale: localeOf(entry),
+  subjectKey: entry.subjectKey,
+  levelKey: entry.levelKey,
+  questionType: entry.question.questionType,
+  difficulty: entry.question.difficulty
+});
+
+async function indexEntries(store, slot, bankIds) {
+  await updateRecord(store, INDEX, slot, (record) => {
+    const indexed = record ? record.bankIds : [];
+    return { bankIds: [...new Set([...indexed, ...bankIds])] };
+  });
+}
+
+async function unindexEntry(store, slot, bankId) {
+  await updateRecord(store, INDEX, slot, record => ({
+    bankIds: (record ? record.bankIds : []).filter(id => id !== bankId)
+  }));
+}
+
+async function ensureIndex(store) {
+  if (await store.get(INDEX, INDEX_BUILT)) return;
+
+  const slots = new Map();
+  for (const entry of await store.list(COLLECTION)) {
+    const slot = slotOfEntry(entry);
+    slots.set(slot, [...(slots.get(slot) || []), entry.id]);
+  }
+  for (const [slot, bankIds] of slots) await indexEntries(store, slot, bankIds);
+  await store.set(INDEX, INDEX_BUILT, { builtAt: new Date().toISOString() });
+}
+
+function cleanLocale(value) {
+  const locale = i18n.parseLocale(value);
+  if (!locale) throw new BankError(`locale must be one of: ${i18n.CODES.join(', ')}`, 400);
+  return locale;
+}
+
+/**
+ * File a question. Returns { entry, question, duplicate }, `question` being
+ * the content to issue.
+ *
+ * A question already in the bank (same normalised text and topic) is
+ * counted again instead of added, and the banked content is issued in its
+ * place, so answers and flags are recorded against what the student saw.
+ * The fresh question is issued instead, without a bank entry (entry: null),
+ * when the banked one could not be served in its place: it is rejected or
+ * flagged, `studentId` has already seen it, or its type, difficulty or
+ * criterion differ from the fresh one's.
+ */
+async function addQuestion(store, { question, level, subject, locale, source, studentId, status = 'draft', createdBy = null }) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    fingerprint: fingerprintOf(question),
+    status,
+    subject,
+    subjectKey: subjectKeyOf(subject),
+    level,
+    levelKey: normalizeText(level),
+    locale: i18n.catalog(locale).code,
+    question,
+    source: source || null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    timesGenerated: 1,
+    timesServed: 0,
+    answered: 0,
+    correct: 0,
+    flags: [],
+    review: null
+  };
+
+  await store.set(COLLECTION, entry.id, entry);
+
+  const claim = await updateRecord(store, FINGERPRINTS, entry.fingerprint, async (existing) => {
+    if (existing && existing.bankId !== entry.id && await store.get(COLLECTION, existing.bankId)) return existing;
+    return { bankId: entry.id };
+  });
+  if (claim.bankId === entry.id) {
+    await indexEntries(store, slotOfEntry(entry), [entry.id]);
+    return { entry, question, duplicate: false };
+  }
+
+  await store.delete(COLLECTION, entry.id);
+  const original = await updateRecord(store, COLLECTION, claim.bankId, (record) => {
+    if (!record) throw new BankError('Question not found', 404);
+    record.timesGenerated += 1;
+    return record;
+  });
+
+  const standsIn = !UNSERVABLE.includes(original.status)
+    && original.question.questionType === question.questionType
+    && original.question.difficulty === question.difficulty
+    && (original.question.criterionId || null) === (question.criterionId || null)
+    && !(await seenBy(store, studentId)).has(original.id);
+  return standsIn
+    ? { entry: original, question: original.question, duplicate: true }
+    : { entry: null, question, duplicate: true };
+}
+
+async function getQuestion(store, bankId) {
+  return store.get(COLLECTION, bankId);
+}
+
+function matches(entry, { status, subject, level, locale, difficulty, questionType, topic }) {
+  return (!status || entry.status === status)
+    && (!subject || entry.subjectKey === subjectKeyOf(subject))
+    && (!level || entry.levelKey === normalizeText(level))
+    && (!locale || localeOf(entry) === locale)
+    && (!difficulty || entry.question.difficulty === difficulty)
+    && (!questionType || entry.question.questionType === questionType)
+    && (!topic || normalizeText(entry.question.topic) === normalizeText(topic));
+}
+
+/**
+ * Filtered page of the bank, most recently updated first.
+ */
+async function listQuestions(store, { limit = 50, offset = 0, ...filters } = {}) {
+  if (filters.status !== undefined && !STATUSES.includes(filters.status)) {
+    throw new BankError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST) {
+    throw new BankError(`limit must be between 1 and ${MAX_LIST}`, 400);
+  }
+  if (!Number.isInteger(offset) || offset < 0) throw new BankError('offset must be a non-negative integer', 400);
+  if (filters.locale !== undefined) filters.locale = cleanLocale(filters.locale);
+
+  const found = (await store.list(COLLECTION))
+    .filter(entry => matches(entry, filters))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  return { total: found.length, questions: found.slice(offset, offset + limit) };
+}
+
+/**
+ * A banked question for a generation request, or null: same subject, level,
+ * locale, type and difficulty, the planned criterion (or key competency), the
+ * review topic if there is one, no recent topic and nothing the student
+ * has already been given. Approved questions first, then the least served.
+ */
+async function pickQuestion(store, { subject, level, locale, questionType, difficulty, criterionId, keyCompetency, topic, avoidTopics = [], studentId }) {
+  if (!SERVING) return null;
+
+  const seen = await seenBy(store, studentId);
+  const avoided = new Set(avoidTopics.map(normalizeText));
+  const wantedKeyCompetency = keyCompetency ? String(keyCompetency).toUpperCase() : null;
+
+  await ensureIndex(store);
+  const slot = await store.get(INDEX, slotOf({
+    locale: i18n.catalog(locale).code,
+    subjectKey: subjectKeyOf(subject),
+    levelKey: normalizeText(level),
+    questionType,
+    difficulty
+  }));
+  if (!slot) return null;
+
+  const entries = await Promise.all(slot.bankIds.map(bankId => store.get(COLLECTION, bankId)));
+  const candidates = entries.filter(entry =>
+    entry
+    && SERVABLE.includes(entry.status)
+    && matches(entry, { subject, level, locale: i18n.catalog(locale).code, difficulty, questionType, topic })
+    && (!criterionId || entry.question.criterionId === criterionId)
+    && (!wantedKeyCompetency || (entry.question.keyCompetencies || []).includes(wantedKeyCompetency))
+    && !avoided.has(normalizeText(entry.question.topic))
+    && !seen.has(entry.id)
+  );
+  if (candidates.length === 0) return null;
+
+  // Shuffled first so equally ranked questions take turns
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+  const rank = entry => SERVABLE.indexOf(entry.status);
+  candidates.sort((a, b) => rank(a) - rank(b) || a.timesServed - b.timesServed);
+  return candidates[0];
+}
+
+// Bank IDs of the questions `studentId` has been given
+async function seenBy(store, studentId) {
+  if (!studentId) return new Set();
+  const seen = await store.get(SEEN, studentId);
+  return new Set(seen ? seen.bankIds : []);
+}
+
+/**
+ * Note that `studentId` (if any) was given the question, so it isn't
+ * served to them again.
+ */
+async function markServed(store, bankId, studentId) {
+  await updateRecord(store, COLLECTION, bankId, (entry) => {
+    if (!entry) throw new BankError('Question not found', 404);
+    entry.timesServed += 1;
+    entry.lastServedAt = new Date().toISOString();
+    return entry;
+  });
+
+  if (studentId) await markSeen(store, bankId, studentId);
+}
+
+async function markSeen(store, bankId, studentId) {
+  await updateRecord(store, SEEN, studentId, (seen) => {
+    seen = seen || { studentId, bankIds: [] };
+    if (!seen.bankIds.includes(bankId)) seen.bankIds = [...seen.bankIds, bankId].slice(-MAX_SEEN);
+    return seen;
+  });
+}
+
+// Outcome of an answer to a served or freshly generated copy
+async function recordAnswer(store, bankId, correct) {
+  await updateRecord(store, COLLECTION, bankId, (entry) => {
+    if (!entry) throw new BankError('Question not found', 404);
+    entry.answered += 1;
+    if (correct) entry.correct += 1;
+    return entry;
+  });
+}
+
+// ---- Teacher review ----
+
+function cleanLabel(value, field) {
+  if (typeof value !== 'string' || !value.trim()) throw new BankError(`Missing required field: ${field}`, 400);
+  return value.trim();
+}
+
+/**
+ * Validate question content the way generated questions are validated,
+ * and attach its curriculum criterion. Throws BankError (400) listing the
+ * schema errors.
+ */
+function validateContent(data, { questionType, criterionId, locale }) {
+  if (!questionTypes.isValidType(questionType)) {
+    throw new BankError(`Invalid questionType. Available: ${Object.keys(questionTypes.types).join(', ')}`, 400);
+  }
+
+  let criterion = null;
+  if (criterionId !== undefined && criterionId !== null) {
+    criterion = curriculum.getCriterion(criterionId);
+    if (!criterion) throw new BankError(`Unknown curriculum criterion: ${criterionId}`, 400);
+  }
+
+  const { question, errors } = questionSchema.validateQuestion(data, { questionType, locale });
+  if (errors.length > 0) throw new BankError('Invalid question', 400, errors);
+
+  return {
+    ...question,
+    criterionId: criterion ? criterion.id : null,
+    keyCompetencies: criterion ? criterion.keyCompetencies : []
+  };
+}
+
+// Point the fingerprint at `bankId`; 409 if another question already has it
+async function claimFingerprint(store, fingerprint, bankId) {
+  const claim = await updateRecord(store, FINGERPRINTS, fingerprint, async (existing) => {
+    if (existing && existing.bankId !== bankId && await store.get(COLLECTION, existing.bankId)) return existing;
+    return { bankId };
+  });
+  if (claim.bankId !== bankId) {
+    throw new BankError('An identical question is already in the bank', 409, { bankId: claim.bankId });
+  }
+}
+
+/**
+ * A question written by a teacher; approved unless `status` says otherwise.
+ * `locale` is the language it is written in.
+ */
+async function createQuestion(store, body, { createdBy = null, locale } = {}) {
+  const subject = cleanLabel(body.subject, 'subject');
+  const level = cleanLabel(body.level, 'level');
+  const questionLocale = i18n.catalog(locale).code;
+  const status = body.status === undefined ? 'approved' : body.status;
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new BankError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`, 400);
+  }
+
+  const question = validateContent(body, {
+    questionType: body.questionType || questionTypes.DEFAULT_TYPE,
+    criterionId: body.criterionId,
+    locale: questionLocale
+  });
+  const fingerprint = fingerprintOf(question);
+  const id = crypto.randomUUID();
+  await claimFingerprint(store, fingerprint, id);
+
+  const now = new Date().toISOString();
+  const entry = {
+    id,
+    fingerprint,
+    status,
+    subject,
+    subjectKey: subjectKeyOf(subject),
+    level,
+    levelKey: normalizeText(level),
+    locale: questionLocale,
+    question,
+    source: { type: 'teacher' },
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    timesGenerated: 0,
+    timesServed: 0,
+    answered: 0,
+    correct: 0,
+    flags: [],
+    review: status === 'draft' ? null : { status, by: createdBy, note: null, at: now, resolvedFlags: 0 }
+  };
+  await store.set(COLLECTION, id, entry);
+  await indexEntries(store, slotOfEntry(entry), [id]);
+  return entry;
+}
+
+/**
+ * Edit a question's content (any of CONTENT_FIELDS, criterionId, subject,
+ * level, locale). The whole question is validated again; the review state is kept.
+ */
+async function updateQuestion(store, bankId, changes, { editedBy = null } = {}) {
+  const current = await store.get(COLLECTION, bankId);
+  if (!current) throw new BankError('Question not found', 404);
+  const locale = changes.locale !== undefined ? cleanLocale(changes.locale) : localeOf(current);
+
+  const content = { ...current.question };
+  for (const field of CONTENT_FIELDS) {
+    if (changes[field] !== undefined) content[field] = changes[field];
+  }
+  const question = validateContent(content, {
+    questionType: current.question.questionType,
+    criterionId: changes.criterionId !== undefined ? changes.criterionId : current.question.criterionId,
+    locale
+  });
+
+  const fingerprint = fingerprintOf(question);
+  if (fingerprint !== current.fingerprint) await claimFingerprint(store, fingerprint, bankId);
+
+  const updated = await updateRecord(store, COLLECTION, bankId, (entry) => {
+    if (!entry) throw new BankError('Question not found', 404);
+    if (changes.subject !== undefined) {
+      entry.subject = cleanLabel(changes.subject, 'subject');
+      entry.subjectKey = subjectKeyOf(entry.subject);
+    }
+    if (changes.level !== undefined) {
+      entry.level = cleanLabel(changes.level, 'level');
+      entry.levelKey = normalizeText(entry.level);
+    }
+    entry.locale = locale;
+    entry.question = question;
+    entry.fingerprint = fingerprint;
+    entry.editedBy = editedBy;
+    entry.updatedAt = new Date().toISOString();
+    return entry;
+  });
+
+  if (fingerprint !== current.fingerprint) {
+    const previous = await store.get(FINGERPRINTS, current.fingerprint);
+    if (previous && previous.bankId === bankId) await store.delete(FINGERPRINTS, current.fingerprint);
+  }
+
+  const slot = slotOfEntry(updated);
+  if (slot !== slotOfEntry(current)) {
+    await unindexEntry(store, slotOfEntry(current), bankId);
+    await indexEntries(store, slot, [bankId]);
+  }
+  return updated;
+}
+
+/**
+ * Set the review state. Open student flags are resolved by the review.
+ */
+async function reviewQuestion(store, bankId, { status, note, reviewedBy = null }) {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new BankError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`, 400);
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_FLAG_REASON)) {
+    throw new BankError(`note must be a string of at most ${MAX_FLAG_REASON} characters`, 400);
+  }
+
+  return updateRecord(store, COLLECTION, bankId, (entry) => {
+    if (!entry) throw new BankError('Question not found', 404);
+    const now = new Date().toISOString();
+    entry.status = status;
+    entry.review = { status, by: reviewedBy, note: note || null, at: now, resolvedFlags: entry.flags.length };
+    entry.flags = [];
+    entry.updatedAt = now;
+    return entry;
+  });
+}
+
+/**
+ * A student reports a question (wrong answer key, unclear, offensive...).
+ * One open flag per student.
+ */
+async function flagQuestion(store, bankId, { studentId, reason }) {
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_FLAG_REASON)) {
+    throw new BankError(`reason must be a string of at most ${MAX_FLAG_REASON} characters`, 400);
+  }
+
+  return updateRecord(store, COLLECTION, bankId, (entry) => {
+    if (!entry) throw new BankError('Question not found', 404);
+    if (entry.flags.some(flag => flag.studentId === studentId)) {
+      throw new BankError('You have already reported this question', 409);
+    }
+
+    const now = new Date().toISOString();
+    entry.flags.push({ studentId, reason: reason ? reason.trim() : null, at: now });
+    if (entry.status === 'draft' || (entry.status === 'approved' && entry.flags.length >= FLAG_THRESHOLD)) {
+      entry.status = 'flagged';
+    }
+    entry.updatedAt = now;
+    return entry;
+  });
+}
+
+/**
+ * Teacher view: the full question including its answer key, with how it
+ * has been used.
+ */
+function toClientEntry(entry) {
+  return {
+    id: entry.id,
+    status: entry.status,
+    subject: entry.subject,
+    level: entry.level,
+    locale: localeOf(entry),
+    question: entry.question,
+    source: entry.source,
+    createdBy: entry.createdBy,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    stats: {
+      timesGenerated: entry.timesGenerated,
+      timesServed: entry.timesServed,
+      answered: entry.answered,
+      correct: entry.correct,
+      accuracy: entry.answered ? Math.round((entry.correct / entry.answered) * 100) : null
+    },
+    flags: entry.flags,
+    review: entry.review
+  };
+}
+
+module.exports = {
+  STATUSES,
+  REVIEW_STATUSES,
+  SERVING,
+  BankError,
+  fingerprintOf,
+  addQuestion,
+  getQuestion,
+  listQuestions,
+  pickQuestion,
+  markServed,
+  markSeen,
+  recordAnswer,
+  createQuestion,
+  updateQuestion,
+  reviewQuestion,
+  flagQuestion,
+  toClientEntry,
+  localeOf
+};
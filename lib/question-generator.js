@@ -0,0 +1,196 @@
+/**
+ * 🏭 QUESTION GENERATOR
+ * Builds the generation prompt, asks the model for a question and validates
+ * it against the schema. Invalid output is sent back to the model together
+ * with the validation errors, up to QUESTION_REPAIR_ATTEMPTS times, before
+ * giving up. Shared by single-question generation and quizzes.
+ */
+
+const ai = require('./ai');
+const questionSchema = require('./question-schema');
+const questionTypes = require('./question-types');
+const i18n = require('./i18n');
+const { log, metrics } = require('./observability');
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.QUESTION_REPAIR_ATTEMPTS, 10) >= 0
+  ? parseInt(process.env.QUESTION_REPAIR_ATTEMPTS, 10)
+  : 2;
+
+class QuestionValidationError extends Error {
+  constructor(errors, repairAttempts) {
+    super('AI generated invalid response format');
+    this.name = 'QuestionValidationError';
+    this.errors = errors;
+    this.repairAttempts = repairAttempts;
+    this.httpStatus = 502;
+    this.code = 'INVALID_AI_OUTPUT';
+  }
+}
+
+/**
+ * 🤖 Build intelligent prompt for Claude. `student` ({ accuracy, streak,
+ * expectedAccuracy }) is optional; quizzes for no particular student skip it.
+ * `criterion` is the curriculum criterion the question must assess, if the
+ * subject is in the curriculum. `reviewTopic` is a topic the student
+ * missed before and is due to revisit. `locale` is the language the
+ * question is written in, and the prompt with it (see lib/i18n).
+ */
+function buildMessages({ level, subject, questionType, targetDifficulty, lomloeCompetency, criterion, avoidTopics = [], reviewTopic, student, locale }) {
+  const text = i18n.prompts(locale, 'generate');
+  const type = questionTypes.promptFor(questionType, locale);
+  const difficulty = text.difficulties[targetDifficulty] || targetDifficulty;
+  const line = (template, values) => `- ${i18n.format(template, values)}`;
+
+  const studentLines = student ? [
+    line(text.accuracy, { accuracy: Math.round(student.accuracy * 100) }),
+    line(student.streak >= 0 ? text.streakCorrect : text.streakWrong, { count: Math.abs(student.streak) }),
+    line(text.expectedAccuracy, { difficulty, accuracy: Math.round(student.expectedAccuracy * 100) })
+  ] : [];
+
+  const criterionLines = criterion ? [
+    line(text.specificCompetency, criterion.specificCompetency),
+    line(text.criterion, criterion),
+    line(text.descriptors, { descriptors: criterion.descriptors.join(', ') })
+  ] : [];
+
+  const context = [
+    line(text.level, { level }),
+    line(text.subject, { subject }),
+    ...studentLines,
+    line(text.difficulty, { difficulty }),
+    line(text.competency, { competency: lomloeCompetency }),
+    ...criterionLines,
+    ...(avoidTopics.length ? [line(text.recentTopics, { topics: avoidTopics.join(', ') })] : []),
+    ...(reviewTopic ? [line(text.reviewTopic, { topic: reviewTopic })] : [])
+  ];
+
+  const rules = text.instructions;
+  const instructions = [
+    i18n.format(rules.type, { type: type.label }),
+    i18n.format(rules.difficulty, { difficulty, level }),
+    type.instructions,
+    rules.explanation,
+    criterion ? i18n.format(rules.realWorldCriterion, { code: criterion.code }) : rules.realWorld,
+    rules.language,
+    reviewTopic ? i18n.format(rules.reviewTopic, { topic: reviewTopic }) : rules.newTopic,
+    rules.textOnly,
+    rules.safety
+  ].map((instruction, i) => `${i + 1}. ${instruction}`);
+
+  const example = {
+    question: text.example.question,
+    ...type.example,
+    explanation: text.example.explanation,
+    difficulty: targetDifficulty,
+    lomloeCompetency,
+    topic: text.example.topic
+  };
+
+  const systemPrompt = [
+    text.role,
+    '',
+    text.contextTitle,
+    ...context,
+    '',
+    text.instructionsTitle,
+    ...instructions,
+    '',
+    text.formatTitle,
+    JSON.stringify(example, null, 2),
+    '',
+    text.jsonOnly
+  ].join('\n');
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: text.request }
+  ];
+}
+
+function addUsage(total, usage = {}) {
+  for (const [key, value] of Object.entries(usage)) {
+    if (typeof value === 'number') total[key] = (total[key] || 0) + value;
+  }
+  return total;
+}
+
+// Schema errors stay in Spanish (see lib/question-schema.js); the models read them in any prompt language
+function repairPrompt(errors, locale) {
+  const text = i18n.prompts(locale, 'generate');
+  return [
+    text.repair,
+    ...errors.map(error => `- ${error}`),
+    '',
+    text.repairAgain
+  ].join('\n');
+}
+
+/**
+ * Resolves to { question, completion, usage, repairAttempts } where `usage`
+ * sums every attempt and `completion` is the last model reply. The question
+ * carries the planned competency label and curriculum criterion (and the
+ * review topic, if any), whatever the model echoed. `onAttempt({ attempt, errors })` is called before
+ * each model call; `errors` lists what the previous reply got wrong.
+ */
+async function generateQuestion(spec, { onAttempt } = {}) {
+  const { level, subject, questionType, targetDifficulty, lomloeCompetency, criterion, avoidTopics, reviewTopic } = spec;
+  const locale = i18n.catalog(spec.locale).code;
+  const conversation = buildMessages(spec);
+  const usage = {};
+
+  let previousErrors = [];
+  for (let repairAttempts = 0; ; repairAttempts++) {
+    if (onAttempt) onAttempt({ attempt: repairAttempts + 1, errors: previousErrors });
+
+    const completion = await ai.complete('generate', {
+      messages: conversation,
+      temperature: 0.8,
+      maxTokens: 800,
+      topP: 0.9,
+      context: { level, subject, questionType, targetDifficulty, lomloeCompetency, locale }
+    });
+    addUsage(usage, completion.usage);
+
+    const { question, errors } = questionSchema.parseAndValidate(completion.content, { questionType, targetDifficulty, avoidTopics, locale });
+    if (errors.length === 0) {
+      return {
+        question: {
+          ...question,
+          topic: reviewTopic || question.topic,
+          lomloeCompetency,
+          criterionId: criterion ? criterion.id : null,
+          keyCompetencies: criterion ? criterion.keyCompetencies : []
+        },
+        completion,
+        usage,
+        repairAttempts
+      };
+    }
+
+    metrics.aiParseFailures.inc({ route: 'generate' });
+    log.warn('Invalid question from model', {
+      provider: completion.provider,
+      model: completion.model,
+      attempt: repairAttempts + 1,
+      errors
+    });
+
+    if (repairAttempts >= MAX_REPAIR_ATTEMPTS) {
+      throw new QuestionValidationError(errors, repairAttempts);
+    }
+
+    previousErrors = errors;
+    conversation.push(
+      { role: 'assistant', content: completion.content },
+      { role: 'user', content: repairPrompt(errors, locale) }
+    );
+  }
+}
+
+module.exports = {
+  buildMessages,
+  generateQuestion,
+  addUsage,
+  QuestionValidationError,
+  MAX_REPAIR_ATTEMPTS
+};
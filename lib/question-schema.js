@@ -0,0 +1,151 @@
+/**
+ * 📋 QUESTION SCHEMA
+ * Parsing and strict validation of model-generated questions. Returns a list
+ * of human-readable errors (in Spanish, since they are fed back to the model
+ * in the repair prompt) instead of throwing.
+ *
+ * Besides the shape, the content is checked: questions must stand on text
+ * alone (no "look at the picture") and pass the moderation rules for model
+ * output, so both become repair errors instead of reaching students.
+ */
+
+const questionTypes = require('./question-types');
+const moderationRules = require('./moderation/rules');
+
+const DIFFICULTIES = ['fácil', 'medio', 'difícil'];
+const MAX_TEXT_LENGTH = 1000;
+
+const normalize = text => String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// "Observa la imagen", "según el gráfico", "the diagram below"...
+const VISUAL_REFERENCES = [
+  /\b(observa|observad|mira|mirad|fijate en|segun|como se ve en|como muestra) (la|el|las|los|esta|este|estas|estos) (imagen|imagenes|figura|figuras|foto|fotos|fotografia|grafico|grafica|diagrama|dibujo|ilustracion|esquema|mapa)\b/,
+  /\b(imagen|figura|foto|fotografia|grafico|grafica|diagrama|dibujo|ilustracion|esquema|mapa) (adjunt[oa]|siguiente|de abajo|de arriba|que se muestra|que aparece|mostrad[oa])\b/,
+  /\b(look at|see|refer to|shown in) the (image|picture|photo|figure|diagram|graph|chart|map)\b/,
+  /\b(image|picture|figure|diagram|graph|chart) (below|above|attached)\b/
+];
+
+// Every string in the question, nested ones (options, rubric...) included
+function textsOf(value) {
+  if (typeof value === 'string') return [value];
+  if (value && typeof value === 'object') return Object.values(value).flatMap(textsOf);
+  return [];
+}
+
+function contentErrors(data) {
+  const errors = [];
+  const texts = textsOf(data);
+
+  if (texts.some(text => VISUAL_REFERENCES.some(pattern => pattern.test(questionTypes.normalizeText(text))))) {
+    errors.push('La pregunta debe ser solo texto: no puede remitir a imágenes, gráficos, diagramas ni otro contenido visual');
+  }
+
+  const unsafe = moderationRules.check(texts.join('\n'), 'output');
+  if (unsafe.action === 'block') {
+    const categories = unsafe.categories.filter(hit => hit.action === 'block').map(hit => hit.category);
+    errors.push(`La pregunta contiene contenido no apto para estudiantes (${categories.join(', ')}); reescríbela`);
+  }
+  return errors;
+}
+
+function isNonEmptyString(value, maxLength = MAX_TEXT_LENGTH) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+}
+
+/**
+ * Pull the JSON object out of a model reply: strips ``` fences and any prose
+ * around the outermost braces.
+ */
+function parseQuestionContent(content) {
+  const withoutFences = String(content)
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  const start = withoutFences.indexOf('{');
+  const end = withoutFences.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { data: null, errors: ['La respuesta no contiene un objeto JSON'] };
+  }
+
+  try {
+    return { data: JSON.parse(withoutFences.slice(start, end + 1)), errors: [] };
+  } catch (error) {
+    return { data: null, errors: [`JSON no válido: ${error.message}`] };
+  }
+}
+
+/**
+ * Validate a parsed question. Options:
+ *   questionType     - one of question-types (default multiple_choice)
+ *   targetDifficulty - required value of `difficulty`
+ *   avoidTopics      - topics the question must not repeat
+ *   locale           - language of the question (true/false option labels)
+ *
+ * Returns { question, errors }; `question` keeps only the schema fields,
+ * trimmed, and is only meaningful when `errors` is empty.
+ */
+function validateQuestion(data, { questionType = questionTypes.DEFAULT_TYPE, targetDifficulty, avoidTopics = [], locale } = {}) {
+  const errors = [];
+  const type = questionTypes.getType(questionType);
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { question: null, errors: ['La respuesta debe ser un objeto JSON'] };
+  }
+
+  if (!isNonEmptyString(data.question)) {
+    errors.push('"question" debe ser un texto no vacío');
+  }
+
+  const typeFields = type.validate(data, errors, { locale });
+
+  if (!isNonEmptyString(data.explanation)) {
+    errors.push('"explanation" debe ser un texto no vacío');
+  }
+
+  if (!DIFFICULTIES.includes(data.difficulty)) {
+    errors.push(`"difficulty" debe ser uno de: ${DIFFICULTIES.join(', ')}`);
+  } else if (targetDifficulty && data.difficulty !== targetDifficulty) {
+    errors.push(`"difficulty" debe ser "${targetDifficulty}" (se recibió "${data.difficulty}")`);
+  }
+
+  if (!isNonEmptyString(data.lomloeCompetency, 200)) {
+    errors.push('"lomloeCompetency" debe ser un texto no vacío');
+  }
+
+  if (!isNonEmptyString(data.topic, 200)) {
+    errors.push('"topic" debe ser un texto no vacío');
+  } else if (avoidTopics.map(normalize).includes(normalize(data.topic))) {
+    errors.push(`El tema "${data.topic}" ya se ha preguntado recientemente; elige otro`);
+  }
+
+  errors.push(...contentErrors(data));
+
+  if (errors.length > 0) return { question: null, errors };
+
+  return {
+    question: {
+      questionType,
+      question: data.question.trim(),
+      ...typeFields,
+      explanation: data.explanation.trim(),
+      difficulty: data.difficulty,
+      lomloeCompetency: data.lomloeCompetency.trim(),
+      topic: data.topic.trim()
+    },
+    errors
+  };
+}
+
+function parseAndValidate(content, options) {
+  const parsed = parseQuestionContent(content);
+  if (parsed.errors.length > 0) return { question: null, errors: parsed.errors };
+  return validateQuestion(parsed.data, options);
+}
+
+module.exports = {
+  DIFFICULTIES,
+  parseQuestionContent,
+  validateQuestion,
+  parseAndValidate
+};
@@ -0,0 +1,330 @@
+/**
+ * 🧩 QUESTION TYPES
+ * Everything that differs between question formats lives here: what the
+ * model is asked to produce, how its output is validated, which fields the
+ * student may see before answering, and how an answer is graded.
+ *
+ * Each type provides:
+ *   validate(data, errors, opts)   - type-specific fields, pushing errors;
+ *                                    opts.locale is the language of the question
+ *   publicFields(question)         - fields safe to send before answering
+ *   parseAnswer(question, body)    - the submitted answer (throws InvalidAnswerError)
+ *   grade(question, answer, opts)  - { correct, score, feedback? } (may be async);
+ *                                    opts.locale is the language feedback is written in
+ *   reveal(question)               - answer key returned after grading
+ *
+ * What the generator asks the model for (label, instructions and the JSON
+ * example) is in each locale's catalog, under prompts.generate.types; see
+ * promptFor().
+ */
+
+const ai = require('./ai');
+const i18n = require('./i18n');
+const { metrics } = require('./observability');
+
+const DEFAULT_TYPE = 'multiple_choice';
+const BLANK = '___';
+
+class InvalidAnswerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidAnswerError';
+  }
+}
+
+// Model replied to a grading request with something unusable
+class GradingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GradingError';
+    this.httpStatus = 502;
+    this.code = 'INVALID_AI_OUTPUT';
+  }
+}
+
+const isNonEmptyString = (value, maxLength = 300) =>
+  typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+// Case-, accent- and punctuation-insensitive comparison for typed answers
+const normalizeText = text => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s.,-]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Accepts numbers and strings with a decimal comma ("3,5")
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return Number(value.trim().replace(/\s/g, '').replace(',', '.'));
+}
+
+function validateOptions(data, errors, { min, max }) {
+  const count = min === max ? `exactamente ${min}` : `entre ${min} y ${max}`;
+  if (!Array.isArray(data.options) || data.options.length < min || data.options.length > max) {
+    errors.push(`"options" debe ser una lista de ${count} opciones`);
+    return null;
+  }
+  if (!data.options.every(option => isNonEmptyString(option))) {
+    errors.push('Todas las opciones deben ser textos no vacíos');
+    return null;
+  }
+  if (new Set(data.options.map(normalizeText)).size !== data.options.length) {
+    errors.push('Las opciones no pueden repetirse');
+    return null;
+  }
+  return data.options.map(option => option.trim());
+}
+
+function parseIndex(body, optionCount) {
+  const index = body.answerIndex !== undefined ? body.answerIndex : body.answer;
+  if (!Number.isInteger(index) || index < 0 || index >= optionCount) {
+    throw new InvalidAnswerError(`answerIndex must be an integer between 0 and ${optionCount - 1}`);
+  }
+  return index;
+}
+
+const types = {
+  multiple_choice: {
+    validate(data, errors) {
+      const options = validateOptions(data, errors, { min: 4, max: 4 });
+      if (!Number.isInteger(data.correctIndex) || data.correctIndex < 0 || data.correctIndex > 3) {
+        errors.push('"correctIndex" debe ser un entero entre 0 y 3');
+      }
+      return { options, correctIndex: data.correctIndex };
+    },
+    publicFields: q => ({ options: q.options }),
+    parseAnswer: (q, body) => parseIndex(body, q.options.length),
+    grade(q, answer) {
+      const correct = answer === q.correctIndex;
+      return { correct, score: correct ? 1 : 0 };
+    },
+    reveal: q => ({ correctIndex: q.correctIndex })
+  },
+
+  true_false: {
+    validate(data, errors, { locale } = {}) {
+      if (typeof data.correctAnswer !== 'boolean') {
+        errors.push('"correctAnswer" debe ser true o false');
+      }
+      return { options: [...i18n.message(locale, 'trueFalseOptions')], correctAnswer: data.correctAnswer };
+    },
+    publicFields: q => ({ options: q.options }),
+    parseAnswer(q, body) {
+      if (typeof body.answer === 'boolean') return body.answer;
+      return parseIndex(body, 2) === 0;
+    },
+    grade(q, answer) {
+      const correct = answer === q.correctAnswer;
+      return { correct, score: correct ? 1 : 0 };
+    },
+    reveal: q => ({ correctAnswer: q.correctAnswer, correctIndex: q.correctAnswer ? 0 : 1 })
+  },
+
+  multi_select: {
+    validate(data, errors) {
+      const options = validateOptions(data, errors, { min: 4, max: 6 });
+      const indices = data.correctIndices;
+      const count = options ? options.length : 6;
+      if (!Array.isArray(indices) || indices.length === 0 ||
+          !indices.every(i => Number.isInteger(i) && i >= 0 && i < count) ||
+          new Set(indices).size !== indices.length) {
+        errors.push('"correctIndices" debe ser una lista de índices distintos y válidos');
+      } else if (indices.length >= count) {
+        errors.push('Al menos una opción debe ser incorrecta');
+      }
+      return { options, correctIndices: Array.isArray(indices) ? [...indices].sort((a, b) => a - b) : indices };
+    },
+    publicFields: q => ({ options: q.options }),
+    parseAnswer(q, body) {
+      const answer = body.answer !== undefined ? body.answer : body.answerIndices;
+      if (!Array.isArray(answer) || !answer.every(Number.isInteger)) {
+        throw new InvalidAnswerError('answer must be an array of option indices');
+      }
+      return [...new Set(answer)];
+    },
+    grade(q, answer) {
+      const expected = new Set(q.correctIndices);
+      const hits = answer.filter(i => expected.has(i)).length;
+      const misses = answer.length - hits;
+      const correct = hits === expected.size && misses === 0;
+      // Partial credit: right picks minus wrong picks, never below zero
+      return { correct, score: Math.max(0, (hits - misses) / expected.size) };
+    },
+    reveal: q => ({ correctIndices: q.correctIndices })
+  },
+
+  numeric: {
+    validate(data, errors) {
+      if (typeof data.correctValue !== 'number' || !Number.isFinite(data.correctValue)) {
+        errors.push('"correctValue" debe ser un número');
+      }
+      if (typeof data.tolerance !== 'number' || !(data.tolerance >= 0)) {
+        errors.push('"tolerance" debe ser un número mayor o igual que 0');
+      }
+      if (data.unit !== undefined && typeof data.unit !== 'string') {
+        errors.push('"unit" debe ser un texto');
+      }
+      return { correctValue: data.correctValue, tolerance: data.tolerance, unit: typeof data.unit === 'string' ? data.unit.trim() : '' };
+    },
+    publicFields: q => ({ unit: q.unit }),
+    parseAnswer(q, body) {
+      const value = parseNumber(body.answer);
+      if (!Number.isFinite(value)) throw new InvalidAnswerError('answer must be a number');
+      return value;
+    },
+    grade(q, answer) {
+      // Small epsilon so 0.1 + 0.2 style float noise never flips a result
+      const correct = Math.abs(answer - q.correctValue) <= q.tolerance + 1e-9;
+      return { correct, score: correct ? 1 : 0 };
+    },
+    reveal: q => ({ correctValue: q.correctValue, tolerance: q.tolerance, unit: q.unit })
+  },
+
+  fill_blank: {
+    validate(data, errors) {
+      const blanks = typeof data.question === 'string' ? data.question.split(BLANK).length - 1 : 0;
+      if (blanks === 0) errors.push(`"question" debe contener al menos un hueco ${BLANK}`);
+
+      const accepted = data.acceptedAnswers;
+      if (!Array.isArray(accepted) || accepted.length !== blanks ||
+          !accepted.every(list => Array.isArray(list) && list.length > 0 && list.every(a => isNonEmptyString(a, 100)))) {
+        errors.push('"acceptedAnswers" debe tener una lista de respuestas no vacía por cada hueco');
+      }
+      return {
+        blanks,
+        acceptedAnswers: Array.isArray(accepted) ? accepted.map(list => Array.isArray(list) ? list.map(a => String(a).trim()) : list) : accepted
+      };
+    },
+    publicFields: q => ({ blanks: q.blanks }),
+    parseAnswer(q, body) {
+      const answer = typeof body.answer === 'string' ? [body.answer] : body.answer;
+      if (!Array.isArray(answer) || !answer.every(a => typeof a === 'string')) {
+        throw new InvalidAnswerError('answer must be a string or an array of strings (one per blank)');
+      }
+      return answer;
+    },
+    grade(q, answer) {
+      const results = q.acceptedAnswers.map((accepted, i) =>
+        answer[i] !== undefined && accepted.map(normalizeText).includes(normalizeText(answer[i]))
+      );
+      const right = results.filter(Boolean).length;
+      return { correct: right === q.blanks, score: right / q.blanks, blanks: results };
+    },
+    reveal: q => ({ acceptedAnswers: q.acceptedAnswers })
+  },
+
+  short_answer: {
+    validate(data, errors) {
+      if (!Array.isArray(data.rubric) || data.rubric.length < 2 || data.rubric.length > 5 ||
+          !data.rubric.every(c => isNonEmptyString(c))) {
+        errors.push('"rubric" debe ser una lista de 2 a 5 criterios no vacíos');
+      }
+      if (!isNonEmptyString(data.sampleAnswer, 1000)) {
+        errors.push('"sampleAnswer" debe ser un texto no vacío');
+      }
+      return {
+        rubric: Array.isArray(data.rubric) ? data.rubric.map(c => String(c).trim()) : data.rubric,
+        sampleAnswer: typeof data.sampleAnswer === 'string' ? data.sampleAnswer.trim() : data.sampleAnswer
+      };
+    },
+    publicFields: () => ({}),
+    parseAnswer(q, body) {
+      if (!isNonEmptyString(body.answer, 2000)) {
+        throw new InvalidAnswerError('answer must be a non-empty text of at most 2000 characters');
+      }
+      return body.answer.trim();
+    },
+    grade: gradeWithRubric,
+    reveal: q => ({ sampleAnswer: q.sampleAnswer, rubric: q.rubric })
+  }
+};
+
+/**
+ * Free-text answers are graded by the model against the stored rubric.
+ */
+async function gradeWithRubric(q, answer, { locale } = {}) {
+  const text = i18n.prompts(locale, 'grade');
+  const systemPrompt = [
+    text.role,
+    '',
+    i18n.format(text.question, { question: q.question }),
+    i18n.format(text.sampleAnswer, { sampleAnswer: q.sampleAnswer }),
+    text.rubric,
+    ...q.rubric.map((criterion, i) => `${i + 1}. ${criterion}`),
+    '',
+    text.rubricOnly,
+    text.feedback,
+    '',
+    text.jsonOnly,
+    `{ "score": 0.0-1.0, "correct": true|false, "feedback": ${JSON.stringify(text.feedbackExample)} }`
+  ].join('\n');
+
+  const completion = await ai.complete('grade', {
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `${text.answer}\n${answer}` }
+    ],
+    temperature: 0,
+    maxTokens: 300,
+    context: { rubric: q.rubric, sampleAnswer: q.sampleAnswer, answer }
+  });
+
+  const content = completion.content;
+  let result;
+  try {
+    result = JSON.parse(content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1));
+  } catch (error) {
+    metrics.aiParseFailures.inc({ route: 'grade' });
+    throw new GradingError('AI grader returned invalid JSON');
+  }
+
+  if (typeof result.score !== 'number' || result.score < 0 || result.score > 1 ||
+      typeof result.correct !== 'boolean' || !isNonEmptyString(result.feedback, 1000)) {
+    metrics.aiParseFailures.inc({ route: 'grade' });
+    throw new GradingError('AI grader returned an invalid result');
+  }
+
+  return {
+    correct: result.correct,
+    score: Math.round(result.score * 100) / 100,
+    feedback: result.feedback.trim(),
+    usage: completion.usage
+  };
+}
+
+function isValidType(type) {
+  return Object.prototype.hasOwnProperty.call(types, type);
+}
+
+function getType(type) {
+  return types[type || DEFAULT_TYPE];
+}
+
+/**
+ * What the generator asks for in the locale: { label, instructions, example },
+ * with {blank} standing for the blank marker
+ */
+function promptFor(type, locale) {
+  const { label, instructions, example } = i18n.prompts(locale, 'generate').types[type || DEFAULT_TYPE];
+  const withBlank = value => (typeof value === 'string' ? i18n.format(value, { blank: BLANK }) : value);
+  return {
+    label,
+    instructions: withBlank(instructions),
+    example: Object.fromEntries(Object.entries(example).map(([field, value]) => [field, withBlank(value)]))
+  };
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  BLANK,
+  types,
+  isValidType,
+  getType,
+  promptFor,
+  normalizeText,
+  InvalidAnswerError,
+  GradingError
+};
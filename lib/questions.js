@@ -0,0 +1,182 @@
+/**
+ * ❓ GENERATED QUESTIONS
+ * Every generated question is kept server-side under an ID. Clients only
+ * ever see the public part; the answer key and explanation are released
+ * once the answer has been graded here.
+ */
+
+const crypto = require('crypto');
+const { updateRecord } = require('./store');
+const questionTypes = require('./question-types');
+const curriculum = require('./curriculum');
+const questionBank = require('./question-bank');
+const i18n = require('./i18n');
+const { log } = require('./observability');
+
+const COLLECTION = 'questions';
+const ANONYMOUS = '_anonymous';
+
+class QuestionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'QuestionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Issue a question. `bankId` links it to its question bank entry, which
+ * then counts its answers. `locale` is the language it is written in, and
+ * the one free-text feedback is written in.
+ */
+async function saveQuestion(store, { question, level, subject, locale, studentId, targetDifficulty, quizId, bankId }) {
+  const id = crypto.randomUUID();
+  const record = {
+    id,
+    level,
+    subject,
+    locale: i18n.catalog(locale).code,
+    studentId: studentId || null,
+    quizId: quizId || null,
+    bankId: bankId || null,
+    targetDifficulty,
+    curriculumVersion: question.criterionId ? curriculum.VERSION : null,
+    question,
+    createdAt: new Date().toISOString(),
+    answers: {}
+  };
+
+  await store.set(COLLECTION, id, record);
+  return record;
+}
+
+async function getQuestion(store, id) {
+  return store.get(COLLECTION, id);
+}
+
+/**
+ * What the browser is allowed to see before answering.
+ */
+function toClientQuestion(record) {
+  const q = record.question;
+  return {
+    id: record.id,
+    questionType: q.questionType || questionTypes.DEFAULT_TYPE,
+    question: q.question,
+    ...questionTypes.getType(q.questionType).publicFields(q),
+    difficulty: q.difficulty,
+    lomloeCompetency: q.lomloeCompetency,
+    criterionId: q.criterionId || null,
+    topic: q.topic,
+    locale: record.locale || 'es'
+  };
+}
+
+/**
+ * Grade a submission against a question's answer key, using the grader for
+ * its type (free-text answers go to the model), without recording it.
+ * Resolves to { answer, correct, score, ... }.
+ */
+async function gradeSubmission(record, body) {
+  const type = questionTypes.getType(record.question.questionType);
+  let answer;
+  try {
+    answer = type.parseAnswer(record.question, body);
+  } catch (error) {
+    if (error instanceof questionTypes.InvalidAnswerError) throw new QuestionError(error.message, 400);
+    throw error;
+  }
+
+  const grade = await type.grade(record.question, answer, { locale: record.locale });
+  return { answer, ...grade };
+}
+
+/**
+ * Grade a submission against the stored answer key and record it. A question
+ * generated for a student can only be answered by that student, and only
+ * once. `graded`, from gradeSubmission, records a grade worked out earlier
+ * instead of grading again.
+ */
+async function gradeAnswer(store, questionId, { studentId, body, quizId, graded }) {
+  let result;
+
+  await updateRecord(store, COLLECTION, questionId, async (record) => {
+    if (!record) throw new QuestionError('Question not found', 404);
+
+    if (record.studentId && record.studentId !== studentId) {
+      throw new QuestionError('Question was generated for a different student', 403);
+    }
+
+    // Grading returns the answer key, so quiz questions are only graded on submission
+    if (record.quizId && record.quizId !== quizId) {
+      throw new QuestionError('Question belongs to a quiz; submit it with the quiz', 409);
+    }
+
+    const answerKey = studentId || ANONYMOUS;
+    if (studentId && record.answers[answerKey]) {
+      throw new QuestionError('Question already answered', 409);
+    }
+
+    const { answer, ...grade } = graded || await gradeSubmission(record, body);
+    const answeredAt = new Date().toISOString();
+    if (studentId) {
+      record.answers[answerKey] = { answer, correct: grade.correct, score: grade.score, answeredAt };
+    }
+
+    result = { record, answer, ...grade, answeredAt };
+    return record;
+  });
+
+  if (result.record.bankId) {
+    await questionBank.recordAnswer(store, result.record.bankId, result.correct)
+      .catch(error => log.error('Question bank error', { error }));
+  }
+  return result;
+}
+
+/**
+ * Profile history entry for a graded answer.
+ */
+function attemptFrom(record, result) {
+  return {
+    questionId: record.id,
+    questionType: record.question.questionType,
+    subject: record.subject,
+    level: record.level,
+    topic: record.question.topic,
+    difficulty: record.question.difficulty || record.targetDifficulty,
+    lomloeCompetency: record.question.lomloeCompetency,
+    criterionId: record.question.criterionId || null,
+    correct: result.correct,
+    answeredAt: result.answeredAt
+  };
+}
+
+/**
+ * Graded result as returned to the client: outcome, the answer key for the
+ * question's type and the explanation.
+ */
+function describeResult(record, result) {
+  return {
+    questionId: record.id,
+    questionType: record.question.questionType,
+    correct: result.correct,
+    score: result.score,
+    answer: result.answer,
+    ...(result.feedback ? { feedback: result.feedback } : {}),
+    ...(result.blanks ? { blanks: result.blanks } : {}),
+    ...questionTypes.getType(record.question.questionType).reveal(record.question),
+    explanation: record.question.explanation
+  };
+}
+
+module.exports = {
+  QuestionError,
+  saveQuestion,
+  getQuestion,
+  toClientQuestion,
+  gradeSubmission,
+  gradeAnswer,
+  attemptFrom,
+  describeResult
+};
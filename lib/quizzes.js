@@ -0,0 +1,353 @@
+/**
+ * 📝 QUIZZES
+ * Whole N-question assessments built over the single-question generator:
+ * the quiz is planned up front (difficulty mix, curriculum criteria to
+ * cover, question types), the slots are generated in parallel, and no two
+ * questions may share a topic. Questions are stored like any other
+ * generated question, so grading reuses the same answer keys.
+ */
+
+const crypto = require('crypto');
+const { updateRecord } = require('./store');
+const questions = require('./questions');
+const questionBank = require('./question-bank');
+const profiles = require('./profiles');
+const questionTypes = require('./question-types');
+const questionGenerator = require('./question-generator');
+const curriculum = require('./curriculum');
+const { DIFFICULTIES } = require('./question-schema');
+
+const COLLECTION = 'quizzes';
+const MAX_QUESTIONS = 30;
+const CONCURRENCY = parseInt(process.env.QUIZ_CONCURRENCY, 10) || 4;
+const TOPIC_RETRIES = 2;
+const DEFAULT_MIX = { fácil: 0.3, medio: 0.4, difícil: 0.3 };
+
+class QuizError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'QuizError';
+    this.status = status;
+  }
+}
+
+const normalizeTopic = topic => questionTypes.normalizeText(topic);
+
+function normalizeMix(mix) {
+  if (mix === undefined) return DEFAULT_MIX;
+
+  if (!mix || typeof mix !== 'object' || Array.isArray(mix) ||
+      !Object.keys(mix).every(key => DIFFICULTIES.includes(key)) ||
+      !Object.values(mix).every(weight => typeof weight === 'number' && weight >= 0) ||
+      Object.values(mix).reduce((a, b) => a + b, 0) <= 0) {
+    throw new QuizError(`difficultyMix must map ${DIFFICULTIES.join('/')} to non-negative weights`, 400);
+  }
+  return mix;
+}
+
+/**
+ * Split `count` questions across difficulties in proportion to the weights
+ * (largest remainder, so the counts always add up to `count`).
+ */
+function allocate(count, mix) {
+  const total = Object.values(mix).reduce((a, b) => a + b, 0);
+  const shares = DIFFICULTIES.map(difficulty => {
+    const exact = (count * (mix[difficulty] || 0)) / total;
+    return { difficulty, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let missing = count - shares.reduce((sum, share) => sum + share.count, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+    if (missing-- <= 0) break;
+    share.count++;
+  }
+  return shares;
+}
+
+/**
+ * What a slot assesses. A competency entry may be a criterion ID
+ * ("MAT.ESO.1.2"), a key competency code ("STEM") or, for subjects outside
+ * the curriculum, a free-text label. Criteria already planned are avoided
+ * so the quiz spreads over the curriculum.
+ */
+function planTarget({ subject, level, difficulty, competency, planned }) {
+  let target;
+  try {
+    if (competency && curriculum.getCriterion(competency)) {
+      target = curriculum.targetFor({ subject, level, criterionId: competency });
+    } else if (competency && curriculum.getKeyCompetency(competency)) {
+      target = curriculum.targetFor({ subject, level, difficulty, keyCompetency: competency, recent: planned });
+    } else {
+      target = curriculum.targetFor({ subject, level, difficulty, recent: planned });
+    }
+  } catch (error) {
+    if (error instanceof curriculum.CurriculumError) throw new QuizError(error.message, error.status);
+    throw error;
+  }
+
+  if (!target.criterion) {
+    return { lomloeCompetency: competency || target.lomloeCompetency, criterionId: null };
+  }
+  if (competency && !curriculum.getCriterion(competency) && !curriculum.getKeyCompetency(competency)) {
+    throw new QuizError(`Unknown competency "${competency}": use a criterion ID or a key competency code`, 400);
+  }
+  return { lomloeCompetency: target.lomloeCompetency, criterionId: target.criterion.id };
+}
+
+/**
+ * Slots in easy-to-hard order. Competencies and question types are assigned
+ * round-robin, so every requested competency gets at least one question.
+ */
+function planQuiz({ subject, level, count = 10, difficultyMix, competencies = [], questionTypes: types = [questionTypes.DEFAULT_TYPE] }) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTIONS) {
+    throw new QuizError(`count must be an integer between 1 and ${MAX_QUESTIONS}`, 400);
+  }
+  if (!Array.isArray(competencies) || !competencies.every(c => typeof c === 'string' && c.trim())) {
+    throw new QuizError('competencies must be an array of non-empty strings', 400);
+  }
+  if (competencies.length > count) {
+    throw new QuizError(`Cannot cover ${competencies.length} competencies with ${count} questions`, 400);
+  }
+  if (!Array.isArray(types) || types.length === 0 || !types.every(questionTypes.isValidType)) {
+    throw new QuizError(`questionTypes must be a non-empty array of: ${Object.keys(questionTypes.types).join(', ')}`, 400);
+  }
+
+  const slots = [];
+  for (const share of allocate(count, normalizeMix(difficultyMix))) {
+    for (let i = 0; i < share.count; i++) slots.push({ targetDifficulty: share.difficulty });
+  }
+
+  const planned = [];
+  return slots.map((slot, index) => {
+    const competency = competencies.length ? competencies[index % competencies.length].trim() : null;
+    const target = planTarget({ subject, level, difficulty: slot.targetDifficulty, competency, planned });
+    if (target.criterionId) planned.unshift(target.criterionId);
+
+    return {
+      ...slot,
+      ...target,
+      questionType: types[index % types.length]
+    };
+  });
+}
+
+/**
+ * Like Promise.all over `fn(item)`, with at most `limit` calls in flight.
+ * Stops picking up new items once one has failed.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function generateQuiz(store, { level, subject, locale, studentId, count, difficultyMix, competencies, questionTypes: types, avoidTopics = [] }) {
+  const plan = planQuiz({ subject, level, count, difficultyMix, competencies, questionTypes: types });
+  const quizId = crypto.randomUUID();
+  const acceptedTopics = new Map();
+  const usage = {};
+  let repairAttempts = 0;
+
+  // Slots run in parallel, so two may still land on the same topic;
+  // the later one is regenerated with the accepted topics excluded.
+  const generated = await mapWithConcurrency(plan, CONCURRENCY, async (slot) => {
+    for (let attempt = 0; attempt <= TOPIC_RETRIES; attempt++) {
+      const result = await questionGenerator.generateQuestion({
+        level,
+        subject,
+        locale,
+        questionType: slot.questionType,
+        targetDifficulty: slot.targetDifficulty,
+        lomloeCompetency: slot.lomloeCompetency,
+        criterion: slot.criterionId ? curriculum.getCriterion(slot.criterionId) : null,
+        avoidTopics: [...avoidTopics, ...acceptedTopics.values()]
+      });
+      questionGenerator.addUsage(usage, result.usage);
+      repairAttempts += result.repairAttempts;
+
+      const key = normalizeTopic(result.question.topic);
+      if (!acceptedTopics.has(key)) {
+        acceptedTopics.set(key, result.question.topic);
+        return { question: result.question, completion: result.completion };
+      }
+    }
+
+    throw new QuizError('Could not generate enough questions with distinct topics', 502);
+  });
+
+  // Filed in the question bank like single generated questions
+  const records = [];
+  for (const { question: generatedQuestion, completion } of generated) {
+    const { entry, question } = await questionBank.addQuestion(store, {
+      question: generatedQuestion,
+      level,
+      subject,
+      locale,
+      source: { type: 'model', provider: completion.provider, model: completion.model },
+      studentId
+    });
+    if (entry && studentId) await questionBank.markSeen(store, entry.id, studentId);
+
+    records.push(await questions.saveQuestion(store, {
+      question,
+      level,
+      subject,
+      locale,
+      studentId,
+      targetDifficulty: question.difficulty,
+      quizId,
+      bankId: entry ? entry.id : null
+    }));
+  }
+
+  const quiz = {
+    id: quizId,
+    level,
+    subject,
+    studentId: studentId || null,
+    status: 'open',
+    createdAt: new Date().toISOString(),
+    questionIds: records.map(record => record.id),
+    plan,
+    usage,
+    repairAttempts,
+    submission: null
+  };
+  await store.set(COLLECTION, quizId, quiz);
+
+  return { quiz, records };
+}
+
+async function getQuiz(store, quizId) {
+  return store.get(COLLECTION, quizId);
+}
+
+async function loadQuestions(store, quiz) {
+  return Promise.all(quiz.questionIds.map(id => questions.getQuestion(store, id)));
+}
+
+function summarizePlan(records) {
+  const difficulties = {};
+  const competencies = {};
+  const criteria = {};
+  for (const { question } of records) {
+    difficulties[question.difficulty] = (difficulties[question.difficulty] || 0) + 1;
+    competencies[question.lomloeCompetency] = (competencies[question.lomloeCompetency] || 0) + 1;
+    if (question.criterionId) criteria[question.criterionId] = (criteria[question.criterionId] || 0) + 1;
+  }
+  return { difficulties, competencies, criteria, topics: records.map(({ question }) => question.topic) };
+}
+
+/**
+ * Client view: public question fields only, plus the results once submitted.
+ */
+function toClientQuiz(quiz, records) {
+  return {
+    id: quiz.id,
+    level: quiz.level,
+    subject: quiz.subject,
+    studentId: quiz.studentId,
+    status: quiz.status,
+    createdAt: quiz.createdAt,
+    totalQuestions: records.length,
+    coverage: summarizePlan(records),
+    questions: records.map(questions.toClientQuestion),
+    ...(quiz.submission ? { submission: quiz.submission } : {})
+  };
+}
+
+/**
+ * Grade every answered question (unanswered ones score 0) and record the
+ * graded answers in the student's profile. A quiz is submitted once.
+ * Nothing is recorded until every answer is graded, so a grader failure
+ * leaves the quiz open to submit again.
+ * `answers` is an array of { questionId, answer | answerIndex }.
+ */
+async function submitQuiz(store, quizId, { studentId, answers }) {
+  if (!Array.isArray(answers)) throw new QuizError('answers must be an array', 400);
+
+  return updateRecord(store, COLLECTION, quizId, async (quiz) => {
+    if (!quiz) throw new QuizError('Quiz not found', 404);
+    if (quiz.studentId && quiz.studentId !== studentId) {
+      throw new QuizError('Quiz was generated for a different student', 403);
+    }
+    if (quiz.status !== 'open') throw new QuizError('Quiz already submitted', 409);
+
+    const byQuestion = new Map(answers.filter(a => a && a.questionId).map(a => [String(a.questionId), a]));
+    const records = await loadQuestions(store, quiz);
+
+    // Reject malformed answers before anything is graded
+    for (const record of records) {
+      const body = byQuestion.get(record.id);
+      if (!body) continue;
+      if (studentId && record.answers[studentId]) {
+        throw new QuizError(`Question ${record.id} was already answered outside the quiz`, 409);
+      }
+      try {
+        questionTypes.getType(record.question.questionType).parseAnswer(record.question, body);
+      } catch (error) {
+        if (error instanceof questionTypes.InvalidAnswerError) {
+          throw new QuizError(`Question ${record.id}: ${error.message}`, 400);
+        }
+        throw error;
+      }
+    }
+
+    const grades = new Map();
+    for (const record of records) {
+      const body = byQuestion.get(record.id);
+      if (body) grades.set(record.id, await questions.gradeSubmission(record, body));
+    }
+
+    const results = [];
+    for (const record of records) {
+      const graded = grades.get(record.id);
+      if (!graded) {
+        results.push({ questionId: record.id, answered: false, correct: false, score: 0 });
+        continue;
+      }
+
+      const result = await questions.gradeAnswer(store, record.id, { studentId, quizId, graded });
+      if (studentId) await profiles.recordAnswer(store, studentId, questions.attemptFrom(record, result));
+      results.push({ answered: true, ...questions.describeResult(record, result) });
+    }
+
+    const score = results.reduce((sum, result) => sum + result.score, 0);
+    quiz.status = 'submitted';
+    quiz.submission = {
+      submittedAt: new Date().toISOString(),
+      answered: results.filter(result => result.answered).length,
+      correct: results.filter(result => result.correct).length,
+      score: Math.round(score * 100) / 100,
+      percentage: Math.round((score / results.length) * 100),
+      results
+    };
+    return quiz;
+  });
+}
+
+module.exports = {
+  QuizError,
+  MAX_QUESTIONS,
+  planQuiz,
+  generateQuiz,
+  getQuiz,
+  loadQuestions,
+  toClientQuiz,
+  submitQuiz
+};
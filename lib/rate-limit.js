@@ -0,0 +1,138 @@
+/**
+ * 🚦 RATE LIMITING
+ * Fixed-window request limits per tenant and per student, and per client IP
+ * for callers without a school credential (a classroom behind one NAT
+ * shares an IP). Limits are requests per RATE_LIMIT_WINDOW_MS; 0 disables
+ * a scope. Every response
+ * carries RateLimit-Limit / -Remaining / -Reset for the tightest scope;
+ * going over answers 429 with Retry-After.
+ *
+ * Counters live in a pluggable backend (RATE_LIMIT_STORE):
+ *
+ *   memory (default)  in process; each instance counts on its own
+ *   store             in the storage adapter, shared by instances that share it
+ *
+ *   hit(key, windowMs) -> { count, resetAt }   (resetAt in ms)
+ */
+
+const { updateRecord } = require('./store');
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000;
+
+const envLimit = (name, fallback) => (process.env[name] === undefined ? fallback : parseInt(process.env[name], 10) || 0);
+
+const LIMITS = {
+  ip: envLimit('RATE_LIMIT_IP', 120),
+  tenant: envLimit('RATE_LIMIT_TENANT', 600),
+  student: envLimit('RATE_LIMIT_STUDENT', 30)
+};
+
+function createMemoryCounters() {
+  const windows = new Map();
+
+  // Expired windows are dropped now and then so idle clients don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, WINDOW_MS).unref();
+
+  return {
+    type: 'memory',
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    }
+  };
+}
+
+function createStoreCounters({ store }) {
+  return {
+    type: 'store',
+    async hit(key, windowMs) {
+      const now = Date.now();
+      return updateRecord(store, 'rate-limits', key, (window) => {
+        if (!window || window.resetAt <= now) window = { count: 0, resetAt: now + windowMs };
+        window.count += 1;
+        return window;
+      });
+    }
+  };
+}
+
+const backends = {
+  memory: createMemoryCounters,
+  store: createStoreCounters
+};
+
+/**
+ * Middleware; runs after authentication so tenant and student are known.
+ * `store` is the unscoped store, used by the `store` backend.
+ */
+function createRateLimiter({ store, backend = process.env.RATE_LIMIT_STORE || 'memory', limits = LIMITS, windowMs = WINDOW_MS } = {}) {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${backend}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+  const counters = factory({ store });
+
+  return async function rateLimit(req, res, next) {
+    const scopes = [];
+    const credentialed = req.auth && req.auth.tenantId && req.auth.via !== 'anonymous';
+    if (!credentialed) scopes.push(['ip', req.ip]);
+    if (req.auth && req.auth.tenantId) {
+      scopes.push(['tenant', req.auth.tenantId]);
+      if (req.auth.studentId) scopes.push(['student', `${req.auth.tenantId}:${req.auth.studentId}`]);
+    }
+
+    try {
+      let tightest = null;
+      let exceeded = null;
+      for (const [scope, id] of scopes) {
+        const limit = limits[scope];
+        if (!limit) continue;
+
+        const { count, resetAt } = await counters.hit(`${scope}:${id}`, windowMs);
+        const state = { scope, limit, remaining: Math.max(0, limit - count), resetAt };
+        if (!tightest || state.remaining < tightest.remaining) tightest = state;
+        if (count > limit) {
+          exceeded = state;
+          break;
+        }
+      }
+
+      if (!tightest) return next();
+
+      const reset = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+      res.set({
+        'RateLimit-Limit': String(tightest.limit),
+        'RateLimit-Remaining': String(tightest.remaining),
+        'RateLimit-Reset': String(reset)
+      });
+      if (!exceeded) return next();
+
+      const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        success: false,
+        error: `Too many requests for this ${exceeded.scope === 'ip' ? 'address' : exceeded.scope === 'tenant' ? 'school' : 'student'}; try again in ${retryAfter}s`,
+        code: 'RATE_LIMITED',
+        scope: exceeded.scope,
+        limit: exceeded.limit,
+        resetAt: new Date(exceeded.resetAt).toISOString(),
+        retryAfter
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = { createRateLimiter, backends, LIMITS, WINDOW_MS };
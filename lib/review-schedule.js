@@ -0,0 +1,142 @@
+/**
+ * 🔁 REVIEW SCHEDULE
+ * SM-2 spaced repetition over topics a student has missed. A wrong answer
+ * puts the topic in the schedule (due the next day). A correct answer once
+ * it is due stretches the interval; a miss at any time resets it. When the
+ * interval reaches GRADUATE_DAYS the topic leaves the schedule.
+ * /api/adaptive/generate draws due topics from it.
+ *
+ * Answers are graded 0-5 for SM-2 from correctness and difficulty: a hard
+ * question answered right is a stronger recall than an easy one, and an
+ * easy one missed is a weaker one.
+ *
+ * Pure functions only: no I/O, no randomness, no LLM.
+ */
+
+const SCHEDULER_NAME = 'sm2';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INITIAL_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+const GRADUATE_DAYS = parseInt(process.env.REVIEW_GRADUATE_DAYS, 10) || 30;
+
+// Furthest-due topics are dropped beyond this many per student
+const MAX_ITEMS = 200;
+
+const QUALITY = {
+  correct: { fácil: 3, medio: 4, difícil: 5 },
+  incorrect: { fácil: 0, medio: 1, difícil: 2 }
+};
+
+function qualityOf({ correct, difficulty }) {
+  const grades = QUALITY[correct ? 'correct' : 'incorrect'];
+  return grades[difficulty] ?? grades.medio;
+}
+
+function createSchedule() {
+  return { scheduler: SCHEDULER_NAME, items: [] };
+}
+
+function nextEasiness(easiness, quality) {
+  return Math.max(MIN_EASINESS, easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+}
+
+/**
+ * Fold one answered question into the schedule. Returns a new schedule.
+ * Answers without a topic, correct answers on topics that were never
+ * missed and correct answers before a topic is due leave it as it is.
+ */
+function applyAttempt(schedule, attempt) {
+  const next = JSON.parse(JSON.stringify(schedule || createSchedule()));
+  if (!attempt.topic) return next;
+
+  const subject = attempt.subject || '_general';
+  const reviewedAt = new Date(attempt.answeredAt || Date.now());
+  const index = next.items.findIndex(item => item.subject === subject && item.topic === attempt.topic);
+  if (attempt.correct && (index === -1 || reviewedAt < new Date(next.items[index].dueAt))) return next;
+
+  const item = index === -1
+    ? { subject, topic: attempt.topic, easiness: INITIAL_EASINESS, repetitions: 0, interval: 0, lapses: 0, addedAt: reviewedAt.toISOString() }
+    : next.items[index];
+
+  const quality = qualityOf(attempt);
+  if (quality >= 3) {
+    item.repetitions += 1;
+    item.interval = item.repetitions === 1 ? 1 : item.repetitions === 2 ? 6 : Math.round(item.interval * item.easiness);
+  } else {
+    item.repetitions = 0;
+    item.interval = 1;
+    item.lapses += 1;
+  }
+  item.easiness = Math.round(nextEasiness(item.easiness, quality) * 1000) / 1000;
+  item.level = attempt.level || item.level || null;
+  item.criterionId = attempt.criterionId || item.criterionId || null;
+  item.lomloeCompetency = attempt.lomloeCompetency || item.lomloeCompetency || null;
+  item.lastCorrect = Boolean(attempt.correct);
+  item.reviewedAt = reviewedAt.toISOString();
+  item.dueAt = new Date(reviewedAt.getTime() + item.interval * DAY_MS).toISOString();
+
+  if (index !== -1) next.items.splice(index, 1);
+  if (!(attempt.correct && item.interval >= GRADUATE_DAYS)) next.items.push(item);
+
+  if (next.items.length > MAX_ITEMS) {
+    next.items = next.items.sort((a, b) => a.dueAt.localeCompare(b.dueAt)).slice(0, MAX_ITEMS);
+  }
+  return next;
+}
+
+/**
+ * Replay a history array (oldest first) into a fresh schedule.
+ */
+function buildSchedule(history) {
+  return (history || []).reduce(applyAttempt, createSchedule());
+}
+
+/**
+ * Topics due by `now`, most overdue first (ties: most lapses first),
+ * optionally for one subject only.
+ */
+function dueItems(schedule, { subject, now = new Date(), limit } = {}) {
+  const due = (schedule?.items || [])
+    .filter(item => (!subject || item.subject === subject) && Date.parse(item.dueAt) <= now.getTime())
+    .sort((a, b) => a.dueAt.localeCompare(b.dueAt) || b.lapses - a.lapses);
+  return limit ? due.slice(0, limit) : due;
+}
+
+// Scheduled but not yet due, soonest first
+function upcomingItems(schedule, { subject, now = new Date(), limit } = {}) {
+  const upcoming = (schedule?.items || [])
+    .filter(item => (!subject || item.subject === subject) && Date.parse(item.dueAt) > now.getTime())
+    .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+  return limit ? upcoming.slice(0, limit) : upcoming;
+}
+
+function describeItem(item, now = new Date()) {
+  return {
+    subject: item.subject,
+    topic: item.topic,
+    level: item.level,
+    criterionId: item.criterionId,
+    lomloeCompetency: item.lomloeCompetency,
+    dueAt: item.dueAt,
+    overdueDays: Math.max(0, Math.floor((now.getTime() - Date.parse(item.dueAt)) / DAY_MS)),
+    intervalDays: item.interval,
+    repetitions: item.repetitions,
+    lapses: item.lapses,
+    easiness: item.easiness,
+    lastCorrect: item.lastCorrect,
+    reviewedAt: item.reviewedAt
+  };
+}
+
+module.exports = {
+  SCHEDULER_NAME,
+  GRADUATE_DAYS,
+  qualityOf,
+  createSchedule,
+  applyAttempt,
+  buildSchedule,
+  dueItems,
+  upcomingItems,
+  describeItem
+};
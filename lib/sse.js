@@ -0,0 +1,60 @@
+/**
+ * 📡 SERVER-SENT EVENTS
+ * Opt-in streaming for routes that wait on the model. A client asks for it
+ * with `"stream": true` in the body or `Accept: text/event-stream`; the
+ * route then emits named events and always finishes with exactly one
+ * `done` (the same payload the JSON response would carry) or `error`.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+function wantsStream(req) {
+  return (req.body && req.body.stream === true) ||
+    (req.get('accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response to text/event-stream. Returns { send(event, data),
+ * end() }; writes after the client disconnected are dropped.
+ */
+function openStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx, Railway)
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const write = (chunk) => {
+    if (closed) return;
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush(); // push through compression
+  };
+
+  // Comment lines keep idle proxies from closing the connection while the model thinks
+  const heartbeat = setInterval(() => write(': keep-alive\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  write(': stream open\n\n');
+
+  return {
+    send(event, data) {
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!closed) res.end();
+      closed = true;
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = { wantsStream, openStream };
@@ -0,0 +1,87 @@
+/**
+ * Local file storage adapter (default). Each collection is one JSON file in
+ * DATA_DIR, loaded lazily and cached in memory. Writes are serialized per
+ * collection and go through a temp file + rename so a crash mid-write never
+ * leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createFileAdapter({ dataDir }) {
+  const cache = new Map();
+  const writeQueues = new Map();
+
+  const fileFor = (name) => {
+    if (!/^[A-Za-z0-9_.:-]+$/.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    return path.join(dataDir, `${name.replace(/:/g, '__')}.json`);
+  };
+
+  async function load(name) {
+    if (cache.has(name)) return cache.get(name);
+
+    // Null prototype so ids like "__proto__" are plain keys
+    const records = Object.create(null);
+    try {
+      Object.assign(records, JSON.parse(await fs.promises.readFile(fileFor(name), 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Another caller may have loaded it while we were reading
+    if (!cache.has(name)) cache.set(name, records);
+    return cache.get(name);
+  }
+
+  function persist(name) {
+    const previous = writeQueues.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const file = fileFor(name);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(cache.get(name)));
+      await fs.promises.rename(tmp, file);
+    });
+    writeQueues.set(name, next);
+    return next;
+  }
+
+  return {
+    async get(name, id) {
+      const records = await load(name);
+      return id in records
+        ? JSON.parse(JSON.stringify(records[id]))
+        : null;
+    },
+
+    async set(name, id, value) {
+      const records = await load(name);
+      records[id] = JSON.parse(JSON.stringify(value));
+      await persist(name);
+      return value;
+    },
+
+    async delete(name, id) {
+      const records = await load(name);
+      if (!(id in records)) return false;
+      delete records[id];
+      await persist(name);
+      return true;
+    },
+
+    async list(name) {
+      const records = await load(name);
+      return Object.values(records).map(value => JSON.parse(JSON.stringify(value)));
+    },
+
+    async ping() {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      await fs.promises.access(dataDir, fs.constants.W_OK);
+      return true;
+    }
+  };
+}
+
+module.exports = { createFileAdapter };
@@ -0,0 +1,84 @@
+/**
+ * 🗄️ STORAGE
+ * Pluggable persistence for student data. Every adapter exposes the same
+ * async collection/id interface, so swapping the local file store for a
+ * database only means adding an adapter here.
+ *
+ *   get(collection, id)         -> value | null
+ *   set(collection, id, value)  -> value
+ *   delete(collection, id)      -> boolean
+ *   list(collection)            -> value[]
+ *   ping()                      -> true (throws if the backend is unreachable)
+ *
+ * scopeStore() gives each tenant (school) its own view of the same backend.
+ */
+
+const path = require('path');
+const { createFileAdapter } = require('./file');
+const { createMemoryAdapter } = require('./memory');
+
+const adapters = {
+  file: createFileAdapter,
+  memory: createMemoryAdapter
+};
+
+function createStore(options = {}) {
+  const type = options.adapter || process.env.STORAGE_ADAPTER || 'file';
+  const factory = adapters[type];
+
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${type}". Available: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  const store = factory({
+    dataDir: options.dataDir || process.env.DATA_DIR || path.join(process.cwd(), 'data')
+  });
+  store.type = type;
+  return store;
+}
+
+/**
+ * The same interface over collections private to one namespace: names are
+ * prefixed with `<namespace>:`, so records of one tenant are never visible
+ * through another tenant's view. A falsy namespace returns the store itself.
+ */
+function scopeStore(store, namespace) {
+  if (!namespace) return store;
+  const scoped = collection => `${namespace}:${collection}`;
+
+  return {
+    type: store.type,
+    namespace,
+    get: (collection, id) => store.get(scoped(collection), id),
+    set: (collection, id, value) => store.set(scoped(collection), id, value),
+    delete: (collection, id) => store.delete(scoped(collection), id),
+    list: collection => store.list(scoped(collection)),
+    ping: () => store.ping()
+  };
+}
+
+const locks = new Map();
+
+/**
+ * Read-modify-write a single record. Updates to the same collection/id are
+ * queued so concurrent requests for one student never overwrite each other.
+ * `mutate` receives the current value (or null) and returns the new one.
+ */
+function updateRecord(store, collection, id, mutate) {
+  const key = `${store.namespace || ''}\u0000${collection}\u0000${id}`;
+  const previous = locks.get(key) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const updated = await mutate(await store.get(collection, id));
+    await store.set(collection, id, updated);
+    return updated;
+  });
+
+  locks.set(key, next);
+  next.catch(() => {}).then(() => {
+    if (locks.get(key) === next) locks.delete(key);
+  });
+  return next;
+}
+
+module.exports = { createStore, scopeStore, updateRecord, adapters };
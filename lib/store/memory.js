@@ -0,0 +1,43 @@
+/**
+ * In-memory storage adapter. Nothing survives a restart; useful for local
+ * experiments and for running several test servers side by side.
+ */
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryAdapter() {
+  const collections = new Map();
+
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    async get(name, id) {
+      const value = collection(name).get(id);
+      return value === undefined ? null : clone(value);
+    },
+
+    async set(name, id, value) {
+      collection(name).set(id, clone(value));
+      return value;
+    },
+
+    async delete(name, id) {
+      return collection(name).delete(id);
+    },
+
+    async list(name) {
+      return [...collection(name).values()].map(clone);
+    },
+
+    async ping() {
+      return true;
+    }
+  };
+}
+
+module.exports = { createMemoryAdapter };
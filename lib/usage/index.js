@@ -0,0 +1,307 @@
+/**
+ * 📈 AI USAGE AND QUOTAS
+ * Every model call made while serving a request is charged to the tenant
+ * and, when there is one, the student behind it: tokens, TTS characters and
+ * seconds of transcribed audio, with their cost from the price table.
+ * Totals are kept per UTC day and month in the tenant's `usage` collection
+ * (by student, route and model) and back the daily and monthly quotas on
+ * tokens and TTS characters.
+ *
+ * Quotas come from QUOTA_* env vars (unset or 0: unlimited); a tenant's
+ * `quotas` override them, in the same shape:
+ *
+ *   { tenant:  { day: { tokens, ttsCharacters }, month: { ... } },
+ *     student: { day: { ... }, month: { ... } } }
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { updateRecord } = require('../store');
+const profiles = require('../profiles');
+const tenants = require('../auth/tenants');
+const prices = require('./prices');
+const { log } = require('../observability');
+
+const COLLECTION = 'usage';
+const PERIODS = ['day', 'month'];
+const SCOPES = ['tenant', 'student'];
+const METRICS = ['tokens', 'ttsCharacters'];
+
+const envLimit = name => parseInt(process.env[name], 10) || null;
+
+const DEFAULT_QUOTAS = {
+  tenant: {
+    day: { tokens: envLimit('QUOTA_TENANT_DAILY_TOKENS'), ttsCharacters: envLimit('QUOTA_TENANT_DAILY_TTS_CHARACTERS') },
+    month: { tokens: envLimit('QUOTA_TENANT_MONTHLY_TOKENS'), ttsCharacters: envLimit('QUOTA_TENANT_MONTHLY_TTS_CHARACTERS') }
+  },
+  student: {
+    day: { tokens: envLimit('QUOTA_STUDENT_DAILY_TOKENS'), ttsCharacters: envLimit('QUOTA_STUDENT_DAILY_TTS_CHARACTERS') },
+    month: { tokens: envLimit('QUOTA_STUDENT_MONTHLY_TOKENS'), ttsCharacters: envLimit('QUOTA_STUDENT_MONTHLY_TTS_CHARACTERS') }
+  }
+};
+
+class QuotaError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'QuotaError';
+    this.status = status;
+  }
+}
+
+// The tenant store and student the current request's model calls are charged to
+const charges = new AsyncLocalStorage();
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, tokens: 0, ttsCharacters: 0, audioSeconds: 0, cost: 0 };
+}
+
+// Totals by student, route and model, keyed by values that come from
+// requests: kept without a prototype so no key can reach Object.prototype
+function keyed(map) {
+  return Object.assign(Object.create(null), map);
+}
+
+function totalsFor(map, key) {
+  return map[key] = map[key] || emptyTotals();
+}
+
+function addTo(totals, { promptTokens = 0, completionTokens = 0, ttsCharacters = 0, audioSeconds = 0 }, cost) {
+  totals.calls += 1;
+  totals.promptTokens += promptTokens;
+  totals.completionTokens += completionTokens;
+  totals.tokens += promptTokens + completionTokens;
+  totals.ttsCharacters += ttsCharacters;
+  totals.audioSeconds = Math.round((totals.audioSeconds + audioSeconds) * 100) / 100;
+  totals.cost += cost || 0;
+}
+
+/**
+ * The UTC day or month containing `date`: its record ID, first day and
+ * the moment the next one starts (when its quotas reset).
+ */
+function periodOf(period, date = new Date()) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  if (period === 'day') {
+    const start = date.toISOString().slice(0, 10);
+    return { id: `day-${start}`, period, start, resetAt: new Date(Date.UTC(year, month, date.getUTCDate() + 1)).toISOString() };
+  }
+  const start = date.toISOString().slice(0, 7);
+  return { id: `month-${start}`, period, start, resetAt: new Date(Date.UTC(year, month + 1, 1)).toISOString() };
+}
+
+async function recordUsage(store, { studentId, route, provider, model, ...metrics }, now = new Date()) {
+  const cost = prices.costOf({ provider, model, ...metrics });
+  const modelKey = `${provider}:${model}`;
+
+  await Promise.all(PERIODS.map((period) => {
+    const { id, start } = periodOf(period, now);
+    return updateRecord(store, COLLECTION, id, (usage) => {
+      usage = usage || { id, period, start, totals: emptyTotals(), students: {}, routes: {}, models: {}, unpriced: [] };
+      usage.students = keyed(usage.students);
+      usage.routes = keyed(usage.routes);
+      usage.models = keyed(usage.models);
+
+      addTo(usage.totals, metrics, cost);
+      if (studentId) addTo(totalsFor(usage.students, studentId), metrics, cost);
+      addTo(totalsFor(usage.routes, route), metrics, cost);
+      addTo(totalsFor(usage.models, modelKey), metrics, cost);
+      if (cost === null && !usage.unpriced.includes(modelKey)) usage.unpriced.push(modelKey);
+
+      usage.updatedAt = now.toISOString();
+      return usage;
+    });
+  }));
+}
+
+// ai.onUsage listener: charges a call to the request it was made for
+function recordEvent(event) {
+  const charge = charges.getStore();
+  if (!charge) return;
+  recordUsage(charge.store, { ...event, studentId: charge.studentId })
+    .catch(error => log.error('Usage recording error', { error }));
+}
+
+// Students are charged for themselves; teachers' calls for the student they name
+function studentFor(req) {
+  if (req.auth.studentId) return req.auth.studentId;
+  const studentId = req.body && req.body.studentId;
+  return profiles.isValidStudentId(studentId) ? studentId : null;
+}
+
+/**
+ * Middleware: model calls made while handling the request (including work
+ * it leaves running after replying) are charged to its tenant and student.
+ */
+function meter(req, res, next) {
+  charges.run({ store: req.store, studentId: studentFor(req) }, next);
+}
+
+// ---- Quotas ----
+
+function quotasFor(tenant) {
+  const overrides = (tenant && tenant.quotas) || {};
+  const quotas = {};
+  for (const scope of SCOPES) {
+    quotas[scope] = {};
+    for (const period of PERIODS) {
+      quotas[scope][period] = { ...DEFAULT_QUOTAS[scope][period], ...(overrides[scope] || {})[period] };
+    }
+  }
+  return quotas;
+}
+
+/**
+ * Quota overrides for a tenant, checked and normalised: every limit is a
+ * positive integer, or null to fall back to the server default. Throws
+ * QuotaError (400).
+ */
+function validateQuotas(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new QuotaError('quotas must be an object', 400);
+  }
+
+  const quotas = {};
+  for (const [scope, periods] of Object.entries(input)) {
+    if (!SCOPES.includes(scope)) throw new QuotaError(`Unknown quota scope "${scope}". Available: ${SCOPES.join(', ')}`, 400);
+    quotas[scope] = {};
+    for (const [period, limits] of Object.entries(periods || {})) {
+      if (!PERIODS.includes(period)) throw new QuotaError(`Unknown quota period "${period}". Available: ${PERIODS.join(', ')}`, 400);
+      quotas[scope][period] = {};
+      for (const [metric, limit] of Object.entries(limits || {})) {
+        if (!METRICS.includes(metric)) throw new QuotaError(`Unknown quota metric "${metric}". Available: ${METRICS.join(', ')}`, 400);
+        if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+          throw new QuotaError(`${scope}.${period}.${metric} must be a positive integer or null`, 400);
+        }
+        if (limit !== null) quotas[scope][period][metric] = limit;
+      }
+    }
+  }
+  return quotas;
+}
+
+/**
+ * The first quota `metric` has reached for the tenant or student, as
+ * { scope, period, metric, limit, used, resetAt }, or null.
+ */
+async function exceededQuota(store, quotas, { studentId, metric }, now = new Date()) {
+  for (const period of PERIODS) {
+    const tenantLimit = quotas.tenant[period][metric];
+    const studentLimit = studentId ? quotas.student[period][metric] : null;
+    if (!tenantLimit && !studentLimit) continue;
+
+    const { id, resetAt } = periodOf(period, now);
+    const usage = await store.get(COLLECTION, id);
+    if (!usage) continue;
+
+    const tenantUsed = usage.totals[metric];
+    if (tenantLimit && tenantUsed >= tenantLimit) {
+      return { scope: 'tenant', period, metric, limit: tenantLimit, used: tenantUsed, resetAt };
+    }
+
+    const students = keyed(usage.students);
+    const studentUsed = students[studentId] ? students[studentId][metric] : 0;
+    if (studentLimit && studentUsed >= studentLimit) {
+      return { scope: 'student', period, metric, limit: studentLimit, used: studentUsed, resetAt };
+    }
+  }
+  return null;
+}
+
+const PERIOD_NAMES = { day: 'Daily', month: 'Monthly' };
+const METRIC_NAMES = { tokens: 'token', ttsCharacters: 'text-to-speech character' };
+
+/**
+ * Middleware: 429 once the tenant or student has used up `metric` for the
+ * day or month. The request that crosses a limit still completes; the
+ * next one is refused until `resetAt`.
+ */
+function quota(rootStore, metric) {
+  return async (req, res, next) => {
+    try {
+      const tenant = await tenants.getTenant(rootStore, req.auth.tenantId);
+      const exceeded = await exceededQuota(req.store, quotasFor(tenant), { studentId: studentFor(req), metric });
+      if (!exceeded) return next();
+
+      const retryAfter = Math.max(1, Math.ceil((Date.parse(exceeded.resetAt) - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        success: false,
+        error: `${PERIOD_NAMES[exceeded.period]} ${METRIC_NAMES[metric]} quota exceeded for this ${exceeded.scope === 'tenant' ? 'school' : 'student'}`,
+        code: 'QUOTA_EXCEEDED',
+        ...exceeded,
+        retryAfter
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// ---- Reports ----
+
+const roundCost = totals => ({ ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 });
+
+function byKey(map, key) {
+  return Object.entries(map)
+    .map(([id, totals]) => ({ [key]: id, ...roundCost(totals) }))
+    .sort((a, b) => b.cost - a.cost || b.tokens - a.tokens);
+}
+
+/**
+ * Usage of one tenant over the day or month containing `date`, with its
+ * quotas and what is left of them.
+ */
+async function usageReport(store, quotas, { period = 'month', date = new Date() } = {}) {
+  const { id, start, resetAt } = periodOf(period, date);
+  const usage = await store.get(COLLECTION, id);
+  const totals = usage ? usage.totals : emptyTotals();
+
+  const remaining = {};
+  for (const metric of METRICS) {
+    const limit = quotas.tenant[period][metric];
+    remaining[metric] = limit ? Math.max(0, limit - totals[metric]) : null;
+  }
+
+  return {
+    period,
+    start,
+    resetAt,
+    currency: prices.CURRENCY,
+    totals: roundCost(totals),
+    quotas: {
+      tenant: { ...quotas.tenant[period], remaining },
+      student: quotas.student[period]
+    },
+    students: usage ? byKey(usage.students, 'studentId') : [],
+    routes: usage ? byKey(usage.routes, 'route') : [],
+    models: usage ? byKey(usage.models, 'model') : [],
+    unpricedModels: usage ? usage.unpriced : []
+  };
+}
+
+// `2026-10` or `2026-10-19` (as fits the period) to a date inside it
+function parsePeriodDate(period, value) {
+  if (value === undefined) return new Date();
+  const pattern = period === 'day' ? /^\d{4}-\d{2}-\d{2}$/ : /^\d{4}-\d{2}$/;
+  const date = new Date(`${value}${period === 'day' ? '' : '-01'}T00:00:00Z`);
+  if (!pattern.test(value) || Number.isNaN(date.getTime())) {
+    throw new QuotaError(`date must look like ${period === 'day' ? '2026-10-19' : '2026-10'}`, 400);
+  }
+  return date;
+}
+
+module.exports = {
+  PERIODS,
+  METRICS,
+  QuotaError,
+  periodOf,
+  recordUsage,
+  recordEvent,
+  meter,
+  quotasFor,
+  validateQuotas,
+  exceededQuota,
+  quota,
+  usageReport,
+  parsePeriodDate
+};
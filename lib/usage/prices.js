@@ -0,0 +1,61 @@
+/**
+ * 💶 PRICE TABLE
+ * What each model costs, in USD, to turn metered usage into spend. Keyed by
+ * model name, so the same model is priced alike whichever provider serves
+ * it. Chat models are priced per million prompt / completion tokens, TTS
+ * per million characters, speech-to-text per minute of audio.
+ *
+ * AI_PRICES (JSON, same shape) adds models or overrides these, e.g.
+ *   AI_PRICES={"openai/gpt-4o":{"input":2.5,"output":10}}
+ */
+
+const { log } = require('../observability');
+
+const DEFAULT_PRICES = {
+  'anthropic/claude-3.5-sonnet': { input: 3, output: 15 },
+  'anthropic/claude-3-haiku': { input: 0.25, output: 1.25 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'tts-1': { characters: 15 },
+  'tts-1-hd': { characters: 30 },
+  'whisper-1': { minutes: 0.006 },
+  // Free, but priced so its calls don't show up as unpriced
+  'omni-moderation-latest': {}
+};
+
+const CURRENCY = 'USD';
+
+function loadPrices() {
+  if (!process.env.AI_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.AI_PRICES) };
+  } catch (error) {
+    log.error('Ignoring invalid AI_PRICES', { error });
+    return DEFAULT_PRICES;
+  }
+}
+
+const prices = loadPrices();
+
+function priceFor(provider, model) {
+  if (provider === 'mock') return {};
+  return prices[model] || null;
+}
+
+/**
+ * Cost of one metered call, or null when the model has no price (its
+ * usage is still counted, it just adds nothing to the spend).
+ */
+function costOf({ provider, model, promptTokens = 0, completionTokens = 0, ttsCharacters = 0, audioSeconds = 0 }) {
+  const price = priceFor(provider, model);
+  if (!price) return null;
+
+  return (promptTokens * (price.input || 0) +
+    completionTokens * (price.output || 0) +
+    ttsCharacters * (price.characters || 0)) / 1e6 +
+    (audioSeconds / 60) * (price.minutes || 0);
+}
+
+module.exports = { CURRENCY, prices, priceFor, costOf };
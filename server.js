@@ -6,509 +6,1492 @@
 
 require('dotenv').config();
 const express = require('express');
+const multer = require('multer');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const fetch = require('node-fetch');
+const ai = require('./lib/ai');
+const { createStore } = require('./lib/store');
+const auth = require('./lib/auth');
+const usage = require('./lib/usage');
+const { createRateLimiter } = require('./lib/rate-limit');
+const moderation = require('./lib/moderation');
+const i18n = require('./lib/i18n');
+const observability = require('./lib/observability');
+const api = require('./lib/api');
+const profiles = require('./lib/profiles');
+const questions = require('./lib/questions');
+const questionBank = require('./lib/question-bank');
+const learnerModel = require('./lib/learner-model');
+const reviewSchedule = require('./lib/review-schedule');
+const analytics = require('./lib/analytics');
+const questionGenerator = require('./lib/question-generator');
+const questionTypes = require('./lib/question-types');
+const quizzes = require('./lib/quizzes');
+const classes = require('./lib/classes');
+const classAnalytics = require('./lib/class-analytics');
+const curriculum = require('./lib/curriculum');
+const sse = require('./lib/sse');
+const corrections = require('./lib/language/corrections');
+const tutor = require('./lib/language/tutor');
+const sessions = require('./lib/language/sessions');
+const placement = require('./lib/language/placement');
+const scenarios = require('./lib/language/scenarios');
+const transcription = require('./lib/language/transcription');
+const pronunciation = require('./lib/language/pronunciation');
+const voices = require('./lib/language/voices');
+const { createAudioCache, audioId, isValidId: isValidAudioId } = require('./lib/language/audio-cache');
+
+const { log } = observability;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const store = createStore();
+const audioCache = createAudioCache();
+
+// Model calls are charged to the tenant/student of the request making them
+ai.onUsage(usage.recordEvent);
+
+// Client IPs for rate limiting come from X-Forwarded-For, as set by this
+// many proxies in front of the app (Railway: 1; 0 when exposed directly)
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
+function upstreamErrorBody(error) {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code,
+    retryable: error.code !== 'UPSTREAM_ERROR',
+    retryAfter: error.retryAfterMs !== undefined ? Math.ceil(error.retryAfterMs / 1000) : undefined
+  };
+}
+
+// Upstream AI failures carry their own status: 502 upstream error or
+// unusable model output, 503 unavailable / circuit open (with Retry-After),
+// 504 timeout
+function sendUpstreamError(res, error) {
+  if (!error.httpStatus) return false;
+
+  const body = upstreamErrorBody(error);
+  if (body.retryAfter !== undefined) res.set('Retry-After', String(body.retryAfter));
+
+  res.status(error.httpStatus).json(body);
+  return true;
+}
+
+// Once an event stream is open the status is already 200, so failures
+// travel as a final `error` event with the same body, plus the status
+function failStream(req, stream, error, fallbackMessage) {
+  const status = error.httpStatus || 500;
+  const body = error.httpStatus ? upstreamErrorBody(error) : { success: false, error: error.message || fallbackMessage };
+  stream.send('error', {
+    ...api.errorBody(status, { ...body, error: i18n.translateError(req.locale, body.error) }, req.id),
+    status
+  });
+  stream.end();
+}
+
+// 🛡️ Blocked or flagged texts are logged against the route, the student and
+// whoever made the call
+function moderationOf(req, studentId) {
+  return {
+    route: req.route ? req.route.path : req.path,
+    studentId: req.auth.studentId || (profiles.isValidStudentId(studentId) ? studentId : null),
+    actor: req.auth.userId || req.auth.keyId || null,
+    locale: req.locale
+  };
+}
+
+function sendModerationError(res, error) {
+  if (!(error instanceof moderation.ModerationError)) return false;
+  res.status(error.status).json({ success: false, error: error.message, code: error.code, ...error.details });
+  return true;
+}
+
+// Student text on its way into a prompt: `labels` (language, level...) must
+// be short single lines, and they and `fields` go through moderation.
+// Replies 400/422/500 itself and then resolves to false.
+async function checkInput(req, res, { labels = {}, fields = {}, studentId }) {
+  try {
+    const present = Object.fromEntries(Object.entries(labels).filter(([, value]) => value !== undefined));
+    for (const [field, value] of Object.entries(present)) moderation.promptLabel(value, field);
+    await moderation.screenInput(req.store, { ...present, ...fields }, moderationOf(req, studentId));
+    return true;
+  } catch (error) {
+    if (!sendModerationError(res, error)) {
+      log.error('Moderation error', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+    return false;
+  }
+}
+
+// Multipart audio uploads (`audio` field) for the transcribe route; JSON
+// bodies pass straight through
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: transcription.MAX_AUDIO_BYTES, files: 1 }
+}).single('audio');
+
+function acceptAudio(req, res, next) {
+  audioUpload(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: error.message });
+  });
+}
 
 // Middleware
+// 📡 First, so every response carries X-Request-Id and every log line its id
+app.use(observability.requestContext);
+// ❌ Every failure answers { success: false, error, code, details, requestId }
+app.use(api.uniformErrors);
 app.use(helmet());
 app.use(compression());
+// Credentials travel in the Authorization header, never cookies; a wildcard
+// origin must not be combined with credentialed CORS
 app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  credentials: true
+  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()) : '*',
+  credentials: Boolean(process.env.ALLOWED_ORIGINS),
+  exposedHeaders: ['X-Request-Id', 'Retry-After']
 }));
+// Base64 audio needs more room than the default 100kb; registered first so
+// the global parser below leaves these bodies alone
+app.use('/api/language/transcribe', express.json({ limit: Math.ceil(transcription.MAX_AUDIO_BYTES * 4 / 3) + 64 * 1024 }));
 app.use(express.json());
 app.use(express.static('public'));
 
-// Request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+// 🌐 The learner's language (req.locale); error messages are sent in it
+app.use(i18n.localize);
+
+// 🔐 Who is calling: req.auth, and req.store scoped to their school
+app.use('/api', auth.authenticate(store));
+
+// 🚦 Per IP, tenant and student
+app.use('/api', createRateLimiter({ store }));
+
+// Signed-in users of a school; students are pinned to their own studentId
+const learner = [auth.authorize('student'), auth.asSelf];
+
+// Routes that call models: refused once a quota on `metric` is used up,
+// and every call is charged to the caller
+const metered = metric => [usage.quota(store, metric), usage.meter];
+
+// 🩺 HEALTH
+// The API can't serve a lesson without these AI routes; speech and
+// transcription have browser fallbacks. The AI classifier is only needed
+// when moderation uses it.
+function healthRoutes() {
+  const required = ['generate', 'grade', 'conversation', 'correct', 'summarize', 'assess', 'hint'];
+  if (moderation.describe().classifier === 'ai') required.push('moderate');
+  return { required, optional: ['speak', 'transcribe'] };
+}
+
+// Liveness: the process answers. Restart it only when this fails.
+app.get('/health/live', api.validate, (req, res) => {
+  res.json({ status: 'alive', uptime: process.uptime() });
+});
+
+// Readiness: storage answers and the required AI routes have a provider.
+// 503 takes the instance out of rotation without restarting it.
+app.get('/health/ready', api.validate, async (req, res) => {
+  const { ready, checks } = await observability.checkReadiness({ store, ai, routes: healthRoutes() });
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+app.get('/health', api.validate, async (req, res) => {
+  const { ready, status, checks } = await observability.checkReadiness({ store, ai, routes: healthRoutes() });
+
+  res.status(ready ? 200 : 503).json({
+    status,
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development',
+    checks,
+    aiProviders: checks.ai.breakers,
+    moderation: moderation.describe()
+  });
+});
+
+// 📊 Prometheus scrape target; bearer METRICS_TOKEN when set
+app.get('/metrics', api.validate, observability.metricsHandler({ token: process.env.METRICS_TOKEN }));
+
+// API root; the endpoint list comes from the API document, keyed by operationId
+app.get('/api', api.validate, (req, res) => {
+  res.json({
+    name: 'Cerebro AI Backend',
+    version: api.document.info.version,
+    openapi: '/api/openapi.json',
+    endpoints: Object.fromEntries(api.operations.map(operation => [
+      operation.operationId,
+      `${operation.method.toUpperCase()} ${operation.path}`
+    ])),
+    powered_by: 'Claude 3.5 Sonnet via OpenRouter',
+    models: ai.describe(),
+    locales: { default: i18n.DEFAULT_LOCALE, available: i18n.describe() }
+  });
+});
+
+// 📜 The OpenAPI 3 document every route is validated against
+app.get('/api/openapi.json', api.validate, (req, res) => {
+  res.json(api.document);
+});
+
+// 🏫 TENANTS: schools, their API keys and tokens
+function sendAuthError(res, error, label) {
+  if (error instanceof auth.AuthError || error instanceof auth.tenants.TenantError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  log.error(`${label} error`, { error });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Platform key only; the response holds the school's first admin key and
+// token secret, which are never shown again
+app.post('/api/tenants', auth.authorize('admin', { platform: true }), api.validate, async (req, res) => {
+  if (req.auth.via !== 'platform') {
+    return res.status(403).json({ success: false, error: 'Only the platform key can create tenants' });
+  }
+
+  try {
+    const { tenant, key, tokenSecret } = await auth.tenants.createTenant(store, {
+      tenantId: req.body.tenantId,
+      name: req.body.name
+    });
+    res.status(201).json({ success: true, tenant: auth.tenants.toClientTenant(tenant), apiKey: key, tokenSecret });
+  } catch (error) {
+    sendAuthError(res, error, 'Tenant');
+  }
+});
+
+app.get('/api/tenants', auth.authorize('admin', { platform: true }), api.validate, async (req, res) => {
+  if (req.auth.via !== 'platform') {
+    return res.status(403).json({ success: false, error: 'Only the platform key can list tenants' });
+  }
+
+  try {
+    const list = await auth.tenants.listTenants(store);
+    res.json({ success: true, tenants: list.map(auth.tenants.toClientTenant) });
+  } catch (error) {
+    sendAuthError(res, error, 'Tenant');
+  }
+});
+
+// Key management: the school's admins, or the platform key
+const tenantAdmin = [auth.authorize('admin', { platform: true }), (req, res, next) => {
+  if (!auth.canManageTenant(req, req.params.tenantId)) {
+    return res.status(403).json({ success: false, error: 'Admins can only manage their own tenant' });
+  }
   next();
+}];
+
+app.get('/api/tenants/:tenantId/keys', tenantAdmin, api.validate, async (req, res) => {
+  try {
+    const keys = await auth.tenants.listApiKeys(store, req.params.tenantId);
+    res.json({ success: true, keys: keys.map(auth.tenants.toClientKey) });
+  } catch (error) {
+    sendAuthError(res, error, 'API key');
+  }
+});
+
+app.post('/api/tenants/:tenantId/keys', tenantAdmin, api.validate, async (req, res) => {
+  try {
+    const { role, name, studentId } = req.body;
+    const { key, record } = await auth.tenants.createApiKey(store, req.params.tenantId, { role, name, studentId });
+    res.status(201).json({ success: true, apiKey: key, key: auth.tenants.toClientKey(record) });
+  } catch (error) {
+    sendAuthError(res, error, 'API key');
+  }
+});
+
+app.delete('/api/tenants/:tenantId/keys/:keyId', tenantAdmin, api.validate, async (req, res) => {
+  try {
+    const record = await auth.tenants.revokeApiKey(store, req.params.tenantId, req.params.keyId);
+    res.json({ success: true, key: auth.tenants.toClientKey(record) });
+  } catch (error) {
+    sendAuthError(res, error, 'API key');
+  }
+});
+
+// Platform only: quota overrides for a school (null falls back to the server default)
+app.put('/api/tenants/:tenantId/quotas', auth.authorize('admin', { platform: true }), api.validate, async (req, res) => {
+  if (req.auth.via !== 'platform') {
+    return res.status(403).json({ success: false, error: 'Only the platform key can change quotas' });
+  }
+
+  try {
+    const tenant = await auth.tenants.setQuotas(store, req.params.tenantId, usage.validateQuotas(req.body.quotas));
+    res.json({ success: true, tenant: auth.tenants.toClientTenant(tenant), quotas: usage.quotasFor(tenant) });
+  } catch (error) {
+    if (error instanceof usage.QuotaError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    sendAuthError(res, error, 'Quota');
+  }
+});
+
+// 📈 AI usage and spend per day or month. School admins see their school;
+// the platform key names one with ?tenantId= or gets a total per school
+app.get('/api/admin/usage', auth.authorize('admin', { platform: true }), api.validate, async (req, res) => {
+  try {
+    const period = req.query.period || 'month';
+    const date = usage.parsePeriodDate(period, req.query.date);
+
+    const tenantId = req.query.tenantId || req.auth.tenantId;
+    if (tenantId && !auth.canManageTenant(req, tenantId)) {
+      return res.status(403).json({ success: false, error: 'Admins can only see their own tenant' });
+    }
+
+    if (!tenantId) {
+      const all = await auth.tenants.listTenants(store);
+      const reports = await Promise.all(all.map(async tenant => ({
+        tenantId: tenant.id,
+        name: tenant.name,
+        ...(await usage.usageReport(auth.tenantStore(store, tenant.id), usage.quotasFor(tenant), { period, date }))
+      })));
+      return res.json({
+        success: true,
+        tenants: reports.map(({ tenantId: id, name, start, resetAt, currency, totals, quotas }) => ({ tenantId: id, name, period, start, resetAt, currency, totals, quotas }))
+      });
+    }
+
+    const tenant = await auth.tenants.getTenant(store, tenantId);
+    if (!tenant && tenantId !== auth.tenants.DEFAULT_TENANT) {
+      return res.status(404).json({ success: false, error: 'Tenant not found' });
+    }
+
+    const report = await usage.usageReport(auth.tenantStore(store, tenantId), usage.quotasFor(tenant), { period, date });
+    res.json({ success: true, tenantId, usage: report });
+  } catch (error) {
+    if (error instanceof usage.QuotaError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    log.error('Usage report error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 🎟️ Short-lived tokens, e.g. a school backend signing in a student's browser
+app.post('/api/auth/token', auth.authorize('teacher'), api.validate, async (req, res) => {
+  try {
+    const { role, studentId, userId, expiresIn } = req.body;
+    const issued = await auth.issueToken(store, req.auth, { role, studentId, userId, expiresIn });
+    res.status(201).json({ success: true, ...issued });
+  } catch (error) {
+    sendAuthError(res, error, 'Token');
+  }
+});
+
+app.get('/api/auth/me', auth.authorize('student', { platform: true }), api.validate, (req, res) => {
+  res.json({ success: true, principal: auth.toClientPrincipal(req.auth) });
+});
+
+// 👤 Student profile
+app.get('/api/adaptive/profile/:studentId', learner, api.validate, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const profile = await profiles.getProfile(req.store, studentId);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Student profile not found' });
+    }
+
+    res.json({ success: true, profile: profiles.buildProfileSummary(profile) });
+  } catch (error) {
+    log.error('Profile error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 🔁 Topics due for review (missed before, SM-2 spacing) and the ones coming up
+app.get('/api/adaptive/review/:studentId', learner, api.validate, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { subject, limit = 20 } = req.query;
+
+    const schedule = profiles.scheduleOf(await profiles.getProfile(req.store, studentId));
+    const now = new Date();
+    res.json({
+      success: true,
+      studentId,
+      scheduler: reviewSchedule.SCHEDULER_NAME,
+      due: reviewSchedule.dueItems(schedule, { subject, now, limit }).map(item => reviewSchedule.describeItem(item, now)),
+      upcoming: reviewSchedule.upcomingItems(schedule, { subject, now, limit }).map(item => reviewSchedule.describeItem(item, now))
+    });
+  } catch (error) {
+    log.error('Review queue error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 🚀 ADVANCED AI-POWERED ADAPTIVE LEARNING API
+app.post('/api/adaptive/generate', learner, api.validate, metered('tokens'), async (req, res) => {
+  let stream = null;
+  try {
+    const { level, subject, studentId, criterionId, keyCompetency, review = true, questionType = questionTypes.DEFAULT_TYPE } = req.body;
+    let { performance, questionHistory } = req.body;
+
+    // 🛡️ Client-sent topics end up in the prompt too, as topics to avoid
+    const clientTopics = (questionHistory || []).map(item => item.topic);
+    if (!(await checkInput(req, res, { labels: { level, subject }, fields: { questionHistory: clientTopics }, studentId }))) return;
+
+    // Fall back to the stored profile for anything the client didn't send
+    const profile = studentId ? await profiles.getProfile(req.store, studentId) : null;
+    if (profile) {
+      const storedHistory = profiles.historyFor(profile, subject);
+      if (!performance) performance = profiles.summarizePerformance(storedHistory);
+      if (!questionHistory) questionHistory = storedHistory;
+    }
+    
+    if (!ai.isConfigured('generate')) {
+      log.error('No AI provider configured', { route: 'generate' });
+      return res.status(500).json({
+        success: false,
+        error: 'API key not configured. Please set OPENROUTER_API_KEY environment variable.',
+        code: 'AI_NOT_CONFIGURED'
+      });
+    }
+    
+    // 📊 Estimate mastery and pick the difficulty the student should hit ~65% of the time
+    const avgAccuracy = performance?.accuracy ?? 0.5;
+    const streak = performance?.streak ?? 0;
+
+    const { targetDifficulty, mastery } = learnerModel.chooseDifficulty(
+      profiles.estimateAbility({ profile, subject, history: questionHistory, performance })
+    );
+    
+    // 🔁 A missed topic that is due for review comes before new material,
+    // unless the client asked for something specific or opted out
+    const dueReview = profile && review !== false && criterionId === undefined && keyCompetency === undefined
+      ? reviewSchedule.dueItems(profiles.scheduleOf(profile), { subject, limit: 1 })[0]
+      : null;
+
+    // 🎓 Curriculum criterion to assess, rotating away from the ones just practised;
+    // a review keeps the criterion it was missed on when it still fits the level
+    const recentCriteria = (questionHistory || []).slice(-10).reverse().map(q => q.criterionId).filter(Boolean);
+    const target = { subject, level, difficulty: targetDifficulty, criterionId, keyCompetency, recent: recentCriteria };
+    let reviewTarget = null;
+    if (dueReview && dueReview.criterionId) {
+      try {
+        reviewTarget = curriculum.targetFor({ ...target, criterionId: dueReview.criterionId });
+      } catch (error) {
+        if (!(error instanceof curriculum.CurriculumError)) throw error;
+      }
+    }
+    const { criterion, lomloeCompetency } = reviewTarget || curriculum.targetFor(target);
+    
+    // Build list of recent topics to avoid repetition
+    const recentTopicList = questionHistory 
+      ? questionHistory.slice(-5).map(q => q.topic).filter(topic => topic && topic !== dueReview?.topic)
+      : [];
+
+    // 🏦 A banked question that fits and the student hasn't seen (approved
+    // ones first) saves a completion; `bank: false` always generates
+    const banked = req.body.bank === false ? null : await questionBank.pickQuestion(req.store, {
+      subject,
+      level,
+      locale: req.locale,
+      questionType,
+      difficulty: targetDifficulty,
+      criterionId: criterion ? criterion.id : undefined,
+      keyCompetency,
+      topic: dueReview ? dueReview.topic : undefined,
+      avoidTopics: recentTopicList,
+      studentId
+    });
+
+    // 📡 Streaming clients get progress events; the question itself only once validated
+    if (sse.wantsStream(req)) stream = sse.openStream(res);
+
+    let questionData, completion, usage, repairAttempts, bankEntry;
+    if (banked) {
+      log.info('Serving banked question', { bankId: banked.id, questionType, level, subject, difficulty: targetDifficulty });
+      questionData = banked.question;
+      bankEntry = banked;
+      usage = {};
+      repairAttempts = 0;
+    } else {
+      // 🌐 Call the configured model chain and validate (re-prompting with the errors if needed)
+      log.info('Generating question', { questionType, level, subject, difficulty: targetDifficulty });
+
+      ({ question: questionData, completion, usage, repairAttempts } = await questionGenerator.generateQuestion({
+        level,
+        subject,
+        locale: req.locale,
+        questionType,
+        targetDifficulty,
+        lomloeCompetency,
+        criterion,
+        avoidTopics: recentTopicList,
+        reviewTopic: dueReview ? dueReview.topic : null,
+        student: { accuracy: avgAccuracy, streak, expectedAccuracy: mastery.expectedAccuracy }
+      }, {
+        onAttempt: stream && (({ attempt, errors }) => stream.send('status', {
+          stage: attempt === 1 ? 'generating' : 'repairing',
+          attempt,
+          targetDifficulty,
+          ...(errors.length ? { errors } : {})
+        }))
+      }));
+
+      ({ entry: bankEntry, question: questionData } = await questionBank.addQuestion(req.store, {
+        question: questionData,
+        level,
+        subject,
+        locale: req.locale,
+        source: { type: 'model', provider: completion.provider, model: completion.model },
+        studentId
+      }));
+    }
+
+    // 🔒 Keep the answer key server-side; the client gets it back from /answer
+    const stored = await questions.saveQuestion(req.store, {
+      question: questionData,
+      level,
+      subject,
+      locale: req.locale,
+      studentId,
+      targetDifficulty,
+      bankId: bankEntry ? bankEntry.id : null
+    });
+    if (banked) await questionBank.markServed(req.store, bankEntry.id, studentId);
+    else if (bankEntry && studentId) await questionBank.markSeen(req.store, bankEntry.id, studentId);
+
+    // 📈 Return enriched question with metadata
+    const payload = {
+      success: true,
+      questionId: stored.id,
+      question: questions.toClientQuestion(stored),
+      metadata: {
+        aiModel: completion ? completion.model : null,
+        aiProvider: completion ? completion.provider : null,
+        source: banked ? 'bank' : 'model',
+        bank: bankEntry ? { id: bankEntry.id, status: bankEntry.status } : null,
+        targetDifficulty,
+        locale: req.locale,
+        mastery,
+        criterion,
+        curriculumVersion: criterion ? curriculum.VERSION : null,
+        review: dueReview ? reviewSchedule.describeItem(dueReview) : null,
+        adaptiveReason: targetDifficulty === 'difícil' ? 'Alto dominio estimado - aumentando dificultad' :
+                        targetDifficulty === 'fácil' ? 'Dominio bajo estimado - reduciendo dificultad' :
+                        'Dominio estable - manteniendo nivel',
+        timestamp: new Date().toISOString(),
+        repairAttempts,
+        usageTokens: usage
+      }
+    };
+
+    if (stream) {
+      stream.send('done', payload);
+      return stream.end();
+    }
+    res.json(payload);
+    
+  } catch (error) {
+    if (error instanceof curriculum.CurriculumError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    log.error('Adaptive generation error', { error });
+    if (stream) return failStream(req, stream, error, 'Error generating adaptive content');
+    if (sendUpstreamError(res, error)) return;
+    res.status(500).json({ 
+      success: false, 
+      error: error.message || 'Error generating adaptive content'
+    });
+  }
+});
+
+// ✅ API: Grade an answer against the stored answer key
+app.post('/api/adaptive/answer', learner, api.validate, metered('tokens'), async (req, res) => {
+  try {
+    const { questionId, studentId } = req.body;
+
+    // One of the two, depending on the question type
+    if (req.body.answer === undefined && req.body.answerIndex === undefined) {
+      return res.status(400).json({ success: false, error: 'Missing required field: answer', code: 'VALIDATION_FAILED' });
+    }
+
+    // Free-text answers are graded by a model
+    if (!(await checkInput(req, res, { fields: { answer: req.body.answer }, studentId }))) return;
+
+    const result = await questions.gradeAnswer(req.store, questionId, { studentId, body: req.body });
+    const { record } = result;
+
+    if (studentId) {
+      await profiles.recordAnswer(req.store, studentId, questions.attemptFrom(record, result));
+    }
+
+    res.json({ success: true, ...questions.describeResult(record, result) });
+  } catch (error) {
+    if (error instanceof questions.QuestionError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    log.error('Answer error', { error });
+    if (sendUpstreamError(res, error)) return;
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 🚩 API: Report a problem with a question (wrong answer key, unclear...);
+// enough reports take it out of the question bank until a teacher reviews it
+app.post('/api/adaptive/questions/:questionId/flag', learner, api.validate, async (req, res) => {
+  try {
+    const { studentId, reason } = req.body;
+
+    const record = await questions.getQuestion(req.store, req.params.questionId);
+    if (!record || (record.studentId && record.studentId !== studentId)) {
+      return res.status(404).json({ success: false, error: 'Question not found' });
+    }
+    if (!record.bankId) {
+      return res.status(409).json({ success: false, error: 'This question is not in the question bank' });
+    }
+
+    const entry = await questionBank.flagQuestion(req.store, record.bankId, { studentId, reason });
+    res.status(201).json({ success: true, questionId: record.id, status: entry.status === 'flagged' ? 'flagged' : 'reported' });
+  } catch (error) {
+    if (error instanceof questionBank.BankError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    log.error('Flag error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 📝 API: Generate a whole quiz in parallel
+app.post('/api/adaptive/quiz', learner, api.validate, metered('tokens'), async (req, res) => {
+  try {
+    const { level, subject, studentId, count, difficultyMix, competencies, questionTypes: types } = req.body;
+
+    if (!(await checkInput(req, res, { labels: { level, subject }, studentId }))) return;
+
+    if (!ai.isConfigured('generate')) {
+      return res.status(500).json({
+        success: false,
+        error: 'API key not configured. Please set OPENROUTER_API_KEY environment variable.',
+        code: 'AI_NOT_CONFIGURED'
+      });
+    }
+
+    // Topics the student saw recently are off-limits too
+    const profile = studentId ? await profiles.getProfile(req.store, studentId) : null;
+    const avoidTopics = profiles.historyFor(profile, subject).slice(-10).map(q => q.topic).filter(Boolean);
+
+    log.info('Generating quiz', { count: count || 10, level, subject });
+
+    const { quiz, records } = await quizzes.generateQuiz(req.store, {
+      level, subject, locale: req.locale, studentId, count, difficultyMix, competencies, questionTypes: types, avoidTopics
+    });
+
+    res.status(201).json({
+      success: true,
+      quizId: quiz.id,
+      quiz: quizzes.toClientQuiz(quiz, records),
+      metadata: {
+        repairAttempts: quiz.repairAttempts,
+        usageTokens: quiz.usage,
+        timestamp: quiz.createdAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof quizzes.QuizError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    log.error('Quiz generation error', { error });
+    if (sendUpstreamError(res, error)) return;
+    res.status(500).json({ success: false, error: error.message || 'Error generating quiz' });
+  }
+});
+
+// 📝 API: Retrieve a quiz (answer keys only after submission)
+app.get('/api/adaptive/quiz/:quizId', learner, api.validate, async (req, res) => {
+  try {
+    const quiz = await quizzes.getQuiz(req.store, req.params.quizId);
+    if (!quiz || !auth.canAccess(req, quiz.studentId)) {
+      return res.status(404).json({ success: false, error: 'Quiz not found' });
+    }
+
+    res.json({ success: true, quiz: quizzes.toClientQuiz(quiz, await quizzes.loadQuestions(req.store, quiz)) });
+  } catch (error) {
+    log.error('Quiz error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 📝 API: Submit and grade a quiz
+app.post('/api/adaptive/quiz/:quizId/submit', learner, api.validate, metered('tokens'), async (req, res) => {
+  try {
+    const { studentId, answers } = req.body;
+
+    const freeText = answers.map(item => item && item.answer);
+    if (!(await checkInput(req, res, { fields: { answers: freeText }, studentId }))) return;
+
+    const quiz = await quizzes.submitQuiz(req.store, req.params.quizId, { studentId, answers });
+    res.json({ success: true, quizId: quiz.id, submission: quiz.submission });
+  } catch (error) {
+    if (error instanceof quizzes.QuizError || error instanceof questions.QuestionError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    log.error('Quiz submission error', { error });
+    if (sendUpstreamError(res, error)) return;
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 📊 API: Get performance analytics
+app.post('/api/adaptive/analytics', learner, api.validate, async (req, res) => {
+  try {
+    const { studentId, subject } = req.body;
+
+    // With a studentId only the server-graded history counts; a client-sent
+    // one is for callers without a profile
+    const profile = studentId ? await profiles.getProfile(req.store, studentId) : null;
+    const history = studentId ? profiles.historyFor(profile, subject) : req.body.history;
+
+    const summary = analytics.analyzeHistory(history);
+    if (studentId) {
+      summary.reviewQueue = reviewSchedule.dueItems(profiles.scheduleOf(profile), { subject })
+        .map(item => reviewSchedule.describeItem(item));
+    }
+
+    res.json({ success: true, analytics: summary });
+  } catch (error) {
+    log.error('Analytics error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+
+// 🏫 CLASSES: a teacher's groups of students and their dashboard. Any
+// teacher or admin of the school can see and manage every class in it
+const teacher = auth.authorize('teacher');
+
+function sendClassError(res, error, label) {
+  if (error instanceof classes.ClassError || error instanceof classAnalytics.DashboardError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  log.error(`${label} error`, { error });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+app.post('/api/classes', teacher, api.validate, async (req, res) => {
+  try {
+    const { name, subject, level, studentIds } = req.body;
+    const record = await classes.createClass(req.store, {
+      name,
+      subject,
+      level,
+      studentIds,
+      createdBy: req.auth.userId || req.auth.keyId
+    });
+    res.status(201).json({ success: true, class: classes.toClientClass(record) });
+  } catch (error) {
+    sendClassError(res, error, 'Class');
+  }
+});
+
+app.get('/api/classes', teacher, api.validate, async (req, res) => {
+  try {
+    const list = await classes.listClasses(req.store);
+    res.json({ success: true, classes: list.map(classes.toClientClass) });
+  } catch (error) {
+    sendClassError(res, error, 'Class');
+  }
+});
+
+app.get('/api/classes/:classId', teacher, api.validate, async (req, res) => {
+  try {
+    const record = await classes.getClass(req.store, req.params.classId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Class not found' });
+    }
+    res.json({ success: true, class: classes.toClientClass(record) });
+  } catch (error) {
+    sendClassError(res, error, 'Class');
+  }
+});
+
+// name, subject and level; enrollment has its own routes
+app.patch('/api/classes/:classId', teacher, api.validate, async (req, res) => {
+  try {
+    const { name, subject, level } = req.body;
+    const record = await classes.updateClass(req.store, req.params.classId, { name, subject, level });
+    res.json({ success: true, class: classes.toClientClass(record) });
+  } catch (error) {
+    sendClassError(res, error, 'Class');
+  }
+});
+
+// The students' profiles and answers are kept
+app.delete('/api/classes/:classId', teacher, api.validate, async (req, res) => {
+  try {
+    await classes.deleteClass(req.store, req.params.classId);
+    res.json({ success: true });
+  } catch (error) {
+    sendClassError(res, error, 'Class');
+  }
+});
+
+app.post('/api/classes/:classId/students', teacher, api.validate, async (req, res) => {
+  try {
+    const record = await classes.enrollStudents(req.store, req.params.classId, req.body.studentIds);
+    res.json({ success: true, class: classes.toClientClass(record) });
+  } catch (error) {
+    sendClassError(res, error, 'Enrollment');
+  }
+});
+
+app.delete('/api/classes/:classId/students/:studentId', teacher, api.validate, async (req, res) => {
+  try {
+    const record = await classes.unenrollStudent(req.store, req.params.classId, req.params.studentId);
+    res.json({ success: true, class: classes.toClientClass(record) });
+  } catch (error) {
+    sendClassError(res, error, 'Enrollment');
+  }
+});
+
+// 📊 Accuracy per subject, competency and topic, trend over time and the
+// students who need attention; ?subject= (default: the class subject, `all`
+// for every subject), ?window=30d|all, ?bucket=day|week|month
+app.get('/api/classes/:classId/dashboard', teacher, api.validate, async (req, res) => {
+  try {
+    const record = await classes.getClass(req.store, req.params.classId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Class not found' });
+    }
+
+    const subject = req.query.subject === 'all' ? null : (req.query.subject || record.subject);
+    const dashboard = await classAnalytics.classDashboard(req.store, record, {
+      subject,
+      window: req.query.window,
+      bucket: req.query.bucket
+    });
+    res.json({ success: true, dashboard });
+  } catch (error) {
+    sendClassError(res, error, 'Dashboard');
+  }
+});
+
+// 🏦 QUESTION BANK: teachers review, edit and write the questions
+// generate serves before calling the model
+function sendBankError(res, error, label) {
+  if (error instanceof questionBank.BankError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  log.error(`${label} error`, { error });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+const reviewerOf = req => req.auth.userId || req.auth.keyId;
+
+// ?status=&subject=&level=&locale=&difficulty=&questionType=&topic=&limit=&offset=
+app.get('/api/question-bank', teacher, api.validate, async (req, res) => {
+  try {
+    const { status, subject, level, locale, difficulty, questionType, topic } = req.query;
+    const { total, questions: found } = await questionBank.listQuestions(req.store, {
+      status,
+      subject,
+      level,
+      locale,
+      difficulty,
+      questionType,
+      topic,
+      limit: req.query.limit === undefined ? undefined : Number(req.query.limit),
+      offset: req.query.offset === undefined ? undefined : Number(req.query.offset)
+    });
+    res.json({ success: true, total, questions: found.map(questionBank.toClientEntry) });
+  } catch (error) {
+    sendBankError(res, error, 'Question bank');
+  }
+});
+
+app.get('/api/question-bank/:bankId', teacher, api.validate, async (req, res) => {
+  try {
+    const entry = await questionBank.getQuestion(req.store, req.params.bankId);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Question not found' });
+    }
+    res.json({ success: true, question: questionBank.toClientEntry(entry) });
+  } catch (error) {
+    sendBankError(res, error, 'Question bank');
+  }
+});
+
+// A teacher's own question, in the generated format plus subject and level;
+// it is filed under the request's locale
+app.post('/api/question-bank', teacher, api.validate, async (req, res) => {
+  try {
+    const entry = await questionBank.createQuestion(req.store, req.body, { createdBy: reviewerOf(req), locale: req.locale });
+    res.status(201).json({ success: true, question: questionBank.toClientEntry(entry) });
+  } catch (error) {
+    sendBankError(res, error, 'Question bank');
+  }
+});
+
+app.patch('/api/question-bank/:bankId', teacher, api.validate, async (req, res) => {
+  try {
+    const entry = await questionBank.updateQuestion(req.store, req.params.bankId, req.body, { editedBy: reviewerOf(req) });
+    res.json({ success: true, question: questionBank.toClientEntry(entry) });
+  } catch (error) {
+    sendBankError(res, error, 'Question bank');
+  }
+});
+
+// { status: approved | rejected | draft, note }; resolves open student flags
+app.post('/api/question-bank/:bankId/review', teacher, api.validate, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const entry = await questionBank.reviewQuestion(req.store, req.params.bankId, { status, note, reviewedBy: reviewerOf(req) });
+    res.json({ success: true, question: questionBank.toClientEntry(entry) });
+  } catch (error) {
+    sendBankError(res, error, 'Question bank');
+  }
+});
+
+// 🛡️ MODERATION: the school's log of blocked and flagged student input and
+// model replies, for teachers to review
+
+function sendModerationLogError(res, error) {
+  if (sendModerationError(res, error)) return;
+  log.error('Moderation log error', { error });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// ?status=open|reviewed|dismissed&direction=input|output&category=&route=&studentId=&limit=&offset=
+app.get('/api/moderation/events', teacher, api.validate, async (req, res) => {
+  try {
+    const { status, direction, category, route, studentId } = req.query;
+    const { total, open, events } = await moderation.listEvents(req.store, {
+      status,
+      direction,
+      category,
+      route,
+      studentId,
+      limit: req.query.limit === undefined ? undefined : Number(req.query.limit),
+      offset: req.query.offset === undefined ? undefined : Number(req.query.offset)
+    });
+    res.json({ success: true, total, open, events: events.map(moderation.toClientEvent) });
+  } catch (error) {
+    sendModerationLogError(res, error);
+  }
+});
+
+// { status: reviewed | dismissed | open, note }
+app.post('/api/moderation/events/:eventId/review', teacher, api.validate, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const event = await moderation.reviewEvent(req.store, req.params.eventId, { status, note, reviewedBy: reviewerOf(req) });
+    res.json({ success: true, event: moderation.toClientEvent(event) });
+  } catch (error) {
+    sendModerationLogError(res, error);
+  }
+});
+
+// 📚 LOMLOE CURRICULUM API
+app.get('/api/curriculum', api.validate, (req, res) => {
+  res.json({ success: true, curriculum: curriculum.describe() });
+});
+
+app.get('/api/curriculum/criteria', api.validate, (req, res) => {
+  const { subject, level, stage, difficulty, keyCompetency } = req.query;
+
+  // Codes are matched case-insensitively, so this one stays out of the API document
+  if (keyCompetency !== undefined && !curriculum.getKeyCompetency(keyCompetency)) {
+    return res.status(400).json({ success: false, error: 'Unknown key competency' });
+  }
+
+  const criteria = curriculum.findCriteria({ subject, level, stage, difficulty, keyCompetency });
+  res.json({ success: true, version: curriculum.VERSION, total: criteria.length, criteria });
+});
+
+app.get('/api/curriculum/criteria/:criterionId', api.validate, (req, res) => {
+  const criterion = curriculum.getCriterion(req.params.criterionId);
+  if (!criterion) {
+    return res.status(404).json({ success: false, error: 'Criterion not found' });
+  }
+  res.json({ success: true, version: curriculum.VERSION, criterion });
+});
+
+// Subject may be given by ID or by name ("matematicas", "Biología y Geología")
+app.get('/api/curriculum/:stage/:subject', api.validate, (req, res) => {
+  const subjectId = curriculum.resolveSubject(req.params.subject);
+  const subjectCurriculum = subjectId && curriculum.getCurriculum(subjectId, req.params.stage);
+  if (!subjectCurriculum) {
+    return res.status(404).json({ success: false, error: 'Subject not found for this stage' });
+  }
+  res.json({ success: true, version: curriculum.VERSION, curriculum: subjectCurriculum });
+});
+
+// 🌍 POLYGLOT AI - LANGUAGE LEARNING API
+
+// The level the client sent, else the learner's placement result for the
+// language. Replies 400 (neither) or 500 itself and then resolves to null.
+async function requireLevel(req, res, { level, studentId, language }) {
+  try {
+    const resolved = await placement.resolveLevel(req.store, { level, studentId, language });
+    if (!resolved) {
+      res.status(400).json({
+        success: false,
+        error: 'Missing level: send one, or a studentId with a placement result for this language'
+      });
+    }
+    return resolved;
+  } catch (error) {
+    log.error('Level lookup error', { error });
+    res.status(500).json({ success: false, error: error.message });
+    return null;
+  }
+}
+
+// Reply + corrections (+ objective check when `pending` objectives are
+// given) for one turn, sent as JSON or, on request, as an event stream
+// (`token` events, then `done` with the same payload). `scenario` is resolved.
+// A reply moderation blocks is replaced (and stored) as a safe fallback;
+// streamed tokens stop where it tripped, and `done` carries the fallback.
+async function respondWithTurn(req, res, { language, level, levelSource = 'request', locale = req.locale, scenario, pending, turns, messages, userMessage, studentId, onReply }) {
+  let stream = null;
+  try {
+    if (sse.wantsStream(req)) stream = sse.openStream(res);
+    const guard = stream && moderation.guardStream(text => stream.send('token', { text }));
+
+    const { completion, analysis, progress } = await tutor.takeTurn({
+      language, level, locale, scenario, pending, turns, messages, userMessage,
+      onToken: guard && guard.forward
+    });
+    const screened = await moderation.screenOutput(req.store, completion.content, { ...moderationOf(req, studentId), locale, field: 'aiMessage' });
+    const aiMessage = screened.text;
+    const turnCorrections = analysis ? analysis.corrections : [];
+
+    if (analysis && studentId) {
+      await corrections.recordCorrections(req.store, studentId, { language, corrections: turnCorrections, message: userMessage });
+    }
+    const extra = onReply ? await onReply({ aiMessage, corrections: turnCorrections, progress, completion, analysis }) : {};
+
+    const payload = {
+      success: true,
+      ...extra,
+      aiMessage: aiMessage,
+      corrections: turnCorrections,
+      metadata: {
+        language,
+        level,
+        levelSource,
+        locale,
+        scenario: scenario.title,
+        scenarioId: scenario.id,
+        model: completion.model,
+        tokens: completion.usage,
+        correctionsAnalyzed: Boolean(analysis),
+        correctionTokens: analysis ? analysis.usage : undefined,
+        moderated: screened.blocked
+      }
+    };
+
+    if (stream) {
+      stream.send('done', payload);
+      return stream.end();
+    }
+    res.json(payload);
+  } catch (error) {
+    log.error('Conversation error', { error });
+    if (stream) return failStream(req, stream, error, 'Error generating conversation');
+    if (sendUpstreamError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Error generating conversation'
+    });
+  }
+}
+
+// Stateless turn: the client replays the last few turns itself
+app.post('/api/language/conversation', learner, api.validate, metered('tokens'), async (req, res) => {
+  const { language, scenario, userMessage, conversationHistory = [], studentId } = req.body;
+
+  // Replayed turns are client-controlled too, the tutor's included
+  const history = conversationHistory.slice(-tutor.CLIENT_HISTORY_TURNS);
+  const replayed = history.map(turn => turn.content);
+  if (!(await checkInput(req, res, {
+    labels: { language, level: req.body.level, scenario },
+    fields: { userMessage, conversationHistory: replayed },
+    studentId
+  }))) return;
+
+  const resolved = await requireLevel(req, res, { level: req.body.level, studentId, language });
+  if (!resolved) return;
+  const { level } = resolved;
+  
+  if (!ai.isConfigured('conversation')) {
+    return res.status(500).json({ success: false, error: 'API key not configured', code: 'AI_NOT_CONFIGURED' });
+  }
+
+  const scene = scenarios.resolve(scenario, level);
+  log.info('Language conversation turn', { language, level, scenario: scene.id || 'custom', isFirstMessage: !userMessage });
+
+  await respondWithTurn(req, res, {
+    language,
+    level,
+    levelSource: resolved.source,
+    scenario: scene,
+    userMessage,
+    studentId,
+    messages: tutor.conversationMessages({ language, level, locale: req.locale, scenario: scene, turns: history, userMessage })
+  });
+});
+
+// 🎭 Scenario catalog; `?level=B1` returns each scenario as played at that level
+app.get('/api/language/scenarios', api.validate, (req, res) => {
+  res.json({ success: true, scenarios: scenarios.listScenarios({ level: req.query.level }) });
+});
+
+app.get('/api/language/scenarios/:scenarioId', api.validate, (req, res) => {
+  const scenario = scenarios.getScenario(req.params.scenarioId);
+  if (!scenario) {
+    return res.status(404).json({ success: false, error: 'Scenario not found' });
+  }
+
+  res.json({
+    success: true,
+    scenario: scenarios.describe(scenario, req.query.level)
+  });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
-  });
+// 💬 Sessions: the transcript stays on the server
+app.post('/api/language/sessions', learner, api.validate, metered('tokens'), async (req, res) => {
+  const { language, scenario, studentId } = req.body;
+
+  if (!(await checkInput(req, res, { labels: { language, level: req.body.level, scenario }, studentId }))) return;
+
+  const resolved = await requireLevel(req, res, { level: req.body.level, studentId, language });
+  if (!resolved) return;
+  const { level } = resolved;
+
+  if (!ai.isConfigured('conversation')) {
+    return res.status(500).json({ success: false, error: 'API key not configured', code: 'AI_NOT_CONFIGURED' });
+  }
+
+  let release;
+  try {
+    const scene = scenarios.resolve(scenario, level);
+    const created = await sessions.createSession(req.store, { language, level, levelSource: resolved.source, locale: req.locale, scenario: scene, studentId });
+    ({ release } = await sessions.beginTurn(req.store, created.id));
+    res.status(201);
+
+    // The tutor opens the role-play
+    await respondWithTurn(req, res, {
+      language,
+      level,
+      levelSource: resolved.source,
+      scenario: scene,
+      messages: tutor.conversationMessages({ language, level, locale: req.locale, scenario: scene }),
+      onReply: async ({ aiMessage, completion }) => {
+        const session = await sessions.recordTurn(req.store, created.id, { aiMessage, usage: completion.usage });
+        return { sessionId: session.id, session: sessions.toClientSession(session) };
+      }
+    });
+  } catch (error) {
+    log.error('Session error', { error });
+    if (!res.headersSent) res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (release) release();
+  }
 });
 
-// API root
-app.get('/api', (req, res) => {
-  res.json({
-    name: 'Cerebro AI Backend',
-    version: '1.0.0',
-    endpoints: {
-      health: '/health',
-      generate: 'POST /api/adaptive/generate',
-      analytics: 'POST /api/adaptive/analytics',
-      profile: 'GET /api/adaptive/profile/:studentId'
-    },
-    powered_by: 'Claude 3.5 Sonnet via OpenRouter'
-  });
+app.get('/api/language/sessions/:sessionId', learner, api.validate, async (req, res) => {
+  try {
+    const session = await sessions.getSession(req.store, req.params.sessionId);
+    if (!session || !auth.canAccess(req, session.studentId)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true, session: sessions.toClientSession(session, { transcript: true }) });
+  } catch (error) {
+    log.error('Session error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// 🚀 ADVANCED AI-POWERED ADAPTIVE LEARNING API
-app.post('/api/adaptive/generate', async (req, res) => {
+// Claim a session for one turn; replies 404/409/500 itself and then resolves to null
+async function claimSession(req, res, sessionId) {
   try {
-    const { level, subject, performance, questionHistory } = req.body;
-    
-    // Validate required fields
-    if (!level || !subject) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: level and subject'
-      });
+    const turn = await sessions.beginTurn(req.store, sessionId);
+    if (!auth.canAccess(req, turn.session.studentId)) {
+      turn.release();
+      throw new sessions.SessionError('Session not found', 404);
     }
-    
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    
-    if (!apiKey) {
-      console.error('ERROR: OPENROUTER_API_KEY not configured');
-      return res.status(500).json({
-        success: false,
-        error: 'API key not configured. Please set OPENROUTER_API_KEY environment variable.'
-      });
+    return turn;
+  } catch (error) {
+    if (error instanceof sessions.SessionError) {
+      res.status(error.status).json({ success: false, error: error.message });
+    } else {
+      log.error('Session error', { error });
+      res.status(500).json({ success: false, error: error.message });
     }
-    
-    // 📊 Calculate adaptive difficulty based on performance
-    const avgAccuracy = performance?.accuracy || 0.5;
-    const streak = performance?.streak || 0;
-    
-    let targetDifficulty = 'medio';
-    if (avgAccuracy > 0.8 && streak >= 3) targetDifficulty = 'difícil';
-    else if (avgAccuracy < 0.5 || streak < 0) targetDifficulty = 'fácil';
-    
-    // 🎓 Subject-specific LOMLOE competencies
-    const competencyMap = {
-      'Matemáticas': {
-        fácil: 'STEM - Resolución de problemas básicos',
-        medio: 'STEM - Razonamiento matemático aplicado',
-        difícil: 'STEM - Modelización y pensamiento abstracto'
-      },
-      'Lengua': {
-        fácil: 'CCL - Comprensión lectora básica',
-        medio: 'CCL - Análisis textual y expresión',
-        difícil: 'CCL - Interpretación crítica y argumentación'
-      },
-      'Ciencias': {
-        fácil: 'CCL - Conocimiento científico básico',
-        medio: 'STEM - Método científico y experimentación',
-        difícil: 'STEM - Análisis científico avanzado'
-      },
-      'Historia': {
-        fácil: 'CC - Conocimiento histórico fundamental',
-        medio: 'CC - Análisis de procesos históricos',
-        difícil: 'CC - Pensamiento histórico crítico'
-      },
-      'Inglés': {
-        fácil: 'CCL - Comprensión básica de inglés',
-        medio: 'CCL - Comunicación en inglés aplicada',
-        difícil: 'CCL - Dominio avanzado del inglés'
+    return null;
+  }
+}
+
+// One learner turn in a claimed session (typed or transcribed); `extra` is
+// merged into the reply. Releases the claim.
+async function continueSession(req, res, turn, userMessage, extra = {}) {
+  const { session } = turn;
+  const sessionId = session.id;
+  const scene = sessions.scenarioFor(session);
+  const pending = sessions.pendingObjectives(session);
+  const turns = sessions.contextTurns(session);
+  try {
+    await respondWithTurn(req, res, {
+      language: session.language,
+      level: session.level,
+      levelSource: session.levelSource,
+      locale: session.locale,
+      scenario: scene,
+      pending,
+      turns,
+      userMessage,
+      studentId: session.studentId,
+      messages: tutor.conversationMessages({
+        language: session.language,
+        level: session.level,
+        locale: session.locale,
+        scenario: scene,
+        pending,
+        summary: session.summary,
+        turns,
+        userMessage
+      }),
+      onReply: async ({ aiMessage, corrections: turnCorrections, progress, completion }) => {
+        const updated = await sessions.recordTurn(req.store, sessionId, {
+          userMessage, corrections: turnCorrections, progress, aiMessage, usage: completion.usage
+        });
+        return {
+          ...extra,
+          sessionId,
+          progress: {
+            checked: Boolean(progress),
+            completedNow: progress ? progress.completed : [],
+            vocabularyUsed: progress ? progress.vocabularyUsed : [],
+            remaining: sessions.pendingObjectives(updated).map(objective => objective.id),
+            scenarioComplete: updated.objectives.length > 0 && sessions.pendingObjectives(updated).length === 0
+          },
+          session: sessions.toClientSession(updated)
+        };
       }
-    };
-    
-    const lomloeCompetency = competencyMap[subject]?.[targetDifficulty] || 'Competencia general';
-    
-    // Build list of recent topics to avoid repetition
-    const recentTopics = questionHistory 
-      ? questionHistory.slice(-5).map(q => q.topic).filter(Boolean).join(', ')
-      : '';
-    
-    // 🤖 Build intelligent prompt for Claude
-    const systemPrompt = `Eres un profesor español experto en pedagogía adaptativa y el currículo LOMLOE. Generas preguntas educativas de alta calidad adaptadas al nivel y rendimiento del estudiante.
-
-📚 CONTEXTO DEL ESTUDIANTE:
-- Nivel educativo: ${level}
-- Asignatura: ${subject}
-- Rendimiento promedio: ${Math.round(avgAccuracy * 100)}%
-- Racha actual: ${streak} ${streak >= 0 ? 'aciertos' : 'fallos'} consecutivos
-- Dificultad objetivo: ${targetDifficulty}
-- Competencia LOMLOE: ${lomloeCompetency}
-${recentTopics ? `- Temas recientes (EVITA REPETIR): ${recentTopics}` : ''}
-
-🎯 INSTRUCCIONES DE GENERACIÓN:
-1. Genera UNA pregunta tipo test adaptada al nivel y rendimiento
-2. La pregunta debe ser ${targetDifficulty} y apropiada para ${level}
-3. Incluye 4 opciones de respuesta (A, B, C, D) - solo una correcta
-4. Proporciona una explicación pedagógica clara (2-3 líneas)
-5. La pregunta debe conectar con situaciones reales y prácticas
-6. Usa lenguaje auténtico de España (no latinoamericanismos)
-7. **IMPORTANTE**: Genera una pregunta sobre un tema DIFERENTE a los mencionados arriba
-8. ❌ **PROHIBIDO**: NO generes preguntas que requieran imágenes, fotos, diagramas, gráficos o cualquier contenido visual. La pregunta debe ser 100% basada en texto y auto-contenida
-
-📋 FORMATO DE RESPUESTA EXACTO (JSON válido):
-{
-  "question": "Tu pregunta aquí",
-  "options": ["Opción A completa", "Opción B completa", "Opción C completa", "Opción D completa"],
-  "correctIndex": 0,
-  "explanation": "Explicación pedagógica clara de 2-3 líneas",
-  "difficulty": "${targetDifficulty}",
-  "lomloeCompetency": "${lomloeCompetency}",
-  "topic": "Tema específico de la pregunta"
+    });
+  } finally {
+    turn.release();
+  }
+
+  // Fold older turns into the summary after replying, off the learner's critical path
+  sessions.compact(req.store, sessionId).catch(error => log.error('Session summary error', { error }));
 }
 
-⚠️ IMPORTANTE: Responde SOLO con el JSON, sin texto adicional antes o después.`;
+app.post('/api/language/sessions/:sessionId/messages', learner, api.validate, metered('tokens'), async (req, res) => {
+  const { userMessage } = req.body;
 
-    // 🌐 Call OpenRouter API with Claude 3.5 Sonnet
-    console.log(`Generating question for ${level} - ${subject} (difficulty: ${targetDifficulty})`);
-    
-    const openRouterResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.APP_URL || 'https://cerebro-v10.netlify.app',
-        'X-Title': 'Cerebro - Adaptive Learning Platform'
-      },
-      body: JSON.stringify({
-        model: 'anthropic/claude-3.5-sonnet',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: 'Genera la pregunta adaptativa ahora.' }
-        ],
-        temperature: 0.8,
-        max_tokens: 800,
-        top_p: 0.9
-      })
-    });
+  const turn = await claimSession(req, res, req.params.sessionId);
+  if (!turn) return;
+
+  if (!(await checkInput(req, res, { fields: { userMessage }, studentId: turn.session.studentId }))) {
+    return turn.release();
+  }
+
+  await continueSession(req, res, turn, userMessage);
+});
 
-    if (!openRouterResponse.ok) {
-      const errorText = await openRouterResponse.text();
-      console.error('OpenRouter API error:', errorText);
-      throw new Error(`OpenRouter API failed: ${openRouterResponse.statusText}`);
+app.post('/api/language/sessions/:sessionId/hint', learner, api.validate, metered('tokens'), async (req, res) => {
+  try {
+    const session = await sessions.getSession(req.store, req.params.sessionId);
+    if (!session || !auth.canAccess(req, session.studentId)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
     }
 
-    const data = await openRouterResponse.json();
-    const aiContent = data.choices[0].message.content.trim();
-    
-    // 🔍 Parse AI response (handle markdown code blocks)
-    let questionData;
-    try {
-      const jsonContent = aiContent
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-      
-      questionData = JSON.parse(jsonContent);
-      
-      // Validate required fields
-      if (!questionData.question || !Array.isArray(questionData.options) || questionData.correctIndex === undefined) {
-        throw new Error('Invalid question format from AI');
-      }
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', aiContent);
-      throw new Error('AI generated invalid response format');
+    if (!ai.isConfigured('hint')) {
+      return res.status(500).json({ success: false, error: 'API key not configured', code: 'AI_NOT_CONFIGURED' });
     }
 
-    // 📈 Return enriched question with metadata
-    res.json({
-      success: true,
-      question: questionData,
-      metadata: {
-        aiModel: 'claude-3.5-sonnet',
-        targetDifficulty,
-        adaptiveReason: avgAccuracy > 0.8 ? 'Alto rendimiento - aumentando dificultad' :
-                        avgAccuracy < 0.5 ? 'Bajo rendimiento - reduciendo dificultad' :
-                        'Rendimiento estable - manteniendo nivel',
-        timestamp: new Date().toISOString(),
-        usageTokens: data.usage || {}
-      }
+    const completion = await tutor.hint({
+      language: session.language,
+      level: session.level,
+      locale: session.locale,
+      scenario: sessions.scenarioFor(session),
+      pending: sessions.pendingObjectives(session),
+      summary: session.summary,
+      turns: sessions.contextTurns(session)
     });
-    
-  } catch (error) {
-    console.error('Adaptive generation error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message || 'Error generating adaptive content',
-      details: process.env.NODE_ENV === 'development' ? error.toString() : undefined
+    const screened = await moderation.screenOutput(req.store, completion.content, {
+      ...moderationOf(req, session.studentId),
+      locale: session.locale,
+      field: 'hint',
+      fallback: i18n.message(session.locale, 'fallbackHint')
     });
+
+    res.json({ success: true, sessionId: session.id, hint: screened.text });
+  } catch (error) {
+    log.error('Hint error', { error });
+    if (sendUpstreamError(res, error)) return;
+    res.status(500).json({ success: false, error: error.message || 'Error generating hint' });
   }
 });
 
-// 📊 API: Get performance analytics
-app.post('/api/adaptive/analytics', async (req, res) => {
+app.post('/api/language/sessions/:sessionId/end', learner, api.validate, async (req, res) => {
   try {
-    const { history } = req.body;
-    
-    if (!history || history.length === 0) {
-      return res.json({
-        success: true,
-        analytics: {
-          totalQuestions: 0,
-          accuracy: 0,
-          averageDifficulty: 0,
-          strengthAreas: [],
-          improvementAreas: [],
-          learningCurve: []
-        }
-      });
-    }
-    
-    // Calculate metrics
-    const correct = history.filter(q => q.correct).length;
-    const accuracy = (correct / history.length) * 100;
-    
-    // Difficulty distribution
-    const difficulties = history.map(q => {
-      switch(q.difficulty) {
-        case 'fácil': return 1;
-        case 'medio': return 2;
-        case 'difícil': return 3;
-        default: return 2;
-      }
-    });
-    const avgDifficulty = difficulties.reduce((a, b) => a + b, 0) / difficulties.length;
-    
-    // Performance by difficulty
-    const byDifficulty = {
-      fácil: { correct: 0, total: 0 },
-      medio: { correct: 0, total: 0 },
-      difícil: { correct: 0, total: 0 }
-    };
-    
-    history.forEach(q => {
-      const diff = q.difficulty || 'medio';
-      byDifficulty[diff].total++;
-      if (q.correct) byDifficulty[diff].correct++;
-    });
-    
-    // Identify strengths and weaknesses
-    const strengthAreas = [];
-    const improvementAreas = [];
-    
-    for (const [diff, stats] of Object.entries(byDifficulty)) {
-      if (stats.total > 0) {
-        const acc = (stats.correct / stats.total) * 100;
-        if (acc >= 75) strengthAreas.push({ level: diff, accuracy: Math.round(acc) });
-        if (acc < 50) improvementAreas.push({ level: diff, accuracy: Math.round(acc) });
-      }
+    const existing = await sessions.getSession(req.store, req.params.sessionId);
+    if (!existing || !auth.canAccess(req, existing.studentId)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
     }
-    
-    // Learning curve (last 10 questions)
-    const recent = history.slice(-10);
-    const learningCurve = recent.map((q, idx) => ({
-      question: idx + 1,
-      correct: q.correct ? 1 : 0,
-      difficulty: q.difficulty
-    }));
-    
-    // Calculate current streak
-    let streak = 0;
-    for (let i = history.length - 1; i >= 0; i--) {
-      if (history[i].correct) streak++;
-      else break;
+
+    const session = await sessions.endSession(req.store, req.params.sessionId);
+    res.json({ success: true, report: session.report, session: sessions.toClientSession(session) });
+  } catch (error) {
+    if (error instanceof sessions.SessionError) {
+      return res.status(error.status).json({ success: false, error: error.message });
     }
-    
-    res.json({
+    log.error('Session error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 🎚️ CEFR placement test: short adaptive dialogue, then targeted items
+app.post('/api/language/placement', learner, api.validate, metered('tokens'), async (req, res) => {
+  const { language, studentId } = req.body;
+
+  if (!(await checkInput(req, res, { labels: { language }, studentId }))) return;
+
+  if (!ai.isConfigured('assess')) {
+    return res.status(500).json({ success: false, error: 'API key not configured', code: 'AI_NOT_CONFIGURED' });
+  }
+
+  try {
+    const test = await placement.startPlacement(req.store, { language, locale: req.locale, studentId });
+    res.status(201).json({
       success: true,
-      analytics: {
-        totalQuestions: history.length,
-        accuracy: Math.round(accuracy),
-        correct,
-        incorrect: history.length - correct,
-        averageDifficulty: avgDifficulty.toFixed(1),
-        byDifficulty,
-        strengthAreas,
-        improvementAreas,
-        learningCurve,
-        currentStreak: streak
-      }
+      placementId: test.id,
+      step: placement.toClientStep(test.steps[0]),
+      totalSteps: placement.TOTAL_STEPS
     });
   } catch (error) {
-    console.error('Analytics error:', error);
+    log.error('Placement error', { error });
+    if (sendUpstreamError(res, error)) return;
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-
-// 🌍 POLYGLOT AI - LANGUAGE LEARNING API
-app.post('/api/language/conversation', async (req, res) => {
+app.get('/api/language/placement/:placementId', learner, api.validate, async (req, res) => {
   try {
-    const { language, level, scenario, userMessage, conversationHistory } = req.body;
-    
-    if (!language || !level || !scenario) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: language, level, scenario'
-      });
-    }
-    
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    
-    if (!apiKey) {
-      return res.status(500).json({
-        success: false,
-        error: 'API key not configured'
-      });
-    }
-    
-    // Build conversation context
-    const isFirstMessage = !userMessage || userMessage === '';
-    
-    const systemPrompt = `You are a friendly and patient ${language} language tutor for ${level} level students.
-
-🎯 YOUR ROLE:
-- Have a natural conversation in ${language} about the "${scenario}" scenario
-- Keep your responses SHORT (2-3 sentences maximum)
-- Use vocabulary appropriate for ${level} level
-- Correct mistakes GENTLY if the student makes errors
-- Ask follow-up questions to keep the conversation flowing
-- Be encouraging and supportive
-
-📋 SCENARIO CONTEXT: ${scenario}
-${isFirstMessage ? `\n🌟 IMPORTANT: This is the START of the conversation. Greet the student warmly in ${language} and set up the ${scenario} scenario. For example, if it's a Restaurant scenario, you could be a waiter asking what they'd like to order.` : ''}
-
-⚠️ RULES:
-- Respond ONLY in ${language} (no English unless student is really struggling)
-- Keep it conversational and natural
-- Don't lecture - have a dialogue
-- Match the student's level - don't use overly complex grammar or vocabulary
-
-Student Level: ${level}
-Conversation History: ${conversationHistory ? JSON.stringify(conversationHistory.slice(-6)) : '[]'}`;
-
-    const messages = [
-      { role: 'system', content: systemPrompt }
-    ];
-    
-    // Add conversation history
-    if (conversationHistory && conversationHistory.length > 0) {
-      conversationHistory.slice(-6).forEach(msg => {
-        messages.push({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content
-        });
-      });
-    }
-    
-    // Add current user message (if not first message)
-    if (!isFirstMessage) {
-      messages.push({
-        role: 'user',
-        content: userMessage
-      });
-    }
-    
-    console.log('🌐 Calling OpenRouter for language conversation:', { language, level, scenario, isFirstMessage });
-    
-    const openRouterResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://polyglot-ai.netlify.app',
-        'X-Title': 'Polyglot AI - Language Learning'
-      },
-      body: JSON.stringify({
-        model: 'anthropic/claude-3.5-sonnet',
-        messages: messages,
-        temperature: 0.8, // More creative for natural conversation
-        max_tokens: 200 // Short responses
-      })
-    });
-    
-    if (!openRouterResponse.ok) {
-      const errorText = await openRouterResponse.text();
-      console.error('OpenRouter API error:', errorText);
-      throw new Error(`OpenRouter API failed: ${openRouterResponse.statusText}`);
+    const test = await placement.getPlacement(req.store, req.params.placementId);
+    if (!test || !auth.canAccess(req, test.studentId)) {
+      return res.status(404).json({ success: false, error: 'Placement not found' });
     }
-    
-    const data = await openRouterResponse.json();
-    const aiMessage = data.choices[0].message.content.trim();
-    
-    console.log('✅ AI conversation response:', aiMessage.substring(0, 100) + '...');
-    
-    // Analyze for corrections (simple check)
-    let corrections = [];
-    if (!isFirstMessage && userMessage) {
-      // This is a simplified version - Claude could provide corrections in a structured way
-      // For now, we'll skip detailed corrections to keep responses fast
+    res.json({ success: true, placement: placement.toClientPlacement(test) });
+  } catch (error) {
+    log.error('Placement error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/language/placement/:placementId/answer', learner, api.validate, metered('tokens'), async (req, res) => {
+  const { answer, answerIndex, stepIndex } = req.body;
+
+  try {
+    const existing = await placement.getPlacement(req.store, req.params.placementId);
+    if (!existing || !auth.canAccess(req, existing.studentId)) {
+      return res.status(404).json({ success: false, error: 'Placement not found' });
     }
-    
+
+    // Dialogue answers are rated by a model
+    if (!(await checkInput(req, res, { fields: { answer }, studentId: existing.studentId }))) return;
+
+    const test = await placement.submitAnswer(req.store, req.params.placementId, { answer, answerIndex, stepIndex });
+    const view = placement.toClientPlacement(test);
+
     res.json({
       success: true,
-      aiMessage: aiMessage,
-      corrections: corrections,
-      metadata: {
-        language,
-        level,
-        scenario,
-        tokens: data.usage || {}
-      }
+      placementId: test.id,
+      answered: view.steps[view.steps.length - 1],
+      next: view.currentStep,
+      result: test.result
     });
-    
   } catch (error) {
-    console.error('Conversation error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Error generating conversation'
-    });
+    if (error instanceof placement.PlacementError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    log.error('Placement error', { error });
+    if (sendUpstreamError(res, error)) return;
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// 💡 Hint endpoint
-app.post('/api/language/hint', async (req, res) => {
+// Stored placement results per language
+app.get('/api/language/level/:studentId', learner, api.validate, async (req, res) => {
   try {
-    const { language, level, scenario, conversationHistory } = req.body;
-    
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    
-    if (!apiKey) {
-      return res.status(500).json({
-        success: false,
-        error: 'API key not configured'
-      });
+    const { studentId } = req.params;
+
+    const record = await placement.getLevels(req.store, studentId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'No placement result for this student' });
     }
-    
-    const systemPrompt = `You are a ${language} language tutor. The student is in a ${scenario} scenario at ${level} level.
 
-Based on the conversation so far, give them a SHORT helpful hint (1 sentence) about what they could say next in ${language}.
+    res.json({ success: true, studentId, languages: record.languages });
+  } catch (error) {
+    log.error('Level error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Provide the hint in ENGLISH so they understand, but include the ${language} phrase they could use.
+// ✏️ Learner error log: totals per category, recurring mistakes, recent corrections
+app.get('/api/language/errors/:studentId', learner, api.validate, async (req, res) => {
+  try {
+    const errorLog = await corrections.getErrorLog(req.store, req.params.studentId);
+    if (!errorLog) {
+      return res.status(404).json({ success: false, error: 'No corrections recorded for this student' });
+    }
 
-Example format: "You could ask about the price by saying: '¿Cuánto cuesta?'"
+    res.json({ success: true, errors: corrections.summarizeErrorLog(errorLog, { language: req.query.language }) });
+  } catch (error) {
+    log.error('Error log error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Conversation so far: ${JSON.stringify(conversationHistory || [])}`;
-    
-    const openRouterResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'anthropic/claude-3.5-sonnet',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: 'Give me a hint for what to say next.' }
-        ],
-        temperature: 0.7,
-        max_tokens: 100
-      })
-    });
-    
-    if (!openRouterResponse.ok) {
-      throw new Error('Failed to generate hint');
+// 💡 Hint endpoint (stateless; sessions use /api/language/sessions/:sessionId/hint)
+app.post('/api/language/hint', learner, api.validate, metered('tokens'), async (req, res) => {
+  try {
+    const { language, scenario, conversationHistory = [], studentId } = req.body;
+
+    if (!ai.isConfigured('hint')) {
+      return res.status(500).json({ success: false, error: 'API key not configured', code: 'AI_NOT_CONFIGURED' });
     }
-    
-    const data = await openRouterResponse.json();
-    const hint = data.choices[0].message.content.trim();
+
+    const turns = conversationHistory.slice(-tutor.CLIENT_HISTORY_TURNS);
+    if (!(await checkInput(req, res, {
+      labels: { language, level: req.body.level, scenario },
+      fields: { conversationHistory: turns.map(turn => turn.content) },
+      studentId
+    }))) return;
+
+    const resolved = await requireLevel(req, res, { level: req.body.level, studentId, language });
+    if (!resolved) return;
+
+    const completion = await tutor.hint({
+      language,
+      level: resolved.level,
+      locale: req.locale,
+      scenario: scenarios.resolve(scenario, resolved.level),
+      turns
+    });
+    const hint = await moderation.screenOutput(req.store, completion.content, { ...moderationOf(req, studentId), field: 'hint', fallback: i18n.message(req.locale, 'fallbackHint') });
     
     res.json({
       success: true,
-      hint: hint
+      hint: hint.text
     });
     
   } catch (error) {
-    console.error('Hint error:', error);
+    log.error('Hint error', { error });
+    if (sendUpstreamError(res, error)) return;
     res.status(500).json({
       success: false,
       error: error.message || 'Error generating hint'
@@ -517,25 +1500,103 @@ Conversation so far: ${JSON.stringify(conversationHistory || [])}`;
 });
 
 
-// 🔊 OPENAI TEXT-TO-SPEECH API (v1.0)
-app.post('/api/language/speak', async (req, res) => {
+// 🎙️ SPEECH-TO-TEXT: transcript, pronunciation feedback and, with a
+// sessionId, the transcript taken as the learner's next turn
+app.post('/api/language/transcribe', learner, acceptAudio, api.validate, metered('tokens'), async (req, res) => {
+  const { expectedText, sessionId } = req.body;
+
+  if (!ai.isConfigured('transcribe')) {
+    return res.status(500).json({ success: false, error: 'No speech-to-text provider configured', code: 'AI_NOT_CONFIGURED' });
+  }
+
+  let input;
   try {
-    const { text, language, voice = 'nova' } = req.body;
-    
-    if (!text) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Text is required' 
-      });
+    input = transcription.readAudio(req);
+  } catch (error) {
+    if (error instanceof transcription.AudioInputError) {
+      return res.status(error.status).json({ success: false, error: error.message });
     }
-    
-    console.log(`🔊 OpenAI TTS: "${text.substring(0, 50)}..." (${language}, voice: ${voice})`);
-    
-    // Try to use OpenAI API key from environment
-    const openaiKey = process.env.OPENAI_API_KEY || process.env.OPENROUTER_API_KEY;
-    
-    if (!openaiKey) {
-      console.log('⚠️ No OpenAI key found, falling back to browser speech');
+    log.error('Audio input error', { error });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  // Claimed before transcribing, so an ended or busy session fails fast
+  let turn = null;
+  if (sessionId !== undefined) {
+    turn = await claimSession(req, res, sessionId);
+    if (!turn) return;
+  }
+
+  let result;
+  try {
+    const language = turn ? turn.session.language : req.body.language;
+    const heard = await transcription.transcribe({ ...input, language, expectedText });
+    log.info('Transcribed audio', { provider: heard.provider, language: heard.language, durationSeconds: heard.duration, length: heard.text.length });
+
+    result = {
+      transcript: heard.text,
+      language: heard.language,
+      duration: heard.duration,
+      words: heard.words,
+      pronunciation: expectedText ? pronunciation.comparePronunciation(expectedText, heard.text, heard.words) : null,
+      provider: heard.provider,
+      model: heard.model
+    };
+  } catch (error) {
+    if (turn) turn.release();
+    log.error('Transcription error', { error });
+    if (sendUpstreamError(res, error)) return;
+    return res.status(500).json({ success: false, error: error.message || 'Error transcribing audio' });
+  }
+
+  if (!turn) return res.json({ success: true, ...result });
+
+  if (!result.transcript) {
+    turn.release();
+    return res.status(422).json({ success: false, error: 'No speech detected', code: 'NO_SPEECH', transcription: result });
+  }
+
+  if (!(await checkInput(req, res, { fields: { transcript: result.transcript }, studentId: turn.session.studentId }))) {
+    return turn.release();
+  }
+
+  await continueSession(req, res, turn, result.transcript, { transcription: result });
+});
+
+// 🔊 TEXT-TO-SPEECH API (OpenAI tts-1 by default)
+// Audio is cached by content and delivered from /api/language/audio/:audioId
+const speaking = new Map(); // audioId -> in-flight synthesis, so identical requests share one call
+
+// Absolute URL for clients on other origins; PUBLIC_URL wins behind proxies that rewrite the host
+function publicUrl(req, pathname) {
+  const base = process.env.PUBLIC_URL ||
+    `${(req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim()}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}${pathname}`;
+}
+
+async function synthesize(id, request) {
+  if (!speaking.has(id)) {
+    const pending = ai.speak(request)
+      .then(async (speech) => {
+        await audioCache.put(id, speech.audio, speech.contentType);
+        return speech;
+      })
+      .finally(() => speaking.delete(id));
+    speaking.set(id, pending);
+  }
+  return speaking.get(id);
+}
+
+app.post('/api/language/speak', learner, api.validate, metered('ttsCharacters'), async (req, res) => {
+  try {
+    const { text, language, voice, speed, studentId } = req.body;
+
+    // Level only tunes the speed, so a missing one is fine
+    const level = await placement.resolveLevel(req.store, { level: req.body.level, studentId, language });
+    const settings = voices.voiceFor({ language, level: level && level.level, voice, speed });
+
+    if (!ai.isConfigured('speak')) {
+      log.warn('No AI provider configured - falling back to browser speech', { route: 'speak' });
       return res.json({
         success: true,
         audioUrl: null,
@@ -543,53 +1604,51 @@ app.post('/api/language/speak', async (req, res) => {
         message: 'No API key - using browser speech'
       });
     }
-    
-    // Call OpenAI TTS API
-    const ttsResponse = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openaiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'tts-1',  // or 'tts-1-hd' for higher quality
-        input: text,
-        voice: voice,  // alloy, echo, fable, onyx, nova, shimmer
-        response_format: 'mp3',
-        speed: 1.0
-      })
-    });
-    
-    if (!ttsResponse.ok) {
-      const errorText = await ttsResponse.text();
-      console.error('❌ OpenAI TTS failed:', ttsResponse.status, errorText);
-      
-      // Fallback to browser speech
-      return res.json({
-        success: true,
-        audioUrl: null,
-        useNativeSpeech: true,
-        message: 'OpenAI TTS failed - using browser fallback'
-      });
+
+    // Per tenant, so an audio URL never plays one school's text to another
+    const id = audioId(['speech', req.auth.tenantId, text, settings.voice, settings.speed, ai.describe().speak]);
+    const cached = await audioCache.has(id);
+    let provider = null;
+    let size;
+    let contentType;
+
+    if (cached) {
+      ({ size, contentType } = await audioCache.get(id));
+    } else {
+      let speech;
+      try {
+        speech = await synthesize(id, { text, voice: settings.voice, speed: settings.speed });
+      } catch (error) {
+        log.error('TTS provider error', { error });
+        // Fallback to browser speech
+        return res.json({
+          success: true,
+          audioUrl: null,
+          useNativeSpeech: true,
+          message: 'TTS provider failed - using browser fallback'
+        });
+      }
+      ({ provider, contentType } = speech);
+      size = speech.audio.length;
     }
     
-    // Get audio buffer
-    const audioBuffer = await ttsResponse.arrayBuffer();
-    const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-    
-    console.log('✅ OpenAI TTS success:', Math.round(audioBuffer.byteLength / 1024), 'KB');
+    log.info('Speech ready', { language, voice: settings.voice, speed: settings.speed, length: text.length, cached, provider, bytes: size });
     
     res.json({
       success: true,
-      audioUrl: `data:audio/mp3;base64,${audioBase64}`,
+      audioId: id,
+      audioUrl: publicUrl(req, `/api/language/audio/${id}`),
       useNativeSpeech: false,
-      provider: 'openai',
-      voice: voice,
-      size: audioBuffer.byteLength
+      cached,
+      provider,
+      voice: settings.voice,
+      speed: settings.speed,
+      contentType,
+      size
     });
     
   } catch (error) {
-    console.error('❌ TTS Error:', error);
+    log.error('TTS error', { error });
     
     // Fallback to browser speech
     res.json({
@@ -601,38 +1660,93 @@ app.post('/api/language/speak', async (req, res) => {
   }
 });
 
+// 🎧 Cached speech. Content never changes for an ID, so it is cacheable
+// forever; single byte ranges are honoured for seeking and iOS playback
+app.get('/api/language/audio/:audioId', api.validate, async (req, res) => {
+  try {
+    const { audioId: id } = req.params;
+    const entry = isValidAudioId(id) ? await audioCache.get(id) : null;
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Audio not found' });
+    }
+
+    res.set({
+      'Content-Type': entry.contentType,
+      'Accept-Ranges': 'bytes',
+      'ETag': `"${id}"`,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Cross-Origin-Resource-Policy': 'cross-origin' // <audio> on the frontends' origins
+    });
+
+    if (req.fresh) return res.status(304).end();
+
+    const range = req.headers.range ? req.range(entry.size, { combine: true }) : undefined;
+    if (range === -1) {
+      res.set('Content-Range', `bytes */${entry.size}`);
+      return res.status(416).end();
+    }
+
+    // Malformed or multi-range requests get the whole file
+    if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+      const { start, end } = range[0];
+      res.status(206).set({
+        'Content-Range': `bytes ${start}-${end}/${entry.size}`,
+        'Content-Length': String(end - start + 1)
+      });
+      return res.end(entry.audio.subarray(start, end + 1));
+    }
+
+    res.set('Content-Length', String(entry.size));
+    res.end(entry.audio);
+  } catch (error) {
+    log.error('Audio error', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ 
-    success: false, 
+  res.status(404).json({
+    success: false,
     error: 'Endpoint not found',
-    availableEndpoints: [
-      'GET /health',
-      'GET /api',
-      'POST /api/adaptive/generate',
-      'POST /api/adaptive/analytics'
-    ]
+    code: 'ROUTE_NOT_FOUND',
+    availableEndpoints: api.endpoints()
   });
 });
 
-// Error handler
+// Error handler: bodies the JSON parser refused, then anything unexpected
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ 
-    success: false, 
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: `Request body is larger than ${err.limit} bytes` });
+  }
+
+  log.error('Unhandled error', { error: err });
+  res.status(500).json({
+    success: false,
     error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined
+    details: process.env.NODE_ENV === 'development' ? { message: err.message } : undefined
   });
 });
 
+// Routes the API document lacks or describes without serving them
+api.checkRoutes(app);
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
-  console.log('🧠 ========================================');
-  console.log('🧠 CEREBRO AI BACKEND');
-  console.log('🧠 ========================================');
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🤖 AI Model: Claude 3.5 Sonnet`);
-  console.log(`🔑 API Key: ${process.env.OPENROUTER_API_KEY ? '✅ Configured' : '❌ Missing'}`);
-  console.log('🧠 ========================================');
+  log.info('Cerebro AI Backend started', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    models: ai.describe(),
+    openrouterConfigured: Boolean(process.env.OPENROUTER_API_KEY),
+    mockProvider: process.env.AI_PROVIDER === 'mock',
+    storage: store.type,
+    auth: auth.DISABLED ? 'disabled (default tenant, admin role)' : 'required',
+    platformKeyConfigured: Boolean(process.env.ADMIN_API_KEY),
+    logLevel: log.level
+  });
+  if (auth.DISABLED) log.warn('Authentication is disabled');
+  if (!ai.isConfigured('generate')) log.error('No AI provider configured - /health/ready will fail until one is');
 });
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const auth = require('../lib/auth');
+const profiles = require('../lib/profiles');
+const { createStore } = require('../lib/store');
+
+// Runs a middleware; resolves to { next: true } or the response it sent
+function run(middleware, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json: body => resolve({ status: res.statusCode, body })
+    };
+    middleware(req, res, error => (error ? reject(error) : resolve({ next: true })));
+  });
+}
+
+function request(credential, { params = {}, query = {}, body = {} } = {}) {
+  const headers = credential ? { authorization: `Bearer ${credential}` } : {};
+  return { get: name => headers[name.toLowerCase()], params, query, body };
+}
+
+async function signIn(store, credential, options) {
+  const req = request(credential, options);
+  const outcome = await run(auth.authenticate(store), req);
+  return { req, outcome };
+}
+
+async function twoSchools() {
+  const store = createStore({ adapter: 'memory' });
+  const a = await auth.tenants.createTenant(store, { tenantId: 'ies-a', name: 'IES A' });
+  const b = await auth.tenants.createTenant(store, { tenantId: 'ies-b', name: 'IES B' });
+  return { store, a, b };
+}
+
+test('a school only ever sees its own records', async () => {
+  const { store, a, b } = await twoSchools();
+
+  const asA = (await signIn(store, a.key)).req;
+  await profiles.recordAnswer(asA.store, 'alumno-1', { subject: 'Matemáticas', correct: true });
+
+  const asB = (await signIn(store, b.key)).req;
+  assert.equal(asB.auth.tenantId, 'ies-b');
+  assert.equal(await profiles.getProfile(asB.store, 'alumno-1'), null);
+  assert.equal((await profiles.getProfile(asA.store, 'alumno-1')).history.length, 1);
+});
+
+test('a token is refused when it names a school whose secret did not sign it', async () => {
+  const { store } = await twoSchools();
+  const { token } = await auth.issueToken(store, { tenantId: 'ies-a', role: 'admin' }, { role: 'teacher', userId: 'profe' });
+  assert.equal((await signIn(store, token)).req.auth.tenantId, 'ies-a');
+
+  const [, payload, signature] = token.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url')), tid: 'ies-b' };
+  const forged = [token.split('.')[0], Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+
+  const { outcome } = await signIn(store, forged);
+  assert.equal(outcome.status, 401);
+});
+
+test('credentials below the required role are refused', async () => {
+  const { store } = await twoSchools();
+  const { key } = await auth.tenants.createApiKey(store, 'ies-a', { role: 'student', studentId: 'alumno-1' });
+  const { token } = await auth.issueToken(store, { tenantId: 'ies-a', role: 'teacher' }, { role: 'student', studentId: 'alumno-2' });
+
+  for (const credential of [key, token]) {
+    const { req } = await signIn(store, credential);
+    assert.equal((await run(auth.authorize('teacher'), req)).status, 403);
+    assert.deepEqual(await run(auth.authorize('student'), req), { next: true });
+  }
+
+  await assert.rejects(
+    auth.issueToken(store, { tenantId: 'ies-a', role: 'teacher' }, { role: 'admin', userId: 'jefa' }),
+    { status: 403 }
+  );
+});
+
+test('students only act as themselves', async () => {
+  const { store } = await twoSchools();
+  const { key } = await auth.tenants.createApiKey(store, 'ies-a', { role: 'student', studentId: 'alumno-1' });
+
+  const other = await signIn(store, key, { params: { studentId: 'alumno-2' } });
+  assert.equal((await run(auth.asSelf, other.req)).status, 403);
+
+  const own = await signIn(store, key, { body: {} });
+  assert.deepEqual(await run(auth.asSelf, own.req), { next: true });
+  assert.equal(own.req.body.studentId, 'alumno-1');
+});
+
+test('student IDs that name Object.prototype properties are refused everywhere', async () => {
+  const { store } = await twoSchools();
+
+  for (const studentId of ['__proto__', 'constructor', 'prototype']) {
+    assert.equal(profiles.isValidStudentId(studentId), false);
+    await assert.rejects(auth.tenants.createApiKey(store, 'ies-a', { role: 'student', studentId }), { status: 400 });
+    await assert.rejects(auth.issueToken(store, { tenantId: 'ies-a', role: 'teacher' }, { role: 'student', studentId }), { status: 400 });
+  }
+  assert.equal(profiles.isValidStudentId('alumno-42'), true);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const learnerModel = require('../lib/learner-model');
+const profiles = require('../lib/profiles');
+const { createStore } = require('../lib/store');
+
+const attempt = (overrides = {}) => ({
+  subject: 'Matemáticas',
+  topic: 'fracciones',
+  difficulty: 'medio',
+  correct: true,
+  ...overrides
+});
+
+test('applyAttempt counts one answer once, per subject and topic', () => {
+  const model = learnerModel.applyAttempt(learnerModel.createModel(), attempt());
+  const entry = model.subjects['Matemáticas'];
+
+  assert.equal(entry.overall.attempts, 1);
+  assert.equal(entry.topics.fracciones.attempts, 1);
+  assert.ok(entry.overall.ability > 0);
+  assert.ok(entry.overall.information > 0);
+});
+
+test('applyAttempt does not modify the model it is given', () => {
+  const model = learnerModel.createModel();
+  learnerModel.applyAttempt(model, attempt());
+  assert.deepEqual(model, learnerModel.createModel());
+});
+
+test('a wrong answer lowers the ability, more so on an easy question', () => {
+  const start = learnerModel.createModel();
+  const easy = learnerModel.applyAttempt(start, attempt({ difficulty: 'fácil', correct: false }));
+  const hard = learnerModel.applyAttempt(start, attempt({ difficulty: 'difícil', correct: false }));
+
+  assert.ok(easy.subjects['Matemáticas'].overall.ability < 0);
+  assert.ok(easy.subjects['Matemáticas'].overall.ability < hard.subjects['Matemáticas'].overall.ability);
+});
+
+test('answers without a subject go to _general', () => {
+  const model = learnerModel.applyAttempt(null, attempt({ subject: undefined, topic: null }));
+  assert.deepEqual(Object.keys(model.subjects), ['_general']);
+  assert.deepEqual(model.subjects._general.topics, {});
+});
+
+test('buildModel replays a history into the same model as applying it answer by answer', () => {
+  const history = [
+    attempt(),
+    attempt({ correct: false, difficulty: 'difícil' }),
+    attempt({ topic: 'ecuaciones' }),
+    attempt({ subject: 'Física y Química', topic: null })
+  ];
+
+  const applied = history.reduce(learnerModel.applyAttempt, learnerModel.createModel());
+  assert.deepEqual(learnerModel.buildModel(history), applied);
+  assert.equal(learnerModel.buildModel(history).subjects['Matemáticas'].overall.attempts, 3);
+});
+
+test('buildModel with a subject files every answer under it', () => {
+  const model = learnerModel.buildModel([attempt({ subject: 'A' }), attempt({ subject: 'B' })], 'Lengua');
+  assert.deepEqual(Object.keys(model.subjects), ['Lengua']);
+  assert.equal(model.subjects.Lengua.overall.attempts, 2);
+});
+
+test('estimateFor shrinks a new topic towards the subject estimate', () => {
+  let model = learnerModel.createModel();
+  for (let i = 0; i < 6; i++) model = learnerModel.applyAttempt(model, attempt({ topic: 'fracciones' }));
+  model = learnerModel.applyAttempt(model, attempt({ topic: 'ecuaciones', correct: false }));
+
+  const subject = learnerModel.estimateFor(model, 'Matemáticas');
+  const topic = learnerModel.estimateFor(model, 'Matemáticas', 'ecuaciones');
+  const raw = model.subjects['Matemáticas'].topics.ecuaciones;
+
+  assert.ok(topic.ability > raw.ability && topic.ability < subject.ability);
+  assert.equal(learnerModel.estimateFor(model, 'Historia').attempts, 0);
+});
+
+test('chooseDifficulty follows the ability', () => {
+  assert.equal(learnerModel.chooseDifficulty(learnerModel.createEstimate(-1)).targetDifficulty, 'fácil');
+  assert.equal(learnerModel.chooseDifficulty(learnerModel.createEstimate(0)).targetDifficulty, 'medio');
+  assert.equal(learnerModel.chooseDifficulty(learnerModel.createEstimate(2.5)).targetDifficulty, 'difícil');
+  assert.equal(learnerModel.chooseDifficulty(learnerModel.createEstimate(-3)).targetDifficulty, 'fácil');
+});
+
+test('chooseDifficulty describes the estimate at the chosen difficulty', () => {
+  const { targetDifficulty, mastery } = learnerModel.chooseDifficulty(learnerModel.createEstimate(2.5));
+  const expected = learnerModel.probabilityCorrect(2.5, learnerModel.DIFFICULTY_RATINGS[targetDifficulty]);
+
+  assert.equal(mastery.model, learnerModel.MODEL_NAME);
+  assert.equal(mastery.confidence, 0);
+  assert.ok(Math.abs(mastery.expectedAccuracy - expected) < 0.001);
+});
+
+test('recordAnswer counts the new answer once for profiles without a stored model', async () => {
+  const store = createStore({ adapter: 'memory' });
+  const answeredAt = new Date().toISOString();
+  await store.set('students', 's1', {
+    studentId: 's1',
+    createdAt: answeredAt,
+    updatedAt: answeredAt,
+    history: [attempt({ answeredAt })]
+  });
+
+  const profile = await profiles.recordAnswer(store, 's1', attempt({ correct: false, answeredAt }));
+
+  assert.equal(profile.learnerModel.subjects['Matemáticas'].overall.attempts, 2);
+  assert.deepEqual(profile.learnerModel, learnerModel.buildModel(profile.history));
+});
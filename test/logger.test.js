@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { log } = require('../lib/observability/logger');
+const { upstreamErrorCode } = require('../lib/ai/errors');
+
+function logged(t, write) {
+  const lines = [];
+  t.mock.method(process.stderr, 'write', line => lines.push(JSON.parse(line)));
+  write();
+  return lines[0];
+}
+
+test('upstream error bodies and school API keys never reach the logs', (t) => {
+  const key = `cbk_${'a'.repeat(16)}_${'b'.repeat(43)}`;
+  const body = '{"error":{"message":"Flagged input: mi dirección es ..."}}';
+  const entry = logged(t, () => log.error(`Key ${key} failed`, {
+    body,
+    detail: `x-api-key: ${key}`
+  }));
+
+  assert.equal(entry.msg, 'Key [redacted] failed');
+  assert.equal(entry.body, `[redacted: ${body.length} chars]`);
+  assert.equal(entry.detail, 'x-api-key: [redacted]');
+});
+
+test('upstreamErrorCode keeps only the code of an error body', () => {
+  assert.equal(upstreamErrorCode('{"error":{"code":403,"message":"Input flagged: ..."}}'), 403);
+  assert.equal(upstreamErrorCode('{"error":{"type":"invalid_request_error","message":"..."}}'), 'invalid_request_error');
+  assert.equal(upstreamErrorCode('<html>Bad gateway</html>'), null);
+  assert.equal(upstreamErrorCode('null'), null);
+});
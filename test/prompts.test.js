@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const i18n = require('../lib/i18n');
+const curriculum = require('../lib/curriculum');
+const questionTypes = require('../lib/question-types');
+const questionSchema = require('../lib/question-schema');
+const { buildMessages } = require('../lib/question-generator');
+
+// Every key of the Spanish catalog, as "generate.types.numeric.example.unit"
+function keysOf(value, prefix = '') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [prefix];
+  return Object.entries(value).flatMap(([key, child]) => keysOf(child, prefix ? `${prefix}.${key}` : key));
+}
+
+const spec = locale => ({
+  level: 'ESO 2',
+  subject: 'Matemáticas',
+  targetDifficulty: 'medio',
+  lomloeCompetency: 'STEM',
+  criterion: curriculum.getCriterion('MAT.ESO.6.2'),
+  avoidTopics: ['fracciones'],
+  reviewTopic: 'ecuaciones',
+  student: { accuracy: 0.5, streak: -2, expectedAccuracy: 0.6 },
+  locale
+});
+
+test('every locale has the generator and grader prompts of the Spanish catalog', () => {
+  const expected = keysOf(i18n.catalog('es').prompts.generate).concat(keysOf(i18n.catalog('es').prompts.grade));
+  for (const code of i18n.CODES) {
+    const { prompts } = i18n.catalog(code);
+    assert.deepEqual(keysOf(prompts.generate).concat(keysOf(prompts.grade)), expected, code);
+  }
+});
+
+test('generation prompts are written in the locale, with every placeholder filled', () => {
+  for (const code of i18n.CODES) {
+    for (const questionType of Object.keys(questionTypes.types)) {
+      const [system, user] = buildMessages({ ...spec(code), questionType });
+      const text = i18n.prompts(code, 'generate');
+
+      assert.ok(system.content.startsWith(text.role), `${code} ${questionType}`);
+      assert.ok(system.content.includes(questionTypes.promptFor(questionType, code).label));
+      assert.equal(user.content, text.request);
+      assert.doesNotMatch(system.content, /\{[a-zA-Z]+\}/, `${code} ${questionType}`);
+    }
+  }
+});
+
+test('the generation prompt carries the type example and the planned difficulty', () => {
+  const [system] = buildMessages({ ...spec('en'), questionType: 'fill_blank' });
+  const example = JSON.parse(system.content.slice(system.content.indexOf('{'), system.content.lastIndexOf('}') + 1));
+
+  assert.equal(example.question, `Water boils at ${questionTypes.BLANK} degrees Celsius.`);
+  assert.equal(example.difficulty, 'medio');
+  assert.match(system.content, /of medium difficulty/);
+});
+
+test('true/false options follow the locale of the question', () => {
+  const data = {
+    question: 'El agua hierve a 100 grados al nivel del mar.',
+    correctAnswer: true,
+    explanation: 'A presión atmosférica normal.',
+    difficulty: 'fácil',
+    lomloeCompetency: 'STEM',
+    topic: 'cambios de estado'
+  };
+
+  for (const code of i18n.CODES) {
+    const { question, errors } = questionSchema.validateQuestion(data, { questionType: 'true_false', locale: code });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(question.options, i18n.message(code, 'trueFalseOptions'));
+  }
+});
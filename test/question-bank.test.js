@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const questionBank = require('../lib/question-bank');
+const { createStore } = require('../lib/store');
+
+const question = (overrides = {}) => ({
+  questionType: 'multiple_choice',
+  question: '¿Cuánto es 1/2 + 1/4?',
+  options: ['3/4', '2/6', '1/8', '2/4'],
+  correctIndex: 0,
+  explanation: 'Se busca un denominador común.',
+  difficulty: 'medio',
+  lomloeCompetency: 'STEM',
+  topic: 'fracciones',
+  ...overrides
+});
+
+const file = (store, overrides, studentId) => questionBank.addQuestion(store, {
+  question: question(overrides),
+  level: 'ESO 1',
+  subject: 'Matemáticas',
+  locale: 'es',
+  studentId
+});
+
+test('a duplicate is issued with the banked content and counted on the original', async () => {
+  const store = createStore({ adapter: 'memory' });
+  const first = await file(store);
+  const second = await file(store, { question: '¿cuánto es 1/2 + 1/4', options: ['2/4', '3/4', '1/8', '2/6'], correctIndex: 1 });
+
+  assert.equal(second.duplicate, true);
+  assert.equal(second.entry.id, first.entry.id);
+  assert.deepEqual(second.question, first.entry.question);
+  assert.equal(second.entry.timesGenerated, 2);
+  assert.equal((await store.list('question-bank')).length, 1);
+});
+
+test('a copy of a rejected question keeps its own content and no bank entry', async () => {
+  const store = createStore({ adapter: 'memory' });
+  const first = await file(store);
+  await questionBank.reviewQuestion(store, first.entry.id, { status: 'rejected' });
+
+  const copy = await file(store, { correctIndex: 3 });
+  assert.equal(copy.duplicate, true);
+  assert.equal(copy.entry, null);
+  assert.equal(copy.question.correctIndex, 3);
+});
+
+test('a duplicate the student has seen, or with another difficulty or criterion, keeps its own content', async () => {
+  const store = createStore({ adapter: 'memory' });
+  const first = await file(store, { criterionId: 'MAT.ESO.6.2' });
+  await questionBank.markSeen(store, first.entry.id, 's1');
+
+  const seen = await file(store, { criterionId: 'MAT.ESO.6.2', correctIndex: 3 }, 's1');
+  assert.equal(seen.entry, null);
+  assert.equal(seen.question.correctIndex, 3);
+
+  const harder = await file(store, { criterionId: 'MAT.ESO.6.2', difficulty: 'difícil' }, 's2');
+  assert.equal(harder.entry, null);
+  assert.equal(harder.question.difficulty, 'difícil');
+
+  const otherCriterion = await file(store, { criterionId: 'MAT.ESO.5.1' }, 's2');
+  assert.equal(otherCriterion.entry, null);
+  assert.equal(otherCriterion.question.criterionId, 'MAT.ESO.5.1');
+
+  assert.equal((await file(store, { criterionId: 'MAT.ESO.6.2' }, 's2')).entry.id, first.entry.id);
+  assert.equal((await questionBank.getQuestion(store, first.entry.id)).timesGenerated, 5);
+});
+
+test('pickQuestion finds questions through the index, including ones filed before it existed', async () => {
+  const store = createStore({ adapter: 'memory' });
+  const pick = overrides => questionBank.pickQuestion(store, {
+    subject: 'matemáticas',
+    level: 'eso 1',
+    locale: 'es',
+    questionType: 'multiple_choice',
+    difficulty: 'medio',
+    ...overrides
+  });
+
+  const { entry } = await file(store);
+  const legacy = { ...entry, id: 'legacy', fingerprint: 'legacy', question: question({ topic: 'decimales' }) };
+  await store.set('question-bank', legacy.id, legacy);
+
+  assert.equal((await pick({ topic: 'fracciones' })).id, entry.id);
+  assert.equal((await pick({ topic: 'decimales' })).id, 'legacy');
+  assert.equal(await pick({ difficulty: 'difícil' }), null);
+
+  const moved = await questionBank.updateQuestion(store, entry.id, { difficulty: 'difícil' });
+  assert.equal((await pick({ difficulty: 'difícil' })).id, moved.id);
+  assert.equal(await pick({ topic: 'fracciones' }), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const quizzes = require('../lib/quizzes');
+const questions = require('../lib/questions');
+const questionTypes = require('../lib/question-types');
+const { GradingError } = questionTypes;
+const { createStore } = require('../lib/store');
+
+async function openQuiz(store) {
+  const quizId = 'quiz-1';
+  const common = { level: 'ESO 1', subject: 'Matemáticas', locale: 'es', studentId: 's1', targetDifficulty: 'medio', quizId };
+  const choice = await questions.saveQuestion(store, {
+    ...common,
+    question: {
+      questionType: 'multiple_choice',
+      question: '¿Cuánto es 2 + 2?',
+      options: ['3', '4', '5', '6'],
+      correctIndex: 1,
+      explanation: 'Suma.',
+      difficulty: 'fácil',
+      lomloeCompetency: 'STEM',
+      topic: 'sumas'
+    }
+  });
+  const open = await questions.saveQuestion(store, {
+    ...common,
+    question: {
+      questionType: 'short_answer',
+      question: '¿Por qué 2 + 2 es 4?',
+      sampleAnswer: 'Porque al juntar dos y dos se obtienen cuatro.',
+      rubric: ['Explica la suma'],
+      explanation: 'Suma.',
+      difficulty: 'medio',
+      lomloeCompetency: 'STEM',
+      topic: 'sumas'
+    }
+  });
+
+  await store.set('quizzes', quizId, {
+    id: quizId,
+    level: common.level,
+    subject: common.subject,
+    studentId: 's1',
+    status: 'open',
+    questionIds: [choice.id, open.id],
+    createdAt: new Date().toISOString()
+  });
+  return { quizId, answers: [{ questionId: choice.id, answerIndex: 1 }, { questionId: open.id, answer: 'Se juntan dos y dos.' }] };
+}
+
+test('a grader failure records nothing, so the quiz can be submitted again', async (t) => {
+  const store = createStore({ adapter: 'memory' });
+  const { quizId, answers } = await openQuiz(store);
+  const grade = t.mock.method(questionTypes.types.short_answer, 'grade', async () => {
+    throw new GradingError('Could not grade the answer');
+  });
+
+  await assert.rejects(quizzes.submitQuiz(store, quizId, { studentId: 's1', answers }), GradingError);
+  assert.equal((await store.get('quizzes', quizId)).status, 'open');
+  assert.deepEqual((await questions.getQuestion(store, answers[0].questionId)).answers, {});
+  assert.equal(await store.get('students', 's1'), null);
+
+  grade.mock.mockImplementation(async () => ({ correct: true, score: 1, feedback: 'Bien.' }));
+  const quiz = await quizzes.submitQuiz(store, quizId, { studentId: 's1', answers });
+
+  assert.equal(quiz.status, 'submitted');
+  assert.equal(quiz.submission.correct, 2);
+  assert.equal((await store.get('students', 's1')).history.length, 2);
+});
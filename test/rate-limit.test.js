@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter } = require('../lib/rate-limit');
+
+function call(limiter, auth) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json: body => resolve({ status: res.statusCode, body })
+    };
+    limiter({ ip: '10.0.0.1', auth }, res, () => resolve({ status: 200 }));
+  });
+}
+
+const limits = { ip: 2, tenant: 5, student: 3 };
+const teacher = { tenantId: 'ies-a', role: 'teacher', studentId: null, userId: 't1', via: 'token' };
+const student = studentId => ({ tenantId: 'ies-a', role: 'student', studentId, via: 'token' });
+
+test('a classroom behind one address is limited per school and student, not per IP', async () => {
+  const limiter = createRateLimiter({ backend: 'memory', limits });
+
+  for (const studentId of ['s1', 's2', 's3', 's4']) {
+    assert.equal((await call(limiter, student(studentId))).status, 200);
+  }
+  assert.equal((await call(limiter, teacher)).status, 200);
+
+  const over = await call(limiter, student('s5'));
+  assert.equal(over.status, 429);
+  assert.equal(over.body.scope, 'tenant');
+});
+
+test('callers without a school credential are limited per IP', async () => {
+  const limiter = createRateLimiter({ backend: 'memory', limits });
+  const anonymous = { tenantId: 'default', role: 'admin', studentId: null, via: 'anonymous' };
+
+  assert.equal((await call(limiter, null)).status, 200);
+  assert.equal((await call(limiter, anonymous)).status, 200);
+
+  const over = await call(limiter, null);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.scope, 'ip');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const resilience = require('../lib/ai/resilience');
+const { ProviderError } = require('../lib/ai/errors');
+
+const rateLimited = retryAfterMs => new ProviderError('rate limited', { provider: 'test', status: 429, retryAfterMs });
+
+test('withRetry waits out a short Retry-After and tries again', async () => {
+  let calls = 0;
+  const result = await resilience.withRetry(async () => {
+    calls++;
+    if (calls === 1) throw rateLimited(1);
+    return 'ok';
+  }, { label: 'test', maxRetries: 2 });
+
+  assert.equal(result, 'ok');
+  assert.equal(calls, 2);
+});
+
+test('withRetry gives up at once when Retry-After is longer than the largest backoff', async () => {
+  let calls = 0;
+  const retryAfterMs = resilience.settings.maxDelayMs + 1000;
+
+  await assert.rejects(
+    resilience.withRetry(async () => {
+      calls++;
+      throw rateLimited(retryAfterMs);
+    }, { label: 'test', maxRetries: 2 }),
+    error => error.retryAfterMs === retryAfterMs
+  );
+  assert.equal(calls, 1);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(resilience.parseRetryAfter('30'), 30000);
+  assert.equal(resilience.parseRetryAfter(undefined), undefined);
+  assert.ok(resilience.parseRetryAfter(new Date(Date.now() + 60000).toUTCString()) > 50000);
+});
+
+test('a failing model opens its own breaker, not its provider\'s other models', async () => {
+  const down = () => { throw new ProviderError('down', { provider: 'test', status: 503 }); };
+  for (let i = 0; i < resilience.settings.breakerThreshold; i++) {
+    await assert.rejects(resilience.callProvider('test', 'model-a', down, { maxRetries: 0 }));
+  }
+
+  await assert.rejects(resilience.callProvider('test', 'model-a', async () => 'ok'), { code: 'UPSTREAM_UNAVAILABLE' });
+  assert.equal(await resilience.callProvider('test', 'model-b', async () => 'ok'), 'ok');
+
+  const status = resilience.breakerStatus();
+  assert.equal(status['test:model-a'].state, 'open');
+  assert.equal(status['test:model-b'].state, 'closed');
+});
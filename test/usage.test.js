@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const usage = require('../lib/usage');
+const auth = require('../lib/auth');
+const { createStore } = require('../lib/store');
+
+function run(middleware, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json: body => resolve({ status: res.statusCode, headers: res.headers, body })
+    };
+    middleware(req, res, error => (error ? reject(error) : resolve({ next: true })));
+  });
+}
+
+const call = tokens => ({ route: 'generate', provider: 'mock', model: 'mock-generate', promptTokens: tokens, completionTokens: 0 });
+
+async function school(quotas) {
+  const root = createStore({ adapter: 'memory' });
+  await auth.tenants.createTenant(root, { tenantId: 'ies-a', name: 'IES A' });
+  await auth.tenants.setQuotas(root, 'ies-a', usage.validateQuotas(quotas));
+  return { root, store: auth.tenantStore(root, 'ies-a') };
+}
+
+const teacher = (store, studentId) => ({ auth: { tenantId: 'ies-a', role: 'teacher', studentId: null }, store, body: { studentId } });
+
+test('a school over its daily token quota is refused until the day ends', async () => {
+  const { root, store } = await school({ tenant: { day: { tokens: 100 } } });
+  const limit = usage.quota(root, 'tokens');
+
+  await usage.recordUsage(store, call(60));
+  assert.deepEqual(await run(limit, teacher(store)), { next: true });
+
+  await usage.recordUsage(store, call(60));
+  const refused = await run(limit, teacher(store));
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.code, 'QUOTA_EXCEEDED');
+  assert.equal(refused.body.scope, 'tenant');
+  assert.equal(refused.body.used, 120);
+  assert.ok(Number(refused.headers['Retry-After']) > 0);
+});
+
+test('a student over their quota is refused while classmates carry on', async () => {
+  const { root, store } = await school({ student: { month: { tokens: 50 } } });
+  const limit = usage.quota(root, 'tokens');
+
+  await usage.recordUsage(store, { ...call(50), studentId: 'alumno-1' });
+
+  const refused = await run(limit, teacher(store, 'alumno-1'));
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.scope, 'student');
+  assert.deepEqual(await run(limit, teacher(store, 'alumno-2')), { next: true });
+});
+
+test('usage charged to a "__proto__" student stays in its own entry', async () => {
+  const store = createStore({ adapter: 'memory' });
+  await usage.recordUsage(store, { ...call(10), studentId: '__proto__' });
+  await usage.recordUsage(store, { ...call(5), studentId: 'alumno-1' });
+
+  assert.equal({}.calls, undefined);
+  assert.equal({}.tokens, undefined);
+
+  const report = await usage.usageReport(store, usage.quotasFor(null), { period: 'day' });
+  assert.equal(report.totals.tokens, 15);
+  assert.deepEqual(report.students.map(({ studentId, tokens }) => [studentId, tokens]), [['__proto__', 10], ['alumno-1', 5]]);
+});